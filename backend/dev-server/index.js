@@ -0,0 +1,117 @@
+'use strict';
+
+/**
+ * sealed.fyi development server
+ *
+ * Runs the API and the frontend in one Node process, with no SAM, Docker or
+ * AWS account. The Lambda handlers are mounted on the routes declared in
+ * template.yaml by the same gateway the standalone server uses
+ * (../server/gateway.js). DynamoDB and S3 are replaced by the in-memory
+ * stores in functions/shared, so everything is lost when the process exits.
+ * View notifications are delivered straight from this process.
+ *
+ * Usage: node index.js   (PORT and HOST override 3000 and 127.0.0.1)
+ */
+
+const crypto = require('node:crypto');
+const http = require('node:http');
+const path = require('node:path');
+const { createGateway } = require('../server/gateway');
+
+const BACKEND_DIR = path.join(__dirname, '..');
+const TEMPLATE_PATH = path.join(BACKEND_DIR, 'template.yaml');
+const FRONTEND_DIR = path.join(BACKEND_DIR, '..', 'frontend');
+
+// The frontend calls http://localhost:3000 when it is served from localhost
+const DEFAULT_PORT = 3000;
+const DEFAULT_HOST = '127.0.0.1';
+
+// Applied only where the variable is not already set
+const DEV_ENVIRONMENT = {
+  JWT_SECRET: 'local-dev-secret',
+  DYNAMODB_STORE: 'memory',
+  BLOB_STORE: 'memory',
+  // View webhooks are delivered from this process, and may point at a local sink
+  NOTIFY_QUEUE: 'inline',
+  NOTIFY_ALLOW_LOCAL: 'true'
+};
+
+// Any local origin is allowed, whatever port a frontend is served from
+const LOCAL_ORIGIN_PATTERN = /^http:\/\/(localhost|127\.0\.0\.1)(:\d+)?$/;
+
+/**
+ * Fill in the settings the handlers need to run against the in-memory stores.
+ * Must run before the handlers (and so functions/shared) are first loaded.
+ * @param {object} [env=process.env]
+ */
+function applyDevEnvironment(env = process.env) {
+  for (const [name, value] of Object.entries(DEV_ENVIRONMENT)) {
+    if (env[name] === undefined) {
+      env[name] = value;
+    }
+  }
+
+  // A throwaway notification key pair, unless one was given
+  if (env.NOTIFY_PUBLIC_KEY === undefined && env.NOTIFY_PRIVATE_KEY === undefined) {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('x25519');
+    env.NOTIFY_PUBLIC_KEY = publicKey.export({ type: 'spki', format: 'pem' });
+    env.NOTIFY_PRIVATE_KEY = privateKey.export({ type: 'pkcs8', format: 'pem' });
+  }
+}
+
+/**
+ * CORS headers for a request from a local origin
+ * @param {http.IncomingMessage} req
+ * @returns {object}
+ */
+function corsHeaders(req) {
+  const origin = req.headers.origin;
+  if (!origin || !LOCAL_ORIGIN_PATTERN.test(origin)) {
+    return {};
+  }
+  return {
+    'Access-Control-Allow-Origin': origin,
+    'Vary': 'Origin'
+  };
+}
+
+// =============================================================================
+// Server
+// =============================================================================
+
+/**
+ * Create the development server (not yet listening).
+ * @param {Object} [options]
+ * @param {string} [options.templatePath] - SAM template to read routes from
+ * @param {string} [options.frontendDir] - Static files root
+ * @param {Function} [options.log] - Receives one line per request
+ * @returns {http.Server}
+ */
+function createDevServer(options = {}) {
+  const {
+    templatePath = TEMPLATE_PATH,
+    frontendDir = FRONTEND_DIR,
+    log = (line) => console.log(line)
+  } = options;
+
+  applyDevEnvironment();
+  return http.createServer(createGateway({ templatePath, frontendDir, corsHeaders, log }));
+}
+
+if (require.main === module) {
+  const port = Number(process.env.PORT) || DEFAULT_PORT;
+  const host = process.env.HOST || DEFAULT_HOST;
+  const server = createDevServer();
+  server.listen(port, host, () => {
+    console.log(`sealed.fyi dev server on http://localhost:${port} (in-memory storage, data is lost on exit)`);
+  });
+}
+
+module.exports = {
+  createDevServer,
+  applyDevEnvironment,
+  _internal: {
+    corsHeaders,
+    DEV_ENVIRONMENT
+  }
+};
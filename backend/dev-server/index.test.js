@@ -0,0 +1,170 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('node:crypto');
+const http = require('node:http');
+
+// Keep PoW cheap; must be set before the handlers load
+process.env.POW_ALG = 'sha256';
+process.env.POW_DIFFICULTY_MIN = '1';
+process.env.POW_DIFFICULTY_MAX = '1';
+
+const { createDevServer, _internal } = require('./index.js');
+const { corsHeaders } = _internal;
+const { pow, notify } = require('../functions/shared');
+
+/**
+ * Seal a webhook to the server's notifyKey, as frontend/js/crypto.js does
+ */
+function sealWebhook(webhook, notifyKey) {
+  const ephemeral = crypto.generateKeyPairSync('x25519');
+  const ephemeralBytes = Buffer.from(ephemeral.publicKey.export({ format: 'jwk' }).x, 'base64url');
+  const shared = crypto.diffieHellman({
+    privateKey: ephemeral.privateKey,
+    publicKey: crypto.createPublicKey({ key: { kty: 'OKP', crv: 'X25519', x: notifyKey }, format: 'jwk' })
+  });
+  const key = Buffer.from(crypto.hkdfSync('sha256', shared, ephemeralBytes, notify._internal.SEAL_INFO, 32));
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const sealed = Buffer.concat([cipher.update(JSON.stringify(webhook)), cipher.final(), cipher.getAuthTag()]);
+  return Buffer.concat([ephemeralBytes, iv, sealed]).toString('base64url');
+}
+
+describe('dev server', () => {
+  describe('CORS', () => {
+    it('should allow only local origins', () => {
+      assert.strictEqual(corsHeaders({ headers: { origin: 'http://localhost:5173' } })['Access-Control-Allow-Origin'], 'http://localhost:5173');
+      assert.deepStrictEqual(corsHeaders({ headers: { origin: 'https://evil.example' } }), {});
+      assert.deepStrictEqual(corsHeaders({ headers: {} }), {});
+    });
+  });
+
+  describe('HTTP', () => {
+    let server;
+    let baseUrl;
+
+    before(async () => {
+      server = createDevServer({ log: () => {} });
+      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+      await new Promise((resolve) => server.close(resolve));
+    });
+
+    async function createSecret(maxViews, webhook) {
+      const tokenResponse = await fetch(`${baseUrl}/token`, { method: 'POST' });
+      assert.strictEqual(tokenResponse.status, 200);
+      const { token, nonce, powChallenge, notifyKey } = await tokenResponse.json();
+
+      const response = await fetch(`${baseUrl}/secrets`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          ciphertext: Buffer.from('encrypted payload').toString('base64'),
+          iv: Buffer.alloc(12, 1).toString('base64'),
+          salt: null,
+          nonce,
+          pow: pow._internal.solvePow(nonce, powChallenge),
+          ttl: 900,
+          maxViews,
+          passphraseProtected: false,
+          notify: webhook && sealWebhook(webhook, notifyKey)
+        })
+      });
+      assert.strictEqual(response.status, 201);
+      return response.json();
+    }
+
+    it('should create, read and consume a secret', async () => {
+      const { id } = await createSecret(1);
+
+      const first = await fetch(`${baseUrl}/secrets/${id}`);
+      assert.strictEqual(first.status, 200);
+      assert.strictEqual((await first.json()).ciphertext, Buffer.from('encrypted payload').toString('base64'));
+
+      const second = await fetch(`${baseUrl}/secrets/${id}`);
+      assert.strictEqual(second.status, 404);
+    });
+
+    it('should burn a secret with its burn token', async () => {
+      const { id, burnToken } = await createSecret(2);
+
+      const burned = await fetch(`${baseUrl}/secrets/${id}`, {
+        method: 'DELETE',
+        headers: { 'X-Burn-Token': burnToken }
+      });
+      assert.strictEqual(burned.status, 204);
+
+      assert.strictEqual((await fetch(`${baseUrl}/secrets/${id}`)).status, 404);
+    });
+
+    it('should deliver a signed webhook on the first view', async () => {
+      const received = [];
+      const sink = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => {
+          body += chunk;
+        });
+        req.on('end', () => {
+          received.push({ signature: req.headers['x-sealed-signature'], body });
+          res.writeHead(204).end();
+        });
+      });
+      await new Promise((resolve) => sink.listen(0, '127.0.0.1', resolve));
+
+      try {
+        const url = `http://127.0.0.1:${sink.address().port}/hook`;
+        const { id } = await createSecret(2, { url, secret: 'dev-secret' });
+
+        assert.strictEqual((await fetch(`${baseUrl}/secrets/${id}`)).status, 200);
+        assert.strictEqual((await fetch(`${baseUrl}/secrets/${id}`)).status, 200);
+        await notify.getQueue().idle();
+
+        assert.strictEqual(received.length, 1);
+        assert.strictEqual(JSON.parse(received[0].body).secretId, id);
+        const [, timestamp] = /^t=(\d+),/.exec(received[0].signature);
+        assert.strictEqual(received[0].signature, notify.signPayload(received[0].body, 'dev-secret', Number(timestamp)));
+      } finally {
+        await new Promise((resolve) => sink.close(resolve));
+      }
+    });
+
+    it('should answer CORS preflights for API routes', async () => {
+      const response = await fetch(`${baseUrl}/secrets/abc`, {
+        method: 'OPTIONS',
+        headers: { 'Origin': 'http://localhost:8080', 'Access-Control-Request-Method': 'DELETE' }
+      });
+
+      assert.strictEqual(response.status, 204);
+      assert.strictEqual(response.headers.get('access-control-allow-origin'), 'http://localhost:8080');
+      assert.match(response.headers.get('access-control-allow-headers'), /x-burn-token/);
+    });
+
+    it('should serve the frontend, with index.html for secret links', async () => {
+      const script = await fetch(`${baseUrl}/js/app.js`);
+      assert.strictEqual(script.status, 200);
+      assert.match(script.headers.get('content-type'), /^text\/javascript/);
+      await script.arrayBuffer();
+
+      for (const link of ['/', '/s/Ab3dEf6hIj9kLmNoPqRs12']) {
+        const page = await fetch(`${baseUrl}${link}`);
+        assert.strictEqual(page.status, 200);
+        assert.match(await page.text(), /<!DOCTYPE html>/i);
+      }
+
+      const missing = await fetch(`${baseUrl}/js/missing.js`);
+      assert.strictEqual(missing.status, 404);
+      await missing.arrayBuffer();
+    });
+
+    it('should not serve files outside the frontend', async () => {
+      const response = await fetch(`${baseUrl}/..%2Fbackend%2Ftemplate.yaml`);
+
+      assert.strictEqual(response.status, 404);
+      await response.arrayBuffer();
+    });
+  });
+});
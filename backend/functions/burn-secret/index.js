@@ -1,7 +1,100 @@
-// Placeholder - to be implemented by Phase 2F
+'use strict';
+
+const { performance } = require('perf_hooks');
+const { storage, responses, validation, blobs } = require('sealed-shared');
+
+// Configuration
+const DEFAULT_RESPONSE_FLOOR_MS = 250;
+
+/**
+ * Minimum handler duration, from BURN_RESPONSE_FLOOR_MS
+ * Should sit above the slowest normal burn (storage read and delete, plus
+ * blob delete).
+ * @returns {number} Milliseconds
+ */
+function getResponseFloorMs() {
+  const value = Number(process.env.BURN_RESPONSE_FLOOR_MS);
+  return Number.isInteger(value) && value >= 0 ? value : DEFAULT_RESPONSE_FLOOR_MS;
+}
+
+/**
+ * How long to wait so the handler finishes on a multiple of the floor
+ * A burn that overruns the floor is rounded up to the next multiple rather
+ * than returned immediately, so a slow outlier reveals less about which
+ * path it took.
+ * @param {number} elapsedMs - Time spent so far
+ * @param {number} floorMs - Response floor
+ * @returns {number} Milliseconds to wait
+ */
+function paddingFor(elapsedMs, floorMs) {
+  if (floorMs <= 0) {
+    return 0;
+  }
+  const target = Math.max(1, Math.ceil(elapsedMs / floorMs)) * floorMs;
+  return target - elapsedMs;
+}
+
+/**
+ * Read a header value regardless of its casing
+ * @param {object} event - API Gateway event
+ * @param {string} name - Lowercase header name
+ * @returns {string|undefined}
+ */
+function getHeader(event, name) {
+  const headers = (event && event.headers) || {};
+  const key = Object.keys(headers).find((header) => header.toLowerCase() === name);
+  return key === undefined ? undefined : headers[key];
+}
+
+/**
+ * Delete the secret if the burn token matches
+ * @param {string} id - Secret identifier (unvalidated)
+ * @param {string} burnToken - Burn token (unvalidated)
+ * @returns {Promise<void>}
+ */
+async function burn(id, burnToken) {
+  if (!validation.validateSecretId(id) || !validation.validateBurnToken(burnToken)) {
+    return;
+  }
+
+  // Only the record knows whether a blob goes with it
+  const secret = await storage.getSecret(id);
+  if (!secret) {
+    return;
+  }
+
+  const deleted = await storage.conditionalDelete(id, burnToken);
+  if (deleted && secret.blobKey) {
+    await blobs.deleteBlob(secret.blobKey);
+  }
+}
+
+/**
+ * Lambda handler for DELETE /secrets/{id}
+ * Always returns 204 after the same delay, whether the secret was deleted,
+ * the token was wrong, or the secret never existed.
+ */
 exports.handler = async (event) => {
-  return {
-    statusCode: 204,
-    body: ''
-  };
+  const start = performance.now();
+
+  try {
+    const id = event && event.pathParameters && event.pathParameters.id;
+    await burn(id, getHeader(event, 'x-burn-token'));
+  } catch (error) {
+    console.error('Error burning secret:', error.message);
+  }
+
+  const wait = paddingFor(performance.now() - start, getResponseFloorMs());
+  await new Promise((resolve) => setTimeout(resolve, wait));
+
+  return responses.noContent();
+};
+
+// Export internal functions for testing
+exports._internal = {
+  getResponseFloorMs,
+  paddingFor,
+  getHeader,
+  burn,
+  DEFAULT_RESPONSE_FLOOR_MS
 };
@@ -0,0 +1,269 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { storage, blobs } = require('sealed-shared');
+
+const { handler, _internal } = require('./index.js');
+const { getResponseFloorMs, paddingFor, getHeader, DEFAULT_RESPONSE_FLOOR_MS } = _internal;
+
+const ID = 'Ab3dEf6hIj9kLmNoPqRs12';
+const BURN_TOKEN = 'a1b2c3d4e5f6a7b8c9d0e1f2a3b4c5d6';
+
+const FILE_SECRET = { id: ID, burnToken: BURN_TOKEN, blobKey: `secrets/${ID}` };
+
+const NO_CONTENT = {
+  statusCode: 204,
+  headers: { 'Cache-Control': 'no-store' },
+  body: ''
+};
+
+function eventFor(id, burnToken) {
+  return {
+    pathParameters: { id },
+    headers: burnToken === undefined ? {} : { 'x-burn-token': burnToken }
+  };
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// =============================================================================
+// Timing harness
+// =============================================================================
+
+/**
+ * Simulated storage latencies (ms) for each outcome a burn can have
+ * A deleted file secret costs three round trips, a wrong token two and an
+ * unknown ID one.
+ */
+const SCENARIOS = {
+  deleted: { event: eventFor(ID, BURN_TOKEN), getMs: 5, secret: FILE_SECRET, deleteMs: 15, deleted: true, blobMs: 15 },
+  wrongToken: { event: eventFor(ID, BURN_TOKEN), getMs: 5, secret: FILE_SECRET, deleteMs: 15, deleted: false },
+  neverExisted: { event: eventFor(ID, BURN_TOKEN), getMs: 5, secret: null },
+  malformed: { event: eventFor('short', 'nope') }
+};
+
+/**
+ * Time repeated handler calls for one scenario
+ * @returns {Promise<number[]>} Durations in milliseconds
+ */
+async function measure(scenario, samples) {
+  storage.getSecret.mock.mockImplementation(async () => {
+    await sleep(scenario.getMs);
+    return scenario.secret;
+  });
+  storage.conditionalDelete.mock.mockImplementation(async () => {
+    await sleep(scenario.deleteMs);
+    return scenario.deleted;
+  });
+  blobs.deleteBlob.mock.mockImplementation(() => sleep(scenario.blobMs));
+
+  const durations = [];
+  for (let i = 0; i < samples; i++) {
+    const start = process.hrtime.bigint();
+    await handler(scenario.event);
+    durations.push(Number(process.hrtime.bigint() - start) / 1e6);
+  }
+  return durations;
+}
+
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function variance(values) {
+  const m = mean(values);
+  return values.reduce((sum, value) => sum + (value - m) ** 2, 0) / (values.length - 1);
+}
+
+/**
+ * Welch's t statistic for two samples with possibly unequal variances
+ * |t| well above ~4 means the samples are easy to tell apart.
+ */
+function welchT(a, b) {
+  const standardError = Math.sqrt(variance(a) / a.length + variance(b) / b.length);
+  return standardError === 0 ? 0 : (mean(a) - mean(b)) / standardError;
+}
+
+/**
+ * Measure every scenario, interleaved so machine load affects them evenly
+ * @returns {Promise<Record<string, number[]>>}
+ */
+async function measureAll(rounds, samplesPerRound) {
+  const results = Object.fromEntries(Object.keys(SCENARIOS).map((name) => [name, []]));
+  for (let round = 0; round < rounds; round++) {
+    for (const [name, scenario] of Object.entries(SCENARIOS)) {
+      results[name].push(...await measure(scenario, samplesPerRound));
+    }
+  }
+  return results;
+}
+
+function pairs(names) {
+  return names.flatMap((a, i) => names.slice(i + 1).map((b) => [a, b]));
+}
+
+describe('Burn Secret Lambda', () => {
+  beforeEach(() => {
+    process.env.BURN_RESPONSE_FLOOR_MS = '0';
+    mock.method(storage, 'getSecret', async () => FILE_SECRET);
+    mock.method(storage, 'conditionalDelete', async () => true);
+    mock.method(blobs, 'deleteBlob', async () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    delete process.env.BURN_RESPONSE_FLOOR_MS;
+  });
+
+  describe('getResponseFloorMs', () => {
+    it('should read the floor from the environment', () => {
+      process.env.BURN_RESPONSE_FLOOR_MS = '120';
+      assert.strictEqual(getResponseFloorMs(), 120);
+    });
+
+    it('should fall back to the default for missing or invalid values', () => {
+      for (const value of [undefined, 'abc', '-5', '1.5']) {
+        if (value === undefined) {
+          delete process.env.BURN_RESPONSE_FLOOR_MS;
+        } else {
+          process.env.BURN_RESPONSE_FLOOR_MS = value;
+        }
+        assert.strictEqual(getResponseFloorMs(), DEFAULT_RESPONSE_FLOOR_MS);
+      }
+    });
+  });
+
+  describe('paddingFor', () => {
+    it('should pad up to the floor', () => {
+      assert.strictEqual(paddingFor(0, 250), 250);
+      assert.strictEqual(paddingFor(40, 250), 210);
+    });
+
+    it('should round overruns up to the next multiple of the floor', () => {
+      assert.strictEqual(paddingFor(250, 250), 0);
+      assert.strictEqual(paddingFor(260, 250), 240);
+      assert.strictEqual(paddingFor(600, 250), 150);
+    });
+
+    it('should not pad when the floor is disabled', () => {
+      assert.strictEqual(paddingFor(40, 0), 0);
+    });
+  });
+
+  describe('getHeader', () => {
+    it('should match header names case-insensitively', () => {
+      assert.strictEqual(getHeader({ headers: { 'X-Burn-Token': 'x' } }, 'x-burn-token'), 'x');
+      assert.strictEqual(getHeader({}, 'x-burn-token'), undefined);
+    });
+  });
+
+  describe('handler', () => {
+    it('should delete the secret and its blob with a matching token', async () => {
+      const response = await handler(eventFor(ID, BURN_TOKEN));
+
+      assert.deepStrictEqual(response, NO_CONTENT);
+      assert.deepStrictEqual(storage.conditionalDelete.mock.calls[0].arguments, [ID, BURN_TOKEN]);
+      assert.deepStrictEqual(blobs.deleteBlob.mock.calls[0].arguments, [`secrets/${ID}`]);
+    });
+
+    it('should not touch the blob store for a secret without a blob', async () => {
+      storage.getSecret.mock.mockImplementation(async () => ({ id: ID, burnToken: BURN_TOKEN }));
+
+      await handler(eventFor(ID, BURN_TOKEN));
+
+      assert.strictEqual(storage.conditionalDelete.mock.callCount(), 1);
+      assert.strictEqual(blobs.deleteBlob.mock.callCount(), 0);
+    });
+
+    it('should not try to delete a secret that does not exist', async () => {
+      storage.getSecret.mock.mockImplementation(async () => null);
+
+      await handler(eventFor(ID, BURN_TOKEN));
+
+      assert.strictEqual(storage.conditionalDelete.mock.callCount(), 0);
+      assert.strictEqual(blobs.deleteBlob.mock.callCount(), 0);
+    });
+
+    it('should not touch the blob when the token does not match', async () => {
+      storage.conditionalDelete.mock.mockImplementation(async () => false);
+
+      const response = await handler(eventFor(ID, BURN_TOKEN));
+
+      assert.deepStrictEqual(response, NO_CONTENT);
+      assert.strictEqual(blobs.deleteBlob.mock.callCount(), 0);
+    });
+
+    it('should return 204 without a lookup for a missing or malformed token', async () => {
+      const responses = [
+        await handler(eventFor(ID)),
+        await handler(eventFor(ID, 'not-hex')),
+        await handler(eventFor(ID, 'abc123'))
+      ];
+
+      responses.forEach((response) => assert.deepStrictEqual(response, NO_CONTENT));
+      assert.strictEqual(storage.conditionalDelete.mock.callCount(), 0);
+    });
+
+    it('should return 204 without a lookup for a malformed ID', async () => {
+      assert.deepStrictEqual(await handler(eventFor('short', BURN_TOKEN)), NO_CONTENT);
+      assert.deepStrictEqual(await handler({}), NO_CONTENT);
+      assert.strictEqual(storage.conditionalDelete.mock.callCount(), 0);
+    });
+
+    it('should accept the header in any case', async () => {
+      await handler({ pathParameters: { id: ID }, headers: { 'X-Burn-Token': BURN_TOKEN } });
+
+      assert.strictEqual(storage.conditionalDelete.mock.callCount(), 1);
+    });
+
+    it('should return 204 when storage fails', async () => {
+      const consoleSpy = mock.method(console, 'error', () => {});
+      storage.conditionalDelete.mock.mockImplementation(async () => {
+        throw new Error('Network error');
+      });
+
+      assert.deepStrictEqual(await handler(eventFor(ID, BURN_TOKEN)), NO_CONTENT);
+      assert.strictEqual(consoleSpy.mock.callCount(), 1);
+    });
+
+    it('should not respond before the floor', async () => {
+      process.env.BURN_RESPONSE_FLOOR_MS = '50';
+      const start = Date.now();
+
+      await handler(eventFor('short'));
+
+      assert.ok(Date.now() - start >= 48);
+    });
+  });
+
+  describe('response timing', () => {
+    it('harness: distinguishes outcomes when no floor is set', async () => {
+      const results = await measureAll(2, 5);
+
+      // Sanity check that the harness can see the simulated latencies
+      assert.ok(Math.abs(welchT(results.deleted, results.malformed)) > 4);
+      assert.ok(Math.abs(welchT(results.wrongToken, results.neverExisted)) > 4);
+    });
+
+    it('should make deleted, wrong token and never existed indistinguishable', async () => {
+      const floorMs = 60;
+      process.env.BURN_RESPONSE_FLOOR_MS = String(floorMs);
+
+      const results = await measureAll(3, 5);
+
+      for (const durations of Object.values(results)) {
+        // Timers may fire up to a millisecond early
+        assert.ok(Math.min(...durations) >= floorMs - 2);
+      }
+      // The simulated outcomes differ by up to 35ms; after padding the means
+      // must agree to within timer noise
+      for (const [a, b] of pairs(Object.keys(results))) {
+        const gap = Math.abs(mean(results[a]) - mean(results[b]));
+        assert.ok(gap < 5, `${a} vs ${b}: mean durations differ by ${gap.toFixed(2)}ms`);
+      }
+    });
+  });
+});
@@ -0,0 +1,141 @@
+'use strict';
+
+const { storage, token, pow, responses, validation } = require('sealed-shared');
+
+// Configuration
+const MAX_ID_ATTEMPTS = 3;
+
+/**
+ * Parse the JSON request body from an API Gateway event
+ * @param {object} event - API Gateway event
+ * @returns {object|null} Parsed body, or null if missing or malformed
+ */
+function parseBody(event) {
+  if (!event || typeof event.body !== 'string' || event.body === '') {
+    return null;
+  }
+
+  const raw = event.isBase64Encoded
+    ? Buffer.from(event.body, 'base64').toString('utf8')
+    : event.body;
+
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Read a header value regardless of its casing
+ * @param {object} event - API Gateway event
+ * @param {string} name - Lowercase header name
+ * @returns {string|undefined}
+ */
+function getHeader(event, name) {
+  const headers = (event && event.headers) || {};
+  const key = Object.keys(headers).find((header) => header.toLowerCase() === name);
+  return key === undefined ? undefined : headers[key];
+}
+
+/**
+ * Build the request record for a validated body
+ * The secret ID is separate from the request ID so that the sender, who
+ * only sees the request link, cannot read (and so use up) the secret.
+ * @param {object} body - Validated request body
+ * @param {number} now - Current Unix timestamp
+ * @returns {object} Request record for storage.putRequestConsumingToken
+ */
+function buildRequest(body, now) {
+  return {
+    id: token.generateSecretId(),
+    secretId: token.generateSecretId(),
+    createdAt: now,
+    expiresAt: now + body.ttl
+  };
+}
+
+/**
+ * Store the request and consume the token, retrying on ID collisions
+ * @param {object} body - Validated request body
+ * @param {string} jti - Token ID to consume
+ * @returns {Promise<object>} API Gateway response
+ */
+async function storeRequest(body, jti) {
+  const now = Math.floor(Date.now() / 1000);
+
+  for (let attempt = 0; attempt < MAX_ID_ATTEMPTS; attempt++) {
+    const request = buildRequest(body, now);
+    const outcome = await storage.putRequestConsumingToken(request, jti);
+
+    if (outcome === storage.PUT_CREATED) {
+      return responses.created({
+        id: request.id,
+        secretId: request.secretId,
+        expiresAt: request.expiresAt
+      });
+    }
+
+    if (outcome === storage.PUT_TOKEN_USED) {
+      return responses.tokenUsed();
+    }
+  }
+
+  console.error('Error creating request: no free request ID after', MAX_ID_ATTEMPTS, 'attempts');
+  return responses.internalError();
+}
+
+/**
+ * Lambda handler for POST /requests
+ * Creates a secret request after checking the token, nonce and PoW, as
+ * POST /secrets does
+ */
+exports.handler = async (event) => {
+  try {
+    const claims = token.validateToken(token.extractBearerToken(getHeader(event, 'authorization')));
+    if (!claims) {
+      return responses.unauthorized();
+    }
+
+    const body = parseBody(event);
+    if (!body) {
+      return responses.badRequest('Request body must be valid JSON');
+    }
+
+    const result = validation.validateCreateRequest(body);
+    if (!result.valid) {
+      return responses.badRequest(result.error);
+    }
+
+    if (body.nonce !== claims.nonce) {
+      return responses.unauthorized();
+    }
+
+    if (await storage.isTokenUsed(claims.jti)) {
+      return responses.tokenUsed();
+    }
+
+    const challenge = {
+      alg: claims.pow_alg || pow.ALG_SHA256,
+      difficulty: claims.pow_difficulty,
+      prefix: claims.pow_prefix
+    };
+    if (!pow.verifyPow(claims.nonce, body.pow, challenge)) {
+      return responses.forbidden();
+    }
+
+    return await storeRequest(body, claims.jti);
+  } catch (error) {
+    console.error('Error creating request:', error.message);
+    return responses.internalError();
+  }
+};
+
+// Export internal functions for testing
+exports._internal = {
+  parseBody,
+  getHeader,
+  buildRequest,
+  storeRequest,
+  MAX_ID_ATTEMPTS
+};
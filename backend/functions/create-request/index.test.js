@@ -0,0 +1,190 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { storage, token, pow } = require('sealed-shared');
+
+const { handler, _internal } = require('./index.js');
+const { buildRequest, MAX_ID_ATTEMPTS } = _internal;
+
+const TEST_JWT_SECRET = 'test-secret-key-for-unit-tests-minimum-32-chars';
+const NONCE = 'a1b2c3d4e5f67890a1b2c3d4e5f67890';
+const CHALLENGE = { alg: pow.ALG_SHA256, difficulty: 4, prefix: 'sealed:' };
+
+/**
+ * Find a PoW solution by counting up (difficulty is kept low in tests)
+ */
+function solve(nonce, challenge) {
+  for (let counter = 0; ; counter++) {
+    if (pow.verifyPow(nonce, String(counter), challenge)) {
+      return String(counter);
+    }
+  }
+}
+
+function validBody(overrides = {}) {
+  return {
+    nonce: NONCE,
+    pow: solve(NONCE, CHALLENGE),
+    ttl: 86400,
+    ...overrides
+  };
+}
+
+function eventWith(body, jwt = token.generateToken(NONCE, CHALLENGE)) {
+  return {
+    headers: { authorization: `Bearer ${jwt}` },
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+  };
+}
+
+function errorOf(response) {
+  return JSON.parse(response.body).error;
+}
+
+describe('Create Request Lambda', () => {
+  let originalEnv;
+  let puts;
+
+  beforeEach(() => {
+    originalEnv = process.env.JWT_SECRET;
+    process.env.JWT_SECRET = TEST_JWT_SECRET;
+    puts = [];
+    mock.method(storage, 'putRequestConsumingToken', async (request, jti) => {
+      puts.push({ request, jti });
+      return storage.PUT_CREATED;
+    });
+    mock.method(storage, 'isTokenUsed', async () => false);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    if (originalEnv === undefined) {
+      delete process.env.JWT_SECRET;
+    } else {
+      process.env.JWT_SECRET = originalEnv;
+    }
+  });
+
+  describe('buildRequest', () => {
+    it('should give the request and its secret different IDs', () => {
+      const request = buildRequest(validBody(), 1706745600);
+
+      assert.match(request.id, /^[A-Za-z0-9_-]{22}$/);
+      assert.match(request.secretId, /^[A-Za-z0-9_-]{22}$/);
+      assert.notStrictEqual(request.id, request.secretId);
+      assert.strictEqual(request.createdAt, 1706745600);
+      assert.strictEqual(request.expiresAt, 1706745600 + 86400);
+    });
+  });
+
+  describe('handler', () => {
+    it('should create a request and return its IDs and expiry', async () => {
+      const jwt = token.generateToken(NONCE, CHALLENGE);
+      const before = Math.floor(Date.now() / 1000);
+
+      const response = await handler(eventWith(validBody(), jwt));
+
+      assert.strictEqual(response.statusCode, 201);
+      assert.strictEqual(response.headers['Cache-Control'], 'no-store');
+      const body = JSON.parse(response.body);
+      assert.strictEqual(body.id, puts[0].request.id);
+      assert.strictEqual(body.secretId, puts[0].request.secretId);
+      assert.ok(body.expiresAt >= before + 86400);
+      assert.strictEqual(puts[0].jti, token.validateToken(jwt).jti);
+    });
+
+    it('should reject a missing or invalid token', async () => {
+      const missing = await handler({ headers: {}, body: JSON.stringify(validBody()) });
+      const invalid = await handler(eventWith(validBody(), 'not.a.jwt'));
+
+      assert.strictEqual(missing.statusCode, 401);
+      assert.strictEqual(invalid.statusCode, 401);
+      assert.strictEqual(errorOf(invalid), 'invalid_token');
+      assert.strictEqual(puts.length, 0);
+    });
+
+    it('should reject malformed JSON and invalid bodies', async () => {
+      const malformed = await handler(eventWith('{not json'));
+      const invalid = await handler(eventWith(validBody({ ttl: 60 })));
+
+      assert.strictEqual(malformed.statusCode, 400);
+      assert.strictEqual(invalid.statusCode, 400);
+      assert.match(JSON.parse(invalid.body).message, /ttl/);
+      assert.strictEqual(puts.length, 0);
+    });
+
+    it('should reject a nonce that does not match the token', async () => {
+      const otherNonce = 'ffffffffffffffffffffffffffffffff';
+
+      const response = await handler(eventWith(validBody({ nonce: otherNonce, pow: solve(otherNonce, CHALLENGE) })));
+
+      assert.strictEqual(response.statusCode, 401);
+      assert.strictEqual(puts.length, 0);
+    });
+
+    it('should reject an incorrect PoW solution', async () => {
+      let wrong = 0;
+      while (pow.verifyPow(NONCE, String(wrong), CHALLENGE)) {
+        wrong++;
+      }
+
+      const response = await handler(eventWith(validBody({ pow: String(wrong) })));
+
+      assert.strictEqual(response.statusCode, 403);
+      assert.strictEqual(errorOf(response), 'invalid_pow');
+      assert.strictEqual(puts.length, 0);
+    });
+
+    it('should reject a token that was already used', async () => {
+      storage.putRequestConsumingToken.mock.mockImplementation(async () => storage.PUT_TOKEN_USED);
+
+      const response = await handler(eventWith(validBody()));
+
+      assert.strictEqual(response.statusCode, 401);
+      assert.strictEqual(errorOf(response), 'token_used');
+    });
+
+    it('should check the ledger before verifying the PoW', async () => {
+      const event = eventWith(validBody());
+      mock.method(storage, 'isTokenUsed', async () => true);
+      const verify = mock.method(pow, 'verifyPow');
+
+      const response = await handler(event);
+
+      assert.strictEqual(errorOf(response), 'token_used');
+      assert.strictEqual(verify.mock.callCount(), 0);
+      assert.strictEqual(puts.length, 0);
+    });
+
+    it('should retry with new IDs on collision, then give up', async () => {
+      storage.putRequestConsumingToken.mock.mockImplementationOnce(async () => storage.PUT_ID_EXISTS);
+
+      const retried = await handler(eventWith(validBody()));
+
+      assert.strictEqual(retried.statusCode, 201);
+      assert.strictEqual(storage.putRequestConsumingToken.mock.callCount(), 2);
+
+      mock.method(console, 'error', () => {});
+      storage.putRequestConsumingToken.mock.mockImplementation(async () => storage.PUT_ID_EXISTS);
+      storage.putRequestConsumingToken.mock.resetCalls();
+
+      const exhausted = await handler(eventWith(validBody()));
+
+      assert.strictEqual(exhausted.statusCode, 500);
+      assert.strictEqual(storage.putRequestConsumingToken.mock.callCount(), MAX_ID_ATTEMPTS);
+    });
+
+    it('should return a generic error when storage fails', async () => {
+      mock.method(console, 'error', () => {});
+      storage.putRequestConsumingToken.mock.mockImplementation(async () => {
+        throw new Error('Network error');
+      });
+
+      const response = await handler(eventWith(validBody()));
+
+      assert.strictEqual(response.statusCode, 500);
+      assert.ok(!response.body.includes('Network error'));
+    });
+  });
+});
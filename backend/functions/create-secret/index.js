@@ -1,7 +1,179 @@
-// Placeholder - to be implemented by Phase 2D
-exports.handler = async (event) => {
+'use strict';
+
+const { storage, token, pow, responses, validation, blobs, notify } = require('sealed-shared');
+
+// Configuration
+const MAX_ID_ATTEMPTS = 3;
+
+/**
+ * Parse the JSON request body from an API Gateway event
+ * @param {object} event - API Gateway event
+ * @returns {object|null} Parsed body, or null if missing or malformed
+ */
+function parseBody(event) {
+  if (!event || typeof event.body !== 'string' || event.body === '') {
+    return null;
+  }
+
+  const raw = event.isBase64Encoded
+    ? Buffer.from(event.body, 'base64').toString('utf8')
+    : event.body;
+
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Read a header value regardless of its casing
+ * @param {object} event - API Gateway event
+ * @param {string} name - Lowercase header name
+ * @returns {string|undefined}
+ */
+function getHeader(event, name) {
+  const headers = (event && event.headers) || {};
+  const key = Object.keys(headers).find((header) => header.toLowerCase() === name);
+  return key === undefined ? undefined : headers[key];
+}
+
+/**
+ * Build the secret record for a validated request
+ * File secrets keep their ciphertext in the blob store, so the record only
+ * carries the blob key.
+ * @param {object} body - Validated request body
+ * @param {string} id - Secret ID
+ * @param {number} now - Current Unix timestamp
+ * @returns {object} Secret object for storage.putSecretConsumingToken
+ */
+function buildSecret(body, id, now) {
+  const isFile = validation.isFileSecret(body);
+
   return {
-    statusCode: 501,
-    body: JSON.stringify({ error: 'not_implemented' })
+    id,
+    ciphertext: isFile ? null : body.ciphertext,
+    blobKey: isFile ? blobs.blobKeyFor(id) : undefined,
+    iv: body.iv,
+    salt: body.salt,
+    commitment: body.commitment,
+    version: body.version,
+    cipher: body.cipher,
+    kdf: body.kdf,
+    passphraseProtected: body.passphraseProtected,
+    remainingViews: body.maxViews,
+    maxViews: body.maxViews,
+    notify: body.notify || undefined,
+    burnToken: token.generateBurnToken(),
+    createdAt: now,
+    expiresAt: now + body.ttl
   };
+}
+
+/**
+ * Store the secret and consume the token, retrying on ID collisions
+ * The record goes first so that the blob is uploaded once, under an ID
+ * that is ours; if the upload then fails the record is removed again.
+ * @param {object} body - Validated request body
+ * @param {string} jti - Token ID to consume
+ * @returns {Promise<object>} API Gateway response
+ */
+async function storeSecret(body, jti) {
+  const now = Math.floor(Date.now() / 1000);
+
+  for (let attempt = 0; attempt < MAX_ID_ATTEMPTS; attempt++) {
+    const secret = buildSecret(body, token.generateSecretId(), now);
+    const outcome = await storage.putSecretConsumingToken(secret, jti);
+
+    if (outcome === storage.PUT_TOKEN_USED) {
+      return responses.tokenUsed();
+    }
+    if (outcome !== storage.PUT_CREATED) {
+      continue;
+    }
+
+    if (secret.blobKey) {
+      try {
+        await blobs.putBlob(secret.blobKey, body.ciphertext);
+      } catch (error) {
+        // Don't leave a record whose blob never arrived
+        await storage.deleteSecret(secret.id).catch((deleteError) => {
+          console.error('Error removing secret after failed upload:', deleteError.message);
+        });
+        throw error;
+      }
+    }
+
+    return responses.created({
+      id: secret.id,
+      burnToken: secret.burnToken,
+      expiresAt: secret.expiresAt
+    });
+  }
+
+  console.error('Error creating secret: no free secret ID after', MAX_ID_ATTEMPTS, 'attempts');
+  return responses.internalError();
+}
+
+/**
+ * Lambda handler for POST /secrets
+ * Stores an encrypted secret after checking the token, nonce and PoW
+ */
+exports.handler = async (event) => {
+  try {
+    // Token must be valid before anything else is looked at
+    const claims = token.validateToken(token.extractBearerToken(getHeader(event, 'authorization')));
+    if (!claims) {
+      return responses.unauthorized();
+    }
+
+    const body = parseBody(event);
+    if (!body) {
+      return responses.badRequest('Request body must be valid JSON');
+    }
+
+    const result = validation.validateCreateSecretRequest(body);
+    if (!result.valid) {
+      return responses.badRequest(result.error);
+    }
+
+    // A sealed webhook is useless without a dispatcher that can open it
+    if (body.notify && !notify.isEnabled()) {
+      return responses.badRequest('View notifications are not enabled on this server');
+    }
+
+    // The body must be for the nonce this token was issued with
+    if (body.nonce !== claims.nonce) {
+      return responses.unauthorized();
+    }
+
+    // A used token is refused before any PoW work is spent on it
+    if (await storage.isTokenUsed(claims.jti)) {
+      return responses.tokenUsed();
+    }
+
+    // Difficulty and algorithm come from the signed token, never the body
+    const challenge = {
+      alg: claims.pow_alg || pow.ALG_SHA256,
+      difficulty: claims.pow_difficulty,
+      prefix: claims.pow_prefix
+    };
+    if (!pow.verifyPow(claims.nonce, body.pow, challenge)) {
+      return responses.forbidden();
+    }
+
+    return await storeSecret(body, claims.jti);
+  } catch (error) {
+    console.error('Error creating secret:', error.message);
+    return responses.internalError();
+  }
+};
+
+// Export internal functions for testing
+exports._internal = {
+  parseBody,
+  getHeader,
+  buildSecret,
+  storeSecret,
+  MAX_ID_ATTEMPTS
 };
@@ -0,0 +1,401 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { storage, token, pow, blobs } = require('sealed-shared');
+
+const { handler, _internal } = require('./index.js');
+const { parseBody, getHeader, buildSecret, MAX_ID_ATTEMPTS } = _internal;
+
+const TEST_JWT_SECRET = 'test-secret-key-for-unit-tests-minimum-32-chars';
+const NONCE = 'a1b2c3d4e5f67890a1b2c3d4e5f67890';
+const CHALLENGE = { alg: pow.ALG_SHA256, difficulty: 4, prefix: 'sealed:' };
+const FILE_FIELDS = {
+  version: 2,
+  cipher: 'aes-256-gcm-chunked',
+  kdf: null,
+  commitment: Buffer.alloc(32, 2).toString('base64')
+};
+
+/**
+ * Find a PoW solution by counting up (difficulty is kept low in tests)
+ */
+function solve(nonce, challenge) {
+  for (let counter = 0; ; counter++) {
+    if (pow.verifyPow(nonce, String(counter), challenge)) {
+      return String(counter);
+    }
+  }
+}
+
+function validBody(overrides = {}) {
+  return {
+    ciphertext: Buffer.from('encrypted payload').toString('base64'),
+    iv: Buffer.alloc(12, 1).toString('base64'),
+    salt: null,
+    nonce: NONCE,
+    pow: solve(NONCE, CHALLENGE),
+    ttl: 86400,
+    maxViews: 2,
+    passphraseProtected: false,
+    ...overrides
+  };
+}
+
+function eventWith(body, jwt = token.generateToken(NONCE, CHALLENGE)) {
+  return {
+    headers: { authorization: `Bearer ${jwt}` },
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+  };
+}
+
+function errorOf(response) {
+  return JSON.parse(response.body).error;
+}
+
+describe('Create Secret Lambda', () => {
+  let originalEnv;
+  let puts;
+
+  beforeEach(() => {
+    originalEnv = process.env.JWT_SECRET;
+    process.env.JWT_SECRET = TEST_JWT_SECRET;
+    puts = [];
+    mock.method(storage, 'putSecretConsumingToken', async (secret, jti) => {
+      puts.push({ secret, jti });
+      return storage.PUT_CREATED;
+    });
+    mock.method(storage, 'isTokenUsed', async () => false);
+    mock.method(storage, 'deleteSecret', async () => {});
+    mock.method(blobs, 'putBlob', async () => {});
+    mock.method(blobs, 'deleteBlob', async () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    if (originalEnv === undefined) {
+      delete process.env.JWT_SECRET;
+    } else {
+      process.env.JWT_SECRET = originalEnv;
+    }
+  });
+
+  describe('parseBody', () => {
+    it('should parse JSON bodies', () => {
+      assert.deepStrictEqual(parseBody({ body: '{"a":1}' }), { a: 1 });
+    });
+
+    it('should decode base64-encoded bodies', () => {
+      const body = Buffer.from('{"a":1}').toString('base64');
+      assert.deepStrictEqual(parseBody({ body, isBase64Encoded: true }), { a: 1 });
+    });
+
+    it('should return null for missing or malformed bodies', () => {
+      assert.strictEqual(parseBody({}), null);
+      assert.strictEqual(parseBody({ body: '' }), null);
+      assert.strictEqual(parseBody({ body: '{not json' }), null);
+    });
+  });
+
+  describe('getHeader', () => {
+    it('should match header names case-insensitively', () => {
+      assert.strictEqual(getHeader({ headers: { Authorization: 'x' } }, 'authorization'), 'x');
+      assert.strictEqual(getHeader({ headers: {} }, 'authorization'), undefined);
+      assert.strictEqual(getHeader({}, 'authorization'), undefined);
+    });
+  });
+
+  describe('buildSecret', () => {
+    it('should map the request onto a secret record', () => {
+      const body = validBody();
+      const secret = buildSecret(body, 'Ab3dEf6hIj9kLmNoPqRs12', 1706745600);
+
+      assert.strictEqual(secret.id, 'Ab3dEf6hIj9kLmNoPqRs12');
+      assert.strictEqual(secret.ciphertext, body.ciphertext);
+      assert.strictEqual(secret.blobKey, undefined);
+      assert.strictEqual(secret.remainingViews, 2);
+      assert.strictEqual(secret.maxViews, 2);
+      assert.strictEqual(secret.createdAt, 1706745600);
+      assert.strictEqual(secret.expiresAt, 1706745600 + 86400);
+      assert.match(secret.burnToken, /^[0-9a-f]{32}$/);
+      assert.strictEqual(secret.notify, undefined);
+    });
+
+    it('should point file secrets at the blob store', () => {
+      const body = validBody({
+        version: 2,
+        cipher: 'aes-256-gcm-chunked',
+        kdf: null,
+        commitment: Buffer.alloc(32, 2).toString('base64')
+      });
+      const secret = buildSecret(body, 'Ab3dEf6hIj9kLmNoPqRs12', 1706745600);
+
+      assert.strictEqual(secret.ciphertext, null);
+      assert.strictEqual(secret.blobKey, 'secrets/Ab3dEf6hIj9kLmNoPqRs12');
+      assert.strictEqual(secret.cipher, 'aes-256-gcm-chunked');
+    });
+  });
+
+  describe('handler', () => {
+    it('should create a secret and return its ID, burn token and expiry', async () => {
+      const jwt = token.generateToken(NONCE, CHALLENGE);
+      const before = Math.floor(Date.now() / 1000);
+
+      const response = await handler(eventWith(validBody(), jwt));
+
+      assert.strictEqual(response.statusCode, 201);
+      assert.strictEqual(response.headers['Cache-Control'], 'no-store');
+      const body = JSON.parse(response.body);
+      assert.match(body.id, /^[A-Za-z0-9_-]{22}$/);
+      assert.match(body.burnToken, /^[0-9a-f]{32}$/);
+      assert.ok(body.expiresAt >= before + 86400);
+      assert.strictEqual(puts.length, 1);
+      assert.strictEqual(puts[0].jti, token.validateToken(jwt).jti);
+      assert.strictEqual(puts[0].secret.id, body.id);
+    });
+
+    it('should store envelope fields', async () => {
+      const commitment = Buffer.alloc(32, 2).toString('base64');
+      const kdf = { name: 'pbkdf2-sha256', iterations: 100000 };
+
+      const response = await handler(eventWith(validBody({
+        salt: Buffer.alloc(16, 3).toString('base64'),
+        passphraseProtected: true,
+        commitment,
+        version: 2,
+        cipher: 'aes-256-gcm',
+        kdf
+      })));
+
+      assert.strictEqual(response.statusCode, 201);
+      const { secret } = puts[0];
+      assert.strictEqual(secret.commitment, commitment);
+      assert.strictEqual(secret.version, 2);
+      assert.deepStrictEqual(secret.kdf, kdf);
+      assert.strictEqual(secret.passphraseProtected, true);
+    });
+
+    it('should store a sealed notify webhook when notifications are enabled', async () => {
+      const sealed = Buffer.alloc(120, 7).toString('base64url');
+      process.env.NOTIFY_PUBLIC_KEY = 'configured';
+
+      try {
+        const response = await handler(eventWith(validBody({ notify: sealed })));
+
+        assert.strictEqual(response.statusCode, 201);
+        assert.strictEqual(puts[0].secret.notify, sealed);
+      } finally {
+        delete process.env.NOTIFY_PUBLIC_KEY;
+      }
+    });
+
+    it('should refuse a notify webhook when notifications are not enabled', async () => {
+      const response = await handler(eventWith(validBody({ notify: Buffer.alloc(120, 7).toString('base64url') })));
+
+      assert.strictEqual(response.statusCode, 400);
+      assert.match(JSON.parse(response.body).message, /not enabled/);
+      assert.strictEqual(puts.length, 0);
+    });
+
+    it('should write file ciphertext to the blob store', async () => {
+      const body = validBody({
+        version: 2,
+        cipher: 'aes-256-gcm-chunked',
+        kdf: null,
+        commitment: Buffer.alloc(32, 2).toString('base64')
+      });
+
+      const response = await handler(eventWith(body));
+
+      assert.strictEqual(response.statusCode, 201);
+      const { id } = JSON.parse(response.body);
+      assert.deepStrictEqual(blobs.putBlob.mock.calls[0].arguments, [`secrets/${id}`, body.ciphertext]);
+      assert.strictEqual(puts[0].secret.ciphertext, null);
+      assert.strictEqual(puts[0].secret.blobKey, `secrets/${id}`);
+    });
+
+    it('should accept the header in any case', async () => {
+      const event = eventWith(validBody());
+      event.headers = { Authorization: event.headers.authorization };
+
+      const response = await handler(event);
+
+      assert.strictEqual(response.statusCode, 201);
+    });
+
+    it('should reject a missing token', async () => {
+      const response = await handler({ headers: {}, body: JSON.stringify(validBody()) });
+
+      assert.strictEqual(response.statusCode, 401);
+      assert.strictEqual(errorOf(response), 'invalid_token');
+      assert.strictEqual(puts.length, 0);
+    });
+
+    it('should reject an invalid token', async () => {
+      const response = await handler(eventWith(validBody(), 'not.a.jwt'));
+
+      assert.strictEqual(response.statusCode, 401);
+      assert.strictEqual(errorOf(response), 'invalid_token');
+    });
+
+    it('should reject malformed JSON', async () => {
+      const response = await handler(eventWith('{not json'));
+
+      assert.strictEqual(response.statusCode, 400);
+      assert.strictEqual(errorOf(response), 'invalid_request');
+    });
+
+    it('should reject requests that fail validation', async () => {
+      const response = await handler(eventWith(validBody({ ttl: 60 })));
+
+      assert.strictEqual(response.statusCode, 400);
+      assert.strictEqual(errorOf(response), 'invalid_request');
+      assert.match(JSON.parse(response.body).message, /ttl/);
+      assert.strictEqual(puts.length, 0);
+    });
+
+    it('should reject a nonce that does not match the token', async () => {
+      const otherNonce = 'ffffffffffffffffffffffffffffffff';
+      const body = validBody({ nonce: otherNonce, pow: solve(otherNonce, CHALLENGE) });
+
+      const response = await handler(eventWith(body));
+
+      assert.strictEqual(response.statusCode, 401);
+      assert.strictEqual(errorOf(response), 'invalid_token');
+      assert.strictEqual(puts.length, 0);
+    });
+
+    it('should reject an incorrect PoW solution', async () => {
+      let wrong = 0;
+      while (pow.verifyPow(NONCE, String(wrong), CHALLENGE)) {
+        wrong++;
+      }
+
+      const response = await handler(eventWith(validBody({ pow: String(wrong) })));
+
+      assert.strictEqual(response.statusCode, 403);
+      assert.strictEqual(errorOf(response), 'invalid_pow');
+      assert.strictEqual(puts.length, 0);
+    });
+
+    it('should verify PoW against the difficulty in the token', async () => {
+      const hard = { ...CHALLENGE, difficulty: 12 };
+      const jwt = token.generateToken(NONCE, hard);
+      // A solution good enough for the default test difficulty but not this one
+      let easy = Number(solve(NONCE, CHALLENGE));
+      while (pow.verifyPow(NONCE, String(easy), hard) || !pow.verifyPow(NONCE, String(easy), CHALLENGE)) {
+        easy++;
+      }
+
+      const rejected = await handler(eventWith(validBody({ pow: String(easy) }), jwt));
+      const accepted = await handler(eventWith(validBody({ pow: solve(NONCE, hard) }), jwt));
+
+      assert.strictEqual(rejected.statusCode, 403);
+      assert.strictEqual(accepted.statusCode, 201);
+    });
+
+    it('should reject a token that was already used', async () => {
+      storage.putSecretConsumingToken.mock.mockImplementation(async () => storage.PUT_TOKEN_USED);
+
+      const response = await handler(eventWith(validBody()));
+
+      assert.strictEqual(response.statusCode, 401);
+      assert.strictEqual(errorOf(response), 'token_used');
+    });
+
+    it('should check the ledger before verifying the PoW', async () => {
+      const event = eventWith(validBody());
+      mock.method(storage, 'isTokenUsed', async () => true);
+      const verify = mock.method(pow, 'verifyPow');
+
+      const response = await handler(event);
+
+      assert.strictEqual(errorOf(response), 'token_used');
+      assert.strictEqual(verify.mock.callCount(), 0);
+      assert.strictEqual(puts.length, 0);
+    });
+
+    it('should refuse a repeat of a create that already succeeded', async () => {
+      const body = validBody({ version: 2, cipher: 'aes-256-gcm', kdf: null, commitment: Buffer.alloc(32, 2).toString('base64') });
+      const jwt = token.generateToken(NONCE, CHALLENGE);
+      const first = await handler(eventWith(body, jwt));
+      storage.putSecretConsumingToken.mock.mockImplementation(async () => storage.PUT_TOKEN_USED);
+
+      const repeated = await handler(eventWith(body, jwt));
+
+      assert.strictEqual(first.statusCode, 201);
+      assert.strictEqual(repeated.statusCode, 401);
+      assert.strictEqual(errorOf(repeated), 'token_used');
+      assert.ok(!repeated.body.includes(puts[0].secret.burnToken));
+    });
+
+    it('should not upload a blob when the token was already used', async () => {
+      storage.putSecretConsumingToken.mock.mockImplementation(async () => storage.PUT_TOKEN_USED);
+
+      await handler(eventWith(validBody(FILE_FIELDS)));
+
+      assert.strictEqual(blobs.putBlob.mock.callCount(), 0);
+    });
+
+    it('should upload the blob once, under the ID that was stored', async () => {
+      storage.putSecretConsumingToken.mock.mockImplementationOnce(async () => storage.PUT_ID_EXISTS);
+
+      const response = await handler(eventWith(validBody(FILE_FIELDS)));
+
+      assert.strictEqual(blobs.putBlob.mock.callCount(), 1);
+      assert.strictEqual(blobs.putBlob.mock.calls[0].arguments[0], `secrets/${JSON.parse(response.body).id}`);
+      assert.strictEqual(blobs.deleteBlob.mock.callCount(), 0);
+    });
+
+    it('should remove the record when the blob upload fails', async () => {
+      mock.method(console, 'error', () => {});
+      blobs.putBlob.mock.mockImplementation(async () => {
+        throw new Error('Upload failed');
+      });
+
+      const response = await handler(eventWith(validBody(FILE_FIELDS)));
+
+      assert.strictEqual(response.statusCode, 500);
+      assert.deepStrictEqual(storage.deleteSecret.mock.calls[0].arguments, [puts[0].secret.id]);
+    });
+
+    it('should retry with a new ID on collision', async () => {
+      storage.putSecretConsumingToken.mock.mockImplementationOnce(async (secret, jti) => {
+        puts.push({ secret, jti });
+        return storage.PUT_ID_EXISTS;
+      });
+
+      const response = await handler(eventWith(validBody()));
+
+      assert.strictEqual(response.statusCode, 201);
+      assert.strictEqual(storage.putSecretConsumingToken.mock.callCount(), 2);
+      assert.notStrictEqual(puts[0].secret.id, puts[1].secret.id);
+      assert.strictEqual(JSON.parse(response.body).id, puts[1].secret.id);
+    });
+
+    it('should give up after repeated collisions', async () => {
+      const consoleSpy = mock.method(console, 'error', () => {});
+      storage.putSecretConsumingToken.mock.mockImplementation(async () => storage.PUT_ID_EXISTS);
+
+      const response = await handler(eventWith(validBody()));
+
+      assert.strictEqual(response.statusCode, 500);
+      assert.strictEqual(errorOf(response), 'internal_error');
+      assert.strictEqual(storage.putSecretConsumingToken.mock.callCount(), MAX_ID_ATTEMPTS);
+      assert.strictEqual(consoleSpy.mock.callCount(), 1);
+    });
+
+    it('should return a generic error when storage fails', async () => {
+      mock.method(console, 'error', () => {});
+      storage.putSecretConsumingToken.mock.mockImplementation(async () => {
+        throw new Error('Network error');
+      });
+
+      const response = await handler(eventWith(validBody()));
+
+      assert.strictEqual(response.statusCode, 500);
+      assert.strictEqual(errorOf(response), 'internal_error');
+      assert.ok(!response.body.includes('Network error'));
+    });
+  });
+});
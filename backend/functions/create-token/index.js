@@ -1,60 +1,6 @@
 'use strict';
 
-const crypto = require('crypto');
-const jwt = require('jsonwebtoken');
-
-// Configuration
-const TOKEN_TTL_SECONDS = 300; // 5 minutes
-const NONCE_BYTES = 16;
-const DEFAULT_POW_DIFFICULTY = 18;
-const POW_PREFIX = 'sealed:';
-
-/**
- * Generate a cryptographically random nonce
- * @returns {string} 16 bytes as hex (32 chars)
- */
-function generateNonce() {
-  return crypto.randomBytes(NONCE_BYTES).toString('hex');
-}
-
-/**
- * Generate a UUID v4 for the JWT jti claim
- * @returns {string} UUID v4 string
- */
-function generateJti() {
-  return crypto.randomUUID();
-}
-
-/**
- * Create a JWT token with the required claims
- * @param {string} nonce - The nonce to include in the token
- * @param {number} difficulty - PoW difficulty level
- * @param {string} prefix - PoW prefix string
- * @returns {{ token: string, expiresAt: number }}
- */
-function createToken(nonce, difficulty, prefix) {
-  const secret = process.env.JWT_SECRET;
-  if (!secret) {
-    throw new Error('JWT_SECRET environment variable is not set');
-  }
-
-  const now = Math.floor(Date.now() / 1000);
-  const expiresAt = now + TOKEN_TTL_SECONDS;
-
-  const payload = {
-    jti: generateJti(),
-    iat: now,
-    exp: expiresAt,
-    op: 'create',
-    nonce: nonce,
-    pow_difficulty: difficulty,
-    pow_prefix: prefix
-  };
-
-  const token = jwt.sign(payload, secret, { algorithm: 'HS256' });
-
-  return { token, expiresAt };
-}
+const { difficulty, notify, pow, ratelimit, responses, token } = require('sealed-shared');
 
 /**
  * Lambda handler for POST /token
@@ -62,60 +8,42 @@ function createToken(nonce, difficulty, prefix) {
  */
 exports.handler = async (event) => {
   try {
+    const limit = await ratelimit.checkRateLimit(event, ratelimit.ROUTE_TOKEN);
+    if (!limit.allowed) {
+      return responses.tooManyRequests(limit.retryAfter);
+    }
+
     // Generate random nonce
-    const nonce = generateNonce();
-    
-    // PoW challenge parameters (static difficulty for now, can be adaptive later)
-    const powChallenge = {
-      difficulty: DEFAULT_POW_DIFFICULTY,
-      prefix: POW_PREFIX
-    };
+    const nonce = token.generateNonce();
 
-    // Create JWT token
-    const { token, expiresAt } = createToken(
-      nonce,
-      powChallenge.difficulty,
-      powChallenge.prefix
-    );
+    // PoW algorithm is chosen by the operator (POW_ALG); difficulty adapts
+    // to recent issuance rates
+    const alg = pow.getConfiguredAlg();
+    const powChallenge = token.generateChallenge(await difficulty.getAdaptiveDifficulty(event, alg), alg);
+
+    // Signed with the active key (see shared/token.js)
+    const issuedAt = Math.floor(Date.now() / 1000);
+    const signed = token.generateToken(nonce, powChallenge, issuedAt);
 
     // Build response
     const response = {
-      token,
+      token: signed,
       nonce,
       powChallenge,
-      expiresAt
+      expiresAt: issuedAt + token.TOKEN_TTL_SECONDS
     };
 
-    return {
-      statusCode: 200,
-      headers: {
-        'Content-Type': 'application/json',
-        'Cache-Control': 'no-store'
-      },
-      body: JSON.stringify(response)
-    };
+    // Clients seal view-notification webhooks to this key
+    const notifyKey = notify.getNotifyKey();
+    if (notifyKey) {
+      response.notifyKey = notifyKey;
+    }
+
+    return responses.success(response);
   } catch (error) {
     console.error('Error creating token:', error.message);
 
     // Return generic error to avoid leaking internal details
-    return {
-      statusCode: 500,
-      headers: {
-        'Content-Type': 'application/json',
-        'Cache-Control': 'no-store'
-      },
-      body: JSON.stringify({ error: 'internal_error' })
-    };
+    return responses.internalError();
   }
 };
-
-// Export internal functions for testing
-exports._internal = {
-  generateNonce,
-  generateJti,
-  createToken,
-  TOKEN_TTL_SECONDS,
-  NONCE_BYTES,
-  DEFAULT_POW_DIFFICULTY,
-  POW_PREFIX
-};
@@ -1,19 +1,13 @@
 'use strict';
 
-const { describe, it, beforeEach, afterEach } = require('node:test');
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
 const assert = require('node:assert');
+const crypto = require('node:crypto');
 const jwt = require('jsonwebtoken');
+const { difficulty, ratelimit, token } = require('sealed-shared');
 
-const { handler, _internal } = require('./index.js');
-const {
-  generateNonce,
-  generateJti,
-  createToken,
-  TOKEN_TTL_SECONDS,
-  NONCE_BYTES,
-  DEFAULT_POW_DIFFICULTY,
-  POW_PREFIX
-} = _internal;
+const { handler } = require('./index.js');
+const { TOKEN_TTL_SECONDS, DEFAULT_POW_DIFFICULTY, POW_PREFIX } = token;
 
 const TEST_JWT_SECRET = 'test-secret-key-for-unit-tests-minimum-32-chars';
 
@@ -23,9 +17,13 @@ describe('Create Token Lambda', () => {
   beforeEach(() => {
     originalEnv = process.env.JWT_SECRET;
     process.env.JWT_SECRET = TEST_JWT_SECRET;
+    mock.method(difficulty, 'getAdaptiveDifficulty', async () => DEFAULT_POW_DIFFICULTY);
+    mock.method(ratelimit, 'checkRateLimit', async () => ({ allowed: true }));
   });
 
   afterEach(() => {
+    mock.restoreAll();
+    delete process.env.POW_ALG;
     if (originalEnv === undefined) {
       delete process.env.JWT_SECRET;
     } else {
@@ -33,101 +31,6 @@ describe('Create Token Lambda', () => {
     }
   });
 
-  describe('generateNonce', () => {
-    it('should return a hex string of correct length', () => {
-      const nonce = generateNonce();
-      assert.strictEqual(typeof nonce, 'string');
-      assert.strictEqual(nonce.length, NONCE_BYTES * 2); // 32 hex chars
-    });
-
-    it('should only contain hex characters', () => {
-      const nonce = generateNonce();
-      assert.match(nonce, /^[0-9a-f]+$/);
-    });
-
-    it('should generate unique nonces', () => {
-      const nonces = new Set();
-      for (let i = 0; i < 100; i++) {
-        nonces.add(generateNonce());
-      }
-      assert.strictEqual(nonces.size, 100, 'All generated nonces should be unique');
-    });
-  });
-
-  describe('generateJti', () => {
-    it('should return a valid UUID format', () => {
-      const jti = generateJti();
-      assert.strictEqual(typeof jti, 'string');
-      // UUID v4 format: xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx
-      assert.match(jti, /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i);
-    });
-
-    it('should generate unique JTIs', () => {
-      const jtis = new Set();
-      for (let i = 0; i < 100; i++) {
-        jtis.add(generateJti());
-      }
-      assert.strictEqual(jtis.size, 100, 'All generated JTIs should be unique');
-    });
-  });
-
-  describe('createToken', () => {
-    it('should create a valid JWT', () => {
-      const nonce = 'a1b2c3d4e5f67890a1b2c3d4e5f67890';
-      const difficulty = 18;
-      const prefix = 'sealed:';
-
-      const { token, expiresAt } = createToken(nonce, difficulty, prefix);
-
-      assert.strictEqual(typeof token, 'string');
-      assert.strictEqual(typeof expiresAt, 'number');
-
-      // Verify the token can be decoded
-      const decoded = jwt.verify(token, TEST_JWT_SECRET);
-      assert.ok(decoded);
-    });
-
-    it('should include all required claims', () => {
-      const nonce = 'a1b2c3d4e5f67890a1b2c3d4e5f67890';
-      const difficulty = 18;
-      const prefix = 'sealed:';
-
-      const { token } = createToken(nonce, difficulty, prefix);
-      const decoded = jwt.verify(token, TEST_JWT_SECRET);
-
-      // Check all required claims exist
-      assert.ok(decoded.jti, 'jti claim should exist');
-      assert.ok(decoded.iat, 'iat claim should exist');
-      assert.ok(decoded.exp, 'exp claim should exist');
-      assert.strictEqual(decoded.op, 'create', 'op claim should be "create"');
-      assert.strictEqual(decoded.nonce, nonce, 'nonce claim should match');
-      assert.strictEqual(decoded.pow_difficulty, difficulty, 'pow_difficulty claim should match');
-      assert.strictEqual(decoded.pow_prefix, prefix, 'pow_prefix claim should match');
-    });
-
-    it('should set correct expiration (5 minutes)', () => {
-      const nonce = 'a1b2c3d4e5f67890a1b2c3d4e5f67890';
-      const now = Math.floor(Date.now() / 1000);
-
-      const { token, expiresAt } = createToken(nonce, 18, 'sealed:');
-      const decoded = jwt.verify(token, TEST_JWT_SECRET);
-
-      // Check expiration is approximately 5 minutes from now (allow 2 second tolerance)
-      const expectedExpiry = now + TOKEN_TTL_SECONDS;
-      assert.ok(Math.abs(decoded.exp - expectedExpiry) <= 2, 'exp should be ~5 minutes from now');
-      assert.ok(Math.abs(expiresAt - expectedExpiry) <= 2, 'expiresAt should be ~5 minutes from now');
-      assert.strictEqual(decoded.exp, expiresAt, 'exp claim should match expiresAt');
-    });
-
-    it('should throw if JWT_SECRET is not set', () => {
-      delete process.env.JWT_SECRET;
-
-      assert.throws(() => {
-        createToken('nonce', 18, 'sealed:');
-      }, /JWT_SECRET environment variable is not set/);
-    });
-  });
-
   describe('handler', () => {
     it('should return 200 status', async () => {
       const response = await handler({});
@@ -195,6 +98,26 @@ describe('Create Token Lambda', () => {
       assert.strictEqual(decoded.exp, body.expiresAt);
     });
 
+    it('should issue the difficulty chosen by the adaptive policy', async () => {
+      difficulty.getAdaptiveDifficulty.mock.mockImplementation(async () => 22);
+
+      const response = await handler({});
+      const body = JSON.parse(response.body);
+      const decoded = jwt.verify(body.token, TEST_JWT_SECRET);
+
+      assert.strictEqual(body.powChallenge.difficulty, 22);
+      assert.strictEqual(decoded.pow_difficulty, 22);
+    });
+
+    it('should pass the request event to the difficulty policy', async () => {
+      const event = { requestContext: { http: { sourceIp: '203.0.113.7' } } };
+
+      await handler(event);
+
+      assert.strictEqual(difficulty.getAdaptiveDifficulty.mock.callCount(), 1);
+      assert.strictEqual(difficulty.getAdaptiveDifficulty.mock.calls[0].arguments[0], event);
+    });
+
     it('should have matching powChallenge in response and JWT', async () => {
       const response = await handler({});
       const body = JSON.parse(response.body);
@@ -202,6 +125,35 @@ describe('Create Token Lambda', () => {
 
       assert.strictEqual(decoded.pow_difficulty, body.powChallenge.difficulty);
       assert.strictEqual(decoded.pow_prefix, body.powChallenge.prefix);
+      assert.strictEqual(decoded.pow_alg, body.powChallenge.alg);
+    });
+
+    it('should issue sha256 challenges by default', async () => {
+      const response = await handler({});
+      const body = JSON.parse(response.body);
+
+      assert.strictEqual(body.powChallenge.alg, 'sha256');
+    });
+
+    it('should issue scrypt challenges when POW_ALG is scrypt', async () => {
+      process.env.POW_ALG = 'scrypt';
+
+      const response = await handler({});
+      const body = JSON.parse(response.body);
+      const decoded = jwt.verify(body.token, TEST_JWT_SECRET);
+
+      assert.strictEqual(body.powChallenge.alg, 'scrypt');
+      assert.strictEqual(decoded.pow_alg, 'scrypt');
+      assert.strictEqual(difficulty.getAdaptiveDifficulty.mock.calls[0].arguments[1], 'scrypt');
+    });
+
+    it('should return 500 if POW_ALG is not supported', async () => {
+      process.env.POW_ALG = 'md5';
+
+      const response = await handler({});
+
+      assert.strictEqual(response.statusCode, 500);
+      assert.strictEqual(JSON.parse(response.body).error, 'internal_error');
     });
 
     it('should return token that expires after 5 minutes', async () => {
@@ -214,6 +166,18 @@ describe('Create Token Lambda', () => {
       assert.ok(Math.abs(body.expiresAt - expectedExpiry) <= 2);
     });
 
+    it('should return 429 with Retry-After when the caller is rate limited', async () => {
+      ratelimit.checkRateLimit.mock.mockImplementation(async () => ({ allowed: false, retryAfter: 7 }));
+      const event = { requestContext: { http: { sourceIp: '203.0.113.7' } } };
+
+      const response = await handler(event);
+
+      assert.strictEqual(response.statusCode, 429);
+      assert.strictEqual(response.headers['Retry-After'], '7');
+      assert.deepStrictEqual(ratelimit.checkRateLimit.mock.calls[0].arguments, [event, ratelimit.ROUTE_TOKEN]);
+      assert.strictEqual(difficulty.getAdaptiveDifficulty.mock.callCount(), 0);
+    });
+
     it('should return 500 if JWT_SECRET is not set', async () => {
       delete process.env.JWT_SECRET;
 
@@ -224,6 +188,18 @@ describe('Create Token Lambda', () => {
       assert.strictEqual(body.error, 'internal_error');
     });
 
+    it('should advertise the notification key only when one is configured', async () => {
+      const { publicKey } = crypto.generateKeyPairSync('x25519');
+
+      const without = JSON.parse((await handler({})).body);
+      process.env.NOTIFY_PUBLIC_KEY = publicKey.export({ type: 'spki', format: 'pem' });
+      const withKey = JSON.parse((await handler({})).body);
+      delete process.env.NOTIFY_PUBLIC_KEY;
+
+      assert.strictEqual(without.notifyKey, undefined);
+      assert.strictEqual(withKey.notifyKey, publicKey.export({ format: 'jwk' }).x);
+    });
+
     it('should generate unique tokens on each call', async () => {
       const response1 = await handler({});
       const response2 = await handler({});
@@ -236,6 +212,86 @@ describe('Create Token Lambda', () => {
     });
   });
 
+  // Every token /token issues must be accepted by validateToken, which is
+  // what POST /secrets runs, under each way the keys can be configured
+  describe('token contract', () => {
+    async function issue() {
+      const response = await handler({});
+      assert.strictEqual(response.statusCode, 200);
+      return JSON.parse(response.body);
+    }
+
+    function assertAccepted(body) {
+      const payload = token.validateToken(body.token);
+
+      assert.ok(payload, 'validateToken should accept the issued token');
+      assert.strictEqual(payload.nonce, body.nonce);
+      assert.strictEqual(payload.exp, body.expiresAt);
+      assert.deepStrictEqual(
+        { alg: payload.pow_alg, difficulty: payload.pow_difficulty, prefix: payload.pow_prefix },
+        body.powChallenge
+      );
+    }
+
+    function withEnv(values, fn) {
+      const saved = {};
+      for (const [name, value] of Object.entries(values)) {
+        saved[name] = process.env[name];
+        if (value === undefined) {
+          delete process.env[name];
+        } else {
+          process.env[name] = value;
+        }
+      }
+      return Promise.resolve(fn()).finally(() => {
+        for (const [name, value] of Object.entries(saved)) {
+          if (value === undefined) {
+            delete process.env[name];
+          } else {
+            process.env[name] = value;
+          }
+        }
+      });
+    }
+
+    it('should be accepted with a single HS256 secret', async () => {
+      assertAccepted(await issue());
+    });
+
+    it('should be accepted for scrypt challenges', async () => {
+      await withEnv({ POW_ALG: 'scrypt' }, async () => assertAccepted(await issue()));
+    });
+
+    it('should be accepted when signed with the active keyring key', async () => {
+      const JWT_KEYS = JSON.stringify({
+        active: 'k2',
+        keys: [{ kid: 'k2', secret: `${TEST_JWT_SECRET}-2` }, { kid: 'k1', secret: TEST_JWT_SECRET }]
+      });
+
+      await withEnv({ JWT_KEYS }, async () => {
+        const body = await issue();
+
+        assert.strictEqual(jwt.decode(body.token, { complete: true }).header.kid, 'k2');
+        assertAccepted(body);
+      });
+    });
+
+    it('should be accepted with EdDSA by a verifier holding only the public key', async () => {
+      const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519', {
+        publicKeyEncoding: { format: 'pem', type: 'spki' },
+        privateKeyEncoding: { format: 'pem', type: 'pkcs8' }
+      });
+      const keys = { JWT_ALG: 'EdDSA', JWT_PUBLIC_KEY: publicKey };
+
+      await withEnv({ ...keys, JWT_PRIVATE_KEY: privateKey, JWT_SECRET: undefined }, async () => {
+        const body = await issue();
+
+        assert.strictEqual(jwt.decode(body.token, { complete: true }).header.alg, 'EdDSA');
+        await withEnv({ JWT_PRIVATE_KEY: undefined }, () => assertAccepted(body));
+      });
+    });
+  });
+
   describe('response shape matches API contract', () => {
     it('should match the exact response structure from API.md', async () => {
       const response = await handler({});
@@ -246,12 +302,13 @@ describe('Create Token Lambda', () => {
       assert.deepStrictEqual(keys, ['expiresAt', 'nonce', 'powChallenge', 'token']);
 
       const powKeys = Object.keys(body.powChallenge).sort();
-      assert.deepStrictEqual(powKeys, ['difficulty', 'prefix']);
+      assert.deepStrictEqual(powKeys, ['alg', 'difficulty', 'prefix']);
 
       // Verify types
       assert.strictEqual(typeof body.token, 'string');
       assert.strictEqual(typeof body.nonce, 'string');
       assert.strictEqual(typeof body.expiresAt, 'number');
+      assert.strictEqual(typeof body.powChallenge.alg, 'string');
       assert.strictEqual(typeof body.powChallenge.difficulty, 'number');
       assert.strictEqual(typeof body.powChallenge.prefix, 'string');
     });
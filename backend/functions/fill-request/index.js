@@ -0,0 +1,115 @@
+'use strict';
+
+const { storage, token, responses, validation } = require('sealed-shared');
+
+/**
+ * Parse the JSON request body from an API Gateway event
+ * @param {object} event - API Gateway event
+ * @returns {object|null} Parsed body, or null if missing or malformed
+ */
+function parseBody(event) {
+  if (!event || typeof event.body !== 'string' || event.body === '') {
+    return null;
+  }
+
+  const raw = event.isBase64Encoded
+    ? Buffer.from(event.body, 'base64').toString('utf8')
+    : event.body;
+
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Build the secret that fills a request
+ * It gets one view and the request's expiry. The burn token is never handed
+ * out: the sender has no use for it and the requester burns by reading.
+ * @param {object} body - Validated request body
+ * @param {object} request - Stored request
+ * @param {number} now - Current Unix timestamp
+ * @returns {object} Secret object for storage.fillRequest
+ */
+function buildSecret(body, request, now) {
+  return {
+    id: request.secretId,
+    ciphertext: body.ciphertext,
+    iv: body.iv,
+    salt: null,
+    commitment: body.commitment,
+    version: body.version,
+    cipher: body.cipher,
+    kdf: null,
+    keyFragment: body.keyFragment,
+    passphraseProtected: false,
+    remainingViews: 1,
+    burnToken: token.generateBurnToken(),
+    createdAt: now,
+    expiresAt: request.expiresAt
+  };
+}
+
+/**
+ * Check whether a request was filled by this same body, which makes a
+ * retried PUT succeed rather than fail against its own first attempt
+ * @param {object|null} request - Stored request
+ * @param {string} commitment - Commitment of the body being sent
+ * @returns {boolean}
+ */
+function isFilledWith(request, commitment) {
+  return Boolean(request) && request.filledCommitment === commitment;
+}
+
+/**
+ * Lambda handler for PUT /requests/{id}
+ * Stores the secret for a request. Missing, expired and already filled
+ * requests all get the same notAvailable() response.
+ */
+exports.handler = async (event) => {
+  try {
+    const id = event && event.pathParameters && event.pathParameters.id;
+    if (!validation.validateSecretId(id)) {
+      return responses.notAvailable();
+    }
+
+    const body = parseBody(event);
+    if (!body) {
+      return responses.badRequest('Request body must be valid JSON');
+    }
+
+    const result = validation.validateFillRequest(body);
+    if (!result.valid) {
+      return responses.badRequest(result.error);
+    }
+
+    const request = await storage.getRequest(id);
+    if (!request || storage.isExpired(request)) {
+      return responses.notAvailable();
+    }
+    if (request.filledCommitment !== undefined) {
+      return isFilledWith(request, body.commitment) ? responses.noContent() : responses.notAvailable();
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (await storage.fillRequest(id, buildSecret(body, request, now))) {
+      return responses.noContent();
+    }
+
+    // Lost to a concurrent fill, which may have been this body's own retry
+    return isFilledWith(await storage.getRequest(id), body.commitment)
+      ? responses.noContent()
+      : responses.notAvailable();
+  } catch (error) {
+    console.error('Error filling request:', error.message);
+    return responses.internalError();
+  }
+};
+
+// Export internal functions for testing
+exports._internal = {
+  parseBody,
+  buildSecret,
+  isFilledWith
+};
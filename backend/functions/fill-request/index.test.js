@@ -0,0 +1,170 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { storage } = require('sealed-shared');
+
+const { handler, _internal } = require('./index.js');
+const { parseBody, buildSecret } = _internal;
+
+const ID = 'Ab3dEf6hIj9kLmNoPqRs12';
+const SECRET_ID = 'Zy9xWv6uTs3rQpOnMl0kJi';
+const COMMITMENT = Buffer.alloc(32, 2).toString('base64');
+
+function storedRequest(overrides = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  return {
+    id: ID,
+    secretId: SECRET_ID,
+    createdAt: now - 60,
+    expiresAt: now + 3600,
+    ...overrides
+  };
+}
+
+function validBody(overrides = {}) {
+  return {
+    ciphertext: Buffer.from('encrypted payload').toString('base64'),
+    iv: Buffer.alloc(12, 1).toString('base64'),
+    salt: null,
+    commitment: COMMITMENT,
+    version: 2,
+    cipher: 'aes-256-gcm',
+    kdf: null,
+    keyFragment: `v2.r.${'A'.repeat(123)}`,
+    ...overrides
+  };
+}
+
+function eventFor(id, body) {
+  return {
+    pathParameters: { id },
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+  };
+}
+
+function errorOf(response) {
+  return JSON.parse(response.body).error;
+}
+
+describe('Fill Request Lambda', () => {
+  let fills;
+
+  beforeEach(() => {
+    fills = [];
+    mock.method(storage, 'getRequest', async () => storedRequest());
+    mock.method(storage, 'fillRequest', async (id, secret) => {
+      fills.push({ id, secret });
+      return true;
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('parseBody', () => {
+    it('should parse JSON and decode base64-encoded bodies', () => {
+      assert.deepStrictEqual(parseBody({ body: '{"a":1}' }), { a: 1 });
+      assert.deepStrictEqual(parseBody({ body: Buffer.from('{"a":1}').toString('base64'), isBase64Encoded: true }), { a: 1 });
+      assert.strictEqual(parseBody({ body: '{not json' }), null);
+    });
+  });
+
+  describe('buildSecret', () => {
+    it('should store a single-view secret under the request secret ID', () => {
+      const request = storedRequest();
+      const secret = buildSecret(validBody(), request, 1706745600);
+
+      assert.strictEqual(secret.id, SECRET_ID);
+      assert.strictEqual(secret.remainingViews, 1);
+      assert.strictEqual(secret.expiresAt, request.expiresAt);
+      assert.strictEqual(secret.keyFragment, validBody().keyFragment);
+      assert.strictEqual(secret.passphraseProtected, false);
+      assert.match(secret.burnToken, /^[0-9a-f]{32}$/);
+    });
+  });
+
+  describe('handler', () => {
+    it('should fill the request', async () => {
+      const response = await handler(eventFor(ID, validBody()));
+
+      assert.strictEqual(response.statusCode, 204);
+      assert.strictEqual(fills.length, 1);
+      assert.strictEqual(fills[0].id, ID);
+      assert.strictEqual(fills[0].secret.id, SECRET_ID);
+      assert.strictEqual(fills[0].secret.commitment, COMMITMENT);
+    });
+
+    it('should return the same response for invalid, missing and expired requests', async () => {
+      const invalid = await handler(eventFor('short', validBody()));
+      storage.getRequest.mock.mockImplementationOnce(async () => null);
+      const missing = await handler(eventFor(ID, validBody()));
+      storage.getRequest.mock.mockImplementationOnce(async () => storedRequest({ expiresAt: 1 }));
+      const expired = await handler(eventFor(ID, validBody()));
+
+      for (const response of [invalid, missing, expired]) {
+        assert.strictEqual(response.statusCode, 404);
+        assert.strictEqual(errorOf(response), 'not_available');
+      }
+      assert.strictEqual(fills.length, 0);
+    });
+
+    it('should reject malformed JSON and invalid bodies', async () => {
+      const malformed = await handler(eventFor(ID, '{not json'));
+      const passphrase = await handler(eventFor(ID, validBody({
+        salt: Buffer.alloc(16, 3).toString('base64'),
+        kdf: { name: 'pbkdf2-sha256', iterations: 100000 }
+      })));
+
+      assert.strictEqual(malformed.statusCode, 400);
+      assert.strictEqual(passphrase.statusCode, 400);
+      assert.match(JSON.parse(passphrase.body).message, /passphrase/);
+      assert.strictEqual(fills.length, 0);
+    });
+
+    it('should accept a retry of the body that filled the request', async () => {
+      storage.getRequest.mock.mockImplementation(async () => storedRequest({ filledCommitment: COMMITMENT }));
+
+      const response = await handler(eventFor(ID, validBody()));
+
+      assert.strictEqual(response.statusCode, 204);
+      assert.strictEqual(fills.length, 0);
+    });
+
+    it('should refuse a different body once the request is filled', async () => {
+      storage.getRequest.mock.mockImplementation(async () => storedRequest({ filledCommitment: COMMITMENT }));
+
+      const response = await handler(eventFor(ID, validBody({ commitment: Buffer.alloc(32, 9).toString('base64') })));
+
+      assert.strictEqual(response.statusCode, 404);
+      assert.strictEqual(fills.length, 0);
+    });
+
+    it('should settle a lost race by the commitment that won', async () => {
+      storage.fillRequest.mock.mockImplementation(async () => false);
+      storage.getRequest.mock.mockImplementation(async () => (
+        storage.getRequest.mock.callCount() === 0 ? storedRequest() : storedRequest({ filledCommitment: COMMITMENT })
+      ));
+
+      const own = await handler(eventFor(ID, validBody()));
+      storage.getRequest.mock.resetCalls();
+      const other = await handler(eventFor(ID, validBody({ commitment: Buffer.alloc(32, 9).toString('base64') })));
+
+      assert.strictEqual(own.statusCode, 204);
+      assert.strictEqual(other.statusCode, 404);
+    });
+
+    it('should return a generic error when storage fails', async () => {
+      mock.method(console, 'error', () => {});
+      storage.fillRequest.mock.mockImplementation(async () => {
+        throw new Error('Network error');
+      });
+
+      const response = await handler(eventFor(ID, validBody()));
+
+      assert.strictEqual(response.statusCode, 500);
+      assert.ok(!response.body.includes('Network error'));
+    });
+  });
+});
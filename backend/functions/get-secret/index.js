@@ -1,7 +1,148 @@
-// Placeholder - to be implemented by Phase 2E
-exports.handler = async (event) => {
-  return {
-    statusCode: 501,
-    body: JSON.stringify({ error: 'not_implemented' })
+'use strict';
+
+const { storage, token, responses, validation, blobs, ratelimit, notify } = require('sealed-shared');
+
+/**
+ * Build the response body for a retrieved secret
+ * Optional envelope fields are only included when the secret has them, so
+ * legacy secrets keep their original shape.
+ * @param {object} secret - Stored secret
+ * @param {string} ciphertext - Ciphertext (read from the blob store for file secrets)
+ * @param {string} accessToken - Token for idempotent re-fetches
+ * @returns {object} Response body
+ */
+function buildBody(secret, ciphertext, accessToken) {
+  const body = {
+    ciphertext,
+    iv: secret.iv,
+    salt: secret.salt || null,
+    passphraseProtected: secret.passphraseProtected
   };
+
+  if (secret.commitment) {
+    body.commitment = secret.commitment;
+  }
+
+  if (secret.version !== undefined) {
+    body.version = secret.version;
+    body.cipher = secret.cipher;
+    body.kdf = secret.kdf;
+  }
+
+  // Filled requests: the requester's link has no key, so it comes from here
+  if (secret.keyFragment) {
+    body.keyFragment = secret.keyFragment;
+  }
+
+  body.accessToken = accessToken;
+  return body;
+}
+
+/**
+ * Read a secret's ciphertext, from the blob store for file secrets
+ * @param {object} secret - Stored secret
+ * @returns {Promise<string|null>} Base64 ciphertext, or null if the blob is gone
+ */
+async function readCiphertext(secret) {
+  return secret.blobKey ? blobs.getBlob(secret.blobKey) : secret.ciphertext;
+}
+
+/**
+ * Re-serve a secret to the holder of a fresh access token
+ * This is the one read that serves a secret with no views left: the store
+ * keeps the last view only until the window closes.
+ * @param {string} id - Secret identifier
+ * @param {string} accessToken - Access token from the previous retrieval
+ * @returns {Promise<object|null>} Secret, or null if the window does not apply
+ */
+async function refetch(id, accessToken) {
+  const secret = await storage.getSecret(id);
+  if (!secret || storage.isExpired(secret) || !storage.isWithinIdempotencyWindow(secret, accessToken)) {
+    return null;
+  }
+  return secret;
+}
+
+/**
+ * Queue the creator's webhook notification if this claim was the first view
+ * Best effort: a failure is logged and the secret is still served.
+ * @param {string} id - Secret identifier
+ * @param {object} secret - Secret as returned by the claim (views already taken)
+ * @returns {Promise<void>}
+ */
+async function notifyFirstView(id, secret) {
+  if (!secret.notify || secret.maxViews - secret.remainingViews !== 1) {
+    return;
+  }
+  try {
+    await notify.notifyViewed(id, secret.notify, secret.lastAccessAt || Math.floor(Date.now() / 1000));
+  } catch (error) {
+    console.error('Error queueing view notification:', error.message);
+  }
+}
+
+/**
+ * Lambda handler for GET /secrets/{id}
+ * Every failure to produce a secret returns the same notAvailable() response
+ */
+exports.handler = async (event) => {
+  try {
+    // Before the ID is looked at, so guessing IDs costs the same whatever they are
+    const limit = await ratelimit.checkRateLimit(event, ratelimit.ROUTE_READ);
+    if (!limit.allowed) {
+      return responses.tooManyRequests(limit.retryAfter);
+    }
+
+    const id = event && event.pathParameters && event.pathParameters.id;
+    if (!validation.validateSecretId(id)) {
+      return responses.notAvailable();
+    }
+
+    const providedToken = event.queryStringParameters && event.queryStringParameters.accessToken;
+
+    // A retry within the idempotency window does not use up another view
+    if (providedToken && validation.validateAccessToken(providedToken)) {
+      const secret = await refetch(id, providedToken);
+      if (secret) {
+        const ciphertext = await readCiphertext(secret);
+        if (ciphertext === null) {
+          return responses.notAvailable();
+        }
+        return responses.success(buildBody(secret, ciphertext, providedToken));
+      }
+    }
+
+    const accessToken = token.generateAccessToken();
+    const claim = await storage.claimView(id, accessToken);
+    if (!claim) {
+      return responses.notAvailable();
+    }
+
+    const { secret, consumed } = claim;
+    await notifyFirstView(id, secret);
+    const ciphertext = await readCiphertext(secret);
+
+    // Blobs are not kept for re-fetch: once the item expires via TTL
+    // nothing would be left to delete them
+    if (consumed && secret.blobKey) {
+      await blobs.deleteBlob(secret.blobKey);
+    }
+
+    if (ciphertext === null) {
+      return responses.notAvailable();
+    }
+
+    return responses.success(buildBody(secret, ciphertext, accessToken));
+  } catch (error) {
+    console.error('Error retrieving secret:', error.message);
+    return responses.internalError();
+  }
+};
+
+// Export internal functions for testing
+exports._internal = {
+  buildBody,
+  readCiphertext,
+  refetch,
+  notifyFirstView
 };
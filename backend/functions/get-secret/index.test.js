@@ -0,0 +1,336 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { storage, blobs, ratelimit, notify } = require('sealed-shared');
+
+const { handler, _internal } = require('./index.js');
+const { buildBody, refetch } = _internal;
+
+const ID = 'Ab3dEf6hIj9kLmNoPqRs12';
+const ACCESS_TOKEN = 'a1b2c3d4e5f6a7b8c9d0e1f2a3b4c5d6';
+
+function storedSecret(overrides = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  return {
+    id: ID,
+    ciphertext: 'ZW5jcnlwdGVk',
+    iv: 'AQEBAQEBAQEBAQEB',
+    passphraseProtected: false,
+    remainingViews: 1,
+    burnToken: 'f'.repeat(32),
+    createdAt: now - 60,
+    expiresAt: now + 3600,
+    ...overrides
+  };
+}
+
+function eventFor(id, accessToken) {
+  return {
+    pathParameters: { id },
+    queryStringParameters: accessToken === undefined ? undefined : { accessToken }
+  };
+}
+
+describe('Get Secret Lambda', () => {
+  beforeEach(() => {
+    mock.method(storage, 'getSecret', async () => null);
+    mock.method(storage, 'claimView', async () => ({ secret: storedSecret(), consumed: false }));
+    mock.method(blobs, 'getBlob', async () => 'YmxvYg==');
+    mock.method(blobs, 'deleteBlob', async () => {});
+    mock.method(ratelimit, 'checkRateLimit', async () => ({ allowed: true }));
+    mock.method(notify, 'notifyViewed', async () => ({}));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('buildBody', () => {
+    it('should omit envelope fields for legacy secrets', () => {
+      const body = buildBody(storedSecret(), 'ZW5jcnlwdGVk', ACCESS_TOKEN);
+
+      assert.deepStrictEqual(body, {
+        ciphertext: 'ZW5jcnlwdGVk',
+        iv: 'AQEBAQEBAQEBAQEB',
+        salt: null,
+        passphraseProtected: false,
+        accessToken: ACCESS_TOKEN
+      });
+    });
+
+    it('should include commitment and envelope fields when stored', () => {
+      const kdf = { name: 'pbkdf2-sha256', iterations: 100000 };
+      const body = buildBody(storedSecret({
+        salt: 'AgICAgICAgICAgICAgICAg==',
+        passphraseProtected: true,
+        commitment: 'c'.repeat(44),
+        version: 2,
+        cipher: 'aes-256-gcm',
+        kdf
+      }), 'ZW5jcnlwdGVk', ACCESS_TOKEN);
+
+      assert.strictEqual(body.salt, 'AgICAgICAgICAgICAgICAg==');
+      assert.strictEqual(body.commitment, 'c'.repeat(44));
+      assert.strictEqual(body.version, 2);
+      assert.strictEqual(body.cipher, 'aes-256-gcm');
+      assert.deepStrictEqual(body.kdf, kdf);
+    });
+
+    it('should include the key fragment of a filled request', () => {
+      const body = buildBody(storedSecret({ keyFragment: 'v2.r.AAAA' }), 'ZW5jcnlwdGVk', ACCESS_TOKEN);
+
+      assert.strictEqual(body.keyFragment, 'v2.r.AAAA');
+    });
+
+    it('should not expose storage-only attributes', () => {
+      const body = buildBody(storedSecret({ blobKey: `secrets/${ID}`, notify: 'sealed' }), 'ZW5jcnlwdGVk', ACCESS_TOKEN);
+
+      assert.strictEqual(body.burnToken, undefined);
+      assert.strictEqual(body.notify, undefined);
+      assert.strictEqual(body.remainingViews, undefined);
+      assert.strictEqual(body.blobKey, undefined);
+    });
+  });
+
+  describe('refetch', () => {
+    it('should return the secret within the idempotency window', async () => {
+      const now = Math.floor(Date.now() / 1000);
+      const secret = storedSecret({ lastAccessToken: ACCESS_TOKEN, lastAccessAt: now - 5 });
+      storage.getSecret.mock.mockImplementation(async () => secret);
+
+      assert.strictEqual(await refetch(ID, ACCESS_TOKEN), secret);
+    });
+
+    it('should return null outside the window or for another token', async () => {
+      const now = Math.floor(Date.now() / 1000);
+      storage.getSecret.mock.mockImplementation(async () =>
+        storedSecret({ lastAccessToken: ACCESS_TOKEN, lastAccessAt: now - 60 }));
+
+      assert.strictEqual(await refetch(ID, ACCESS_TOKEN), null);
+      assert.strictEqual(await refetch(ID, 'b'.repeat(32)), null);
+    });
+
+    it('should return null for expired secrets', async () => {
+      const now = Math.floor(Date.now() / 1000);
+      storage.getSecret.mock.mockImplementation(async () =>
+        storedSecret({ lastAccessToken: ACCESS_TOKEN, lastAccessAt: now - 5, expiresAt: now - 1 }));
+
+      assert.strictEqual(await refetch(ID, ACCESS_TOKEN), null);
+    });
+  });
+
+  describe('handler', () => {
+    it('should return 429 before touching the secret when the caller is rate limited', async () => {
+      ratelimit.checkRateLimit.mock.mockImplementation(async () => ({ allowed: false, retryAfter: 3 }));
+
+      const response = await handler(eventFor(ID));
+
+      assert.strictEqual(response.statusCode, 429);
+      assert.strictEqual(response.headers['Retry-After'], '3');
+      assert.strictEqual(ratelimit.checkRateLimit.mock.calls[0].arguments[1], ratelimit.ROUTE_READ);
+      assert.strictEqual(storage.claimView.mock.callCount(), 0);
+    });
+
+    it('should claim a view and return the secret with a new access token', async () => {
+      const response = await handler(eventFor(ID));
+
+      assert.strictEqual(response.statusCode, 200);
+      assert.strictEqual(response.headers['Cache-Control'], 'no-store');
+      const body = JSON.parse(response.body);
+      assert.strictEqual(body.ciphertext, 'ZW5jcnlwdGVk');
+      assert.match(body.accessToken, /^[0-9a-f]{32}$/);
+      const [id, accessToken] = storage.claimView.mock.calls[0].arguments;
+      assert.strictEqual(id, ID);
+      assert.strictEqual(accessToken, body.accessToken);
+      assert.strictEqual(storage.getSecret.mock.callCount(), 0);
+    });
+
+    it('should re-serve within the idempotency window without claiming a view', async () => {
+      const now = Math.floor(Date.now() / 1000);
+      storage.getSecret.mock.mockImplementation(async () =>
+        storedSecret({ lastAccessToken: ACCESS_TOKEN, lastAccessAt: now - 5 }));
+
+      const response = await handler(eventFor(ID, ACCESS_TOKEN));
+
+      assert.strictEqual(response.statusCode, 200);
+      assert.strictEqual(JSON.parse(response.body).accessToken, ACCESS_TOKEN);
+      assert.strictEqual(storage.claimView.mock.callCount(), 0);
+    });
+
+    it('should claim a view when the access token does not match', async () => {
+      const now = Math.floor(Date.now() / 1000);
+      storage.getSecret.mock.mockImplementation(async () =>
+        storedSecret({ lastAccessToken: 'b'.repeat(32), lastAccessAt: now - 5 }));
+
+      const response = await handler(eventFor(ID, ACCESS_TOKEN));
+
+      assert.strictEqual(response.statusCode, 200);
+      assert.strictEqual(storage.claimView.mock.callCount(), 1);
+      assert.notStrictEqual(JSON.parse(response.body).accessToken, ACCESS_TOKEN);
+    });
+
+    it('should re-serve a one-view secret after its only view, within the window', async () => {
+      // What the store does: the claim takes the last view and keeps the
+      // item, with no views left, until the window closes
+      let stored = storedSecret({ maxViews: 1 });
+      storage.claimView.mock.mockImplementation(async (id, accessToken) => {
+        if (stored.remainingViews <= 0) {
+          return null;
+        }
+        const now = Math.floor(Date.now() / 1000);
+        stored = { ...stored, remainingViews: 0, lastAccessToken: accessToken, lastAccessAt: now, expiresAt: now + 30 };
+        return { secret: stored, consumed: true };
+      });
+      storage.getSecret.mock.mockImplementation(async () => stored);
+
+      const first = await handler(eventFor(ID));
+      const { accessToken } = JSON.parse(first.body);
+      const reload = await handler(eventFor(ID, accessToken));
+      const other = await handler(eventFor(ID, 'b'.repeat(32)));
+      const plain = await handler(eventFor(ID));
+
+      assert.strictEqual(first.statusCode, 200);
+      assert.strictEqual(reload.statusCode, 200);
+      assert.strictEqual(reload.body, first.body);
+      assert.strictEqual(other.statusCode, 404);
+      assert.strictEqual(plain.statusCode, 404);
+      assert.strictEqual(storage.claimView.mock.callCount(), 3);
+    });
+
+    it('should not re-serve a one-view secret once the window has passed', async () => {
+      const now = Math.floor(Date.now() / 1000);
+      storage.getSecret.mock.mockImplementation(async () => storedSecret({
+        remainingViews: 0, lastAccessToken: ACCESS_TOKEN, lastAccessAt: now - 31, expiresAt: now - 1
+      }));
+      storage.claimView.mock.mockImplementation(async () => null);
+
+      const response = await handler(eventFor(ID, ACCESS_TOKEN));
+
+      assert.strictEqual(response.statusCode, 404);
+    });
+
+    it('should ignore malformed access tokens', async () => {
+      await handler(eventFor(ID, 'not-hex'));
+
+      assert.strictEqual(storage.getSecret.mock.callCount(), 0);
+      assert.strictEqual(storage.claimView.mock.callCount(), 1);
+    });
+
+    it('should read file ciphertext from the blob store', async () => {
+      storage.claimView.mock.mockImplementation(async () => ({
+        secret: storedSecret({ ciphertext: null, blobKey: `secrets/${ID}`, remainingViews: 1 }),
+        consumed: false
+      }));
+
+      const response = await handler(eventFor(ID));
+
+      assert.strictEqual(JSON.parse(response.body).ciphertext, 'YmxvYg==');
+      assert.deepStrictEqual(blobs.getBlob.mock.calls[0].arguments, [`secrets/${ID}`]);
+      assert.strictEqual(blobs.deleteBlob.mock.callCount(), 0);
+    });
+
+    it('should delete the blob once the last view is claimed', async () => {
+      storage.claimView.mock.mockImplementation(async () => ({
+        secret: storedSecret({ ciphertext: null, blobKey: `secrets/${ID}`, remainingViews: 0 }),
+        consumed: true
+      }));
+
+      const response = await handler(eventFor(ID));
+
+      assert.strictEqual(response.statusCode, 200);
+      assert.strictEqual(JSON.parse(response.body).ciphertext, 'YmxvYg==');
+      assert.deepStrictEqual(blobs.deleteBlob.mock.calls[0].arguments, [`secrets/${ID}`]);
+    });
+
+    it('should return identical responses for every unavailable case', async () => {
+      const responses = [];
+
+      // Malformed ID
+      responses.push(await handler(eventFor('short')));
+      responses.push(await handler({}));
+
+      // Missing, expired or consumed: the conditional update fails
+      storage.claimView.mock.mockImplementation(async () => null);
+      responses.push(await handler(eventFor(ID)));
+
+      // Blob missing for a file secret
+      storage.claimView.mock.mockImplementation(async () => ({
+        secret: storedSecret({ ciphertext: null, blobKey: `secrets/${ID}` }),
+        consumed: false
+      }));
+      blobs.getBlob.mock.mockImplementation(async () => null);
+      responses.push(await handler(eventFor(ID)));
+
+      for (const response of responses) {
+        assert.deepStrictEqual(response, {
+          statusCode: 404,
+          headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' },
+          body: JSON.stringify({ error: 'not_available' })
+        });
+      }
+    });
+
+    it('should queue the view notification on the first view only', async () => {
+      const now = Math.floor(Date.now() / 1000);
+      const claimed = (remainingViews) => async () => ({
+        secret: storedSecret({ notify: 'sealed', maxViews: 3, remainingViews, lastAccessAt: now }),
+        consumed: false
+      });
+
+      storage.claimView.mock.mockImplementationOnce(claimed(2));
+      const first = await handler(eventFor(ID));
+      storage.claimView.mock.mockImplementationOnce(claimed(1));
+      await handler(eventFor(ID));
+
+      assert.strictEqual(first.statusCode, 200);
+      assert.strictEqual(notify.notifyViewed.mock.callCount(), 1);
+      assert.deepStrictEqual(notify.notifyViewed.mock.calls[0].arguments, [ID, 'sealed', now]);
+    });
+
+    it('should not notify for secrets without a webhook or on a re-fetch', async () => {
+      const now = Math.floor(Date.now() / 1000);
+      storage.claimView.mock.mockImplementation(async () => ({
+        secret: storedSecret({ maxViews: 1, remainingViews: 0 }),
+        consumed: true
+      }));
+      storage.getSecret.mock.mockImplementation(async () => storedSecret({
+        notify: 'sealed', maxViews: 2, remainingViews: 1, lastAccessToken: ACCESS_TOKEN, lastAccessAt: now - 5
+      }));
+
+      await handler(eventFor(ID));
+      await handler(eventFor(ID, ACCESS_TOKEN));
+
+      assert.strictEqual(notify.notifyViewed.mock.callCount(), 0);
+    });
+
+    it('should still serve the secret when the notification cannot be queued', async () => {
+      mock.method(console, 'error', () => {});
+      notify.notifyViewed.mock.mockImplementation(async () => {
+        throw new Error('Queue unavailable');
+      });
+      storage.claimView.mock.mockImplementation(async () => ({
+        secret: storedSecret({ notify: 'sealed', maxViews: 1, remainingViews: 0 }),
+        consumed: true
+      }));
+
+      const response = await handler(eventFor(ID));
+
+      assert.strictEqual(response.statusCode, 200);
+      assert.match(console.error.mock.calls[0].arguments[0], /view notification/);
+    });
+
+    it('should return a generic error when storage fails', async () => {
+      mock.method(console, 'error', () => {});
+      storage.claimView.mock.mockImplementation(async () => {
+        throw new Error('Network error');
+      });
+
+      const response = await handler(eventFor(ID));
+
+      assert.strictEqual(response.statusCode, 500);
+      assert.strictEqual(JSON.parse(response.body).error, 'internal_error');
+      assert.ok(!response.body.includes('Network error'));
+    });
+  });
+});
@@ -0,0 +1,63 @@
+'use strict';
+
+const { notify } = require('sealed-shared');
+
+/**
+ * Read the queued event out of a notifications table stream record
+ * @param {object} record - DynamoDB stream record
+ * @returns {object|null} Event, or null if the record carries none
+ */
+function parseRecord(record) {
+  const image = record && record.dynamodb && record.dynamodb.NewImage;
+  const json = image && image.event && image.event.S;
+  if (!json) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(json);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Lambda handler for the notifications table stream
+ * Delivers each new event to its webhook. Stream records are processed in
+ * order, so the first retryable failure is reported and the rest of the
+ * batch is left for the retry; failures that can never succeed are logged
+ * and dropped.
+ * @param {object} event - DynamoDB stream event
+ * @returns {Promise<{batchItemFailures: {itemIdentifier: string}[]}>}
+ */
+exports.handler = async (event) => {
+  for (const record of (event && event.Records) || []) {
+    // Removals are TTL expiry; only new events are delivered
+    if (record.eventName !== 'INSERT') {
+      continue;
+    }
+
+    const notification = parseRecord(record);
+    if (!notification) {
+      console.error('Skipping malformed notification record:', record.eventID);
+      continue;
+    }
+
+    try {
+      await notify.deliver(notification);
+    } catch (error) {
+      if (error.retryable) {
+        console.error('Notification delivery failed, will retry:', notification.id, error.message);
+        return { batchItemFailures: [{ itemIdentifier: record.dynamodb.SequenceNumber }] };
+      }
+      console.error('Notification not delivered:', notification.id, error.message);
+    }
+  }
+
+  return { batchItemFailures: [] };
+};
+
+// Export internal functions for testing
+exports._internal = {
+  parseRecord
+};
@@ -0,0 +1,114 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { notify } = require('sealed-shared');
+
+const { handler, _internal } = require('./index.js');
+const { parseRecord } = _internal;
+
+function viewedEvent(id) {
+  return {
+    id,
+    event: notify.EVENT_SECRET_VIEWED,
+    secretId: 'Ab3dEf6hIj9kLmNoPqRs12',
+    viewedAt: 1706745600,
+    notify: 'sealed'
+  };
+}
+
+function record(sequence, event, eventName = 'INSERT') {
+  return {
+    eventID: `evt-${sequence}`,
+    eventName,
+    dynamodb: {
+      SequenceNumber: String(sequence),
+      NewImage: event === undefined ? undefined : { id: { S: event.id }, event: { S: JSON.stringify(event) } }
+    }
+  };
+}
+
+function retryable(retry) {
+  return new notify.DeliveryError('Webhook responded 503', retry);
+}
+
+describe('Notify Dispatcher Lambda', () => {
+  let delivered;
+
+  beforeEach(() => {
+    delivered = [];
+    mock.method(console, 'error', () => {});
+    mock.method(notify, 'deliver', async (event) => {
+      delivered.push(event.id);
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('parseRecord', () => {
+    it('should read the event from the new image', () => {
+      assert.deepStrictEqual(parseRecord(record(1, viewedEvent('a'))), viewedEvent('a'));
+    });
+
+    it('should return null for records without a readable event', () => {
+      const broken = record(1, viewedEvent('a'));
+      broken.dynamodb.NewImage.event.S = '{not json';
+
+      assert.strictEqual(parseRecord(record(1, undefined)), null);
+      assert.strictEqual(parseRecord(broken), null);
+      assert.strictEqual(parseRecord({}), null);
+    });
+  });
+
+  describe('handler', () => {
+    it('should deliver every inserted event in order', async () => {
+      const result = await handler({ Records: [record(1, viewedEvent('a')), record(2, viewedEvent('b'))] });
+
+      assert.deepStrictEqual(result, { batchItemFailures: [] });
+      assert.deepStrictEqual(delivered, ['a', 'b']);
+    });
+
+    it('should skip TTL removals and malformed records', async () => {
+      const result = await handler({
+        Records: [record(1, viewedEvent('a'), 'REMOVE'), record(2, undefined), record(3, viewedEvent('c'))]
+      });
+
+      assert.deepStrictEqual(result, { batchItemFailures: [] });
+      assert.deepStrictEqual(delivered, ['c']);
+    });
+
+    it('should report the first retryable failure and leave the rest for the retry', async () => {
+      notify.deliver.mock.mockImplementation(async (event) => {
+        if (event.id === 'b') {
+          throw retryable(true);
+        }
+        delivered.push(event.id);
+      });
+
+      const result = await handler({
+        Records: [record(1, viewedEvent('a')), record(2, viewedEvent('b')), record(3, viewedEvent('c'))]
+      });
+
+      assert.deepStrictEqual(result, { batchItemFailures: [{ itemIdentifier: '2' }] });
+      assert.deepStrictEqual(delivered, ['a']);
+    });
+
+    it('should drop events that can never be delivered', async () => {
+      notify.deliver.mock.mockImplementationOnce(async () => {
+        throw retryable(false);
+      });
+
+      const result = await handler({ Records: [record(1, viewedEvent('a')), record(2, viewedEvent('b'))] });
+
+      assert.deepStrictEqual(result, { batchItemFailures: [] });
+      assert.deepStrictEqual(delivered, ['b']);
+      assert.match(console.error.mock.calls[0].arguments[0], /not delivered/);
+    });
+
+    it('should accept an empty event', async () => {
+      assert.deepStrictEqual(await handler({}), { batchItemFailures: [] });
+    });
+  });
+});
@@ -0,0 +1,90 @@
+'use strict';
+
+const crypto = require('crypto');
+const { storage, responses, validation } = require('sealed-shared');
+
+// Coarse states reported to the creator; "gone" is the usual notAvailable()
+const STATUS_PENDING = 'pending';
+const STATUS_VIEWED = 'viewed';
+
+/**
+ * Read a header value regardless of its casing
+ * @param {object} event - API Gateway event
+ * @param {string} name - Lowercase header name
+ * @returns {string|undefined}
+ */
+function getHeader(event, name) {
+  const headers = (event && event.headers) || {};
+  const key = Object.keys(headers).find((header) => header.toLowerCase() === name);
+  return key === undefined ? undefined : headers[key];
+}
+
+/**
+ * Compare burn tokens in constant time
+ * @param {string} expected - Stored burn token
+ * @param {string} provided - Validated burn token from the request
+ * @returns {boolean}
+ */
+function tokensMatch(expected, provided) {
+  const a = Buffer.from(String(expected));
+  const b = Buffer.from(provided);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Build the status body for a live secret
+ * Secrets stored before maxViews was recorded cannot count their views, so
+ * they report only whether they have been opened.
+ * @param {object} secret - Stored secret
+ * @returns {{status: string, views?: number, maxViews?: number}}
+ */
+function buildStatus(secret) {
+  if (secret.maxViews === undefined) {
+    return { status: secret.lastAccessAt ? STATUS_VIEWED : STATUS_PENDING };
+  }
+
+  const views = secret.maxViews - secret.remainingViews;
+  return {
+    status: views > 0 ? STATUS_VIEWED : STATUS_PENDING,
+    views,
+    maxViews: secret.maxViews
+  };
+}
+
+/**
+ * Lambda handler for GET /secrets/{id}/status
+ * Only the burn token holder learns anything: a wrong token, an unknown ID
+ * and a secret that is gone (viewed out, burned or expired) all get the same
+ * notAvailable() response. Reading the status never uses up a view.
+ */
+exports.handler = async (event) => {
+  try {
+    const id = event && event.pathParameters && event.pathParameters.id;
+    const burnToken = getHeader(event, 'x-burn-token');
+    if (!validation.validateSecretId(id) || !validation.validateBurnToken(burnToken)) {
+      return responses.notAvailable();
+    }
+
+    const secret = await storage.getSecret(id);
+    if (!secret || !tokensMatch(secret.burnToken, burnToken)) {
+      return responses.notAvailable();
+    }
+    if (storage.isExpired(secret) || secret.remainingViews <= 0) {
+      return responses.notAvailable();
+    }
+
+    return responses.success(buildStatus(secret));
+  } catch (error) {
+    console.error('Error reading secret status:', error.message);
+    return responses.internalError();
+  }
+};
+
+// Export internal functions for testing
+exports._internal = {
+  getHeader,
+  tokensMatch,
+  buildStatus,
+  STATUS_PENDING,
+  STATUS_VIEWED
+};
@@ -0,0 +1,122 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { storage } = require('sealed-shared');
+
+const { handler, _internal } = require('./index.js');
+const { tokensMatch, buildStatus, STATUS_PENDING, STATUS_VIEWED } = _internal;
+
+const ID = 'Ab3dEf6hIj9kLmNoPqRs12';
+const BURN_TOKEN = 'a1b2c3d4e5f6a7b8c9d0e1f2a3b4c5d6';
+const OTHER_TOKEN = 'ffffffffffffffffffffffffffffffff';
+
+function storedSecret(overrides = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  return {
+    id: ID,
+    ciphertext: 'Y2lwaGVydGV4dA==',
+    iv: 'AAAAAAAAAAAAAAAA',
+    passphraseProtected: false,
+    remainingViews: 3,
+    maxViews: 3,
+    burnToken: BURN_TOKEN,
+    createdAt: now - 60,
+    expiresAt: now + 3600,
+    ...overrides
+  };
+}
+
+function eventFor(id, burnToken) {
+  return {
+    pathParameters: { id },
+    headers: burnToken === undefined ? {} : { 'X-Burn-Token': burnToken }
+  };
+}
+
+describe('Secret Status Lambda', () => {
+  beforeEach(() => {
+    mock.method(storage, 'getSecret', async () => storedSecret());
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('tokensMatch', () => {
+    it('should match only identical tokens', () => {
+      assert.strictEqual(tokensMatch(BURN_TOKEN, BURN_TOKEN), true);
+      assert.strictEqual(tokensMatch(BURN_TOKEN, OTHER_TOKEN), false);
+      assert.strictEqual(tokensMatch(undefined, BURN_TOKEN), false);
+    });
+  });
+
+  describe('buildStatus', () => {
+    it('should count views against maxViews', () => {
+      assert.deepStrictEqual(buildStatus(storedSecret()), { status: STATUS_PENDING, views: 0, maxViews: 3 });
+      assert.deepStrictEqual(buildStatus(storedSecret({ remainingViews: 1 })), { status: STATUS_VIEWED, views: 2, maxViews: 3 });
+    });
+
+    it('should fall back to the last access for secrets without maxViews', () => {
+      assert.deepStrictEqual(buildStatus(storedSecret({ maxViews: undefined })), { status: STATUS_PENDING });
+      assert.deepStrictEqual(buildStatus(storedSecret({ maxViews: undefined, lastAccessAt: 1706745600 })), { status: STATUS_VIEWED });
+    });
+  });
+
+  describe('handler', () => {
+    it('should report the status to the burn token holder', async () => {
+      storage.getSecret.mock.mockImplementation(async () => storedSecret({ remainingViews: 2 }));
+
+      const response = await handler(eventFor(ID, BURN_TOKEN));
+
+      assert.strictEqual(response.statusCode, 200);
+      assert.strictEqual(response.headers['Cache-Control'], 'no-store');
+      assert.deepStrictEqual(JSON.parse(response.body), { status: STATUS_VIEWED, views: 1, maxViews: 3 });
+    });
+
+    it('should only read the secret, never claim a view', async () => {
+      const claimView = mock.method(storage, 'claimView', async () => null);
+
+      await handler(eventFor(ID, BURN_TOKEN));
+
+      assert.strictEqual(claimView.mock.callCount(), 0);
+    });
+
+    it('should answer a wrong token exactly as a secret that is gone', async () => {
+      const wrongToken = await handler(eventFor(ID, OTHER_TOKEN));
+      storage.getSecret.mock.mockImplementationOnce(async () => null);
+      const missing = await handler(eventFor(ID, BURN_TOKEN));
+      storage.getSecret.mock.mockImplementationOnce(async () => storedSecret({ expiresAt: 1 }));
+      const expired = await handler(eventFor(ID, BURN_TOKEN));
+      storage.getSecret.mock.mockImplementationOnce(async () => storedSecret({ remainingViews: 0 }));
+      const viewedOut = await handler(eventFor(ID, BURN_TOKEN));
+      const noToken = await handler(eventFor(ID));
+      const malformed = await handler(eventFor('short', 'nope'));
+
+      for (const response of [missing, expired, viewedOut, noToken, malformed]) {
+        assert.deepStrictEqual(response, wrongToken);
+      }
+      assert.strictEqual(wrongToken.statusCode, 404);
+      assert.strictEqual(JSON.parse(wrongToken.body).error, 'not_available');
+    });
+
+    it('should not look up malformed IDs or tokens', async () => {
+      await handler(eventFor('short', BURN_TOKEN));
+      await handler(eventFor(ID, 'not-hex'));
+
+      assert.strictEqual(storage.getSecret.mock.callCount(), 0);
+    });
+
+    it('should return a generic error when storage fails', async () => {
+      mock.method(console, 'error', () => {});
+      storage.getSecret.mock.mockImplementation(async () => {
+        throw new Error('Network error');
+      });
+
+      const response = await handler(eventFor(ID, BURN_TOKEN));
+
+      assert.strictEqual(response.statusCode, 500);
+      assert.ok(!response.body.includes('Network error'));
+    });
+  });
+});
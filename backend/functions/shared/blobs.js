@@ -0,0 +1,279 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+
+// Configuration
+const BUCKET_NAME = process.env.BLOB_BUCKET || 'sealed-blobs';
+const BLOB_KEY_PREFIX = 'secrets/';
+const BLOB_DIR = process.env.BLOB_DIR || 'blobs';
+
+// Same as the bucket lifecycle rule in template.yaml: just past the maximum TTL
+const BLOB_MAX_AGE_SECONDS = 91 * 86400;
+
+/**
+ * Object store for large ciphertexts (file secrets)
+ * Keeps DynamoDB items small: the secret item holds a blob key instead of
+ * the ciphertext itself.
+ * @typedef {object} BlobStore
+ * @property {(key: string, body: Buffer) => Promise<void>} put - Store bytes under key
+ * @property {(key: string) => Promise<Buffer|null>} get - Read bytes (null if missing)
+ * @property {(key: string) => Promise<void>} delete - Remove key (no-op if missing)
+ */
+
+/**
+ * Create an S3-backed blob store
+ * Set S3_ENDPOINT to use an S3-compatible local stand-in (MinIO, LocalStack);
+ * path-style addressing is used in that case.
+ * @param {{ bucket?: string, client?: S3Client }} [options]
+ * @returns {BlobStore}
+ */
+function createS3Store(options = {}) {
+  const bucket = options.bucket || BUCKET_NAME;
+  let client = options.client || null;
+
+  function getS3() {
+    if (!client) {
+      const config = {
+        region: process.env.AWS_REGION || 'us-east-1'
+      };
+
+      if (process.env.S3_ENDPOINT) {
+        config.endpoint = process.env.S3_ENDPOINT;
+        config.forcePathStyle = true;
+      }
+
+      client = new S3Client(config);
+    }
+    return client;
+  }
+
+  return {
+    async put(key, body) {
+      await getS3().send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: body,
+        ContentType: 'application/octet-stream'
+      }));
+    },
+
+    async get(key) {
+      try {
+        const result = await getS3().send(new GetObjectCommand({
+          Bucket: bucket,
+          Key: key
+        }));
+        return Buffer.from(await result.Body.transformToByteArray());
+      } catch (error) {
+        if (error.name === 'NoSuchKey') {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    async delete(key) {
+      await getS3().send(new DeleteObjectCommand({
+        Bucket: bucket,
+        Key: key
+      }));
+    }
+  };
+}
+
+/**
+ * Create an in-memory blob store (local development and tests)
+ * @returns {BlobStore}
+ */
+function createMemoryStore() {
+  const blobs = new Map();
+
+  return {
+    async put(key, body) {
+      blobs.set(key, Buffer.from(body));
+    },
+
+    async get(key) {
+      return blobs.has(key) ? Buffer.from(blobs.get(key)) : null;
+    },
+
+    async delete(key) {
+      blobs.delete(key);
+    }
+  };
+}
+
+/**
+ * Create a filesystem blob store (self-hosted deployments)
+ * Each key is a file below dir. Writes go to a temporary file that is then
+ * renamed into place, so a reader never sees a partial blob.
+ * @param {{ dir?: string }} [options]
+ * @returns {BlobStore & { sweep: (maxAgeSeconds: number) => Promise<number> }}
+ */
+function createFileStore(options = {}) {
+  const dir = path.resolve(options.dir || BLOB_DIR);
+
+  function fileFor(key) {
+    const file = path.resolve(dir, key);
+    if (!file.startsWith(dir + path.sep)) {
+      throw new Error(`Invalid blob key: ${key}`);
+    }
+    return file;
+  }
+
+  async function sweepDir(current, cutoffMs) {
+    let removed = 0;
+    const entries = await fs.promises.readdir(current, { withFileTypes: true }).catch((error) => {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    });
+    for (const entry of entries) {
+      const file = path.join(current, entry.name);
+      if (entry.isDirectory()) {
+        removed += await sweepDir(file, cutoffMs);
+      } else if ((await fs.promises.stat(file)).mtimeMs < cutoffMs) {
+        await fs.promises.rm(file, { force: true });
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  return {
+    async put(key, body) {
+      const file = fileFor(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true, mode: 0o700 });
+      const temp = `${file}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+      await fs.promises.writeFile(temp, body, { mode: 0o600 });
+      await fs.promises.rename(temp, file);
+    },
+
+    async get(key) {
+      try {
+        return await fs.promises.readFile(fileFor(key));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    async delete(key) {
+      await fs.promises.rm(fileFor(key), { force: true });
+    },
+
+    /**
+     * Remove blobs older than maxAgeSeconds (the lifecycle rule's job on S3)
+     * @param {number} maxAgeSeconds
+     * @returns {Promise<number>} Files removed
+     */
+    async sweep(maxAgeSeconds) {
+      return sweepDir(dir, Date.now() - maxAgeSeconds * 1000);
+    }
+  };
+}
+
+// Singleton store instance
+let store = null;
+
+/**
+ * Get the configured blob store (singleton)
+ * BLOB_STORE=memory selects the in-memory store and BLOB_STORE=file a
+ * directory (BLOB_DIR); anything else uses S3.
+ * @returns {BlobStore}
+ */
+function getStore() {
+  if (!store) {
+    if (process.env.BLOB_STORE === 'memory') {
+      store = createMemoryStore();
+    } else if (process.env.BLOB_STORE === 'file') {
+      store = createFileStore();
+    } else {
+      store = createS3Store();
+    }
+  }
+  return store;
+}
+
+/**
+ * Replace the store (useful for testing and local stand-ins)
+ * @param {BlobStore|null} replacement - Store to use, or null to reset
+ */
+function setStore(replacement) {
+  store = replacement;
+}
+
+/**
+ * Object key for a secret's ciphertext
+ * @param {string} id - Secret ID
+ * @returns {string}
+ */
+function blobKeyFor(id) {
+  return `${BLOB_KEY_PREFIX}${id}`;
+}
+
+/**
+ * Store a secret's ciphertext
+ * @param {string} key - Blob key (see blobKeyFor)
+ * @param {string} ciphertext - Base64-encoded ciphertext
+ * @returns {Promise<void>}
+ */
+async function putBlob(key, ciphertext) {
+  await getStore().put(key, Buffer.from(ciphertext, 'base64'));
+}
+
+/**
+ * Read a secret's ciphertext
+ * @param {string} key - Blob key
+ * @returns {Promise<string|null>} Base64-encoded ciphertext, or null if missing
+ */
+async function getBlob(key) {
+  const body = await getStore().get(key);
+  return body ? body.toString('base64') : null;
+}
+
+/**
+ * Delete a secret's ciphertext
+ * @param {string} key - Blob key
+ * @returns {Promise<void>}
+ */
+async function deleteBlob(key) {
+  await getStore().delete(key);
+}
+
+/**
+ * Remove blobs past the maximum secret lifetime, for stores that have no
+ * lifecycle rule of their own (see createFileStore)
+ * @param {number} [maxAgeSeconds=BLOB_MAX_AGE_SECONDS]
+ * @returns {Promise<number>} Blobs removed
+ */
+async function sweepBlobs(maxAgeSeconds = BLOB_MAX_AGE_SECONDS) {
+  const current = getStore();
+  return current.sweep ? current.sweep(maxAgeSeconds) : 0;
+}
+
+module.exports = {
+  createS3Store,
+  createMemoryStore,
+  createFileStore,
+  getStore,
+  setStore,
+  blobKeyFor,
+  putBlob,
+  getBlob,
+  deleteBlob,
+  sweepBlobs,
+  BUCKET_NAME,
+  BLOB_MAX_AGE_SECONDS
+};
@@ -0,0 +1,253 @@
+'use strict';
+
+jest.mock('@aws-sdk/client-s3', () => {
+  const mockSend = jest.fn();
+  return {
+    S3Client: jest.fn().mockImplementation(() => ({ send: mockSend })),
+    PutObjectCommand: jest.fn().mockImplementation((params) => ({ type: 'Put', params })),
+    GetObjectCommand: jest.fn().mockImplementation((params) => ({ type: 'Get', params })),
+    DeleteObjectCommand: jest.fn().mockImplementation((params) => ({ type: 'Delete', params })),
+    __mockSend: mockSend
+  };
+});
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { S3Client, __mockSend } = require('@aws-sdk/client-s3');
+const {
+  createS3Store,
+  createMemoryStore,
+  createFileStore,
+  getStore,
+  setStore,
+  blobKeyFor,
+  putBlob,
+  getBlob,
+  deleteBlob,
+  sweepBlobs,
+  BUCKET_NAME,
+  BLOB_MAX_AGE_SECONDS
+} = require('./blobs');
+
+describe('blobs.js', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    setStore(null);
+    delete process.env.BLOB_STORE;
+    delete process.env.S3_ENDPOINT;
+  });
+
+  describe('createS3Store', () => {
+    it('should put objects into the bucket', async () => {
+      __mockSend.mockResolvedValueOnce({});
+      const store = createS3Store({ bucket: 'test-bucket' });
+
+      await store.put('secrets/abc', Buffer.from('data'));
+
+      const call = __mockSend.mock.calls[0][0];
+      expect(call.type).toBe('Put');
+      expect(call.params.Bucket).toBe('test-bucket');
+      expect(call.params.Key).toBe('secrets/abc');
+      expect(call.params.Body).toEqual(Buffer.from('data'));
+    });
+
+    it('should read objects as buffers', async () => {
+      __mockSend.mockResolvedValueOnce({
+        Body: { transformToByteArray: async () => new Uint8Array([1, 2, 3]) }
+      });
+      const store = createS3Store();
+
+      const result = await store.get('secrets/abc');
+
+      expect(result).toEqual(Buffer.from([1, 2, 3]));
+      expect(__mockSend.mock.calls[0][0].params.Bucket).toBe(BUCKET_NAME);
+    });
+
+    it('should return null for missing objects', async () => {
+      const error = new Error('The specified key does not exist.');
+      error.name = 'NoSuchKey';
+      __mockSend.mockRejectedValueOnce(error);
+
+      await expect(createS3Store().get('secrets/missing')).resolves.toBeNull();
+    });
+
+    it('should rethrow other errors', async () => {
+      __mockSend.mockRejectedValueOnce(new Error('Network error'));
+
+      await expect(createS3Store().get('secrets/abc')).rejects.toThrow('Network error');
+    });
+
+    it('should delete objects', async () => {
+      __mockSend.mockResolvedValueOnce({});
+
+      await createS3Store().delete('secrets/abc');
+
+      const call = __mockSend.mock.calls[0][0];
+      expect(call.type).toBe('Delete');
+      expect(call.params.Key).toBe('secrets/abc');
+    });
+
+    it('should use path-style addressing with a custom endpoint', async () => {
+      process.env.S3_ENDPOINT = 'http://localhost:9000';
+      __mockSend.mockResolvedValueOnce({});
+
+      await createS3Store().delete('secrets/abc');
+
+      expect(S3Client).toHaveBeenCalledWith(expect.objectContaining({
+        endpoint: 'http://localhost:9000',
+        forcePathStyle: true
+      }));
+    });
+
+    it('should create the client once', async () => {
+      __mockSend.mockResolvedValue({});
+      const store = createS3Store();
+
+      await store.delete('a');
+      await store.delete('b');
+
+      expect(S3Client).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('createMemoryStore', () => {
+    it('should round-trip bytes', async () => {
+      const store = createMemoryStore();
+
+      await store.put('key', Buffer.from('hello'));
+
+      await expect(store.get('key')).resolves.toEqual(Buffer.from('hello'));
+    });
+
+    it('should return null for missing keys and after delete', async () => {
+      const store = createMemoryStore();
+      await store.put('key', Buffer.from('hello'));
+
+      await store.delete('key');
+
+      await expect(store.get('key')).resolves.toBeNull();
+      await expect(store.get('other')).resolves.toBeNull();
+    });
+
+    it('should not share buffers with callers', async () => {
+      const store = createMemoryStore();
+      const body = Buffer.from('hello');
+      await store.put('key', body);
+
+      body.fill(0);
+      (await store.get('key')).fill(0);
+
+      await expect(store.get('key')).resolves.toEqual(Buffer.from('hello'));
+    });
+  });
+
+  describe('createFileStore', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sealed-blobs-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should round-trip bytes and delete', async () => {
+      const store = createFileStore({ dir });
+
+      await store.put('secrets/abc', Buffer.from('hello'));
+      await expect(store.get('secrets/abc')).resolves.toEqual(Buffer.from('hello'));
+
+      await store.delete('secrets/abc');
+      await store.delete('secrets/abc');
+      await expect(store.get('secrets/abc')).resolves.toBeNull();
+    });
+
+    it('should keep files private to the owner', async () => {
+      const store = createFileStore({ dir });
+
+      await store.put('secrets/abc', Buffer.from('hello'));
+
+      expect(fs.statSync(path.join(dir, 'secrets', 'abc')).mode & 0o077).toBe(0);
+      expect(fs.readdirSync(path.join(dir, 'secrets'))).toEqual(['abc']);
+    });
+
+    it('should reject keys outside the directory', async () => {
+      const store = createFileStore({ dir });
+
+      await expect(store.put('../escape', Buffer.from('x'))).rejects.toThrow('Invalid blob key');
+      await expect(store.get('/etc/passwd')).rejects.toThrow('Invalid blob key');
+    });
+
+    it('should sweep only blobs older than the maximum age', async () => {
+      const store = createFileStore({ dir });
+      await store.put('secrets/old', Buffer.from('old'));
+      await store.put('secrets/new', Buffer.from('new'));
+      const past = new Date(Date.now() - (BLOB_MAX_AGE_SECONDS + 60) * 1000);
+      fs.utimesSync(path.join(dir, 'secrets', 'old'), past, past);
+
+      setStore(store);
+      await expect(sweepBlobs()).resolves.toBe(1);
+
+      await expect(store.get('secrets/old')).resolves.toBeNull();
+      await expect(store.get('secrets/new')).resolves.toEqual(Buffer.from('new'));
+    });
+
+    it('should sweep a directory that does not exist yet', async () => {
+      await expect(createFileStore({ dir: path.join(dir, 'missing') }).sweep(60)).resolves.toBe(0);
+    });
+  });
+
+  describe('getStore', () => {
+    it('should use the memory store when configured', async () => {
+      process.env.BLOB_STORE = 'memory';
+
+      await getStore().put('key', Buffer.from('x'));
+
+      expect(__mockSend).not.toHaveBeenCalled();
+      expect(getStore()).toBe(getStore());
+    });
+
+    it('should use the file store when configured', () => {
+      process.env.BLOB_STORE = 'file';
+
+      expect(getStore().sweep).toEqual(expect.any(Function));
+    });
+
+    it('should default to S3', async () => {
+      __mockSend.mockResolvedValueOnce({});
+
+      await getStore().delete('key');
+
+      expect(__mockSend).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('secret blobs', () => {
+    beforeEach(() => {
+      setStore(createMemoryStore());
+    });
+
+    it('should key blobs by secret ID', () => {
+      expect(blobKeyFor('Ab3dEf6hIj9kLmNoPqRs12')).toBe('secrets/Ab3dEf6hIj9kLmNoPqRs12');
+    });
+
+    it('should store base64 ciphertext as raw bytes', async () => {
+      const ciphertext = Buffer.from('encrypted bytes').toString('base64');
+
+      await putBlob('secrets/abc', ciphertext);
+
+      await expect(getStore().get('secrets/abc')).resolves.toEqual(Buffer.from('encrypted bytes'));
+      await expect(getBlob('secrets/abc')).resolves.toBe(ciphertext);
+    });
+
+    it('should return null after delete', async () => {
+      await putBlob('secrets/abc', 'AAAA');
+
+      await deleteBlob('secrets/abc');
+
+      await expect(getBlob('secrets/abc')).resolves.toBeNull();
+    });
+  });
+});
@@ -0,0 +1,181 @@
+'use strict';
+
+const crypto = require('crypto');
+const storage = require('./storage');
+const { getSourceIp, ipPrefix, prefixKey } = require('./network');
+const { DEFAULT_POW_DIFFICULTY } = require('./token');
+const { ALG_SHA256, ALG_SCRYPT } = require('./pow');
+
+// Default policy (overridable via environment)
+// A scrypt evaluation costs thousands of SHA-256 hashes, so its bounds are lower.
+const DEFAULT_BOUNDS = {
+  [ALG_SHA256]: { floor: DEFAULT_POW_DIFFICULTY, ceiling: 26 },
+  [ALG_SCRYPT]: { floor: 6, ceiling: 14 }
+};
+const DEFAULT_WINDOW_SECONDS = 60;
+const DEFAULT_PREFIX_THRESHOLD = 20;   // tokens per window per IP prefix
+const DEFAULT_GLOBAL_THRESHOLD = 1000; // tokens per window across all callers
+// Every issuance hits the global counter, so its writes are spread over
+// this many items to keep any one partition from running hot
+const GLOBAL_COUNTER_SHARDS = 8;
+
+/**
+ * @typedef {object} DifficultyPolicy
+ * @property {number} floor - Minimum difficulty (used when there is no pressure)
+ * @property {number} ceiling - Maximum difficulty
+ * @property {number} windowSeconds - Sliding window length
+ * @property {number} prefixThreshold - Issuance rate per IP prefix before difficulty rises
+ * @property {number} globalThreshold - Global issuance rate before difficulty rises
+ */
+
+/**
+ * Read a positive integer from the environment
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Value to use when unset or invalid
+ * @returns {number}
+ */
+function readIntEnv(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isInteger(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Load the difficulty policy from the environment
+ * @param {string} [alg='sha256'] - PoW algorithm the policy applies to
+ * @returns {DifficultyPolicy}
+ */
+function getPolicy(alg = ALG_SHA256) {
+  const bounds = DEFAULT_BOUNDS[alg] || DEFAULT_BOUNDS[ALG_SHA256];
+  const floor = readIntEnv('POW_DIFFICULTY_MIN', bounds.floor);
+  const ceiling = Math.max(floor, readIntEnv('POW_DIFFICULTY_MAX', bounds.ceiling));
+
+  return {
+    floor,
+    ceiling,
+    windowSeconds: readIntEnv('POW_RATE_WINDOW_SECONDS', DEFAULT_WINDOW_SECONDS),
+    prefixThreshold: readIntEnv('POW_PREFIX_RATE_THRESHOLD', DEFAULT_PREFIX_THRESHOLD),
+    globalThreshold: readIntEnv('POW_GLOBAL_RATE_THRESHOLD', DEFAULT_GLOBAL_THRESHOLD)
+  };
+}
+
+/**
+ * Estimate the rate over a sliding window from two fixed windows
+ * The previous window's count is weighted by how much of it still overlaps
+ * the sliding window ending now.
+ * @param {number} previous - Count in the previous fixed window
+ * @param {number} current - Count in the current fixed window
+ * @param {number} elapsedFraction - Fraction of the current window elapsed (0 to 1)
+ * @returns {number} Estimated events per window
+ */
+function slidingWindowRate(previous, current, elapsedFraction) {
+  return previous * (1 - elapsedFraction) + current;
+}
+
+/**
+ * Extra difficulty bits for a rate over its threshold
+ * Each extra bit doubles the expected work, so one bit is added per doubling
+ * of the rate over the threshold.
+ * @param {number} rate - Observed rate
+ * @param {number} threshold - Rate at which difficulty starts to rise
+ * @returns {number} Extra bits (0 when at or under threshold)
+ */
+function extraBits(rate, threshold) {
+  if (rate <= threshold) {
+    return 0;
+  }
+  return Math.ceil(Math.log2(rate / threshold));
+}
+
+/**
+ * Compute difficulty from observed rates
+ * @param {{ prefixRate: number, globalRate: number }} rates - Sliding window rates
+ * @param {DifficultyPolicy} policy - Difficulty policy
+ * @returns {number} Difficulty clamped to [floor, ceiling]
+ */
+function difficultyForRates(rates, policy) {
+  const extra = Math.max(
+    extraBits(rates.prefixRate, policy.prefixThreshold),
+    extraBits(rates.globalRate, policy.globalThreshold)
+  );
+  return Math.min(policy.ceiling, Math.max(policy.floor, policy.floor + extra));
+}
+
+/**
+ * Record an issuance against a counter and return its sliding window rate
+ * A sharded counter is kept as `name:0` to `name:<shards - 1>`: each
+ * issuance increments one shard at random, and the rate sums them all.
+ * @param {string} name - Counter name (without window suffix)
+ * @param {number} now - Current Unix timestamp
+ * @param {number} windowSeconds - Window length
+ * @param {number} [shards=1] - Number of shards
+ * @returns {Promise<number>}
+ */
+async function recordAndMeasure(name, now, windowSeconds, shards = 1) {
+  const windowIndex = Math.floor(now / windowSeconds);
+  const elapsedFraction = (now % windowSeconds) / windowSeconds;
+  // Keep each window long enough to serve as the "previous" window
+  const expiresAt = (windowIndex + 2) * windowSeconds;
+
+  const names = shards > 1 ? Array.from({ length: shards }, (_, i) => `${name}:${i}`) : [name];
+  const written = crypto.randomInt(names.length);
+  const counts = await Promise.all(names.flatMap((shard, i) => [
+    i === written
+      ? storage.incrementCounter(`${shard}#${windowIndex}`, expiresAt)
+      : storage.getCounter(`${shard}#${windowIndex}`),
+    storage.getCounter(`${shard}#${windowIndex - 1}`)
+  ]));
+
+  let current = 0;
+  let previous = 0;
+  for (let i = 0; i < counts.length; i += 2) {
+    current += counts[i];
+    previous += counts[i + 1];
+  }
+  return slidingWindowRate(previous, current, elapsedFraction);
+}
+
+/**
+ * Record a token issuance and choose the PoW difficulty for it
+ * Falls back to the policy floor if the counters cannot be reached, so token
+ * issuance never depends on counter availability.
+ * @param {object} event - API Gateway HTTP API event (for the source IP)
+ * @param {string} [alg='sha256'] - PoW algorithm the token will use
+ * @returns {Promise<number>} PoW difficulty for the new token
+ */
+async function getAdaptiveDifficulty(event, alg = ALG_SHA256) {
+  const policy = getPolicy(alg);
+  const now = Math.floor(Date.now() / 1000);
+  const prefix = ipPrefix(getSourceIp(event));
+
+  try {
+    // Keyed before any counter is touched, so a missing key fails the lot
+    const prefixCounter = prefix ? `pow:prefix:${prefixKey(prefix)}` : null;
+    const [globalRate, prefixRate] = await Promise.all([
+      recordAndMeasure('pow:global', now, policy.windowSeconds, GLOBAL_COUNTER_SHARDS),
+      prefixCounter ? recordAndMeasure(prefixCounter, now, policy.windowSeconds) : Promise.resolve(0)
+    ]);
+
+    return difficultyForRates({ prefixRate, globalRate }, policy);
+  } catch (error) {
+    console.error('Error reading issuance counters:', error.message);
+    return policy.floor;
+  }
+}
+
+module.exports = {
+  getAdaptiveDifficulty,
+  getPolicy,
+  difficultyForRates,
+  // For testing
+  _internal: {
+    readIntEnv,
+    slidingWindowRate,
+    extraBits,
+    recordAndMeasure,
+    DEFAULT_BOUNDS,
+    DEFAULT_WINDOW_SECONDS,
+    DEFAULT_PREFIX_THRESHOLD,
+    DEFAULT_GLOBAL_THRESHOLD,
+    GLOBAL_COUNTER_SHARDS
+  }
+};
@@ -0,0 +1,282 @@
+'use strict';
+
+jest.mock('./storage', () => ({
+  incrementCounter: jest.fn(),
+  getCounter: jest.fn()
+}));
+
+const storage = require('./storage');
+const {
+  getAdaptiveDifficulty,
+  getPolicy,
+  difficultyForRates,
+  _internal
+} = require('./difficulty');
+const { DEFAULT_POW_DIFFICULTY } = require('./token');
+
+const { slidingWindowRate, extraBits, readIntEnv } = _internal;
+
+const POLICY_ENV = [
+  'POW_DIFFICULTY_MIN',
+  'POW_DIFFICULTY_MAX',
+  'POW_RATE_WINDOW_SECONDS',
+  'POW_PREFIX_RATE_THRESHOLD',
+  'POW_GLOBAL_RATE_THRESHOLD'
+];
+
+function eventFrom(sourceIp) {
+  return { requestContext: { http: { sourceIp } } };
+}
+
+describe('difficulty.js', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    POLICY_ENV.forEach((name) => delete process.env[name]);
+    process.env.RATE_LIMIT_SECRET = 'rate-limit-secret';
+  });
+
+  afterAll(() => {
+    POLICY_ENV.forEach((name) => delete process.env[name]);
+    delete process.env.RATE_LIMIT_SECRET;
+  });
+
+  describe('getPolicy', () => {
+    it('should default the floor to the standard difficulty', () => {
+      const policy = getPolicy();
+
+      expect(policy.floor).toBe(DEFAULT_POW_DIFFICULTY);
+      expect(policy.ceiling).toBe(_internal.DEFAULT_BOUNDS.sha256.ceiling);
+      expect(policy.windowSeconds).toBe(_internal.DEFAULT_WINDOW_SECONDS);
+      expect(policy.prefixThreshold).toBe(_internal.DEFAULT_PREFIX_THRESHOLD);
+      expect(policy.globalThreshold).toBe(_internal.DEFAULT_GLOBAL_THRESHOLD);
+    });
+
+    it('should use lower default bounds for scrypt', () => {
+      const policy = getPolicy('scrypt');
+
+      expect(policy.floor).toBe(_internal.DEFAULT_BOUNDS.scrypt.floor);
+      expect(policy.ceiling).toBe(_internal.DEFAULT_BOUNDS.scrypt.ceiling);
+      expect(policy.floor).toBeLessThan(DEFAULT_POW_DIFFICULTY);
+    });
+
+    it('should read bounds and thresholds from the environment', () => {
+      process.env.POW_DIFFICULTY_MIN = '16';
+      process.env.POW_DIFFICULTY_MAX = '22';
+      process.env.POW_RATE_WINDOW_SECONDS = '30';
+      process.env.POW_PREFIX_RATE_THRESHOLD = '5';
+      process.env.POW_GLOBAL_RATE_THRESHOLD = '100';
+
+      expect(getPolicy()).toEqual({
+        floor: 16,
+        ceiling: 22,
+        windowSeconds: 30,
+        prefixThreshold: 5,
+        globalThreshold: 100
+      });
+    });
+
+    it('should never let the ceiling fall below the floor', () => {
+      process.env.POW_DIFFICULTY_MIN = '20';
+      process.env.POW_DIFFICULTY_MAX = '18';
+
+      expect(getPolicy().ceiling).toBe(20);
+    });
+  });
+
+  describe('readIntEnv', () => {
+    it('should fall back for missing, non-integer and non-positive values', () => {
+      expect(readIntEnv('POW_DIFFICULTY_MIN', 7)).toBe(7);
+      process.env.POW_DIFFICULTY_MIN = 'abc';
+      expect(readIntEnv('POW_DIFFICULTY_MIN', 7)).toBe(7);
+      process.env.POW_DIFFICULTY_MIN = '1.5';
+      expect(readIntEnv('POW_DIFFICULTY_MIN', 7)).toBe(7);
+      process.env.POW_DIFFICULTY_MIN = '0';
+      expect(readIntEnv('POW_DIFFICULTY_MIN', 7)).toBe(7);
+    });
+  });
+
+  describe('slidingWindowRate', () => {
+    it('should weight the previous window by its remaining overlap', () => {
+      expect(slidingWindowRate(100, 10, 0)).toBe(110);
+      expect(slidingWindowRate(100, 10, 0.25)).toBe(85);
+      expect(slidingWindowRate(100, 10, 1)).toBe(10);
+    });
+  });
+
+  describe('extraBits', () => {
+    it('should add nothing at or under the threshold', () => {
+      expect(extraBits(0, 20)).toBe(0);
+      expect(extraBits(20, 20)).toBe(0);
+    });
+
+    it('should add one bit per doubling over the threshold', () => {
+      expect(extraBits(21, 20)).toBe(1);
+      expect(extraBits(40, 20)).toBe(1);
+      expect(extraBits(41, 20)).toBe(2);
+      expect(extraBits(160, 20)).toBe(3);
+    });
+  });
+
+  describe('difficultyForRates', () => {
+    const policy = {
+      floor: 18,
+      ceiling: 24,
+      windowSeconds: 60,
+      prefixThreshold: 20,
+      globalThreshold: 1000
+    };
+
+    it('should return the floor with no pressure', () => {
+      expect(difficultyForRates({ prefixRate: 1, globalRate: 50 }, policy)).toBe(18);
+    });
+
+    it('should rise with per-prefix pressure', () => {
+      expect(difficultyForRates({ prefixRate: 80, globalRate: 80 }, policy)).toBe(20);
+    });
+
+    it('should rise with global pressure', () => {
+      expect(difficultyForRates({ prefixRate: 1, globalRate: 4000 }, policy)).toBe(20);
+    });
+
+    it('should use the larger of the two adjustments', () => {
+      expect(difficultyForRates({ prefixRate: 160, globalRate: 2000 }, policy)).toBe(21);
+    });
+
+    it('should be capped at the ceiling', () => {
+      expect(difficultyForRates({ prefixRate: 1e9, globalRate: 1e9 }, policy)).toBe(24);
+    });
+  });
+
+  describe('getAdaptiveDifficulty', () => {
+    it('should record the issuance globally and per prefix', async () => {
+      storage.incrementCounter.mockResolvedValue(1);
+      storage.getCounter.mockResolvedValue(0);
+
+      await getAdaptiveDifficulty(eventFrom('203.0.113.7'));
+
+      expect(storage.incrementCounter).toHaveBeenCalledTimes(2);
+      const ids = storage.incrementCounter.mock.calls.map(([id]) => id);
+      expect(ids.some((id) => /^pow:global:\d+#/.test(id))).toBe(true);
+      expect(ids.some((id) => id.startsWith('pow:prefix:'))).toBe(true);
+    });
+
+    it('should not store the raw source IP', async () => {
+      storage.incrementCounter.mockResolvedValue(1);
+      storage.getCounter.mockResolvedValue(0);
+
+      await getAdaptiveDifficulty(eventFrom('203.0.113.7'));
+
+      const ids = [
+        ...storage.incrementCounter.mock.calls.map(([id]) => id),
+        ...storage.getCounter.mock.calls.map(([id]) => id)
+      ];
+      ids.forEach((id) => expect(id).not.toContain('203.0.113'));
+    });
+
+    it('should read the previous window for each counter', async () => {
+      storage.incrementCounter.mockResolvedValue(1);
+      storage.getCounter.mockResolvedValue(0);
+
+      await getAdaptiveDifficulty(eventFrom('203.0.113.7'));
+
+      const [incrementId] = storage.incrementCounter.mock.calls[0];
+      const [name, window] = incrementId.split('#');
+      expect(storage.getCounter).toHaveBeenCalledWith(`${name}#${Number(window) - 1}`);
+    });
+
+    it('should spread global writes over shards and sum them on read', async () => {
+      const { GLOBAL_COUNTER_SHARDS } = _internal;
+      storage.incrementCounter.mockResolvedValue(1);
+      storage.getCounter.mockResolvedValue(1000);
+
+      for (let i = 0; i < 50; i++) {
+        await getAdaptiveDifficulty({});
+      }
+
+      const written = new Set(storage.incrementCounter.mock.calls.map(([id]) => id.split('#')[0]));
+      expect(written.size).toBeGreaterThan(1);
+      expect(storage.getCounter).toHaveBeenCalledTimes(50 * (2 * GLOBAL_COUNTER_SHARDS - 1));
+      // Every shard at 1000 reads as a global rate far over the threshold
+      await expect(getAdaptiveDifficulty({})).resolves.toBeGreaterThan(DEFAULT_POW_DIFFICULTY);
+    });
+
+    it('should set counter expiry two windows ahead', async () => {
+      storage.incrementCounter.mockResolvedValue(1);
+      storage.getCounter.mockResolvedValue(0);
+
+      await getAdaptiveDifficulty(eventFrom('203.0.113.7'));
+
+      const [id, expiresAt] = storage.incrementCounter.mock.calls[0];
+      const window = Number(id.split('#')[1]);
+      expect(expiresAt).toBe((window + 2) * _internal.DEFAULT_WINDOW_SECONDS);
+    });
+
+    it('should return the floor under normal load', async () => {
+      storage.incrementCounter.mockResolvedValue(1);
+      storage.getCounter.mockResolvedValue(0);
+
+      await expect(getAdaptiveDifficulty(eventFrom('203.0.113.7')))
+        .resolves.toBe(DEFAULT_POW_DIFFICULTY);
+    });
+
+    it('should raise difficulty for a busy prefix', async () => {
+      storage.incrementCounter.mockResolvedValue(200);
+      storage.getCounter.mockResolvedValue(0);
+
+      const result = await getAdaptiveDifficulty(eventFrom('203.0.113.7'));
+
+      expect(result).toBeGreaterThan(DEFAULT_POW_DIFFICULTY);
+    });
+
+    it('should lower difficulty again once pressure subsides', async () => {
+      storage.incrementCounter.mockResolvedValueOnce(5000).mockResolvedValueOnce(5000);
+      storage.getCounter.mockResolvedValue(0);
+      const busy = await getAdaptiveDifficulty(eventFrom('203.0.113.7'));
+
+      storage.incrementCounter.mockResolvedValue(1);
+      const quiet = await getAdaptiveDifficulty(eventFrom('203.0.113.7'));
+
+      expect(busy).toBeGreaterThan(quiet);
+      expect(quiet).toBe(DEFAULT_POW_DIFFICULTY);
+    });
+
+    it('should only use the global counter without a source IP', async () => {
+      storage.incrementCounter.mockResolvedValue(1);
+      storage.getCounter.mockResolvedValue(0);
+
+      await getAdaptiveDifficulty({});
+
+      expect(storage.incrementCounter).toHaveBeenCalledTimes(1);
+      expect(storage.incrementCounter.mock.calls[0][0]).toMatch(/^pow:global:\d+#/);
+    });
+
+    it('should respect configured bounds', async () => {
+      process.env.POW_DIFFICULTY_MIN = '12';
+      process.env.POW_DIFFICULTY_MAX = '14';
+      storage.incrementCounter.mockResolvedValue(1e6);
+      storage.getCounter.mockResolvedValue(1e6);
+
+      await expect(getAdaptiveDifficulty(eventFrom('203.0.113.7'))).resolves.toBe(14);
+    });
+
+    it('should use the bounds of the requested algorithm', async () => {
+      storage.incrementCounter.mockResolvedValue(1);
+      storage.getCounter.mockResolvedValue(0);
+
+      await expect(getAdaptiveDifficulty(eventFrom('203.0.113.7'), 'scrypt'))
+        .resolves.toBe(_internal.DEFAULT_BOUNDS.scrypt.floor);
+    });
+
+    it('should fall back to the floor when counters are unavailable', async () => {
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      storage.incrementCounter.mockRejectedValue(new Error('Network error'));
+      storage.getCounter.mockResolvedValue(0);
+
+      await expect(getAdaptiveDifficulty(eventFrom('203.0.113.7')))
+        .resolves.toBe(DEFAULT_POW_DIFFICULTY);
+      expect(consoleSpy).toHaveBeenCalled();
+
+      consoleSpy.mockRestore();
+    });
+  });
+});
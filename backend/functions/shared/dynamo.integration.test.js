@@ -0,0 +1,106 @@
+'use strict';
+
+/**
+ * Integration tests against DynamoDB Local
+ *
+ * Skipped unless DYNAMODB_ENDPOINT is set, e.g.:
+ *   docker run -p 8000:8000 amazon/dynamodb-local
+ *   DYNAMODB_ENDPOINT=http://localhost:8000 npx jest dynamo.integration
+ */
+
+const crypto = require('crypto');
+const {
+  DynamoDBClient,
+  CreateTableCommand,
+  DescribeTableCommand
+} = require('@aws-sdk/client-dynamodb');
+
+const describeIfLocal = process.env.DYNAMODB_ENDPOINT ? describe : describe.skip;
+
+function secret() {
+  const now = Math.floor(Date.now() / 1000);
+  return {
+    id: crypto.randomBytes(16).toString('base64url').slice(0, 22),
+    ciphertext: 'Y2lwaGVydGV4dA==',
+    iv: 'AQEBAQEBAQEBAQEB',
+    salt: null,
+    passphraseProtected: false,
+    remainingViews: 1,
+    burnToken: 'b'.repeat(32),
+    createdAt: now,
+    expiresAt: now + 3600
+  };
+}
+
+describeIfLocal('dynamo.js (DynamoDB Local)', () => {
+  let dynamo;
+
+  beforeAll(async () => {
+    // DynamoDB Local requires credentials but does not validate them
+    process.env.AWS_ACCESS_KEY_ID = process.env.AWS_ACCESS_KEY_ID || 'local';
+    process.env.AWS_SECRET_ACCESS_KEY = process.env.AWS_SECRET_ACCESS_KEY || 'local';
+
+    dynamo = require('./dynamo');
+
+    const client = new DynamoDBClient({
+      region: process.env.AWS_REGION || 'us-east-1',
+      endpoint: process.env.DYNAMODB_ENDPOINT
+    });
+
+    const tables = [
+      [dynamo._internal.USED_TOKENS_TABLE, 'jti'],
+      [dynamo._internal.TABLE_NAME, 'id']
+    ];
+    for (const [TableName, key] of tables) {
+      try {
+        await client.send(new DescribeTableCommand({ TableName }));
+      } catch (error) {
+        if (error.name !== 'ResourceNotFoundException') {
+          throw error;
+        }
+        await client.send(new CreateTableCommand({
+          TableName,
+          AttributeDefinitions: [{ AttributeName: key, AttributeType: 'S' }],
+          KeySchema: [{ AttributeName: key, KeyType: 'HASH' }],
+          BillingMode: 'PAY_PER_REQUEST'
+        }));
+      }
+    }
+  });
+
+  describe('putSecretConsumingToken', () => {
+    it('should accept the first use of a token', async () => {
+      const jti = crypto.randomUUID();
+      const stored = secret();
+
+      await expect(dynamo.putSecretConsumingToken(stored, jti)).resolves.toBe(dynamo.PUT_CREATED);
+      await expect(dynamo.isTokenUsed(jti)).resolves.toBe(true);
+    });
+
+    it('should reject a second sequential use of the same token', async () => {
+      const jti = crypto.randomUUID();
+
+      await expect(dynamo.putSecretConsumingToken(secret(), jti)).resolves.toBe(dynamo.PUT_CREATED);
+      await expect(dynamo.putSecretConsumingToken(secret(), jti)).resolves.toBe(dynamo.PUT_TOKEN_USED);
+    });
+
+    it('should allow exactly one of many concurrent uses of the same token', async () => {
+      const jti = crypto.randomUUID();
+
+      const results = await Promise.all(
+        Array.from({ length: 10 }, () => dynamo.putSecretConsumingToken(secret(), jti))
+      );
+
+      expect(results.filter((outcome) => outcome === dynamo.PUT_CREATED)).toHaveLength(1);
+    });
+
+    it('should leave the token unused when the ID is taken', async () => {
+      const stored = secret();
+      await dynamo.putSecretConsumingToken(stored, crypto.randomUUID());
+      const jti = crypto.randomUUID();
+
+      await expect(dynamo.putSecretConsumingToken({ ...secret(), id: stored.id }, jti)).resolves.toBe(dynamo.PUT_ID_EXISTS);
+      await expect(dynamo.isTokenUsed(jti)).resolves.toBe(false);
+    });
+  });
+});
@@ -6,12 +6,27 @@ const {
   GetCommand,
   PutCommand,
   DeleteCommand,
-  UpdateCommand
+  UpdateCommand,
+  TransactWriteCommand
 } = require('@aws-sdk/lib-dynamodb');
+const { TOKEN_TTL_SECONDS } = require('./token');
+const { createMemoryClient } = require('./memory-dynamo');
+const {
+  buildSecretItem,
+  isWithinIdempotencyWindow,
+  isExpired,
+  PUT_CREATED,
+  PUT_TOKEN_USED,
+  PUT_ID_EXISTS,
+  IDEMPOTENCY_WINDOW_SECONDS
+} = require('./storage');
 
 // Configuration
 const TABLE_NAME = process.env.DYNAMODB_TABLE || 'sealed-secrets';
-const IDEMPOTENCY_WINDOW_SECONDS = 30;
+const USED_TOKENS_TABLE = process.env.USED_TOKENS_TABLE || 'sealed-used-tokens';
+const COUNTERS_TABLE = process.env.COUNTERS_TABLE || 'sealed-counters';
+const REQUESTS_TABLE = process.env.REQUESTS_TABLE || 'sealed-requests';
+const NOTIFICATIONS_TABLE = process.env.NOTIFICATIONS_TABLE || 'sealed-notifications';
 
 /**
  * Create DynamoDB client with optional local endpoint
@@ -40,11 +55,22 @@ let docClient = null;
 
 /**
  * Get the DynamoDB document client (singleton)
+ * DYNAMODB_STORE=memory selects the in-memory client; anything else uses DynamoDB.
  * @returns {DynamoDBDocumentClient}
  */
 function getClient() {
   if (!docClient) {
-    docClient = createClient();
+    docClient = process.env.DYNAMODB_STORE === 'memory'
+      ? createMemoryClient({
+        keys: {
+          [TABLE_NAME]: 'id',
+          [USED_TOKENS_TABLE]: 'jti',
+          [COUNTERS_TABLE]: 'id',
+          [REQUESTS_TABLE]: 'id',
+          [NOTIFICATIONS_TABLE]: 'id'
+        }
+      })
+      : createClient();
   }
   return docClient;
 }
@@ -66,7 +92,9 @@ async function getSecret(id) {
   
   const result = await client.send(new GetCommand({
     TableName: TABLE_NAME,
-    Key: { id }
+    Key: { id },
+    // Idempotent re-fetches must see the access token written moments ago
+    ConsistentRead: true
   }));
 
   return result.Item || null;
@@ -76,11 +104,18 @@ async function getSecret(id) {
  * Store a new secret
  * @param {object} secret - Secret object to store
  * @param {string} secret.id - Secret identifier
- * @param {string} secret.ciphertext - Base64-encoded encrypted payload
+ * @param {string} [secret.ciphertext] - Base64-encoded encrypted payload (omitted when stored as a blob)
+ * @param {string} [secret.blobKey] - Blob store key holding the ciphertext (file secrets)
  * @param {string} secret.iv - Base64-encoded initialization vector
  * @param {string|null} secret.salt - Base64-encoded salt or null
+ * @param {string} [secret.commitment] - Base64-encoded key commitment tag
+ * @param {number} [secret.version] - Envelope version (absent for legacy payloads)
+ * @param {string} [secret.cipher] - Cipher identifier (versioned envelopes)
+ * @param {object|null} [secret.kdf] - Passphrase KDF descriptor (versioned envelopes)
  * @param {boolean} secret.passphraseProtected - Whether passphrase is required
  * @param {number} secret.remainingViews - Number of views remaining
+ * @param {number} [secret.maxViews] - Views the secret was created with
+ * @param {string} [secret.keyFragment] - Wrapped key fragment (secrets that fill a request)
  * @param {string} secret.burnToken - Token for early deletion
  * @param {number} secret.createdAt - Unix timestamp
  * @param {number} secret.expiresAt - Unix timestamp for TTL
@@ -90,29 +125,75 @@ async function getSecret(id) {
 async function putSecret(secret) {
   const client = getClient();
 
-  const item = {
-    id: secret.id,
-    ciphertext: secret.ciphertext,
-    iv: secret.iv,
-    passphraseProtected: secret.passphraseProtected,
-    remainingViews: secret.remainingViews,
-    burnToken: secret.burnToken,
-    createdAt: secret.createdAt,
-    expiresAt: secret.expiresAt
-  };
-
-  // Only include salt if present (passphrase-protected secrets)
-  if (secret.salt) {
-    item.salt = secret.salt;
-  }
-
   await client.send(new PutCommand({
     TableName: TABLE_NAME,
-    Item: item,
+    Item: buildSecretItem(secret),
     ConditionExpression: 'attribute_not_exists(id)'
   }));
 }
 
+/**
+ * Put an item and record a token ID in the replay ledger in one transaction
+ * @param {string} tableName - Table to put the item in (keyed by id)
+ * @param {object} item - Item to store
+ * @param {string} jti - Unique token ID from the JWT
+ * @returns {Promise<'created'|'token_used'|'id_exists'>}
+ */
+async function putConsumingToken(tableName, item, jti) {
+  const client = getClient();
+  const now = Math.floor(Date.now() / 1000);
+
+  try {
+    await client.send(new TransactWriteCommand({
+      TransactItems: [
+        {
+          Put: {
+            TableName: USED_TOKENS_TABLE,
+            Item: {
+              jti,
+              expiresAt: now + TOKEN_TTL_SECONDS
+            },
+            ConditionExpression: 'attribute_not_exists(jti)'
+          }
+        },
+        {
+          Put: {
+            TableName: tableName,
+            Item: item,
+            ConditionExpression: 'attribute_not_exists(id)'
+          }
+        }
+      ]
+    }));
+    return PUT_CREATED;
+  } catch (error) {
+    if (error.name === 'TransactionCanceledException') {
+      // Reasons are reported per item, in TransactItems order
+      const [ledger, stored] = (error.CancellationReasons || []).map((reason) => reason && reason.Code);
+      if (ledger === 'ConditionalCheckFailed') {
+        return PUT_TOKEN_USED;
+      }
+      if (stored === 'ConditionalCheckFailed') {
+        return PUT_ID_EXISTS;
+      }
+    }
+    throw error;
+  }
+}
+
+/**
+ * Store a new secret and consume its create token in one transaction
+ * Either both writes happen or neither does: a token is never burned
+ * without its secret being stored, and a secret is never stored with a
+ * token that was already used.
+ * @param {object} secret - Secret object to store (see putSecret)
+ * @param {string} jti - Unique token ID from the JWT
+ * @returns {Promise<'created'|'token_used'|'id_exists'>} Outcome; on 'id_exists' the caller should retry with a new ID
+ */
+async function putSecretConsumingToken(secret, jti) {
+  return putConsumingToken(TABLE_NAME, buildSecretItem(secret), jti);
+}
+
 /**
  * Delete a secret by ID
  * @param {string} id - Secret identifier
@@ -129,6 +210,7 @@ async function deleteSecret(id) {
 
 /**
  * Decrement remaining views and optionally update access tracking
+ * @deprecated Use claimView, which returns the secret from the same update
  * @param {string} id - Secret identifier
  * @param {string} [accessToken] - Optional access token for idempotency tracking
  * @returns {Promise<{remaining: number, deleted: boolean}>}
@@ -183,6 +265,71 @@ async function decrementViews(id, accessToken) {
   }
 }
 
+/**
+ * Claim one view of a secret and return it
+ * The decrement is a single conditional update that also returns the item,
+ * so two concurrent readers can never be served the same last view. When
+ * that was the last view the item stays behind for the idempotency window,
+ * so its reader can re-fetch it, and then expires via TTL. A failed expiry
+ * update is harmless: a secret with no views left can no longer be claimed,
+ * and re-fetch is bounded by the window whatever expiresAt says.
+ * @param {string} id - Secret identifier
+ * @param {string} accessToken - New access token for idempotent re-fetches
+ * @returns {Promise<{secret: object, consumed: boolean}|null>} Secret as stored after the claim, or null if missing, expired or consumed
+ */
+async function claimView(id, accessToken) {
+  const client = getClient();
+  const now = Math.floor(Date.now() / 1000);
+
+  let secret;
+  try {
+    const result = await client.send(new UpdateCommand({
+      TableName: TABLE_NAME,
+      Key: { id },
+      UpdateExpression: 'SET remainingViews = remainingViews - :one, lastAccessAt = :now, lastAccessToken = :token',
+      ConditionExpression: 'remainingViews > :zero AND expiresAt > :now',
+      ExpressionAttributeValues: {
+        ':one': 1,
+        ':zero': 0,
+        ':now': now,
+        ':token': accessToken
+      },
+      ReturnValues: 'ALL_NEW'
+    }));
+    secret = result.Attributes;
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return null;
+    }
+    throw error;
+  }
+
+  if (secret.remainingViews > 0) {
+    return { secret, consumed: false };
+  }
+
+  // The view is already ours: a throttled update, or one that loses to the
+  // TTL sweep, must not keep the secret from its reader
+  try {
+    await client.send(new UpdateCommand({
+      TableName: TABLE_NAME,
+      Key: { id },
+      UpdateExpression: 'SET expiresAt = :until',
+      ConditionExpression: 'remainingViews <= :zero AND expiresAt > :until',
+      ExpressionAttributeValues: {
+        ':zero': 0,
+        ':until': now + IDEMPOTENCY_WINDOW_SECONDS
+      }
+    }));
+  } catch (error) {
+    if (error.name !== 'ConditionalCheckFailedException') {
+      console.error('Error expiring consumed secret:', error.message);
+    }
+  }
+
+  return { secret, consumed: true };
+}
+
 /**
  * Conditionally delete a secret if burn token matches
  * @param {string} id - Secret identifier
@@ -233,50 +380,244 @@ async function updateAccessToken(id, accessToken, accessTime) {
 }
 
 /**
- * Check if request is within idempotency window
- * @param {object} secret - Secret object with lastAccessAt and lastAccessToken
- * @param {string} providedToken - Token provided by client
- * @returns {boolean} True if within idempotency window with matching token
+ * Check whether a token is in the replay ledger
+ * @param {string} jti - Unique token ID from the JWT
+ * @returns {Promise<boolean>} True if the token was already used
  */
-function isWithinIdempotencyWindow(secret, providedToken) {
-  if (!secret.lastAccessToken || !secret.lastAccessAt || !providedToken) {
-    return false;
-  }
+async function isTokenUsed(jti) {
+  const result = await getClient().send(new GetCommand({
+    TableName: USED_TOKENS_TABLE,
+    Key: { jti },
+    ConsistentRead: true
+  }));
 
-  const now = Math.floor(Date.now() / 1000);
-  const timeSinceAccess = now - secret.lastAccessAt;
+  return Boolean(result.Item);
+}
 
-  return (
-    secret.lastAccessToken === providedToken &&
-    timeSinceAccess < IDEMPOTENCY_WINDOW_SECONDS
-  );
+/**
+ * Queue a view notification. The table's stream hands each new item to the
+ * notify-dispatcher Lambda; the item itself is only kept until its TTL.
+ * @param {import('./notify').NotifyEvent} event - Stored as one JSON attribute
+ * @param {number} expiresAt - Unix timestamp for TTL
+ * @returns {Promise<void>}
+ */
+async function putNotification(event, expiresAt) {
+  await getClient().send(new PutCommand({
+    TableName: NOTIFICATIONS_TABLE,
+    Item: {
+      id: event.id,
+      event: JSON.stringify(event),
+      expiresAt
+    }
+  }));
 }
 
 /**
- * Check if a secret is expired
- * @param {object} secret - Secret object with expiresAt
- * @returns {boolean} True if secret is expired
+ * Store a new secret request and consume its create token in one
+ * transaction (see putSecretConsumingToken)
+ * @param {import('./storage').SecretRequest} request - Request to store
+ * @param {string} jti - Unique token ID from the JWT
+ * @returns {Promise<'created'|'token_used'|'id_exists'>} Outcome; on 'id_exists' the caller should retry with a new ID
  */
-function isExpired(secret) {
+async function putRequestConsumingToken(request, jti) {
+  const { id, secretId, createdAt, expiresAt } = request;
+  return putConsumingToken(REQUESTS_TABLE, { id, secretId, createdAt, expiresAt }, jti);
+}
+
+/**
+ * Get a secret request by ID
+ * @param {string} id - Request identifier
+ * @returns {Promise<import('./storage').SecretRequest|null>} Request, or null if not found
+ */
+async function getRequest(id) {
+  const client = getClient();
+
+  const result = await client.send(new GetCommand({
+    TableName: REQUESTS_TABLE,
+    Key: { id },
+    // A retried fill must see the commitment its first attempt wrote
+    ConsistentRead: true
+  }));
+
+  return result.Item || null;
+}
+
+/**
+ * Fill a secret request: store the secret under the request's secretId
+ * and mark the request filled, in one transaction. A request is filled at
+ * most once, so of two concurrent senders exactly one succeeds.
+ * @param {string} id - Request identifier
+ * @param {object} secret - Secret object to store (see putSecret); its id must be the request's secretId
+ * @returns {Promise<boolean>} False if the request is missing, expired or already filled
+ */
+async function fillRequest(id, secret) {
+  const client = getClient();
   const now = Math.floor(Date.now() / 1000);
-  return secret.expiresAt <= now;
+
+  try {
+    await client.send(new TransactWriteCommand({
+      TransactItems: [
+        {
+          Update: {
+            TableName: REQUESTS_TABLE,
+            Key: { id },
+            UpdateExpression: 'SET filledCommitment = :commitment',
+            ConditionExpression: 'attribute_exists(id) AND attribute_not_exists(filledCommitment) AND expiresAt > :now',
+            ExpressionAttributeValues: {
+              ':commitment': secret.commitment,
+              ':now': now
+            }
+          }
+        },
+        {
+          Put: {
+            TableName: TABLE_NAME,
+            Item: buildSecretItem(secret),
+            ConditionExpression: 'attribute_not_exists(id)'
+          }
+        }
+      ]
+    }));
+    return true;
+  } catch (error) {
+    const reasons = error.CancellationReasons || [];
+    if (error.name === 'TransactionCanceledException' &&
+        reasons.some((reason) => reason && reason.Code === 'ConditionalCheckFailed')) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Atomically increment a windowed counter
+ * @param {string} id - Counter identifier (includes the window index)
+ * @param {number} expiresAt - Unix timestamp after which the counter can be discarded (TTL)
+ * @returns {Promise<number>} Counter value after the increment
+ */
+async function incrementCounter(id, expiresAt) {
+  const client = getClient();
+
+  const result = await client.send(new UpdateCommand({
+    TableName: COUNTERS_TABLE,
+    Key: { id },
+    UpdateExpression: 'ADD hits :one SET expiresAt = if_not_exists(expiresAt, :expiresAt)',
+    ExpressionAttributeValues: {
+      ':one': 1,
+      ':expiresAt': expiresAt
+    },
+    ReturnValues: 'UPDATED_NEW'
+  }));
+
+  return result.Attributes.hits;
+}
+
+/**
+ * Read a windowed counter
+ * @param {string} id - Counter identifier (includes the window index)
+ * @returns {Promise<number>} Counter value, or 0 if the counter does not exist
+ */
+async function getCounter(id) {
+  const client = getClient();
+
+  const result = await client.send(new GetCommand({
+    TableName: COUNTERS_TABLE,
+    Key: { id }
+  }));
+
+  return result.Item ? result.Item.hits : 0;
+}
+
+/**
+ * Read a rate limit bucket (kept in the counters table)
+ * @param {string} id - Bucket identifier
+ * @returns {Promise<import('./storage').Bucket|null>} Bucket, or null if there is none
+ */
+async function getBucket(id) {
+  const client = getClient();
+
+  const result = await client.send(new GetCommand({
+    TableName: COUNTERS_TABLE,
+    Key: { id },
+    // A stale version would only lose the write race and retry
+    ConsistentRead: true
+  }));
+
+  if (!result.Item) {
+    return null;
+  }
+  const { tokens, updatedAt, version } = result.Item;
+  return { tokens, updatedAt, version };
+}
+
+/**
+ * Write a rate limit bucket if nobody else has since the version it was
+ * computed from
+ * @param {string} id - Bucket identifier
+ * @param {import('./storage').Bucket} bucket - New state; version is one more than the one read
+ * @param {number} expiresAt - Unix timestamp after which the bucket can be discarded (TTL)
+ * @returns {Promise<boolean>} False if the bucket changed since it was read
+ */
+async function putBucket(id, bucket, expiresAt) {
+  const client = getClient();
+
+  const condition = bucket.version === 1
+    ? { ConditionExpression: 'attribute_not_exists(id)' }
+    : {
+      ConditionExpression: 'version = :previous',
+      ExpressionAttributeValues: { ':previous': bucket.version - 1 }
+    };
+
+  try {
+    await client.send(new PutCommand({
+      TableName: COUNTERS_TABLE,
+      Item: { id, tokens: bucket.tokens, updatedAt: bucket.updatedAt, version: bucket.version, expiresAt },
+      ...condition
+    }));
+    return true;
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return false;
+    }
+    throw error;
+  }
 }
 
 module.exports = {
   getSecret,
   putSecret,
+  putSecretConsumingToken,
   deleteSecret,
   decrementViews,
+  claimView,
   conditionalDelete,
   updateAccessToken,
+  isTokenUsed,
+  putRequestConsumingToken,
+  getRequest,
+  fillRequest,
+  incrementCounter,
+  getCounter,
+  getBucket,
+  putBucket,
+  putNotification,
+  // Backend-independent, defined in storage.js; kept here for existing callers
   isWithinIdempotencyWindow,
   isExpired,
+  PUT_CREATED,
+  PUT_TOKEN_USED,
+  PUT_ID_EXISTS,
   // For testing
   _internal: {
+    buildSecretItem,
     createClient,
     getClient,
     resetClient,
     TABLE_NAME,
+    USED_TOKENS_TABLE,
+    COUNTERS_TABLE,
+    REQUESTS_TABLE,
+    NOTIFICATIONS_TABLE,
     IDEMPOTENCY_WINDOW_SECONDS
   }
 };
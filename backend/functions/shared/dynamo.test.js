@@ -3,14 +3,27 @@
 const {
   getSecret,
   putSecret,
+  putSecretConsumingToken,
   deleteSecret,
   decrementViews,
+  claimView,
   conditionalDelete,
   updateAccessToken,
+  isTokenUsed,
+  putRequestConsumingToken,
+  getRequest,
+  fillRequest,
+  incrementCounter,
+  getCounter,
+  putNotification,
   isWithinIdempotencyWindow,
   isExpired,
+  PUT_CREATED,
+  PUT_TOKEN_USED,
+  PUT_ID_EXISTS,
   _internal
 } = require('./dynamo');
+const { TOKEN_TTL_SECONDS } = require('./token');
 
 // Mock AWS SDK
 jest.mock('@aws-sdk/client-dynamodb', () => ({
@@ -29,6 +42,7 @@ jest.mock('@aws-sdk/lib-dynamodb', () => {
     PutCommand: jest.fn().mockImplementation((params) => ({ type: 'Put', params })),
     DeleteCommand: jest.fn().mockImplementation((params) => ({ type: 'Delete', params })),
     UpdateCommand: jest.fn().mockImplementation((params) => ({ type: 'Update', params })),
+    TransactWriteCommand: jest.fn().mockImplementation((params) => ({ type: 'TransactWrite', params })),
     __mockSend: mockSend
   };
 });
@@ -60,6 +74,7 @@ describe('dynamo.js', () => {
 
       expect(result).toEqual(mockSecret);
       expect(__mockSend).toHaveBeenCalledTimes(1);
+      expect(__mockSend.mock.calls[0][0].params.ConsistentRead).toBe(true);
     });
 
     it('should return null when secret not found', async () => {
@@ -92,6 +107,8 @@ describe('dynamo.js', () => {
       expect(__mockSend).toHaveBeenCalledTimes(1);
       const call = __mockSend.mock.calls[0][0];
       expect(call.params.Item.salt).toBeUndefined();
+      expect(call.params.Item.commitment).toBeUndefined();
+      expect(call.params.Item.version).toBeUndefined();
     });
 
     it('should store a secret with salt', async () => {
@@ -116,6 +133,72 @@ describe('dynamo.js', () => {
       expect(call.params.Item.salt).toBe('test-salt-1234567890');
     });
 
+    it('should store the key commitment when present', async () => {
+      __mockSend.mockResolvedValueOnce({});
+
+      await putSecret({
+        id: 'test-id-123456789012',
+        ciphertext: 'encrypted-data',
+        iv: 'test-iv-12345678',
+        salt: null,
+        commitment: 'test-commitment',
+        passphraseProtected: false,
+        remainingViews: 1,
+        burnToken: 'a1b2c3d4e5f6a7b8c9d0e1f2a3b4c5d6',
+        createdAt: 1706745600,
+        expiresAt: 1706832000
+      });
+
+      const call = __mockSend.mock.calls[0][0];
+      expect(call.params.Item.commitment).toBe('test-commitment');
+    });
+
+    it('should store a blob key instead of ciphertext for file secrets', async () => {
+      __mockSend.mockResolvedValueOnce({});
+
+      await putSecret({
+        id: 'test-id-123456789012',
+        blobKey: 'secrets/test-id-123456789012',
+        iv: 'test-iv-12345678',
+        salt: null,
+        passphraseProtected: false,
+        remainingViews: 1,
+        burnToken: 'a1b2c3d4e5f6a7b8c9d0e1f2a3b4c5d6',
+        createdAt: 1706745600,
+        expiresAt: 1706832000
+      });
+
+      const { Item } = __mockSend.mock.calls[0][0].params;
+      expect(Item.blobKey).toBe('secrets/test-id-123456789012');
+      expect(Item.ciphertext).toBeUndefined();
+    });
+
+    it('should store envelope fields for versioned payloads', async () => {
+      __mockSend.mockResolvedValueOnce({});
+      const kdf = { name: 'pbkdf2-sha256', iterations: 100000 };
+
+      await putSecret({
+        id: 'test-id-123456789012',
+        ciphertext: 'encrypted-data',
+        iv: 'test-iv-12345678',
+        salt: 'test-salt-1234567890',
+        commitment: 'test-commitment',
+        version: 2,
+        cipher: 'aes-256-gcm',
+        kdf,
+        passphraseProtected: true,
+        remainingViews: 1,
+        burnToken: 'a1b2c3d4e5f6a7b8c9d0e1f2a3b4c5d6',
+        createdAt: 1706745600,
+        expiresAt: 1706832000
+      });
+
+      const { Item } = __mockSend.mock.calls[0][0].params;
+      expect(Item.version).toBe(2);
+      expect(Item.cipher).toBe('aes-256-gcm');
+      expect(Item.kdf).toEqual(kdf);
+    });
+
     it('should use condition to prevent overwrites', async () => {
       __mockSend.mockResolvedValueOnce({});
 
@@ -207,6 +290,86 @@ describe('dynamo.js', () => {
     });
   });
 
+  describe('claimView', () => {
+    const stored = {
+      id: 'test-id-123456789012',
+      ciphertext: 'encrypted-data',
+      iv: 'test-iv-12345678',
+      passphraseProtected: false,
+      burnToken: 'a1b2c3d4e5f6a7b8c9d0e1f2a3b4c5d6',
+      createdAt: 1706745600,
+      expiresAt: 1706832000
+    };
+
+    it('should decrement views and return the updated secret in one call', async () => {
+      __mockSend.mockResolvedValueOnce({ Attributes: { ...stored, remainingViews: 2 } });
+
+      const result = await claimView('test-id', 'access-token');
+
+      expect(result).toEqual({ secret: { ...stored, remainingViews: 2 }, consumed: false });
+      expect(__mockSend).toHaveBeenCalledTimes(1);
+      const call = __mockSend.mock.calls[0][0];
+      expect(call.type).toBe('Update');
+      expect(call.params.UpdateExpression).toContain('remainingViews = remainingViews - :one');
+      expect(call.params.ConditionExpression).toBe('remainingViews > :zero AND expiresAt > :now');
+      expect(call.params.ExpressionAttributeValues[':token']).toBe('access-token');
+      expect(call.params.ReturnValues).toBe('ALL_NEW');
+    });
+
+    it('should keep the secret for the idempotency window when the last view is claimed', async () => {
+      __mockSend
+        .mockResolvedValueOnce({ Attributes: { ...stored, remainingViews: 0 } })
+        .mockResolvedValueOnce({});
+      const now = Math.floor(Date.now() / 1000);
+
+      const result = await claimView('test-id', 'access-token');
+
+      expect(result.consumed).toBe(true);
+      expect(result.secret.ciphertext).toBe('encrypted-data');
+      const call = __mockSend.mock.calls[1][0];
+      expect(call.type).toBe('Update');
+      expect(call.params.Key).toEqual({ id: 'test-id' });
+      expect(call.params.UpdateExpression).toBe('SET expiresAt = :until');
+      expect(call.params.ConditionExpression).toBe('remainingViews <= :zero AND expiresAt > :until');
+      expect(Math.abs(call.params.ExpressionAttributeValues[':until'] - (now + _internal.IDEMPOTENCY_WINDOW_SECONDS))).toBeLessThanOrEqual(1);
+    });
+
+    it('should still return the last view when the expiry update fails', async () => {
+      const gone = new Error();
+      gone.name = 'ConditionalCheckFailedException';
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      for (const failure of [new Error('Throughput exceeded'), gone]) {
+        __mockSend
+          .mockResolvedValueOnce({ Attributes: { ...stored, remainingViews: 0 } })
+          .mockRejectedValueOnce(failure);
+
+        await expect(claimView('test-id', 'access-token'))
+          .resolves.toEqual({ secret: { ...stored, remainingViews: 0 }, consumed: true });
+      }
+
+      // Losing to the TTL sweep is not worth a log line
+      expect(consoleSpy).toHaveBeenCalledTimes(1);
+      expect(consoleSpy.mock.calls[0][1]).toBe('Throughput exceeded');
+      consoleSpy.mockRestore();
+    });
+
+    it('should return null for missing, expired or consumed secrets', async () => {
+      const error = new Error();
+      error.name = 'ConditionalCheckFailedException';
+      __mockSend.mockRejectedValueOnce(error);
+
+      await expect(claimView('test-id', 'access-token')).resolves.toBeNull();
+      expect(__mockSend).toHaveBeenCalledTimes(1);
+    });
+
+    it('should rethrow other errors', async () => {
+      __mockSend.mockRejectedValueOnce(new Error('Network error'));
+
+      await expect(claimView('test-id', 'access-token')).rejects.toThrow('Network error');
+    });
+  });
+
   describe('conditionalDelete', () => {
     it('should return true when delete succeeds', async () => {
       __mockSend.mockResolvedValueOnce({});
@@ -245,6 +408,229 @@ describe('dynamo.js', () => {
     });
   });
 
+  describe('putNotification', () => {
+    it('should store the event as one JSON attribute with a TTL', async () => {
+      __mockSend.mockResolvedValueOnce({});
+      const event = { id: 'evt-1', event: 'secret.viewed', secretId: 'abc', viewedAt: 1706745600, notify: 'sealed' };
+
+      await putNotification(event, 1706832000);
+
+      const call = __mockSend.mock.calls[0][0];
+      expect(call.type).toBe('Put');
+      expect(call.params.TableName).toBe(_internal.NOTIFICATIONS_TABLE);
+      expect(call.params.Item).toEqual({ id: 'evt-1', event: JSON.stringify(event), expiresAt: 1706832000 });
+    });
+  });
+
+  describe('isTokenUsed', () => {
+    it('should read the ledger entry consistently', async () => {
+      __mockSend.mockResolvedValueOnce({ Item: { jti: 'jti', expiresAt: 1706745900 } });
+
+      await expect(isTokenUsed('jti')).resolves.toBe(true);
+
+      const call = __mockSend.mock.calls[0][0];
+      expect(call.type).toBe('Get');
+      expect(call.params).toEqual({ TableName: _internal.USED_TOKENS_TABLE, Key: { jti: 'jti' }, ConsistentRead: true });
+    });
+
+    it('should return false for unused tokens', async () => {
+      __mockSend.mockResolvedValueOnce({});
+
+      await expect(isTokenUsed('unused')).resolves.toBe(false);
+    });
+  });
+
+  describe('putSecretConsumingToken', () => {
+    const jti = '3b241101-e2bb-4255-8caf-4136c566a962';
+    const secret = {
+      id: 'test-id-123456789012',
+      ciphertext: 'encrypted-data',
+      iv: 'test-iv-12345678',
+      passphraseProtected: false,
+      remainingViews: 1,
+      burnToken: 'a1b2c3d4e5f6a7b8c9d0e1f2a3b4c5d6',
+      createdAt: 1706745600,
+      expiresAt: 1706832000
+    };
+
+    function cancelled(...codes) {
+      const error = new Error('Transaction cancelled');
+      error.name = 'TransactionCanceledException';
+      error.CancellationReasons = codes.map((Code) => ({ Code }));
+      return error;
+    }
+
+    it('should write the ledger entry and the secret in one transaction', async () => {
+      __mockSend.mockResolvedValueOnce({});
+      const now = Math.floor(Date.now() / 1000);
+
+      const result = await putSecretConsumingToken(secret, jti);
+
+      expect(result).toBe(PUT_CREATED);
+      expect(__mockSend).toHaveBeenCalledTimes(1);
+      const call = __mockSend.mock.calls[0][0];
+      expect(call.type).toBe('TransactWrite');
+      const [ledger, item] = call.params.TransactItems.map((entry) => entry.Put);
+      expect(ledger.TableName).toBe(_internal.USED_TOKENS_TABLE);
+      expect(ledger.Item.jti).toBe(jti);
+      expect(Math.abs(ledger.Item.expiresAt - (now + TOKEN_TTL_SECONDS))).toBeLessThanOrEqual(1);
+      expect(ledger.ConditionExpression).toBe('attribute_not_exists(jti)');
+      expect(item.TableName).toBe(_internal.TABLE_NAME);
+      expect(item.Item).toEqual(secret);
+      expect(item.ConditionExpression).toBe('attribute_not_exists(id)');
+    });
+
+    it('should build the secret item like putSecret', async () => {
+      __mockSend.mockResolvedValueOnce({});
+
+      await putSecretConsumingToken({ ...secret, ciphertext: null, blobKey: 'secrets/abc', salt: null }, jti);
+
+      const item = __mockSend.mock.calls[0][0].params.TransactItems[1].Put.Item;
+      expect(item.blobKey).toBe('secrets/abc');
+      expect(item.salt).toBeUndefined();
+    });
+
+    it('should report a used token', async () => {
+      __mockSend.mockRejectedValueOnce(cancelled('ConditionalCheckFailed', 'None'));
+
+      await expect(putSecretConsumingToken(secret, jti)).resolves.toBe(PUT_TOKEN_USED);
+    });
+
+    it('should report a used token even if the ID also collided', async () => {
+      __mockSend.mockRejectedValueOnce(cancelled('ConditionalCheckFailed', 'ConditionalCheckFailed'));
+
+      await expect(putSecretConsumingToken(secret, jti)).resolves.toBe(PUT_TOKEN_USED);
+    });
+
+    it('should report an ID collision', async () => {
+      __mockSend.mockRejectedValueOnce(cancelled('None', 'ConditionalCheckFailed'));
+
+      await expect(putSecretConsumingToken(secret, jti)).resolves.toBe(PUT_ID_EXISTS);
+    });
+
+    it('should rethrow cancellations for other reasons', async () => {
+      __mockSend.mockRejectedValueOnce(cancelled('None', 'TransactionConflict'));
+
+      await expect(putSecretConsumingToken(secret, jti))
+        .rejects.toThrow('Transaction cancelled');
+    });
+
+    it('should rethrow other errors', async () => {
+      __mockSend.mockRejectedValueOnce(new Error('Network error'));
+
+      await expect(putSecretConsumingToken(secret, jti)).rejects.toThrow('Network error');
+    });
+  });
+
+  describe('requests', () => {
+    const request = { id: 'request-id-1234567890', secretId: 'secret-id-12345678901', createdAt: 1706745600, expiresAt: 1706832000 };
+    const secret = {
+      id: request.secretId,
+      ciphertext: 'encrypted-data',
+      iv: 'test-iv-12345678',
+      commitment: 'commitment',
+      keyFragment: 'v2.r.AAAA',
+      passphraseProtected: false,
+      remainingViews: 1,
+      burnToken: 'a1b2c3d4e5f6a7b8c9d0e1f2a3b4c5d6',
+      createdAt: 1706745600,
+      expiresAt: request.expiresAt
+    };
+
+    function cancelled(...codes) {
+      const error = new Error('Transaction cancelled');
+      error.name = 'TransactionCanceledException';
+      error.CancellationReasons = codes.map((Code) => ({ Code }));
+      return error;
+    }
+
+    it('should store a request with its token like putSecretConsumingToken', async () => {
+      __mockSend.mockResolvedValueOnce({});
+
+      await expect(putRequestConsumingToken({ ...request, filledCommitment: 'x' }, 'jti')).resolves.toBe(PUT_CREATED);
+
+      const [ledger, item] = __mockSend.mock.calls[0][0].params.TransactItems.map((entry) => entry.Put);
+      expect(ledger.Item.jti).toBe('jti');
+      expect(item.TableName).toBe(_internal.REQUESTS_TABLE);
+      expect(item.Item).toEqual(request);
+      expect(item.ConditionExpression).toBe('attribute_not_exists(id)');
+    });
+
+    it('should read a request consistently', async () => {
+      __mockSend.mockResolvedValueOnce({ Item: request });
+
+      await expect(getRequest(request.id)).resolves.toEqual(request);
+      expect(__mockSend.mock.calls[0][0].params).toEqual({
+        TableName: _internal.REQUESTS_TABLE,
+        Key: { id: request.id },
+        ConsistentRead: true
+      });
+
+      __mockSend.mockResolvedValueOnce({});
+      await expect(getRequest(request.id)).resolves.toBeNull();
+    });
+
+    it('should mark the request filled and store its secret in one transaction', async () => {
+      __mockSend.mockResolvedValueOnce({});
+
+      await expect(fillRequest(request.id, secret)).resolves.toBe(true);
+
+      const [update, put] = __mockSend.mock.calls[0][0].params.TransactItems;
+      expect(update.Update.TableName).toBe(_internal.REQUESTS_TABLE);
+      expect(update.Update.Key).toEqual({ id: request.id });
+      expect(update.Update.ConditionExpression).toBe('attribute_exists(id) AND attribute_not_exists(filledCommitment) AND expiresAt > :now');
+      expect(update.Update.ExpressionAttributeValues[':commitment']).toBe('commitment');
+      expect(put.Put.TableName).toBe(_internal.TABLE_NAME);
+      expect(put.Put.Item.keyFragment).toBe('v2.r.AAAA');
+    });
+
+    it('should report a request that cannot be filled', async () => {
+      __mockSend.mockRejectedValueOnce(cancelled('ConditionalCheckFailed', 'None'));
+
+      await expect(fillRequest(request.id, secret)).resolves.toBe(false);
+    });
+
+    it('should rethrow cancellations for other reasons', async () => {
+      __mockSend.mockRejectedValueOnce(cancelled('TransactionConflict', 'None'));
+
+      await expect(fillRequest(request.id, secret)).rejects.toThrow('Transaction cancelled');
+    });
+  });
+
+  describe('incrementCounter', () => {
+    it('should atomically add one and return the new value', async () => {
+      __mockSend.mockResolvedValueOnce({ Attributes: { hits: 4 } });
+
+      const result = await incrementCounter('pow:global#28445760', 1706745720);
+
+      expect(result).toBe(4);
+      const call = __mockSend.mock.calls[0][0];
+      expect(call.type).toBe('Update');
+      expect(call.params.TableName).toBe(_internal.COUNTERS_TABLE);
+      expect(call.params.Key.id).toBe('pow:global#28445760');
+      expect(call.params.UpdateExpression).toBe('ADD hits :one SET expiresAt = if_not_exists(expiresAt, :expiresAt)');
+      expect(call.params.ExpressionAttributeValues[':expiresAt']).toBe(1706745720);
+    });
+  });
+
+  describe('getCounter', () => {
+    it('should return the counter value when present', async () => {
+      __mockSend.mockResolvedValueOnce({ Item: { id: 'pow:global#28445759', hits: 7 } });
+
+      const result = await getCounter('pow:global#28445759');
+
+      expect(result).toBe(7);
+    });
+
+    it('should return 0 when the counter does not exist', async () => {
+      __mockSend.mockResolvedValueOnce({ Item: undefined });
+
+      const result = await getCounter('pow:global#28445759');
+
+      expect(result).toBe(0);
+    });
+  });
+
   describe('isWithinIdempotencyWindow', () => {
     it('should return true when within window with matching token', () => {
       const now = Math.floor(Date.now() / 1000);
@@ -322,6 +708,18 @@ describe('dynamo.js', () => {
       expect(_internal.TABLE_NAME).toBe('sealed-secrets');
     });
 
+    it('should have correct used tokens table name', () => {
+      expect(_internal.USED_TOKENS_TABLE).toBe('sealed-used-tokens');
+    });
+
+    it('should have correct counters table name', () => {
+      expect(_internal.COUNTERS_TABLE).toBe('sealed-counters');
+    });
+
+    it('should have correct requests table name', () => {
+      expect(_internal.REQUESTS_TABLE).toBe('sealed-requests');
+    });
+
     it('should have correct idempotency window', () => {
       expect(_internal.IDEMPOTENCY_WINDOW_SECONDS).toBe(30);
     });
@@ -6,37 +6,59 @@
  * This module re-exports all shared utilities for convenient importing:
  * 
  * @example
- * const { dynamo, token, pow, responses, validation } = require('./shared');
+ * const { storage, dynamo, token, pow, responses, validation, network, difficulty, ratelimit, blobs, notify } = require('./shared');
  * 
  * @example
- * const { getSecret, putSecret } = require('./shared').dynamo;
+ * const { getSecret, putSecret } = require('./shared').storage;
  */
 
+const storage = require('./storage');
 const dynamo = require('./dynamo');
 const token = require('./token');
 const pow = require('./pow');
 const responses = require('./responses');
 const validation = require('./validation');
+const network = require('./network');
+const difficulty = require('./difficulty');
+const ratelimit = require('./ratelimit');
+const blobs = require('./blobs');
+const notify = require('./notify');
 
 module.exports = {
   // Namespaced exports
+  storage,
   dynamo,
   token,
   pow,
   responses,
   validation,
+  network,
+  difficulty,
+  ratelimit,
+  blobs,
+  notify,
   
   // Direct re-exports for convenience
   
+  // storage (SECRET_STORE picks the backend)
+  getSecret: storage.getSecret,
+  putSecret: storage.putSecret,
+  putSecretConsumingToken: storage.putSecretConsumingToken,
+  deleteSecret: storage.deleteSecret,
+  claimView: storage.claimView,
+  conditionalDelete: storage.conditionalDelete,
+  updateAccessToken: storage.updateAccessToken,
+  isTokenUsed: storage.isTokenUsed,
+  putRequestConsumingToken: storage.putRequestConsumingToken,
+  getRequest: storage.getRequest,
+  fillRequest: storage.fillRequest,
+  incrementCounter: storage.incrementCounter,
+  getCounter: storage.getCounter,
+  isWithinIdempotencyWindow: storage.isWithinIdempotencyWindow,
+  isExpired: storage.isExpired,
+
   // dynamo
-  getSecret: dynamo.getSecret,
-  putSecret: dynamo.putSecret,
-  deleteSecret: dynamo.deleteSecret,
   decrementViews: dynamo.decrementViews,
-  conditionalDelete: dynamo.conditionalDelete,
-  updateAccessToken: dynamo.updateAccessToken,
-  isWithinIdempotencyWindow: dynamo.isWithinIdempotencyWindow,
-  isExpired: dynamo.isExpired,
   
   // token
   generateToken: token.generateToken,
@@ -58,18 +80,47 @@ module.exports = {
   noContent: responses.noContent,
   badRequest: responses.badRequest,
   unauthorized: responses.unauthorized,
+  tokenUsed: responses.tokenUsed,
   forbidden: responses.forbidden,
+  tooManyRequests: responses.tooManyRequests,
   internalError: responses.internalError,
   
   // validation
   validateTTL: validation.validateTTL,
   validateMaxViews: validation.validateMaxViews,
   validateCiphertext: validation.validateCiphertext,
+  isFileSecret: validation.isFileSecret,
   validateIV: validation.validateIV,
   validateSalt: validation.validateSalt,
+  validateCommitment: validation.validateCommitment,
+  validateKdf: validation.validateKdf,
+  validateEnvelope: validation.validateEnvelope,
   validateNonce: validation.validateNonce,
   validateSecretId: validation.validateSecretId,
   validateBurnToken: validation.validateBurnToken,
   validateAccessToken: validation.validateAccessToken,
-  validateCreateSecretRequest: validation.validateCreateSecretRequest
+  validateKeyFragment: validation.validateKeyFragment,
+  validateNotify: validation.validateNotify,
+  validateCreateSecretRequest: validation.validateCreateSecretRequest,
+  validateCreateRequest: validation.validateCreateRequest,
+  validateFillRequest: validation.validateFillRequest,
+  
+  // network
+  getSourceIp: network.getSourceIp,
+  ipPrefix: network.ipPrefix,
+  
+  // difficulty
+  getAdaptiveDifficulty: difficulty.getAdaptiveDifficulty,
+
+  // ratelimit
+  checkRateLimit: ratelimit.checkRateLimit,
+  
+  // blobs
+  blobKeyFor: blobs.blobKeyFor,
+  putBlob: blobs.putBlob,
+  getBlob: blobs.getBlob,
+  deleteBlob: blobs.deleteBlob,
+
+  // notify
+  notifyViewed: notify.notifyViewed
 };
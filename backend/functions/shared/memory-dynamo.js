@@ -0,0 +1,480 @@
+'use strict';
+
+const {
+  GetCommand,
+  PutCommand,
+  DeleteCommand,
+  UpdateCommand,
+  TransactWriteCommand
+} = require('@aws-sdk/lib-dynamodb');
+
+/**
+ * In-memory stand-in for the DynamoDB document client
+ *
+ * Implements `send()` for the commands dynamo.js issues and evaluates their
+ * condition and update expressions, so conditional writes, atomic counters
+ * and transactions behave as they do against DynamoDB. Each command runs to
+ * completion before the next starts, which matches DynamoDB's per-item
+ * atomicity. Unsupported commands or expression syntax throw rather than
+ * being silently ignored.
+ *
+ * Not emulated: TTL deletion (dynamo.js checks expiresAt itself), capacity
+ * errors, item size limits, and sets, lists and nested attribute paths.
+ */
+
+const KEYWORDS = ['AND', 'OR', 'NOT', 'SET', 'ADD', 'REMOVE'];
+const COMPARATORS = {
+  '=': (a, b) => a === b,
+  '<>': (a, b) => a !== b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b
+};
+
+// =============================================================================
+// Errors
+// =============================================================================
+
+function awsError(name, message, extra = {}) {
+  const error = new Error(message);
+  error.name = name;
+  return Object.assign(error, extra);
+}
+
+function conditionalCheckFailed() {
+  return awsError('ConditionalCheckFailedException', 'The conditional request failed');
+}
+
+function validationError(message) {
+  return awsError('ValidationException', message);
+}
+
+// =============================================================================
+// Expressions
+// =============================================================================
+
+/**
+ * Split an expression into tokens
+ * @param {string} expression
+ * @returns {string[]}
+ */
+function tokenize(expression) {
+  const pattern = /\s*(<>|<=|>=|[=<>(),+-]|[#:]?[A-Za-z_][A-Za-z0-9_]*)/y;
+  const tokens = [];
+  let end = 0;
+  let match;
+  while ((match = pattern.exec(expression)) !== null) {
+    tokens.push(match[1]);
+    end = pattern.lastIndex;
+  }
+  if (expression.slice(end).trim() !== '') {
+    throw validationError(`Unsupported expression syntax: ${expression}`);
+  }
+  return tokens;
+}
+
+/**
+ * Token cursor shared by the condition and update parsers
+ */
+function createCursor(expression, input) {
+  const tokens = tokenize(expression);
+  let position = 0;
+
+  return {
+    peek: () => tokens[position],
+    atKeyword: (...words) => tokens[position] !== undefined && words.includes(tokens[position].toUpperCase()),
+    done: () => position >= tokens.length,
+    next() {
+      if (position >= tokens.length) {
+        throw validationError(`Unexpected end of expression: ${expression}`);
+      }
+      return tokens[position++];
+    },
+    expect(token) {
+      const actual = this.next();
+      if (actual !== token) {
+        throw validationError(`Expected "${token}" but found "${actual}" in: ${expression}`);
+      }
+    },
+    name(token) {
+      if (token.startsWith('#')) {
+        const names = input.ExpressionAttributeNames || {};
+        if (!(token in names)) {
+          throw validationError(`Undefined attribute name ${token}`);
+        }
+        return names[token];
+      }
+      if (!/^[A-Za-z_]/.test(token) || KEYWORDS.includes(token.toUpperCase())) {
+        throw validationError(`Expected an attribute name but found "${token}" in: ${expression}`);
+      }
+      return token;
+    },
+    value(token) {
+      const values = input.ExpressionAttributeValues || {};
+      if (!(token in values)) {
+        throw validationError(`Undefined attribute value ${token}`);
+      }
+      return values[token];
+    }
+  };
+}
+
+/**
+ * Parse an operand: a :value, an attribute, or if_not_exists(attribute, operand)
+ * @returns {(item: object) => *}
+ */
+function parseOperand(cursor) {
+  const token = cursor.next();
+  if (token.startsWith(':')) {
+    const value = cursor.value(token);
+    return () => value;
+  }
+  if (token === 'if_not_exists') {
+    cursor.expect('(');
+    const name = cursor.name(cursor.next());
+    cursor.expect(',');
+    const fallback = parseOperand(cursor);
+    cursor.expect(')');
+    return (item) => (item[name] !== undefined ? item[name] : fallback(item));
+  }
+  const name = cursor.name(token);
+  return (item) => item[name];
+}
+
+/**
+ * Compare two attribute values the way DynamoDB does: a missing attribute
+ * never satisfies a comparison, and values of different types are unequal.
+ */
+function compare(operator, a, b) {
+  if (a === undefined || b === undefined) {
+    return false;
+  }
+  if (typeof a !== typeof b) {
+    return operator === '<>';
+  }
+  return COMPARATORS[operator](a, b);
+}
+
+function parseCondition(cursor) {
+  let left = parseConjunction(cursor);
+  while (cursor.atKeyword('OR')) {
+    cursor.next();
+    const a = left;
+    const b = parseConjunction(cursor);
+    left = (item) => a(item) || b(item);
+  }
+  return left;
+}
+
+function parseConjunction(cursor) {
+  let left = parseNegation(cursor);
+  while (cursor.atKeyword('AND')) {
+    cursor.next();
+    const a = left;
+    const b = parseNegation(cursor);
+    left = (item) => a(item) && b(item);
+  }
+  return left;
+}
+
+function parseNegation(cursor) {
+  if (cursor.atKeyword('NOT')) {
+    cursor.next();
+    const inner = parseNegation(cursor);
+    return (item) => !inner(item);
+  }
+  return parsePredicate(cursor);
+}
+
+function parsePredicate(cursor) {
+  const token = cursor.peek();
+
+  if (token === '(') {
+    cursor.next();
+    const inner = parseCondition(cursor);
+    cursor.expect(')');
+    return inner;
+  }
+
+  if (token === 'attribute_exists' || token === 'attribute_not_exists') {
+    cursor.next();
+    cursor.expect('(');
+    const name = cursor.name(cursor.next());
+    cursor.expect(')');
+    const exists = token === 'attribute_exists';
+    return (item) => (item[name] !== undefined) === exists;
+  }
+
+  const left = parseOperand(cursor);
+  const operator = cursor.next();
+  if (!COMPARATORS[operator]) {
+    throw validationError(`Unsupported operator "${operator}"`);
+  }
+  const right = parseOperand(cursor);
+  return (item) => compare(operator, left(item), right(item));
+}
+
+/**
+ * Compile a ConditionExpression
+ * @param {object} input - Command input (expression, names, values)
+ * @returns {(item: object) => boolean} Predicate over the current item ({} if missing)
+ */
+function compileCondition(input) {
+  if (!input.ConditionExpression) {
+    return () => true;
+  }
+  const cursor = createCursor(input.ConditionExpression, input);
+  const predicate = parseCondition(cursor);
+  if (!cursor.done()) {
+    throw validationError(`Unexpected "${cursor.peek()}" in: ${input.ConditionExpression}`);
+  }
+  return predicate;
+}
+
+function parseSetValue(cursor) {
+  const left = parseOperand(cursor);
+  const operator = cursor.peek();
+  if (operator !== '+' && operator !== '-') {
+    return left;
+  }
+  cursor.next();
+  const right = parseOperand(cursor);
+  return (item) => {
+    const a = left(item);
+    const b = right(item);
+    if (typeof a !== 'number' || typeof b !== 'number') {
+      throw validationError('An operand in the update expression has an incorrect data type');
+    }
+    return operator === '+' ? a + b : a - b;
+  };
+}
+
+/**
+ * Compile an UpdateExpression (SET, ADD and REMOVE clauses)
+ * @param {object} input - Command input (expression, names, values)
+ * @returns {Array<{action: string, name: string, value?: Function}>}
+ */
+function compileUpdate(input) {
+  const cursor = createCursor(input.UpdateExpression, input);
+  const actions = [];
+
+  while (!cursor.done()) {
+    const clause = cursor.next().toUpperCase();
+    if (!['SET', 'ADD', 'REMOVE'].includes(clause)) {
+      throw validationError(`Unsupported update clause "${clause}"`);
+    }
+    for (;;) {
+      const name = cursor.name(cursor.next());
+      if (clause === 'SET') {
+        cursor.expect('=');
+        actions.push({ action: 'set', name, value: parseSetValue(cursor) });
+      } else if (clause === 'ADD') {
+        actions.push({ action: 'add', name, value: parseOperand(cursor) });
+      } else {
+        actions.push({ action: 'remove', name });
+      }
+      if (cursor.peek() !== ',') {
+        break;
+      }
+      cursor.next();
+    }
+  }
+
+  return actions;
+}
+
+/**
+ * Apply compiled update actions. Right-hand sides are all evaluated against
+ * the item as it was before the update, as DynamoDB does.
+ * @returns {{item: object, updated: object}} New item and the attributes written
+ */
+function applyUpdate(actions, current) {
+  const values = actions.map(({ action, name, value }) => {
+    if (action === 'set') {
+      return value(current);
+    }
+    if (action === 'add') {
+      const increment = value(current);
+      const existing = current[name] === undefined ? 0 : current[name];
+      if (typeof increment !== 'number' || typeof existing !== 'number') {
+        throw validationError('ADD is only supported for numbers');
+      }
+      return existing + increment;
+    }
+    return undefined;
+  });
+
+  const item = { ...current };
+  const updated = {};
+  actions.forEach(({ action, name }, index) => {
+    if (action === 'remove') {
+      delete item[name];
+    } else {
+      item[name] = values[index];
+      updated[name] = values[index];
+    }
+  });
+  return { item, updated };
+}
+
+// =============================================================================
+// Client
+// =============================================================================
+
+/**
+ * Copy an item for storage, dropping undefined attributes as the document
+ * client's removeUndefinedValues option does
+ */
+function storedCopy(item) {
+  return structuredClone(Object.fromEntries(
+    Object.entries(item).filter(([, value]) => value !== undefined)
+  ));
+}
+
+/**
+ * Create an in-memory document client
+ * @param {{ keys: Object<string, string> }} options - Partition key attribute for each table
+ * @returns {{ send: (command: object) => Promise<object> }}
+ */
+function createMemoryClient(options) {
+  const tables = new Map(Object.keys(options.keys).map((name) => [name, new Map()]));
+
+  function table(name) {
+    if (!tables.has(name)) {
+      throw awsError('ResourceNotFoundException', `Requested resource not found: ${name}`);
+    }
+    return tables.get(name);
+  }
+
+  function keyOf(tableName, source) {
+    const attribute = options.keys[tableName];
+    const value = source[attribute];
+    if (value === undefined) {
+      throw validationError(`Missing the key ${attribute} in the item`);
+    }
+    return value;
+  }
+
+  function currentItem(input, record) {
+    return table(input.TableName).get(keyOf(input.TableName, record)) || {};
+  }
+
+  // Each operation is split into check (may throw) and apply, so a
+  // transaction can check everything before changing anything
+  const operations = {
+    Put: {
+      check: (input) => compileCondition(input)(currentItem(input, input.Item)),
+      apply(input) {
+        const rows = table(input.TableName);
+        const key = keyOf(input.TableName, input.Item);
+        const old = rows.get(key);
+        rows.set(key, storedCopy(input.Item));
+        return input.ReturnValues === 'ALL_OLD' && old ? { Attributes: structuredClone(old) } : {};
+      }
+    },
+    Delete: {
+      check: (input) => compileCondition(input)(currentItem(input, input.Key)),
+      apply(input) {
+        const rows = table(input.TableName);
+        const key = keyOf(input.TableName, input.Key);
+        const old = rows.get(key);
+        rows.delete(key);
+        return input.ReturnValues === 'ALL_OLD' && old ? { Attributes: structuredClone(old) } : {};
+      }
+    },
+    Update: {
+      check: (input) => compileCondition(input)(currentItem(input, input.Key)),
+      apply(input) {
+        const rows = table(input.TableName);
+        const key = keyOf(input.TableName, input.Key);
+        const old = rows.get(key);
+        // Updating a missing item creates it, as in DynamoDB
+        const { item, updated } = applyUpdate(compileUpdate(input), old || { ...input.Key });
+        rows.set(key, storedCopy(item));
+
+        switch (input.ReturnValues) {
+          case 'ALL_NEW':
+            return { Attributes: structuredClone(item) };
+          case 'UPDATED_NEW':
+            return { Attributes: structuredClone(updated) };
+          case 'ALL_OLD':
+            return old ? { Attributes: structuredClone(old) } : {};
+          default:
+            return {};
+        }
+      }
+    },
+    ConditionCheck: {
+      check: (input) => compileCondition(input)(currentItem(input, input.Key)),
+      apply: () => ({})
+    }
+  };
+
+  function runSingle(kind, input) {
+    if (!operations[kind].check(input)) {
+      throw conditionalCheckFailed();
+    }
+    return operations[kind].apply(input);
+  }
+
+  function runTransaction(input) {
+    const items = input.TransactItems.map((entry) => {
+      const kind = Object.keys(entry)[0];
+      if (!operations[kind]) {
+        throw validationError(`Unsupported transaction item ${kind}`);
+      }
+      return { kind, input: entry[kind] };
+    });
+
+    const codes = items.map(({ kind, input: itemInput }) =>
+      (operations[kind].check(itemInput) ? 'None' : 'ConditionalCheckFailed'));
+    if (codes.includes('ConditionalCheckFailed')) {
+      throw awsError(
+        'TransactionCanceledException',
+        `Transaction cancelled, please refer cancellation reasons for specific reasons [${codes.join(', ')}]`,
+        { CancellationReasons: codes.map((Code) => ({ Code })) }
+      );
+    }
+
+    items.forEach(({ kind, input: itemInput }) => operations[kind].apply(itemInput));
+    return {};
+  }
+
+  return {
+    async send(command) {
+      // Let other requests interleave between commands, as they would over the network
+      await Promise.resolve();
+      const input = command.input;
+
+      if (command instanceof GetCommand) {
+        const item = table(input.TableName).get(keyOf(input.TableName, input.Key));
+        return item ? { Item: structuredClone(item) } : {};
+      }
+      if (command instanceof PutCommand) {
+        return runSingle('Put', input);
+      }
+      if (command instanceof DeleteCommand) {
+        return runSingle('Delete', input);
+      }
+      if (command instanceof UpdateCommand) {
+        return runSingle('Update', input);
+      }
+      if (command instanceof TransactWriteCommand) {
+        return runTransaction(input);
+      }
+      throw validationError(`Unsupported command: ${command.constructor.name}`);
+    }
+  };
+}
+
+module.exports = {
+  createMemoryClient,
+  // For testing
+  _internal: {
+    tokenize,
+    compileCondition,
+    compileUpdate,
+    applyUpdate
+  }
+};
@@ -0,0 +1,267 @@
+'use strict';
+
+const crypto = require('crypto');
+const {
+  GetCommand,
+  PutCommand,
+  UpdateCommand,
+  DeleteCommand,
+  TransactWriteCommand,
+  QueryCommand
+} = require('@aws-sdk/lib-dynamodb');
+const { createMemoryClient, _internal } = require('./memory-dynamo');
+const { tokenize, compileCondition, compileUpdate, applyUpdate } = _internal;
+
+describe('memory-dynamo.js', () => {
+  describe('expressions', () => {
+    it('should tokenize names, values and operators', () => {
+      expect(tokenize('remainingViews > :zero AND #ttl <= :now')).toEqual(
+        ['remainingViews', '>', ':zero', 'AND', '#ttl', '<=', ':now']
+      );
+    });
+
+    it('should reject syntax it does not support', () => {
+      expect(() => tokenize('a IN (:b, :c) ; x')).toThrow('Unsupported expression syntax');
+      expect(() => compileCondition({ ConditionExpression: 'begins_with(a, :b)', ExpressionAttributeValues: { ':b': 'x' } }))
+        .toThrow('Unsupported operator');
+      expect(() => compileUpdate({ UpdateExpression: 'DELETE tags :t', ExpressionAttributeValues: { ':t': 1 } }))
+        .toThrow('Unsupported update clause');
+    });
+
+    it('should evaluate attribute_exists and attribute_not_exists', () => {
+      const exists = compileCondition({ ConditionExpression: 'attribute_exists(id)' });
+      const missing = compileCondition({ ConditionExpression: 'attribute_not_exists(id)' });
+
+      expect(exists({ id: 'a' })).toBe(true);
+      expect(exists({})).toBe(false);
+      expect(missing({})).toBe(true);
+    });
+
+    it('should evaluate comparisons with AND, OR, NOT and parentheses', () => {
+      const condition = compileCondition({
+        ConditionExpression: 'NOT (#v <= :zero) AND (expiresAt > :now OR pinned = :yes)',
+        ExpressionAttributeNames: { '#v': 'remainingViews' },
+        ExpressionAttributeValues: { ':zero': 0, ':now': 100, ':yes': true }
+      });
+
+      expect(condition({ remainingViews: 1, expiresAt: 200 })).toBe(true);
+      expect(condition({ remainingViews: 1, expiresAt: 50, pinned: true })).toBe(true);
+      expect(condition({ remainingViews: 0, expiresAt: 200 })).toBe(false);
+      expect(condition({ remainingViews: 1, expiresAt: 50 })).toBe(false);
+    });
+
+    it('should treat missing attributes and mismatched types as failing comparisons', () => {
+      const equal = compileCondition({ ConditionExpression: 'burnToken = :token', ExpressionAttributeValues: { ':token': 'abc' } });
+      const greater = compileCondition({ ConditionExpression: 'remainingViews > :zero', ExpressionAttributeValues: { ':zero': 0 } });
+
+      expect(equal({})).toBe(false);
+      expect(equal({ burnToken: 'abd' })).toBe(false);
+      expect(greater({ remainingViews: '5' })).toBe(false);
+    });
+
+    it('should reject undefined names and values', () => {
+      expect(() => compileCondition({ ConditionExpression: '#missing = :a', ExpressionAttributeValues: { ':a': 1 } }))
+        .toThrow('Undefined attribute name #missing');
+      expect(() => compileCondition({ ConditionExpression: 'a = :missing' }))
+        .toThrow('Undefined attribute value :missing');
+    });
+
+    it('should apply SET, ADD and REMOVE against the old item', () => {
+      const actions = compileUpdate({
+        UpdateExpression: 'SET a = b, b = a, c = c - :one, d = if_not_exists(d, :one) ADD hits :one REMOVE gone',
+        ExpressionAttributeValues: { ':one': 1 }
+      });
+
+      const { item, updated } = applyUpdate(actions, { a: 1, b: 2, c: 10, d: 7, gone: true });
+
+      expect(item).toEqual({ a: 2, b: 1, c: 9, d: 7, hits: 1 });
+      expect(updated).toEqual({ a: 2, b: 1, c: 9, d: 7, hits: 1 });
+    });
+
+    it('should reject arithmetic on non-numbers', () => {
+      const actions = compileUpdate({ UpdateExpression: 'SET a = a + :one', ExpressionAttributeValues: { ':one': 1 } });
+
+      expect(() => applyUpdate(actions, { a: 'x' })).toThrow('incorrect data type');
+      expect(() => applyUpdate(compileUpdate({ UpdateExpression: 'ADD a :s', ExpressionAttributeValues: { ':s': 'x' } }), {}))
+        .toThrow('ADD is only supported for numbers');
+    });
+  });
+
+  describe('createMemoryClient', () => {
+    let client;
+
+    beforeEach(() => {
+      client = createMemoryClient({ keys: { secrets: 'id', ledger: 'jti' } });
+    });
+
+    it('should put and get copies of items', async () => {
+      const item = { id: 'a', nested: { n: 1 }, dropped: undefined };
+      await client.send(new PutCommand({ TableName: 'secrets', Item: item }));
+      item.nested.n = 2;
+
+      const { Item } = await client.send(new GetCommand({ TableName: 'secrets', Key: { id: 'a' } }));
+
+      expect(Item).toEqual({ id: 'a', nested: { n: 1 } });
+      expect(await client.send(new GetCommand({ TableName: 'secrets', Key: { id: 'b' } }))).toEqual({});
+    });
+
+    it('should fail conditional puts with ConditionalCheckFailedException', async () => {
+      const put = new PutCommand({ TableName: 'secrets', Item: { id: 'a' }, ConditionExpression: 'attribute_not_exists(id)' });
+      await client.send(put);
+
+      await expect(client.send(put)).rejects.toMatchObject({ name: 'ConditionalCheckFailedException' });
+    });
+
+    it('should return values as requested by ReturnValues', async () => {
+      await client.send(new PutCommand({ TableName: 'secrets', Item: { id: 'a', views: 2, other: 'x' } }));
+
+      const allNew = await client.send(new UpdateCommand({
+        TableName: 'secrets',
+        Key: { id: 'a' },
+        UpdateExpression: 'SET views = views - :one',
+        ExpressionAttributeValues: { ':one': 1 },
+        ReturnValues: 'ALL_NEW'
+      }));
+      const updatedNew = await client.send(new UpdateCommand({
+        TableName: 'secrets',
+        Key: { id: 'a' },
+        UpdateExpression: 'SET views = views - :one',
+        ExpressionAttributeValues: { ':one': 1 },
+        ReturnValues: 'UPDATED_NEW'
+      }));
+      const allOld = await client.send(new DeleteCommand({ TableName: 'secrets', Key: { id: 'a' }, ReturnValues: 'ALL_OLD' }));
+
+      expect(allNew.Attributes).toEqual({ id: 'a', views: 1, other: 'x' });
+      expect(updatedNew.Attributes).toEqual({ views: 0 });
+      expect(allOld.Attributes).toEqual({ id: 'a', views: 0, other: 'x' });
+    });
+
+    it('should create missing items on update', async () => {
+      const result = await client.send(new UpdateCommand({
+        TableName: 'secrets',
+        Key: { id: 'counter' },
+        UpdateExpression: 'ADD hits :one',
+        ExpressionAttributeValues: { ':one': 1 },
+        ReturnValues: 'ALL_NEW'
+      }));
+
+      expect(result.Attributes).toEqual({ id: 'counter', hits: 1 });
+    });
+
+    it('should apply a transaction only when every condition passes', async () => {
+      await client.send(new PutCommand({ TableName: 'ledger', Item: { jti: 'used' } }));
+      const transaction = (jti) => new TransactWriteCommand({
+        TransactItems: [
+          { Put: { TableName: 'ledger', Item: { jti }, ConditionExpression: 'attribute_not_exists(jti)' } },
+          { Put: { TableName: 'secrets', Item: { id: 's' }, ConditionExpression: 'attribute_not_exists(id)' } }
+        ]
+      });
+
+      const error = await client.send(transaction('used')).catch((e) => e);
+
+      expect(error.name).toBe('TransactionCanceledException');
+      expect(error.CancellationReasons).toEqual([{ Code: 'ConditionalCheckFailed' }, { Code: 'None' }]);
+      expect(await client.send(new GetCommand({ TableName: 'secrets', Key: { id: 's' } }))).toEqual({});
+
+      await client.send(transaction('fresh'));
+      expect((await client.send(new GetCommand({ TableName: 'secrets', Key: { id: 's' } }))).Item).toEqual({ id: 's' });
+    });
+
+    it('should reject unknown tables, missing keys and unsupported commands', async () => {
+      await expect(client.send(new GetCommand({ TableName: 'nope', Key: { id: 'a' } })))
+        .rejects.toMatchObject({ name: 'ResourceNotFoundException' });
+      await expect(client.send(new PutCommand({ TableName: 'ledger', Item: { id: 'a' } })))
+        .rejects.toMatchObject({ name: 'ValidationException' });
+      await expect(client.send(new QueryCommand({ TableName: 'secrets' })))
+        .rejects.toThrow('Unsupported command: QueryCommand');
+    });
+  });
+
+  // The real dynamo.js functions, running on the memory client
+  describe('with dynamo.js', () => {
+    let dynamo;
+    const now = () => Math.floor(Date.now() / 1000);
+
+    function secret(overrides = {}) {
+      return {
+        id: crypto.randomBytes(16).toString('base64url').slice(0, 22),
+        ciphertext: 'Y2lwaGVydGV4dA==',
+        iv: 'AQEBAQEBAQEBAQEB',
+        salt: null,
+        passphraseProtected: false,
+        remainingViews: 1,
+        burnToken: 'b'.repeat(32),
+        createdAt: now(),
+        expiresAt: now() + 3600,
+        ...overrides
+      };
+    }
+
+    beforeAll(() => {
+      process.env.DYNAMODB_STORE = 'memory';
+      dynamo = require('./dynamo');
+    });
+
+    afterAll(() => {
+      delete process.env.DYNAMODB_STORE;
+      dynamo._internal.resetClient();
+    });
+
+    beforeEach(() => {
+      dynamo._internal.resetClient();
+    });
+
+    it('should report each putSecretConsumingToken outcome', async () => {
+      const first = secret();
+
+      await expect(dynamo.putSecretConsumingToken(first, 'jti-1')).resolves.toBe(dynamo.PUT_CREATED);
+      await expect(dynamo.putSecretConsumingToken(secret(), 'jti-1')).resolves.toBe(dynamo.PUT_TOKEN_USED);
+      await expect(dynamo.putSecretConsumingToken(secret({ id: first.id }), 'jti-2')).resolves.toBe(dynamo.PUT_ID_EXISTS);
+      // The failed transaction left jti-2 unused
+      await expect(dynamo.isTokenUsed('jti-2')).resolves.toBe(false);
+    });
+
+    it('should serve the last view to exactly one of many concurrent readers', async () => {
+      const stored = secret({ remainingViews: 2 });
+      await dynamo.putSecret(stored);
+
+      const claims = await Promise.all(
+        Array.from({ length: 10 }, (_, i) => dynamo.claimView(stored.id, `token-${i}`))
+      );
+
+      const served = claims.filter(Boolean);
+      expect(served).toHaveLength(2);
+      expect(served.filter((claim) => claim.consumed)).toHaveLength(1);
+      await expect(dynamo.getSecret(stored.id)).resolves.toMatchObject({ remainingViews: 0 });
+    });
+
+    it('should not serve expired secrets', async () => {
+      const stored = secret({ expiresAt: now() - 1 });
+      await dynamo.putSecret(stored);
+
+      await expect(dynamo.claimView(stored.id, 'token')).resolves.toBeNull();
+    });
+
+    it('should burn only with the matching token', async () => {
+      const stored = secret();
+      await dynamo.putSecret(stored);
+
+      await expect(dynamo.conditionalDelete(stored.id, 'c'.repeat(32))).resolves.toBe(false);
+      await expect(dynamo.conditionalDelete(stored.id, stored.burnToken)).resolves.toBe(true);
+      await expect(dynamo.getSecret(stored.id)).resolves.toBeNull();
+    });
+
+    it('should accept exactly one of many concurrent uses of a token', async () => {
+      const results = await Promise.all(Array.from({ length: 10 }, () => dynamo.putSecretConsumingToken(secret(), 'jti')));
+
+      expect(results.filter((outcome) => outcome === dynamo.PUT_CREATED)).toHaveLength(1);
+    });
+
+    it('should count hits and keep the first expiry', async () => {
+      await dynamo.incrementCounter('window-1', 100);
+      await expect(dynamo.incrementCounter('window-1', 200)).resolves.toBe(2);
+      await expect(dynamo.getCounter('window-1')).resolves.toBe(2);
+      await expect(dynamo.getCounter('window-2')).resolves.toBe(0);
+    });
+  });
+});
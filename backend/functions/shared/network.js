@@ -0,0 +1,199 @@
+'use strict';
+
+const crypto = require('crypto');
+const { getServerSecret } = require('./token');
+
+// Default aggregation prefixes
+const DEFAULT_IPV4_PREFIX_BITS = 24;
+const DEFAULT_IPV6_PREFIX_BITS = 64;
+
+/**
+ * Get the caller's source IP from an API Gateway v2 event
+ * @param {object} event - API Gateway HTTP API event
+ * @returns {string|null} Source IP or null if unavailable
+ */
+function getSourceIp(event) {
+  const sourceIp = event && event.requestContext && event.requestContext.http
+    ? event.requestContext.http.sourceIp
+    : null;
+
+  return typeof sourceIp === 'string' && sourceIp ? sourceIp : null;
+}
+
+/**
+ * Parse a dotted-quad IPv4 address
+ * @param {string} ip - IPv4 address
+ * @returns {number[]|null} 4 bytes or null if invalid
+ */
+function parseIpv4(ip) {
+  const parts = ip.split('.');
+  if (parts.length !== 4) {
+    return null;
+  }
+
+  const bytes = [];
+  for (const part of parts) {
+    if (!/^\d{1,3}$/.test(part)) {
+      return null;
+    }
+    const value = Number(part);
+    if (value > 255) {
+      return null;
+    }
+    bytes.push(value);
+  }
+  return bytes;
+}
+
+/**
+ * Parse an IPv6 address (with optional :: compression and embedded IPv4)
+ * @param {string} ip - IPv6 address
+ * @returns {number[]|null} 16 bytes or null if invalid
+ */
+function parseIpv6(ip) {
+  // Strip zone index (fe80::1%eth0)
+  const address = ip.split('%')[0];
+  const halves = address.split('::');
+  if (halves.length > 2) {
+    return null;
+  }
+
+  const toGroups = (part) => (part ? part.split(':') : []);
+  const head = toGroups(halves[0]);
+  const tail = halves.length === 2 ? toGroups(halves[1]) : [];
+
+  // Expand a trailing embedded IPv4 address into two groups
+  const last = halves.length === 2 ? tail : head;
+  if (last.length && last[last.length - 1].includes('.')) {
+    const v4 = parseIpv4(last.pop());
+    if (!v4) {
+      return null;
+    }
+    last.push(((v4[0] << 8) | v4[1]).toString(16), ((v4[2] << 8) | v4[3]).toString(16));
+  }
+
+  const missing = 8 - head.length - tail.length;
+  if ((halves.length === 1 && missing !== 0) || (halves.length === 2 && missing < 1)) {
+    return null;
+  }
+
+  const groups = [...head, ...new Array(halves.length === 2 ? missing : 0).fill('0'), ...tail];
+  const bytes = [];
+  for (const group of groups) {
+    if (!/^[0-9a-fA-F]{1,4}$/.test(group)) {
+      return null;
+    }
+    const value = parseInt(group, 16);
+    bytes.push(value >> 8, value & 0xff);
+  }
+  return bytes;
+}
+
+/**
+ * Parse an IP address into its version and bytes
+ * IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) are treated as IPv4.
+ * @param {string} ip - IPv4 or IPv6 address
+ * @returns {{ version: number, bytes: number[] }|null} Parsed address or null if invalid
+ */
+function parseIp(ip) {
+  if (!ip || typeof ip !== 'string') {
+    return null;
+  }
+
+  if (!ip.includes(':')) {
+    const bytes = parseIpv4(ip);
+    return bytes ? { version: 4, bytes } : null;
+  }
+
+  const bytes = parseIpv6(ip);
+  if (!bytes) {
+    return null;
+  }
+
+  const isV4Mapped = bytes.slice(0, 10).every((b) => b === 0) && bytes[10] === 0xff && bytes[11] === 0xff;
+  if (isV4Mapped) {
+    return { version: 4, bytes: bytes.slice(12) };
+  }
+
+  return { version: 6, bytes };
+}
+
+/**
+ * Reduce an IP address to its network prefix in CIDR notation
+ * @param {string} ip - IPv4 or IPv6 address
+ * @param {object} [options]
+ * @param {number} [options.ipv4Bits=24] - Prefix length for IPv4 addresses
+ * @param {number} [options.ipv6Bits=64] - Prefix length for IPv6 addresses
+ * @returns {string|null} Prefix such as "203.0.113.0/24" or "2001:db8:0:0:0:0:0:0/64", or null if invalid
+ */
+function ipPrefix(ip, options = {}) {
+  const parsed = parseIp(ip);
+  if (!parsed) {
+    return null;
+  }
+
+  const bits = parsed.version === 4
+    ? (options.ipv4Bits ?? DEFAULT_IPV4_PREFIX_BITS)
+    : (options.ipv6Bits ?? DEFAULT_IPV6_PREFIX_BITS);
+
+  const masked = parsed.bytes.map((byte, i) => {
+    const keep = Math.max(0, Math.min(8, bits - i * 8));
+    return keep === 0 ? 0 : byte & ((0xff << (8 - keep)) & 0xff);
+  });
+
+  if (parsed.version === 4) {
+    return `${masked.join('.')}/${bits}`;
+  }
+
+  const groups = [];
+  for (let i = 0; i < 16; i += 2) {
+    groups.push(((masked[i] << 8) | masked[i + 1]).toString(16));
+  }
+  return `${groups.join(':')}/${bits}`;
+}
+
+/**
+ * The key prefixes are hashed with: RATE_LIMIT_SECRET, or failing that the
+ * token signing secret. With EdDSA only create-token holds a signing key, so
+ * every other function that rate-limits needs RATE_LIMIT_SECRET.
+ * @returns {Buffer|string}
+ * @throws {Error} If neither is configured; an unkeyed hash would be reversible
+ */
+function getPrefixSecret() {
+  if (process.env.RATE_LIMIT_SECRET) {
+    return process.env.RATE_LIMIT_SECRET;
+  }
+  try {
+    return getServerSecret();
+  } catch (error) {
+    throw new Error('RATE_LIMIT_SECRET environment variable is not set');
+  }
+}
+
+/**
+ * Derive an opaque storage key for a network prefix
+ * Raw IP addresses are never stored; the keyed hash cannot be reversed by
+ * enumerating the (small) IPv4 address space without the secret. Rotating
+ * the secret starts fresh counters, which only ever span a short window.
+ * @param {string} prefix - Network prefix from ipPrefix()
+ * @returns {string} 32 chars hex
+ * @throws {Error} If no hashing secret is configured
+ */
+function prefixKey(prefix) {
+  return crypto.createHmac('sha256', getPrefixSecret()).update(prefix).digest('hex').slice(0, 32);
+}
+
+module.exports = {
+  getSourceIp,
+  parseIp,
+  ipPrefix,
+  prefixKey,
+  // Constants
+  DEFAULT_IPV4_PREFIX_BITS,
+  DEFAULT_IPV6_PREFIX_BITS,
+  // For testing
+  _internal: {
+    parseIpv4,
+    parseIpv6
+  }
+};
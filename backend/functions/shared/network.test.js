@@ -0,0 +1,176 @@
+'use strict';
+
+const crypto = require('crypto');
+
+const {
+  getSourceIp,
+  parseIp,
+  ipPrefix,
+  prefixKey,
+  DEFAULT_IPV4_PREFIX_BITS,
+  DEFAULT_IPV6_PREFIX_BITS,
+  _internal
+} = require('./network');
+
+describe('network.js', () => {
+  describe('getSourceIp', () => {
+    it('should read the source IP from an API Gateway v2 event', () => {
+      const event = { requestContext: { http: { sourceIp: '203.0.113.7' } } };
+
+      expect(getSourceIp(event)).toBe('203.0.113.7');
+    });
+
+    it('should return null when the request context is missing', () => {
+      expect(getSourceIp({})).toBeNull();
+      expect(getSourceIp({ requestContext: {} })).toBeNull();
+      expect(getSourceIp(null)).toBeNull();
+      expect(getSourceIp(undefined)).toBeNull();
+    });
+
+    it('should return null for empty or non-string values', () => {
+      expect(getSourceIp({ requestContext: { http: { sourceIp: '' } } })).toBeNull();
+      expect(getSourceIp({ requestContext: { http: { sourceIp: 123 } } })).toBeNull();
+    });
+  });
+
+  describe('parseIp', () => {
+    it('should parse IPv4 addresses', () => {
+      expect(parseIp('192.0.2.1')).toEqual({ version: 4, bytes: [192, 0, 2, 1] });
+    });
+
+    it('should parse full IPv6 addresses', () => {
+      const parsed = parseIp('2001:0db8:0000:0000:0000:0000:0000:0001');
+
+      expect(parsed.version).toBe(6);
+      expect(parsed.bytes).toEqual([0x20, 0x01, 0x0d, 0xb8, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1]);
+    });
+
+    it('should expand compressed IPv6 addresses', () => {
+      expect(parseIp('2001:db8::1')).toEqual(parseIp('2001:db8:0:0:0:0:0:1'));
+      expect(parseIp('::1').bytes[15]).toBe(1);
+      expect(parseIp('::').bytes).toEqual(new Array(16).fill(0));
+    });
+
+    it('should treat IPv4-mapped IPv6 addresses as IPv4', () => {
+      expect(parseIp('::ffff:192.0.2.1')).toEqual({ version: 4, bytes: [192, 0, 2, 1] });
+    });
+
+    it('should ignore IPv6 zone indexes', () => {
+      expect(parseIp('fe80::1%eth0')).toEqual(parseIp('fe80::1'));
+    });
+
+    it('should reject invalid addresses', () => {
+      expect(parseIp('256.0.0.1')).toBeNull();
+      expect(parseIp('1.2.3')).toBeNull();
+      expect(parseIp('1.2.3.4.5')).toBeNull();
+      expect(parseIp('a.b.c.d')).toBeNull();
+      expect(parseIp('2001:db8::1::2')).toBeNull();
+      expect(parseIp('2001:db8:1')).toBeNull();
+      expect(parseIp('1:2:3:4:5:6:7:8:9')).toBeNull();
+      expect(parseIp('1:2:3:4:5:6:7::8')).toBeNull();
+      expect(parseIp('gggg::1')).toBeNull();
+      expect(parseIp('::ffff:999.0.0.1')).toBeNull();
+      expect(parseIp('')).toBeNull();
+      expect(parseIp(null)).toBeNull();
+      expect(parseIp(42)).toBeNull();
+    });
+  });
+
+  describe('ipPrefix', () => {
+    it('should aggregate IPv4 addresses to /24 by default', () => {
+      expect(ipPrefix('203.0.113.77')).toBe('203.0.113.0/24');
+    });
+
+    it('should aggregate IPv6 addresses to /64 by default', () => {
+      expect(ipPrefix('2001:db8:abcd:12:1:2:3:4')).toBe('2001:db8:abcd:12:0:0:0:0/64');
+    });
+
+    it('should map addresses in the same prefix to the same value', () => {
+      expect(ipPrefix('2001:db8:abcd:12::1')).toBe(ipPrefix('2001:db8:abcd:12:ffff::9'));
+      expect(ipPrefix('198.51.100.1')).toBe(ipPrefix('198.51.100.254'));
+    });
+
+    it('should honor custom prefix lengths', () => {
+      expect(ipPrefix('203.0.113.77', { ipv4Bits: 32 })).toBe('203.0.113.77/32');
+      expect(ipPrefix('203.0.113.77', { ipv4Bits: 20 })).toBe('203.0.112.0/20');
+      expect(ipPrefix('2001:db8:abcd:12::1', { ipv6Bits: 48 })).toBe('2001:db8:abcd:0:0:0:0:0/48');
+    });
+
+    it('should return null for invalid addresses', () => {
+      expect(ipPrefix('not-an-ip')).toBeNull();
+      expect(ipPrefix(null)).toBeNull();
+    });
+  });
+
+  describe('prefixKey', () => {
+    afterEach(() => {
+      delete process.env.JWT_SECRET;
+      delete process.env.JWT_ALG;
+      delete process.env.JWT_PUBLIC_KEY;
+      delete process.env.RATE_LIMIT_SECRET;
+    });
+
+    it('should return a 32-character hex string', () => {
+      process.env.JWT_SECRET = 'test-secret';
+
+      expect(prefixKey('203.0.113.0/24')).toMatch(/^[a-f0-9]{32}$/);
+    });
+
+    it('should not contain the prefix itself', () => {
+      process.env.JWT_SECRET = 'test-secret';
+
+      expect(prefixKey('203.0.113.0/24')).not.toContain('203');
+    });
+
+    it('should be stable for the same prefix and secret', () => {
+      process.env.JWT_SECRET = 'test-secret';
+
+      expect(prefixKey('203.0.113.0/24')).toBe(prefixKey('203.0.113.0/24'));
+    });
+
+    it('should depend on the server secret', () => {
+      process.env.JWT_SECRET = 'secret-one';
+      const first = prefixKey('203.0.113.0/24');
+      process.env.JWT_SECRET = 'secret-two';
+      const second = prefixKey('203.0.113.0/24');
+
+      expect(first).not.toBe(second);
+    });
+
+    it('should prefer RATE_LIMIT_SECRET to the signing secret', () => {
+      process.env.JWT_SECRET = 'test-secret';
+      const signing = prefixKey('203.0.113.0/24');
+      process.env.RATE_LIMIT_SECRET = 'rate-limit-secret';
+
+      expect(prefixKey('203.0.113.0/24')).not.toBe(signing);
+      delete process.env.JWT_SECRET;
+      expect(prefixKey('203.0.113.0/24')).toMatch(/^[a-f0-9]{32}$/);
+    });
+
+    it('should refuse to hash without a key when only verifying EdDSA tokens', () => {
+      // get-secret in EdDSA mode: a public key, no signing key
+      process.env.JWT_ALG = 'EdDSA';
+      process.env.JWT_PUBLIC_KEY = crypto.generateKeyPairSync('ed25519').publicKey.export({ format: 'pem', type: 'spki' });
+
+      expect(() => prefixKey('203.0.113.0/24')).toThrow('RATE_LIMIT_SECRET environment variable is not set');
+
+      process.env.RATE_LIMIT_SECRET = 'rate-limit-secret';
+      expect(prefixKey('203.0.113.0/24')).toMatch(/^[a-f0-9]{32}$/);
+    });
+  });
+
+  describe('_internal.parseIpv6', () => {
+    it('should expand embedded IPv4 in a full-length address', () => {
+      const bytes = _internal.parseIpv6('0:0:0:0:0:ffff:192.0.2.1');
+
+      expect(bytes.slice(12)).toEqual([192, 0, 2, 1]);
+    });
+  });
+
+  describe('constants', () => {
+    it('should aggregate IPv4 to /24 and IPv6 to /64', () => {
+      expect(DEFAULT_IPV4_PREFIX_BITS).toBe(24);
+      expect(DEFAULT_IPV6_PREFIX_BITS).toBe(64);
+    });
+  });
+});
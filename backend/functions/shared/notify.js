@@ -0,0 +1,552 @@
+'use strict';
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const dynamo = require('./dynamo');
+const { STORE_DYNAMODB } = require('./storage');
+const { parseIp } = require('./network');
+
+// NOTIFY_QUEUE values: where get-secret puts view events
+const QUEUE_DYNAMODB = 'dynamodb'; // notifications table, drained by the notify-dispatcher Lambda
+const QUEUE_INLINE = 'inline';     // delivered in-process with retries (self-hosted server)
+const QUEUE_SINK = 'sink';         // POSTed as-is to NOTIFY_SINK_URL, standing in for the dispatcher
+
+const EVENT_SECRET_VIEWED = 'secret.viewed';
+const SIGNATURE_HEADER = 'X-Sealed-Signature';
+
+// Sealed webhook layout: ephemeralPublicKey || iv || ciphertext (with GCM tag).
+// The HKDF info must match NOTIFY_LABEL in frontend/js/crypto.js.
+const SEAL_INFO = 'sealed.fyi notify v1|x25519';
+const EPHEMERAL_KEY_BYTES = 32;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+const DELIVERY_TIMEOUT_MS = 5000;
+// Waits before each retry of the inline queue; the Lambda dispatcher gets
+// its retries from the stream event source instead
+const RETRY_DELAYS_MS = [5000, 30000, 120000];
+// Queued events outlive a failing endpoint by this much, then TTL drops them
+const EVENT_TTL_SECONDS = 86400;
+
+/**
+ * A view notification as queued. The webhook stays sealed until delivery.
+ * @typedef {object} NotifyEvent
+ * @property {string} id - Event ID, sent to the webhook so retries can be de-duplicated
+ * @property {string} event - EVENT_SECRET_VIEWED
+ * @property {string} secretId - Secret that was viewed
+ * @property {number} viewedAt - Unix timestamp
+ * @property {string} notify - Sealed webhook, as given on POST /secrets
+ */
+
+/**
+ * A failed delivery. Retryable failures (network errors, timeouts, 408, 429
+ * and 5xx) are worth another attempt; the rest will never succeed.
+ */
+class DeliveryError extends Error {
+  /**
+   * @param {string} message
+   * @param {boolean} retryable
+   */
+  constructor(message, retryable) {
+    super(message);
+    this.name = 'DeliveryError';
+    this.retryable = retryable;
+  }
+}
+
+// =============================================================================
+// Keys and sealing
+// =============================================================================
+
+/**
+ * Read a PEM X25519 key. Literal "\n" sequences are accepted in place of
+ * newlines, as for the JWT keys.
+ * @param {string} pem
+ * @param {'public'|'private'} type
+ * @param {string} name - Setting name for error messages
+ * @returns {crypto.KeyObject}
+ * @throws {Error} If the PEM is unreadable or not X25519
+ */
+function readX25519Key(pem, type, name) {
+  let key;
+  try {
+    const text = pem.replace(/\\n/g, '\n');
+    key = type === 'public' ? crypto.createPublicKey(text) : crypto.createPrivateKey(text);
+  } catch (error) {
+    throw new Error(`${name} is not a PEM ${type} key`);
+  }
+  if (key.asymmetricKeyType !== 'x25519') {
+    throw new Error(`${name} must be an X25519 key`);
+  }
+  return key;
+}
+
+/**
+ * Whether this deployment takes notify webhooks (NOTIFY_PUBLIC_KEY is set)
+ * @returns {boolean}
+ */
+function isEnabled() {
+  return Boolean(process.env.NOTIFY_PUBLIC_KEY);
+}
+
+/**
+ * The key clients seal webhooks to, as advertised by POST /token
+ * @returns {string|null} base64url raw X25519 public key, or null if disabled
+ * @throws {Error} If NOTIFY_PUBLIC_KEY is not an X25519 public key
+ */
+function getNotifyKey() {
+  if (!isEnabled()) {
+    return null;
+  }
+  return readX25519Key(process.env.NOTIFY_PUBLIC_KEY, 'public', 'NOTIFY_PUBLIC_KEY').export({ format: 'jwk' }).x;
+}
+
+/**
+ * Open a sealed webhook
+ * @param {string} sealed - base64url(ephemeralPublicKey || iv || ciphertext)
+ * @param {crypto.KeyObject} privateKey - Server X25519 private key
+ * @returns {{url: string, secret: string}}
+ * @throws {Error} If the webhook was not sealed to this key or is malformed
+ */
+function openWebhook(sealed, privateKey) {
+  const bytes = Buffer.from(sealed, 'base64url');
+  const ephemeral = bytes.subarray(0, EPHEMERAL_KEY_BYTES);
+  const iv = bytes.subarray(EPHEMERAL_KEY_BYTES, EPHEMERAL_KEY_BYTES + IV_BYTES);
+  const ciphertext = bytes.subarray(EPHEMERAL_KEY_BYTES + IV_BYTES, bytes.length - TAG_BYTES);
+  if (ciphertext.length < 1) {
+    throw new Error('Sealed webhook is too short');
+  }
+
+  const shared = crypto.diffieHellman({
+    privateKey,
+    publicKey: crypto.createPublicKey({
+      key: { kty: 'OKP', crv: 'X25519', x: ephemeral.toString('base64url') },
+      format: 'jwk'
+    })
+  });
+  const key = Buffer.from(crypto.hkdfSync('sha256', shared, ephemeral, SEAL_INFO, 32));
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAuthTag(bytes.subarray(bytes.length - TAG_BYTES));
+  const webhook = JSON.parse(Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8'));
+
+  if (!webhook || typeof webhook.url !== 'string' || typeof webhook.secret !== 'string' || !webhook.secret) {
+    throw new Error('Sealed webhook is malformed');
+  }
+  return webhook;
+}
+
+// =============================================================================
+// Delivery
+// =============================================================================
+
+/**
+ * The IPv4 address an IPv6 address stands for, if it is one of the forms
+ * that reach an IPv4 host: IPv4-mapped (::ffff:a.b.c.d), IPv4-compatible
+ * (::a.b.c.d), NAT64 (64:ff9b::a.b.c.d) or 6to4 (2002:aabb:ccdd::/48)
+ * @param {number[]} bytes - 16 bytes
+ * @returns {number[]|null} 4 bytes, or null
+ */
+function embeddedIpv4(bytes) {
+  const zero = (from, to) => bytes.slice(from, to).every((byte) => byte === 0);
+
+  if (zero(0, 10) && ((bytes[10] === 0xff && bytes[11] === 0xff) || (bytes[10] === 0 && bytes[11] === 0))) {
+    return bytes.slice(12);
+  }
+  if (bytes[0] === 0x00 && bytes[1] === 0x64 && bytes[2] === 0xff && bytes[3] === 0x9b && zero(4, 12)) {
+    return bytes.slice(12);
+  }
+  if (bytes[0] === 0x20 && bytes[1] === 0x02) {
+    return bytes.slice(2, 6);
+  }
+  return null;
+}
+
+/**
+ * Whether an IP literal is in a loopback, private, link-local or otherwise
+ * non-public range. IPv6 addresses that carry an IPv4 address (see
+ * embeddedIpv4) are judged by their IPv4 part.
+ * @param {{version: number, bytes: number[]}} ip - From network.parseIp
+ * @returns {boolean}
+ */
+function isInternalAddress({ version, bytes }) {
+  if (version === 4) {
+    const [a, b, c] = bytes;
+    return a === 0 || a === 10 || a === 127 || (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) || (a === 192 && b === 168) ||
+      (a === 100 && b >= 64 && b <= 127) ||
+      (a === 192 && b === 0 && (c === 0 || c === 2)) ||      // 192.0.0.0/24, TEST-NET-1
+      (a === 198 && (b === 18 || b === 19)) ||                // 198.18.0.0/15, benchmarking
+      a >= 224;
+  }
+
+  const v4 = embeddedIpv4(bytes);
+  if (v4) {
+    return isInternalAddress({ version: 4, bytes: v4 });
+  }
+  return bytes.slice(0, 15).every((byte) => byte === 0) ||  // :: and ::1
+    (bytes[0] === 0x00 && bytes[1] === 0x64 && bytes[2] === 0xff && bytes[3] === 0x9b &&
+      bytes[4] === 0x00 && bytes[5] === 0x01) ||              // 64:ff9b:1::/48, local-use NAT64
+    (bytes[0] & 0xfe) === 0xfc ||                             // fc00::/7
+    (bytes[0] === 0xfe && (bytes[1] & 0xc0) === 0x80) ||     // fe80::/10
+    bytes[0] === 0xff;                                        // multicast
+}
+
+/**
+ * Check that a webhook URL may be called. Only https to public hosts, unless
+ * NOTIFY_ALLOW_LOCAL=true (local sinks over http or on private addresses).
+ * This stops literal internal targets; host names are checked as they are
+ * resolved for the connection (see checkedLookup).
+ * @param {string} url
+ * @returns {URL}
+ * @throws {DeliveryError} Not retryable
+ */
+function checkWebhookUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new DeliveryError('Webhook URL is malformed', false);
+  }
+
+  if (process.env.NOTIFY_ALLOW_LOCAL === 'true') {
+    if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+      throw new DeliveryError('Webhook URL must be http(s)', false);
+    }
+    return parsed;
+  }
+
+  if (parsed.protocol !== 'https:') {
+    throw new DeliveryError('Webhook URL must be https', false);
+  }
+  const ip = parseIp(parsed.hostname.replace(/^\[|\]$/g, ''));
+  if (parsed.hostname === 'localhost' || parsed.hostname.endsWith('.localhost') || (ip && isInternalAddress(ip))) {
+    throw new DeliveryError('Webhook URL must be a public host', false);
+  }
+  return parsed;
+}
+
+/**
+ * dns.lookup for webhook connections: refuses a host if any of its
+ * addresses is internal. The socket connects to an address this returned,
+ * so the host cannot resolve to one address when checked and another when
+ * called.
+ * @param {string} hostname
+ * @param {object} options - As passed by net.connect
+ * @param {Function} callback
+ */
+function checkedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      callback(error);
+      return;
+    }
+    const refused = process.env.NOTIFY_ALLOW_LOCAL !== 'true' && addresses.some(({ address }) => {
+      const ip = parseIp(address);
+      return !ip || isInternalAddress(ip);
+    });
+    if (refused) {
+      callback(new DeliveryError('Webhook host resolves to an internal address', false));
+    } else if (options.all) {
+      callback(null, addresses);
+    } else {
+      callback(null, addresses[0].address, addresses[0].family);
+    }
+  });
+}
+
+/**
+ * POST to a webhook over a connection made through checkedLookup. Takes
+ * the fetch() arguments deliver() uses and never follows redirects.
+ * @param {URL} url - From checkWebhookUrl
+ * @param {{method: string, headers: object, body: string, signal?: AbortSignal}} init
+ * @returns {Promise<{status: number}>}
+ */
+function postWebhook(url, init) {
+  const transport = url.protocol === 'http:' ? http : https;
+
+  return new Promise((resolve, reject) => {
+    const request = transport.request(url, {
+      method: init.method,
+      headers: { ...init.headers, 'Content-Length': Buffer.byteLength(init.body) },
+      lookup: checkedLookup,
+      signal: init.signal
+    }, (response) => {
+      response.resume();
+      resolve({ status: response.statusCode });
+    });
+    request.on('error', reject);
+    request.end(init.body);
+  });
+}
+
+/**
+ * Sign a webhook body: HMAC-SHA256 over "<timestamp>.<body>" keyed with the
+ * webhook's secret, so a receiver can check both origin and freshness
+ * @param {string} body - Exact bytes sent
+ * @param {string} secret - Webhook signing secret (UTF-8)
+ * @param {number} timestamp - Unix timestamp
+ * @returns {string} "t=<timestamp>,v1=<hex>"
+ */
+function signPayload(body, secret, timestamp) {
+  const mac = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${mac}`;
+}
+
+/**
+ * The JSON a webhook receives: the event without its sealed webhook
+ * @param {NotifyEvent} event
+ * @returns {string}
+ */
+function payloadFor(event) {
+  return JSON.stringify({
+    id: event.id,
+    event: event.event,
+    secretId: event.secretId,
+    viewedAt: event.viewedAt
+  });
+}
+
+/**
+ * Open an event's webhook and POST the signed payload to it
+ * Redirects are not followed: the sealed URL is the only one called.
+ * @param {NotifyEvent} event
+ * @param {object} [options]
+ * @param {crypto.KeyObject} [options.privateKey] - Defaults to NOTIFY_PRIVATE_KEY
+ * @param {typeof fetch} [options.fetch] - Defaults to postWebhook
+ * @returns {Promise<void>}
+ * @throws {DeliveryError}
+ */
+async function deliver(event, options = {}) {
+  let webhook;
+  try {
+    const privateKey = options.privateKey ||
+      readX25519Key(process.env.NOTIFY_PRIVATE_KEY || '', 'private', 'NOTIFY_PRIVATE_KEY');
+    webhook = openWebhook(event.notify, privateKey);
+  } catch (error) {
+    throw new DeliveryError(`Cannot open webhook: ${error.message}`, false);
+  }
+
+  const url = checkWebhookUrl(webhook.url);
+  const body = payloadFor(event);
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  let response;
+  try {
+    response = await (options.fetch || postWebhook)(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'sealed.fyi-notify/1',
+        [SIGNATURE_HEADER]: signPayload(body, webhook.secret, timestamp)
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+    });
+  } catch (error) {
+    if (error instanceof DeliveryError) {
+      throw error;
+    }
+    throw new DeliveryError(`Webhook request failed: ${error.name}`, true);
+  }
+
+  if (response.status < 200 || response.status > 299) {
+    const retryable = response.status === 408 || response.status === 429 || response.status >= 500;
+    throw new DeliveryError(`Webhook responded ${response.status}`, retryable);
+  }
+}
+
+/**
+ * Deliver an event, waiting out each delay before another attempt while
+ * failures are retryable. Never throws: the outcome is logged, without the
+ * webhook URL.
+ * @param {NotifyEvent} event
+ * @param {object} [options] - As for deliver(), plus:
+ * @param {number[]} [options.delays=RETRY_DELAYS_MS]
+ * @param {(ms: number) => Promise<void>} [options.sleep]
+ * @returns {Promise<boolean>} True if delivered
+ */
+async function deliverWithRetries(event, options = {}) {
+  const delays = options.delays || RETRY_DELAYS_MS;
+  const sleep = options.sleep || ((ms) => new Promise((resolve) => setTimeout(resolve, ms).unref()));
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      await deliver(event, options);
+      return true;
+    } catch (error) {
+      if (!error.retryable || attempt >= delays.length) {
+        console.error('Notification not delivered:', event.id, error.message);
+        return false;
+      }
+      await sleep(delays[attempt]);
+    }
+  }
+}
+
+// =============================================================================
+// Queues
+// =============================================================================
+
+/**
+ * Where view events go on their way to delivery
+ * @typedef {object} NotifyQueue
+ * @property {(event: NotifyEvent) => Promise<void>} enqueue - Accept an event; resolves once it is safely queued
+ */
+
+/**
+ * Queue events in the notifications table; its stream triggers the
+ * notify-dispatcher Lambda. The table belongs to the DynamoDB deployment,
+ * so other stores must deliver inline or through a sink.
+ * @returns {NotifyQueue}
+ * @throws {Error} If SECRET_STORE names another backend
+ */
+function createDynamoQueue() {
+  if ((process.env.SECRET_STORE || STORE_DYNAMODB) !== STORE_DYNAMODB) {
+    throw new Error('NOTIFY_QUEUE must be inline or sink unless SECRET_STORE=dynamodb');
+  }
+
+  return {
+    async enqueue(event) {
+      await dynamo.putNotification(event, event.viewedAt + EVENT_TTL_SECONDS);
+    }
+  };
+}
+
+/**
+ * Deliver events in the background of the current process (with retries),
+ * for servers that run no dispatcher
+ * @param {object} [options] - As for deliverWithRetries()
+ * @returns {NotifyQueue & { idle: () => Promise<void> }}
+ */
+function createInlineQueue(options = {}) {
+  const pending = new Set();
+
+  return {
+    async enqueue(event) {
+      const delivery = deliverWithRetries(event, options).finally(() => pending.delete(delivery));
+      pending.add(delivery);
+    },
+
+    /**
+     * Wait for every delivery in flight (tests and shutdown)
+     * @returns {Promise<void>}
+     */
+    async idle() {
+      await Promise.all([...pending]);
+    }
+  };
+}
+
+/**
+ * Hand events to a local HTTP sink in place of the dispatcher. The sink gets
+ * the whole event, sealed webhook included, and decides what to do with it.
+ * @param {object} [options]
+ * @param {string} [options.url] - Defaults to NOTIFY_SINK_URL
+ * @param {typeof fetch} [options.fetch]
+ * @returns {NotifyQueue}
+ */
+function createSinkQueue(options = {}) {
+  const url = options.url || process.env.NOTIFY_SINK_URL;
+  if (!url) {
+    throw new Error('NOTIFY_SINK_URL is required when NOTIFY_QUEUE=sink');
+  }
+
+  return {
+    async enqueue(event) {
+      const response = await (options.fetch || fetch)(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(event),
+        signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+      });
+      if (!response.ok) {
+        throw new Error(`Notification sink responded ${response.status}`);
+      }
+    }
+  };
+}
+
+// Singleton queue instance
+let queue = null;
+
+/**
+ * Get the configured queue (singleton)
+ * NOTIFY_QUEUE=inline delivers in-process and NOTIFY_QUEUE=sink posts to
+ * NOTIFY_SINK_URL; anything else uses the notifications table.
+ * @returns {NotifyQueue}
+ */
+function getQueue() {
+  if (!queue) {
+    if (process.env.NOTIFY_QUEUE === QUEUE_INLINE) {
+      queue = createInlineQueue();
+    } else if (process.env.NOTIFY_QUEUE === QUEUE_SINK) {
+      queue = createSinkQueue();
+    } else {
+      queue = createDynamoQueue();
+    }
+  }
+  return queue;
+}
+
+/**
+ * Replace the queue (useful for testing and local stand-ins)
+ * @param {NotifyQueue|null} replacement - Queue to use, or null to reset
+ */
+function setQueue(replacement) {
+  queue = replacement;
+}
+
+/**
+ * Queue the notification for a secret's first view
+ * @param {string} secretId
+ * @param {string} sealed - The secret's sealed webhook
+ * @param {number} viewedAt - Unix timestamp
+ * @returns {Promise<NotifyEvent>}
+ */
+async function notifyViewed(secretId, sealed, viewedAt) {
+  const event = {
+    id: crypto.randomUUID(),
+    event: EVENT_SECRET_VIEWED,
+    secretId,
+    viewedAt,
+    notify: sealed
+  };
+  await getQueue().enqueue(event);
+  return event;
+}
+
+module.exports = {
+  DeliveryError,
+  readX25519Key,
+  isEnabled,
+  getNotifyKey,
+  openWebhook,
+  checkWebhookUrl,
+  signPayload,
+  deliver,
+  deliverWithRetries,
+  createDynamoQueue,
+  createInlineQueue,
+  createSinkQueue,
+  getQueue,
+  setQueue,
+  notifyViewed,
+  EVENT_SECRET_VIEWED,
+  SIGNATURE_HEADER,
+  RETRY_DELAYS_MS,
+  QUEUE_DYNAMODB,
+  QUEUE_INLINE,
+  QUEUE_SINK,
+  // For testing
+  _internal: {
+    isInternalAddress,
+    checkedLookup,
+    payloadFor,
+    SEAL_INFO,
+    EVENT_TTL_SECONDS
+  }
+};
@@ -0,0 +1,490 @@
+'use strict';
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const dynamo = require('./dynamo');
+const { parseIp } = require('./network');
+const {
+  DeliveryError,
+  readX25519Key,
+  isEnabled,
+  getNotifyKey,
+  openWebhook,
+  checkWebhookUrl,
+  signPayload,
+  deliver,
+  deliverWithRetries,
+  createDynamoQueue,
+  createInlineQueue,
+  createSinkQueue,
+  getQueue,
+  setQueue,
+  notifyViewed,
+  EVENT_SECRET_VIEWED,
+  SIGNATURE_HEADER,
+  _internal
+} = require('./notify');
+
+const { isInternalAddress, checkedLookup, payloadFor, SEAL_INFO, EVENT_TTL_SECONDS } = _internal;
+
+const server = crypto.generateKeyPairSync('x25519');
+const PUBLIC_PEM = server.publicKey.export({ type: 'spki', format: 'pem' });
+const PRIVATE_PEM = server.privateKey.export({ type: 'pkcs8', format: 'pem' });
+const WEBHOOK = { url: 'https://hooks.example.com/sealed', secret: 'whsec-test' };
+
+/**
+ * Seal a webhook the way frontend/js/crypto.js sealNotify() does
+ */
+function seal(webhook, publicKey = server.publicKey) {
+  const ephemeral = crypto.generateKeyPairSync('x25519');
+  const ephemeralBytes = Buffer.from(ephemeral.publicKey.export({ format: 'jwk' }).x, 'base64url');
+  const shared = crypto.diffieHellman({ privateKey: ephemeral.privateKey, publicKey });
+  const key = Buffer.from(crypto.hkdfSync('sha256', shared, ephemeralBytes, SEAL_INFO, 32));
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(webhook)), cipher.final()]);
+  return Buffer.concat([ephemeralBytes, iv, ciphertext, cipher.getAuthTag()]).toString('base64url');
+}
+
+function viewedEvent(webhook = WEBHOOK) {
+  return {
+    id: 'b7f3c1de-4a5b-4c6d-8e9f-0a1b2c3d4e5f',
+    event: EVENT_SECRET_VIEWED,
+    secretId: 'Ab3dEf6hIj9kLmNoPqRs12',
+    viewedAt: 1706745600,
+    notify: seal(webhook)
+  };
+}
+
+function fakeFetch(status = 204) {
+  return jest.fn(async () => ({ status, ok: status >= 200 && status < 300 }));
+}
+
+describe('notify.js', () => {
+  beforeEach(() => {
+    setQueue(null);
+    process.env.NOTIFY_PRIVATE_KEY = PRIVATE_PEM;
+    delete process.env.NOTIFY_PUBLIC_KEY;
+    delete process.env.NOTIFY_QUEUE;
+    delete process.env.NOTIFY_SINK_URL;
+    delete process.env.NOTIFY_ALLOW_LOCAL;
+    delete process.env.SECRET_STORE;
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    delete process.env.NOTIFY_PRIVATE_KEY;
+  });
+
+  describe('readX25519Key', () => {
+    it('should read PEM keys, with newlines written as \\n', () => {
+      const key = readX25519Key(PUBLIC_PEM.replace(/\n/g, '\\n'), 'public', 'NOTIFY_PUBLIC_KEY');
+
+      expect(key.asymmetricKeyType).toBe('x25519');
+      expect(readX25519Key(PRIVATE_PEM, 'private', 'NOTIFY_PRIVATE_KEY').type).toBe('private');
+    });
+
+    it('should reject unreadable and non-X25519 keys', () => {
+      const ed25519 = crypto.generateKeyPairSync('ed25519').publicKey.export({ type: 'spki', format: 'pem' });
+
+      expect(() => readX25519Key('nope', 'public', 'NOTIFY_PUBLIC_KEY')).toThrow('NOTIFY_PUBLIC_KEY is not a PEM public key');
+      expect(() => readX25519Key(ed25519, 'public', 'NOTIFY_PUBLIC_KEY')).toThrow('must be an X25519 key');
+    });
+  });
+
+  describe('getNotifyKey', () => {
+    it('should be null while notifications are disabled', () => {
+      expect(isEnabled()).toBe(false);
+      expect(getNotifyKey()).toBeNull();
+    });
+
+    it('should return the raw public key as base64url', () => {
+      process.env.NOTIFY_PUBLIC_KEY = PUBLIC_PEM;
+
+      expect(isEnabled()).toBe(true);
+      expect(getNotifyKey()).toBe(server.publicKey.export({ format: 'jwk' }).x);
+      expect(getNotifyKey()).toMatch(/^[A-Za-z0-9_-]{43}$/);
+    });
+  });
+
+  describe('openWebhook', () => {
+    it('should open a webhook sealed to the server key', () => {
+      expect(openWebhook(seal(WEBHOOK), server.privateKey)).toEqual(WEBHOOK);
+    });
+
+    it('should fail with another key, on tampering and on short input', () => {
+      const other = crypto.generateKeyPairSync('x25519').privateKey;
+      const sealed = Buffer.from(seal(WEBHOOK), 'base64url');
+      sealed[sealed.length - 1] ^= 1;
+
+      expect(() => openWebhook(seal(WEBHOOK), other)).toThrow();
+      expect(() => openWebhook(sealed.toString('base64url'), server.privateKey)).toThrow();
+      expect(() => openWebhook(Buffer.alloc(60).toString('base64url'), server.privateKey)).toThrow('too short');
+    });
+
+    it('should require a URL and a signing secret', () => {
+      expect(() => openWebhook(seal({ url: WEBHOOK.url }), server.privateKey)).toThrow('malformed');
+    });
+  });
+
+  describe('checkWebhookUrl', () => {
+    it('should accept https URLs on public hosts', () => {
+      expect(checkWebhookUrl('https://hooks.example.com/x').hostname).toBe('hooks.example.com');
+      expect(checkWebhookUrl('https://203.0.113.9/x').hostname).toBe('203.0.113.9');
+    });
+
+    it('should refuse plain http and internal targets', () => {
+      const refused = [
+        'http://hooks.example.com/x',
+        'https://127.0.0.1/x',
+        'https://10.1.2.3/x',
+        'https://169.254.169.254/latest/meta-data',
+        'https://[::1]/x',
+        'https://[fd00::1]/x',
+        'https://localhost/x',
+        'ftp://hooks.example.com/x',
+        'not a url'
+      ];
+
+      for (const url of refused) {
+        expect(() => checkWebhookUrl(url)).toThrow(DeliveryError);
+      }
+    });
+
+    it('should allow local sinks with NOTIFY_ALLOW_LOCAL', () => {
+      process.env.NOTIFY_ALLOW_LOCAL = 'true';
+
+      expect(checkWebhookUrl('http://127.0.0.1:8080/hook').port).toBe('8080');
+      expect(() => checkWebhookUrl('file:///etc/passwd')).toThrow(DeliveryError);
+    });
+  });
+
+  describe('isInternalAddress', () => {
+    it('should classify IPv4 and IPv6 ranges', () => {
+      expect(isInternalAddress({ version: 4, bytes: [172, 20, 0, 1] })).toBe(true);
+      expect(isInternalAddress({ version: 4, bytes: [100, 64, 0, 1] })).toBe(true);
+      expect(isInternalAddress({ version: 4, bytes: [8, 8, 8, 8] })).toBe(false);
+      expect(isInternalAddress({ version: 6, bytes: [0xfe, 0x80, ...new Array(14).fill(0)] })).toBe(true);
+      expect(isInternalAddress({ version: 6, bytes: [0x20, 0x01, 0x0d, 0xb8, ...new Array(12).fill(1)] })).toBe(false);
+    });
+
+    it('should classify special-purpose IPv4 ranges', () => {
+      const v4 = (...bytes) => isInternalAddress({ version: 4, bytes });
+
+      expect(v4(198, 18, 0, 1)).toBe(true);
+      expect(v4(198, 19, 255, 254)).toBe(true);
+      expect(v4(198, 20, 0, 1)).toBe(false);
+      expect(v4(192, 0, 0, 170)).toBe(true);
+      expect(v4(192, 0, 2, 1)).toBe(true);
+      expect(v4(192, 0, 3, 1)).toBe(false);
+    });
+
+    it('should judge IPv4-mapped IPv6 addresses by their IPv4 part', () => {
+      const mapped = (v4) => ({ version: 6, bytes: [...new Array(10).fill(0), 0xff, 0xff, ...v4] });
+
+      expect(isInternalAddress(mapped([127, 0, 0, 1]))).toBe(true);
+      expect(isInternalAddress(mapped([169, 254, 169, 254]))).toBe(true);
+      expect(isInternalAddress(mapped([8, 8, 8, 8]))).toBe(false);
+    });
+
+    it('should judge IPv4-compatible IPv6 addresses by their IPv4 part', () => {
+      expect(isInternalAddress(parseIp('::10.0.0.1'))).toBe(true);
+      expect(isInternalAddress(parseIp('::192.168.1.1'))).toBe(true);
+      expect(isInternalAddress(parseIp('::8.8.8.8'))).toBe(false);
+    });
+
+    it('should judge NAT64 addresses by their IPv4 part', () => {
+      expect(isInternalAddress(parseIp('64:ff9b::127.0.0.1'))).toBe(true);
+      expect(isInternalAddress(parseIp('64:ff9b::a9fe:a9fe'))).toBe(true);
+      expect(isInternalAddress(parseIp('64:ff9b::8.8.8.8'))).toBe(false);
+      // The local-use prefix only exists inside a network
+      expect(isInternalAddress(parseIp('64:ff9b:1::8.8.8.8'))).toBe(true);
+    });
+
+    it('should judge 6to4 addresses by their IPv4 part', () => {
+      expect(isInternalAddress(parseIp('2002:c0a8:0101::1'))).toBe(true);
+      expect(isInternalAddress(parseIp('2002:0a00:0001::'))).toBe(true);
+      expect(isInternalAddress(parseIp('2002:0808:0808::1'))).toBe(false);
+    });
+  });
+
+  describe('checkedLookup', () => {
+    function resolvesTo(...addresses) {
+      jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => {
+        callback(null, addresses.map((address) => ({ address, family: address.includes(':') ? 6 : 4 })));
+      });
+    }
+
+    function lookup(options) {
+      return new Promise((resolve, reject) => {
+        checkedLookup('hooks.example.com', options, (error, ...result) => (error ? reject(error) : resolve(result)));
+      });
+    }
+
+    it('should pass public addresses through in either reply form', async () => {
+      resolvesTo('203.0.113.9', '2001:db8::1');
+
+      await expect(lookup({})).resolves.toEqual(['203.0.113.9', 4]);
+      await expect(lookup({ all: true })).resolves.toEqual([[
+        { address: '203.0.113.9', family: 4 },
+        { address: '2001:db8::1', family: 6 }
+      ]]);
+      expect(dns.lookup.mock.calls[0][1]).toEqual({ all: true });
+    });
+
+    it('should refuse a host if any address is internal', async () => {
+      for (const address of ['10.0.0.5', '169.254.169.254', '::1', '::ffff:127.0.0.1']) {
+        resolvesTo('203.0.113.9', address);
+        await expect(lookup({})).rejects.toMatchObject({ name: 'DeliveryError', retryable: false });
+      }
+    });
+
+    it('should pass on resolution errors', async () => {
+      jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => {
+        callback(Object.assign(new Error('getaddrinfo ENOTFOUND'), { code: 'ENOTFOUND' }));
+      });
+
+      await expect(lookup({})).rejects.toMatchObject({ code: 'ENOTFOUND' });
+    });
+
+    it('should allow internal addresses with NOTIFY_ALLOW_LOCAL', async () => {
+      process.env.NOTIFY_ALLOW_LOCAL = 'true';
+      resolvesTo('127.0.0.1');
+
+      await expect(lookup({})).resolves.toEqual(['127.0.0.1', 4]);
+    });
+  });
+
+  describe('signPayload', () => {
+    it('should sign the timestamp and body with HMAC-SHA256', () => {
+      const expected = crypto.createHmac('sha256', 'whsec-test').update('1706745600.{"a":1}').digest('hex');
+
+      expect(signPayload('{"a":1}', 'whsec-test', 1706745600)).toBe(`t=1706745600,v1=${expected}`);
+    });
+  });
+
+  describe('deliver', () => {
+    it('should POST the signed event without the sealed webhook', async () => {
+      const fetch = fakeFetch();
+      const event = viewedEvent();
+
+      await deliver(event, { fetch });
+
+      const [url, init] = fetch.mock.calls[0];
+      expect(url.href).toBe(WEBHOOK.url);
+      expect(init.method).toBe('POST');
+      expect(init.redirect).toBe('manual');
+      expect(JSON.parse(init.body)).toEqual({
+        id: event.id,
+        event: EVENT_SECRET_VIEWED,
+        secretId: event.secretId,
+        viewedAt: event.viewedAt
+      });
+      const [, timestamp] = /^t=(\d+),/.exec(init.headers[SIGNATURE_HEADER]);
+      expect(init.headers[SIGNATURE_HEADER]).toBe(signPayload(init.body, WEBHOOK.secret, Number(timestamp)));
+    });
+
+    it('should mark server errors, 408 and 429 as retryable', async () => {
+      for (const status of [500, 503, 408, 429]) {
+        await expect(deliver(viewedEvent(), { fetch: fakeFetch(status) })).rejects.toMatchObject({ retryable: true });
+      }
+      const fetch = jest.fn(async () => {
+        throw new TypeError('fetch failed');
+      });
+      await expect(deliver(viewedEvent(), { fetch })).rejects.toMatchObject({ retryable: true });
+    });
+
+    it('should not retry client errors and redirects', async () => {
+      for (const status of [400, 404, 410, 302]) {
+        await expect(deliver(viewedEvent(), { fetch: fakeFetch(status) })).rejects.toMatchObject({ retryable: false });
+      }
+    });
+
+    it('should not call anything it cannot open or may not call', async () => {
+      const fetch = fakeFetch();
+      const unopenable = { ...viewedEvent(), notify: seal(WEBHOOK, crypto.generateKeyPairSync('x25519').publicKey) };
+
+      await expect(deliver(unopenable, { fetch })).rejects.toMatchObject({ retryable: false });
+      await expect(deliver(viewedEvent({ ...WEBHOOK, url: 'https://127.0.0.1/' }), { fetch }))
+        .rejects.toMatchObject({ retryable: false });
+      delete process.env.NOTIFY_PRIVATE_KEY;
+      await expect(deliver(viewedEvent(), { fetch })).rejects.toThrow('NOTIFY_PRIVATE_KEY');
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    it('should not connect to a host name that resolves inward', async () => {
+      const lookup = jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => {
+        callback(null, [{ address: '169.254.169.254', family: 4 }]);
+      });
+
+      await expect(deliver(viewedEvent())).rejects.toMatchObject({
+        message: 'Webhook host resolves to an internal address',
+        retryable: false
+      });
+      expect(lookup.mock.calls[0][0]).toBe('hooks.example.com');
+    });
+
+    it('should connect to the address it checked', async () => {
+      process.env.NOTIFY_ALLOW_LOCAL = 'true';
+      const hosts = [];
+      const sink = http.createServer((req, res) => {
+        hosts.push(req.headers.host);
+        req.resume();
+        req.on('end', () => res.writeHead(204).end());
+      });
+      await new Promise((resolve) => sink.listen(0, '127.0.0.1', resolve));
+      jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => {
+        callback(null, [{ address: '127.0.0.1', family: 4 }]);
+      });
+
+      try {
+        const { port } = sink.address();
+        await deliver(viewedEvent({ url: `http://hooks.example.com:${port}/hook`, secret: 'local' }));
+        expect(hosts).toEqual([`hooks.example.com:${port}`]);
+      } finally {
+        await new Promise((resolve) => sink.close(resolve));
+      }
+    });
+
+    it('should deliver to a local HTTP sink', async () => {
+      process.env.NOTIFY_ALLOW_LOCAL = 'true';
+      const received = [];
+      const sink = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => {
+          body += chunk;
+        });
+        req.on('end', () => {
+          received.push({ headers: req.headers, body });
+          res.writeHead(204).end();
+        });
+      });
+      await new Promise((resolve) => sink.listen(0, '127.0.0.1', resolve));
+
+      try {
+        const url = `http://127.0.0.1:${sink.address().port}/hook`;
+        await deliver(viewedEvent({ url, secret: 'local' }));
+      } finally {
+        await new Promise((resolve) => sink.close(resolve));
+      }
+
+      expect(received).toHaveLength(1);
+      expect(JSON.parse(received[0].body).event).toBe(EVENT_SECRET_VIEWED);
+      expect(received[0].headers[SIGNATURE_HEADER.toLowerCase()]).toMatch(/^t=\d+,v1=[0-9a-f]{64}$/);
+    });
+  });
+
+  describe('deliverWithRetries', () => {
+    beforeEach(() => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    it('should retry retryable failures after each delay', async () => {
+      const fetch = jest.fn()
+        .mockResolvedValueOnce({ status: 503 })
+        .mockRejectedValueOnce(new TypeError('fetch failed'))
+        .mockResolvedValueOnce({ status: 200 });
+      const sleep = jest.fn(async () => {});
+
+      await expect(deliverWithRetries(viewedEvent(), { fetch, sleep, delays: [10, 20, 30] })).resolves.toBe(true);
+
+      expect(fetch).toHaveBeenCalledTimes(3);
+      expect(sleep.mock.calls).toEqual([[10], [20]]);
+    });
+
+    it('should give up on permanent failures and once the delays run out', async () => {
+      const sleep = jest.fn(async () => {});
+
+      await expect(deliverWithRetries(viewedEvent(), { fetch: fakeFetch(404), sleep })).resolves.toBe(false);
+      expect(sleep).not.toHaveBeenCalled();
+
+      const fetch = fakeFetch(500);
+      await expect(deliverWithRetries(viewedEvent(), { fetch, sleep, delays: [1, 2] })).resolves.toBe(false);
+      expect(fetch).toHaveBeenCalledTimes(3);
+    });
+
+    it('should not log the webhook URL', async () => {
+      await deliverWithRetries(viewedEvent(), { fetch: fakeFetch(404) });
+
+      expect(JSON.stringify(console.error.mock.calls)).not.toContain('hooks.example.com');
+    });
+  });
+
+  describe('queues', () => {
+    it('should put events into the notifications table with a TTL', async () => {
+      const put = jest.spyOn(dynamo, 'putNotification').mockResolvedValue();
+      const event = viewedEvent();
+
+      await createDynamoQueue().enqueue(event);
+
+      expect(put).toHaveBeenCalledWith(event, event.viewedAt + EVENT_TTL_SECONDS);
+    });
+
+    it('should deliver inline in the background', async () => {
+      const fetch = fakeFetch();
+      const queue = createInlineQueue({ fetch });
+
+      await queue.enqueue(viewedEvent());
+      await queue.idle();
+
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should post whole events to the sink', async () => {
+      const fetch = fakeFetch(202);
+      const event = viewedEvent();
+
+      await createSinkQueue({ url: 'http://127.0.0.1:9999/events', fetch }).enqueue(event);
+
+      expect(fetch.mock.calls[0][0]).toBe('http://127.0.0.1:9999/events');
+      expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual(event);
+      await expect(createSinkQueue({ url: 'http://127.0.0.1:9999/', fetch: fakeFetch(500) }).enqueue(event))
+        .rejects.toThrow('Notification sink responded 500');
+      expect(() => createSinkQueue()).toThrow('NOTIFY_SINK_URL');
+    });
+
+    it('should pick the queue from NOTIFY_QUEUE', () => {
+      expect(getQueue().idle).toBeUndefined();
+
+      setQueue(null);
+      process.env.NOTIFY_QUEUE = 'inline';
+      expect(typeof getQueue().idle).toBe('function');
+
+      setQueue(null);
+      process.env.NOTIFY_QUEUE = 'sink';
+      expect(() => getQueue()).toThrow('NOTIFY_SINK_URL');
+    });
+
+    it('should refuse the notifications table for other stores', () => {
+      for (const store of ['sqlite', 'redis']) {
+        process.env.SECRET_STORE = store;
+        setQueue(null);
+        expect(() => getQueue()).toThrow('NOTIFY_QUEUE must be inline or sink unless SECRET_STORE=dynamodb');
+      }
+
+      process.env.SECRET_STORE = 'dynamodb';
+      setQueue(null);
+      expect(getQueue().idle).toBeUndefined();
+    });
+  });
+
+  describe('notifyViewed', () => {
+    it('should queue a viewed event with a fresh ID', async () => {
+      const enqueue = jest.fn(async () => {});
+      setQueue({ enqueue });
+
+      const event = await notifyViewed('Ab3dEf6hIj9kLmNoPqRs12', 'sealed', 1706745600);
+
+      expect(enqueue).toHaveBeenCalledWith(event);
+      expect(event).toEqual({
+        id: expect.stringMatching(/^[0-9a-f-]{36}$/),
+        event: EVENT_SECRET_VIEWED,
+        secretId: 'Ab3dEf6hIj9kLmNoPqRs12',
+        viewedAt: 1706745600,
+        notify: 'sealed'
+      });
+      expect(JSON.parse(payloadFor(event)).notify).toBeUndefined();
+    });
+  });
+});
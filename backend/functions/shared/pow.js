@@ -2,12 +2,29 @@
 
 const crypto = require('crypto');
 
-// Default configuration
+// Default configuration; the token issuer takes its challenge defaults from here
 const DEFAULT_DIFFICULTY = 18;
 const DEFAULT_PREFIX = 'sealed:';
+const DEFAULT_ALG = 'sha256';
+
+// Supported PoW algorithms
+const ALG_SHA256 = 'sha256';
+const ALG_SCRYPT = 'scrypt';
+const SUPPORTED_ALGS = [ALG_SHA256, ALG_SCRYPT];
+
+// scrypt cost parameters (must match the browser solver in frontend/js/pow.js)
+// N=4096, r=8 needs 4 MiB per evaluation, which is what makes GPU/ASIC
+// parallelism expensive relative to a browser solving one hash at a time.
+const SCRYPT_PARAMS = Object.freeze({
+  N: 4096,
+  r: 8,
+  p: 1,
+  keyLength: 32
+});
 
 /**
  * @typedef {object} Challenge
+ * @property {string} [alg='sha256'] - PoW algorithm ('sha256' or 'scrypt')
  * @property {number} difficulty - Number of leading zero bits required
  * @property {string} prefix - Prefix for the hash input
  */
@@ -16,15 +33,39 @@ const DEFAULT_PREFIX = 'sealed:';
  * Generate a PoW challenge
  * @param {number} [difficulty=18] - Number of leading zero bits required
  * @param {string} [prefix='sealed:'] - Prefix for the hash input
+ * @param {string} [alg='sha256'] - PoW algorithm
  * @returns {Challenge}
  */
-function generateChallenge(difficulty = DEFAULT_DIFFICULTY, prefix = DEFAULT_PREFIX) {
+function generateChallenge(difficulty = DEFAULT_DIFFICULTY, prefix = DEFAULT_PREFIX, alg = DEFAULT_ALG) {
   return {
+    alg: alg,
     difficulty: difficulty,
     prefix: prefix
   };
 }
 
+/**
+ * Check whether a PoW algorithm is supported
+ * @param {string} alg - Algorithm name
+ * @returns {boolean}
+ */
+function isSupportedAlg(alg) {
+  return SUPPORTED_ALGS.includes(alg);
+}
+
+/**
+ * Get the PoW algorithm configured for this deployment
+ * @returns {string} Algorithm name from POW_ALG (default 'sha256')
+ * @throws {Error} If POW_ALG names an unsupported algorithm
+ */
+function getConfiguredAlg() {
+  const alg = process.env.POW_ALG || DEFAULT_ALG;
+  if (!isSupportedAlg(alg)) {
+    throw new Error(`Unsupported POW_ALG: ${alg}`);
+  }
+  return alg;
+}
+
 /**
  * Compute SHA-256 hash of a string
  * @param {string} input - String to hash
@@ -34,6 +75,22 @@ function sha256(input) {
   return crypto.createHash('sha256').update(input).digest();
 }
 
+/**
+ * Compute the scrypt hash of a PoW input
+ * The nonce is used as the salt so that precomputation cannot be shared
+ * across tokens.
+ * @param {string} input - Hash input (prefix + nonce + solution)
+ * @param {string} nonce - The nonce from the token
+ * @returns {Buffer} Hash as buffer
+ */
+function scrypt(input, nonce) {
+  return crypto.scryptSync(input, nonce, SCRYPT_PARAMS.keyLength, {
+    N: SCRYPT_PARAMS.N,
+    r: SCRYPT_PARAMS.r,
+    p: SCRYPT_PARAMS.p
+  });
+}
+
 /**
  * Count leading zero bits in a buffer
  * @param {Buffer} buffer - Buffer to check
@@ -78,11 +135,17 @@ function verifyPow(nonce, solution, challenge) {
     return false;
   }
 
+  // Challenges without an algorithm predate scrypt support
+  const alg = challenge.alg || DEFAULT_ALG;
+  if (!isSupportedAlg(alg)) {
+    return false;
+  }
+
   // Construct the input: prefix + nonce + solution
   const input = challenge.prefix + nonce + solution;
   
   // Compute hash
-  const hash = sha256(input);
+  const hash = alg === ALG_SCRYPT ? scrypt(input, nonce) : sha256(input);
   
   // Check leading zero bits
   const leadingZeros = countLeadingZeroBits(hash);
@@ -111,12 +174,21 @@ function solvePow(nonce, challenge, maxAttempts = 10000000) {
 module.exports = {
   generateChallenge,
   verifyPow,
+  isSupportedAlg,
+  getConfiguredAlg,
+  // Constants
+  ALG_SHA256,
+  ALG_SCRYPT,
+  SUPPORTED_ALGS,
+  SCRYPT_PARAMS,
+  DEFAULT_DIFFICULTY,
+  DEFAULT_PREFIX,
+  DEFAULT_ALG,
   // For testing
   _internal: {
     sha256,
+    scrypt,
     countLeadingZeroBits,
-    solvePow,
-    DEFAULT_DIFFICULTY,
-    DEFAULT_PREFIX
+    solvePow
   }
 };
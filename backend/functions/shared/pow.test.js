@@ -3,10 +3,14 @@
 const {
   generateChallenge,
   verifyPow,
+  isSupportedAlg,
+  getConfiguredAlg,
+  SUPPORTED_ALGS,
+  SCRYPT_PARAMS,
   _internal
 } = require('./pow');
 
-const { sha256, countLeadingZeroBits, solvePow } = _internal;
+const { sha256, scrypt, countLeadingZeroBits, solvePow } = _internal;
 
 describe('pow.js', () => {
   describe('generateChallenge', () => {
@@ -14,11 +18,19 @@ describe('pow.js', () => {
       const challenge = generateChallenge();
       
       expect(challenge).toEqual({
+        alg: 'sha256',
         difficulty: 18,
         prefix: 'sealed:'
       });
     });
 
+    it('should accept a custom algorithm', () => {
+      const challenge = generateChallenge(6, 'sealed:', 'scrypt');
+
+      expect(challenge.alg).toBe('scrypt');
+      expect(challenge.difficulty).toBe(6);
+    });
+
     it('should accept custom difficulty', () => {
       const challenge = generateChallenge(20);
       
@@ -51,6 +63,57 @@ describe('pow.js', () => {
     });
   });
 
+  describe('scrypt', () => {
+    it('should match the RFC 7914 construction for the configured parameters', () => {
+      const expected = require('crypto').scryptSync('password', 'NaCl', 32, { N: 4096, r: 8, p: 1 });
+
+      expect(scrypt('password', 'NaCl')).toEqual(expected);
+    });
+
+    it('should produce 32-byte output', () => {
+      expect(scrypt('test input', 'nonce').length).toBe(32);
+    });
+
+    it('should depend on the nonce used as salt', () => {
+      expect(scrypt('input', 'nonce1')).not.toEqual(scrypt('input', 'nonce2'));
+    });
+  });
+
+  describe('isSupportedAlg', () => {
+    it('should accept sha256 and scrypt', () => {
+      expect(isSupportedAlg('sha256')).toBe(true);
+      expect(isSupportedAlg('scrypt')).toBe(true);
+      expect(SUPPORTED_ALGS).toEqual(['sha256', 'scrypt']);
+    });
+
+    it('should reject unknown algorithms', () => {
+      expect(isSupportedAlg('md5')).toBe(false);
+      expect(isSupportedAlg(undefined)).toBe(false);
+    });
+  });
+
+  describe('getConfiguredAlg', () => {
+    afterEach(() => {
+      delete process.env.POW_ALG;
+    });
+
+    it('should default to sha256', () => {
+      expect(getConfiguredAlg()).toBe('sha256');
+    });
+
+    it('should read POW_ALG', () => {
+      process.env.POW_ALG = 'scrypt';
+
+      expect(getConfiguredAlg()).toBe('scrypt');
+    });
+
+    it('should throw for an unsupported POW_ALG', () => {
+      process.env.POW_ALG = 'md5';
+
+      expect(() => getConfiguredAlg()).toThrow('Unsupported POW_ALG: md5');
+    });
+  });
+
   describe('countLeadingZeroBits', () => {
     it('should count zeros correctly for all-zero byte', () => {
       const buffer = Buffer.from([0x00, 0xFF]);
@@ -135,27 +198,50 @@ describe('pow.js', () => {
       expect(verifyPow('', '123', challenge)).toBe(false);
       expect(verifyPow(nonce, '', challenge)).toBe(false);
     });
-  });
 
-  describe('solvePow', () => {
-    it('should find a valid solution for low difficulty', () => {
-      const challenge = { difficulty: 8, prefix: 'test:' };
-      const nonce = 'test-nonce-123';
-      
+    it('should treat a challenge without an algorithm as sha256', () => {
       const solution = solvePow(nonce, challenge, 1000000);
-      
+
+      expect(verifyPow(nonce, solution, { ...challenge, alg: 'sha256' })).toBe(true);
+    });
+
+    it('should return false for an unsupported algorithm', () => {
+      const solution = solvePow(nonce, challenge, 1000000);
+
+      expect(verifyPow(nonce, solution, { ...challenge, alg: 'md5' })).toBe(false);
+    });
+  });
+
+  describe('verifyPow (scrypt)', () => {
+    const challenge = { alg: 'scrypt', difficulty: 4, prefix: 'test:' };
+    const nonce = 'abc123';
+
+    it('should accept a valid scrypt solution', () => {
+      const solution = solvePow(nonce, challenge, 1000);
       expect(solution).not.toBeNull();
+
       expect(verifyPow(nonce, solution, challenge)).toBe(true);
     });
 
-    it('should return null if no solution found within attempts', () => {
-      // Use impossibly high difficulty
-      const challenge = { difficulty: 256, prefix: 'test:' };
-      const nonce = 'test-nonce';
-      
-      const solution = solvePow(nonce, challenge, 100);
-      
-      expect(solution).toBeNull();
+    it('should check the scrypt hash rather than SHA-256', () => {
+      const solution = solvePow(nonce, challenge, 1000);
+      const hash = scrypt(challenge.prefix + nonce + solution, nonce);
+
+      expect(countLeadingZeroBits(hash)).toBeGreaterThanOrEqual(challenge.difficulty);
+    });
+
+    it('should reject a SHA-256 solution for a scrypt challenge', () => {
+      const shaChallenge = { alg: 'sha256', difficulty: 8, prefix: 'test:' };
+      const solution = solvePow(nonce, shaChallenge, 1000000);
+
+      expect(verifyPow(nonce, solution, shaChallenge)).toBe(true);
+      expect(verifyPow(nonce, solution, { ...shaChallenge, alg: 'scrypt' })).toBe(false);
+    });
+  });
+
+  describe('SCRYPT_PARAMS', () => {
+    it('should be frozen', () => {
+      expect(Object.isFrozen(SCRYPT_PARAMS)).toBe(true);
     });
   });
 
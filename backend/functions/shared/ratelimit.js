@@ -0,0 +1,178 @@
+'use strict';
+
+const storage = require('./storage');
+const { getSourceIp, ipPrefix, prefixKey } = require('./network');
+
+// Routes with a rate limit policy
+const ROUTE_TOKEN = 'token'; // POST /token
+const ROUTE_READ = 'read';   // GET /secrets/{id}
+
+// Each request takes a token from one bucket per scope. An IPv6 /64 is
+// normally a single subscriber, so it counts as one address.
+const SCOPES = {
+  ip: { ipv4Bits: 32, ipv6Bits: 64 },
+  prefix: { ipv4Bits: 24, ipv6Bits: 48 }
+};
+
+// Default policy (overridable via environment): a bucket holds `burst`
+// tokens and refills at `perMinute`
+const DEFAULT_POLICIES = {
+  [ROUTE_TOKEN]: {
+    ip: { burst: 20, perMinute: 10 },
+    prefix: { burst: 100, perMinute: 60 }
+  },
+  [ROUTE_READ]: {
+    ip: { burst: 30, perMinute: 30 },
+    prefix: { burst: 150, perMinute: 150 }
+  }
+};
+
+// Concurrent requests on one bucket retry the read-modify-write this often
+const MAX_ATTEMPTS = 5;
+
+/**
+ * @typedef {object} Limit
+ * @property {number} burst - Bucket capacity
+ * @property {number} perMinute - Refill rate
+ */
+
+/**
+ * @typedef {object} RateLimitResult
+ * @property {boolean} allowed
+ * @property {number} [retryAfter] - Seconds until a token is available (when not allowed)
+ */
+
+/**
+ * Read a positive integer from the environment
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Value to use when unset or invalid
+ * @returns {number}
+ */
+function readIntEnv(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isInteger(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Load a route's policy. Each limit can be overridden with
+ * RATE_LIMIT_<ROUTE>_<SCOPE>_BURST and RATE_LIMIT_<ROUTE>_<SCOPE>_PER_MINUTE,
+ * e.g. RATE_LIMIT_READ_IP_PER_MINUTE=60.
+ * @param {string} route - ROUTE_TOKEN or ROUTE_READ
+ * @returns {Object<string, Limit>} Limit per scope
+ * @throws {Error} If the route has no policy
+ */
+function getPolicy(route) {
+  const defaults = DEFAULT_POLICIES[route];
+  if (!defaults) {
+    throw new Error(`No rate limit policy for route: ${route}`);
+  }
+
+  const policy = {};
+  for (const [scope, limit] of Object.entries(defaults)) {
+    const name = `RATE_LIMIT_${route.toUpperCase()}_${scope.toUpperCase()}`;
+    policy[scope] = {
+      burst: readIntEnv(`${name}_BURST`, limit.burst),
+      perMinute: readIntEnv(`${name}_PER_MINUTE`, limit.perMinute)
+    };
+  }
+  return policy;
+}
+
+/**
+ * Refill a bucket for the time since it was last written
+ * @param {import('./storage').Bucket|null} stored - Stored bucket (null starts full)
+ * @param {Limit} limit
+ * @param {number} now - Unix time in milliseconds
+ * @returns {number} Tokens available now
+ */
+function refill(stored, limit, now) {
+  if (!stored) {
+    return limit.burst;
+  }
+  // Clocks differ between instances; never refill backwards
+  const elapsed = Math.max(0, now - stored.updatedAt);
+  return Math.min(limit.burst, stored.tokens + (elapsed * limit.perMinute) / 60000);
+}
+
+/**
+ * Take one token from a bucket
+ * @param {string} id - Bucket identifier
+ * @param {Limit} limit
+ * @param {number} now - Unix time in milliseconds
+ * @returns {Promise<RateLimitResult>}
+ */
+async function take(id, limit, now) {
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const stored = await storage.getBucket(id);
+    const tokens = refill(stored, limit, now);
+    if (tokens < 1) {
+      return { allowed: false, retryAfter: Math.ceil(((1 - tokens) * 60) / limit.perMinute) };
+    }
+
+    const bucket = {
+      tokens: tokens - 1,
+      updatedAt: stored ? Math.max(now, stored.updatedAt) : now,
+      version: stored ? stored.version + 1 : 1
+    };
+    // Once the bucket would be full again it is no different from a missing one
+    const expiresAt = Math.ceil(now / 1000 + ((limit.burst - bucket.tokens) * 60) / limit.perMinute);
+    if (await storage.putBucket(id, bucket, expiresAt)) {
+      return { allowed: true };
+    }
+  }
+
+  // Every attempt lost a race: the bucket is busy enough to throttle
+  return { allowed: false, retryAfter: 1 };
+}
+
+/**
+ * Take a token for a request from each of its source's buckets
+ * Requests without a source IP (direct invocations) are not limited, and
+ * the request is allowed if the buckets cannot be reached, so serving
+ * never depends on their availability.
+ * @param {object} event - API Gateway HTTP API event (for the source IP)
+ * @param {string} route - ROUTE_TOKEN or ROUTE_READ
+ * @returns {Promise<RateLimitResult>}
+ */
+async function checkRateLimit(event, route) {
+  const policy = getPolicy(route);
+  const sourceIp = getSourceIp(event);
+  const now = Date.now();
+
+  const buckets = [];
+  for (const [scope, limit] of Object.entries(policy)) {
+    const prefix = ipPrefix(sourceIp, SCOPES[scope]);
+    if (prefix) {
+      // Keyed like the difficulty counters: no raw addresses in storage
+      buckets.push([`rate:${route}:${scope}:${prefixKey(prefix)}`, limit]);
+    }
+  }
+
+  try {
+    const results = await Promise.all(buckets.map(([id, limit]) => take(id, limit, now)));
+    const denied = results.filter((result) => !result.allowed);
+    if (denied.length === 0) {
+      return { allowed: true };
+    }
+    return { allowed: false, retryAfter: Math.max(...denied.map((result) => result.retryAfter)) };
+  } catch (error) {
+    console.error('Error reading rate limit buckets:', error.message);
+    return { allowed: true };
+  }
+}
+
+module.exports = {
+  checkRateLimit,
+  getPolicy,
+  ROUTE_TOKEN,
+  ROUTE_READ,
+  // For testing
+  _internal: {
+    readIntEnv,
+    refill,
+    take,
+    SCOPES,
+    DEFAULT_POLICIES,
+    MAX_ATTEMPTS
+  }
+};
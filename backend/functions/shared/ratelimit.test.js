@@ -0,0 +1,174 @@
+'use strict';
+
+const storage = require('./storage');
+const dynamo = require('./dynamo');
+const { checkRateLimit, getPolicy, ROUTE_TOKEN, ROUTE_READ, _internal } = require('./ratelimit');
+
+const { refill, take, DEFAULT_POLICIES, MAX_ATTEMPTS } = _internal;
+
+function eventFrom(sourceIp) {
+  return { requestContext: { http: { sourceIp } } };
+}
+
+describe('ratelimit.js', () => {
+  let now;
+
+  beforeEach(() => {
+    process.env.DYNAMODB_STORE = 'memory';
+    process.env.RATE_LIMIT_SECRET = 'rate-limit-secret';
+    dynamo._internal.resetClient();
+    storage.setStore(dynamo);
+    now = 1_800_000_000_000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    storage.setStore(null);
+    delete process.env.DYNAMODB_STORE;
+    delete process.env.RATE_LIMIT_SECRET;
+    delete process.env.RATE_LIMIT_READ_IP_BURST;
+    delete process.env.RATE_LIMIT_READ_IP_PER_MINUTE;
+  });
+
+  async function drain(event, route, count) {
+    const results = [];
+    for (let i = 0; i < count; i++) {
+      results.push(await checkRateLimit(event, route));
+    }
+    return results;
+  }
+
+  describe('getPolicy', () => {
+    it('should use the defaults for each route', () => {
+      expect(getPolicy(ROUTE_TOKEN)).toEqual(DEFAULT_POLICIES[ROUTE_TOKEN]);
+      expect(getPolicy(ROUTE_READ)).toEqual(DEFAULT_POLICIES[ROUTE_READ]);
+    });
+
+    it('should read per-route, per-scope overrides and ignore invalid ones', () => {
+      process.env.RATE_LIMIT_READ_IP_BURST = '5';
+      process.env.RATE_LIMIT_READ_IP_PER_MINUTE = 'lots';
+
+      expect(getPolicy(ROUTE_READ).ip).toEqual({ burst: 5, perMinute: DEFAULT_POLICIES[ROUTE_READ].ip.perMinute });
+      expect(getPolicy(ROUTE_TOKEN).ip).toEqual(DEFAULT_POLICIES[ROUTE_TOKEN].ip);
+    });
+
+    it('should reject routes without a policy', () => {
+      expect(() => getPolicy('burn')).toThrow('No rate limit policy for route: burn');
+    });
+  });
+
+  describe('refill', () => {
+    const limit = { burst: 10, perMinute: 60 };
+
+    it('should start full and refill at the configured rate up to the burst', () => {
+      expect(refill(null, limit, now)).toBe(10);
+      expect(refill({ tokens: 2, updatedAt: now - 1500, version: 3 }, limit, now)).toBe(3.5);
+      expect(refill({ tokens: 2, updatedAt: now - 60000, version: 3 }, limit, now)).toBe(10);
+    });
+
+    it('should not remove tokens when another instance wrote with a later clock', () => {
+      expect(refill({ tokens: 2, updatedAt: now + 5000, version: 3 }, limit, now)).toBe(2);
+    });
+  });
+
+  describe('checkRateLimit', () => {
+    it('should allow a burst, then throttle until a token refills', async () => {
+      process.env.RATE_LIMIT_READ_IP_BURST = '3';
+      process.env.RATE_LIMIT_READ_IP_PER_MINUTE = '6';
+      const event = eventFrom('203.0.113.7');
+
+      const results = await drain(event, ROUTE_READ, 4);
+
+      expect(results.map((result) => result.allowed)).toEqual([true, true, true, false]);
+      expect(results[3].retryAfter).toBe(10);
+
+      now += 10000;
+      await expect(checkRateLimit(event, ROUTE_READ)).resolves.toEqual({ allowed: true });
+      await expect(checkRateLimit(event, ROUTE_READ)).resolves.toMatchObject({ allowed: false });
+    });
+
+    it('should keep separate buckets per address and per route', async () => {
+      process.env.RATE_LIMIT_READ_IP_BURST = '1';
+      await checkRateLimit(eventFrom('203.0.113.7'), ROUTE_READ);
+
+      await expect(checkRateLimit(eventFrom('203.0.113.7'), ROUTE_READ)).resolves.toMatchObject({ allowed: false });
+      await expect(checkRateLimit(eventFrom('203.0.113.8'), ROUTE_READ)).resolves.toEqual({ allowed: true });
+      await expect(checkRateLimit(eventFrom('203.0.113.7'), ROUTE_TOKEN)).resolves.toEqual({ allowed: true });
+    });
+
+    it('should count every address in an IPv6 /64 as one', async () => {
+      process.env.RATE_LIMIT_READ_IP_BURST = '1';
+      await checkRateLimit(eventFrom('2001:db8:1:2::1'), ROUTE_READ);
+
+      await expect(checkRateLimit(eventFrom('2001:db8:1:2:ffff::9'), ROUTE_READ)).resolves.toMatchObject({ allowed: false });
+      await expect(checkRateLimit(eventFrom('2001:db8:1:3::1'), ROUTE_READ)).resolves.toEqual({ allowed: true });
+    });
+
+    it('should throttle a prefix that spreads requests over many addresses', async () => {
+      const { burst } = DEFAULT_POLICIES[ROUTE_READ].prefix;
+
+      for (let i = 0; i < burst; i++) {
+        await checkRateLimit(eventFrom(`198.51.100.${i % 250}`), ROUTE_READ);
+      }
+
+      const result = await checkRateLimit(eventFrom('198.51.100.251'), ROUTE_READ);
+      expect(result.allowed).toBe(false);
+      expect(result.retryAfter).toBeGreaterThan(0);
+    });
+
+    it('should take exactly the tokens in the bucket under concurrency', async () => {
+      process.env.RATE_LIMIT_READ_IP_BURST = '4';
+      const event = eventFrom('203.0.113.7');
+
+      const results = await Promise.all(Array.from({ length: 4 }, () => checkRateLimit(event, ROUTE_READ)));
+      const after = await checkRateLimit(event, ROUTE_READ);
+
+      // Writers that lose the version check re-read and retry
+      expect(results).toEqual(Array(4).fill({ allowed: true }));
+      expect(after.allowed).toBe(false);
+    });
+
+    it('should not limit requests without a source IP', async () => {
+      jest.spyOn(storage, 'getBucket');
+
+      await expect(checkRateLimit({}, ROUTE_TOKEN)).resolves.toEqual({ allowed: true });
+      expect(storage.getBucket).not.toHaveBeenCalled();
+    });
+
+    it('should allow the request when the buckets cannot be read', async () => {
+      jest.spyOn(storage, 'getBucket').mockRejectedValue(new Error('unavailable'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(checkRateLimit(eventFrom('203.0.113.7'), ROUTE_TOKEN)).resolves.toEqual({ allowed: true });
+      expect(console.error).toHaveBeenCalled();
+    });
+
+    it('should store no raw addresses', async () => {
+      jest.spyOn(storage, 'putBucket');
+
+      await checkRateLimit(eventFrom('203.0.113.7'), ROUTE_TOKEN);
+
+      const ids = storage.putBucket.mock.calls.map(([id]) => id);
+      expect(ids).toHaveLength(2);
+      ids.forEach((id) => expect(id).toMatch(/^rate:token:(ip|prefix):[0-9a-f]{32}$/));
+    });
+  });
+
+  describe('take', () => {
+    it('should throttle when every write loses to a concurrent one', async () => {
+      jest.spyOn(storage, 'putBucket').mockResolvedValue(false);
+
+      await expect(take('bucket', { burst: 5, perMinute: 60 }, now)).resolves.toEqual({ allowed: false, retryAfter: 1 });
+      expect(storage.putBucket).toHaveBeenCalledTimes(MAX_ATTEMPTS);
+    });
+
+    it('should expire the bucket once it would be full again', async () => {
+      jest.spyOn(storage, 'putBucket');
+
+      await take('bucket', { burst: 5, perMinute: 60 }, now);
+
+      expect(storage.putBucket).toHaveBeenCalledWith('bucket', { tokens: 4, updatedAt: now, version: 1 }, now / 1000 + 1);
+    });
+  });
+});
@@ -0,0 +1,334 @@
+'use strict';
+
+/**
+ * Redis storage backend (SECRET_STORE=redis, see storage.js)
+ *
+ * Works with any server that speaks the Redis protocol and runs Lua
+ * scripts (Redis 6.2+, Valkey, KeyDB). Every conditional write is a single
+ * script, which the server runs without interleaving other commands, so
+ * claims and token use are atomic. Keys expire at the secret's expiresAt.
+ * Scripts touch several keys, so this targets a single server, not a
+ * cluster.
+ *
+ * Uses the optional ioredis dependency.
+ */
+
+const { TOKEN_TTL_SECONDS } = require('./token');
+const {
+  buildSecretItem,
+  PUT_CREATED,
+  PUT_TOKEN_USED,
+  PUT_ID_EXISTS,
+  IDEMPOTENCY_WINDOW_SECONDS
+} = require('./storage');
+
+// Configuration
+const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379';
+const KEY_PREFIX = 'sealed:';
+
+// Secrets are hashes: `item` holds the attributes that never change as
+// JSON, the rest are fields the scripts read and update in place
+
+// KEYS: secret[, token]  ARGV: item, remainingViews, burnToken, expiresAt[, tokenExpiresAt]
+const PUT_SCRIPT = `
+if KEYS[2] and redis.call('EXISTS', KEYS[2]) == 1 then
+  return '${PUT_TOKEN_USED}'
+end
+if redis.call('EXISTS', KEYS[1]) == 1 then
+  return '${PUT_ID_EXISTS}'
+end
+if KEYS[2] then
+  redis.call('SET', KEYS[2], '1', 'EXAT', ARGV[5])
+end
+redis.call('HSET', KEYS[1], 'item', ARGV[1], 'remainingViews', ARGV[2], 'burnToken', ARGV[3], 'expiresAt', ARGV[4])
+redis.call('EXPIREAT', KEYS[1], ARGV[4])
+return '${PUT_CREATED}'
+`;
+
+// The last view keeps the hash until the idempotency window closes
+// KEYS: secret  ARGV: now, accessToken, until
+const CLAIM_SCRIPT = `
+local state = redis.call('HMGET', KEYS[1], 'remainingViews', 'expiresAt')
+if not state[1] or tonumber(state[1]) <= 0 or tonumber(state[2]) <= tonumber(ARGV[1]) then
+  return nil
+end
+local remaining = redis.call('HINCRBY', KEYS[1], 'remainingViews', -1)
+redis.call('HSET', KEYS[1], 'lastAccessAt', ARGV[1], 'lastAccessToken', ARGV[2])
+if remaining <= 0 and tonumber(state[2]) > tonumber(ARGV[3]) then
+  redis.call('HSET', KEYS[1], 'expiresAt', ARGV[3])
+  redis.call('EXPIREAT', KEYS[1], ARGV[3])
+end
+return redis.call('HGETALL', KEYS[1])
+`;
+
+// KEYS: secret  ARGV: burnToken
+const BURN_SCRIPT = `
+if redis.call('HGET', KEYS[1], 'burnToken') == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0
+`;
+
+// KEYS: secret  ARGV: accessTime, accessToken
+const TOUCH_SCRIPT = `
+if redis.call('EXISTS', KEYS[1]) == 1 then
+  redis.call('HSET', KEYS[1], 'lastAccessAt', ARGV[1], 'lastAccessToken', ARGV[2])
+end
+return 0
+`;
+
+// KEYS: counter  ARGV: expiresAt
+const INCREMENT_SCRIPT = `
+local hits = redis.call('INCR', KEYS[1])
+if hits == 1 then
+  redis.call('EXPIREAT', KEYS[1], ARGV[1])
+end
+return hits
+`;
+
+// KEYS: bucket  ARGV: tokens, updatedAt, version, expiresAt
+const BUCKET_SCRIPT = `
+local stored = tonumber(redis.call('HGET', KEYS[1], 'version') or '0')
+if stored ~= tonumber(ARGV[3]) - 1 then
+  return 0
+end
+redis.call('HSET', KEYS[1], 'tokens', ARGV[1], 'updatedAt', ARGV[2], 'version', ARGV[3])
+redis.call('EXPIREAT', KEYS[1], ARGV[4])
+return 1
+`;
+
+// KEYS: request, token  ARGV: secretId, createdAt, expiresAt, tokenExpiresAt
+const PUT_REQUEST_SCRIPT = `
+if redis.call('EXISTS', KEYS[2]) == 1 then
+  return '${PUT_TOKEN_USED}'
+end
+if redis.call('EXISTS', KEYS[1]) == 1 then
+  return '${PUT_ID_EXISTS}'
+end
+redis.call('SET', KEYS[2], '1', 'EXAT', ARGV[4])
+redis.call('HSET', KEYS[1], 'secretId', ARGV[1], 'createdAt', ARGV[2], 'expiresAt', ARGV[3])
+redis.call('EXPIREAT', KEYS[1], ARGV[3])
+return '${PUT_CREATED}'
+`;
+
+// KEYS: request, secret  ARGV: now, commitment, item, remainingViews, burnToken, expiresAt
+const FILL_SCRIPT = `
+local state = redis.call('HMGET', KEYS[1], 'expiresAt', 'filledCommitment')
+if not state[1] or state[2] or tonumber(state[1]) <= tonumber(ARGV[1]) then
+  return 0
+end
+if redis.call('EXISTS', KEYS[2]) == 1 then
+  return 0
+end
+redis.call('HSET', KEYS[1], 'filledCommitment', ARGV[2])
+redis.call('HSET', KEYS[2], 'item', ARGV[3], 'remainingViews', ARGV[4], 'burnToken', ARGV[5], 'expiresAt', ARGV[6])
+redis.call('EXPIREAT', KEYS[2], ARGV[6])
+return 1
+`;
+
+/**
+ * Connect to REDIS_URL
+ * @param {string} url
+ * @returns {import('ioredis').Redis}
+ * @throws {Error} If ioredis is not installed
+ */
+function connect(url) {
+  let Redis;
+  try {
+    ({ Redis } = require('ioredis'));
+  } catch (error) {
+    throw new Error('SECRET_STORE=redis requires the ioredis package');
+  }
+  return new Redis(url);
+}
+
+/**
+ * Turn a secret hash (object or flat HGETALL reply) back into the item
+ * shape dynamo.js returns
+ * @param {object|string[]} hash
+ * @returns {object}
+ */
+function toSecret(hash) {
+  const fields = Array.isArray(hash) ? pairsToObject(hash) : hash;
+  const secret = { ...JSON.parse(fields.item), remainingViews: Number(fields.remainingViews), expiresAt: Number(fields.expiresAt) };
+  if (fields.lastAccessAt !== undefined) {
+    secret.lastAccessAt = Number(fields.lastAccessAt);
+    secret.lastAccessToken = fields.lastAccessToken;
+  }
+  return secret;
+}
+
+/**
+ * Turn a request hash into the item shape dynamo.js returns
+ * @param {string} id
+ * @param {object} hash
+ * @returns {import('./storage').SecretRequest}
+ */
+function toRequest(id, hash) {
+  const request = { id, secretId: hash.secretId, createdAt: Number(hash.createdAt), expiresAt: Number(hash.expiresAt) };
+  if (hash.filledCommitment !== undefined) {
+    request.filledCommitment = hash.filledCommitment;
+  }
+  return request;
+}
+
+function pairsToObject(pairs) {
+  const object = {};
+  for (let i = 0; i < pairs.length; i += 2) {
+    object[pairs[i]] = pairs[i + 1];
+  }
+  return object;
+}
+
+function nowSeconds() {
+  return Math.floor(Date.now() / 1000);
+}
+
+/**
+ * Create a Redis-backed store
+ * @param {{ url?: string, client?: import('ioredis').Redis, keyPrefix?: string }} [options]
+ * @returns {import('./storage').SecretStore & { close: () => Promise<void> }}
+ */
+function createRedisStore(options = {}) {
+  const client = options.client || connect(options.url || REDIS_URL);
+  const prefix = options.keyPrefix === undefined ? KEY_PREFIX : options.keyPrefix;
+
+  client.defineCommand('sealedPutSecret', { numberOfKeys: 1, lua: PUT_SCRIPT });
+  client.defineCommand('sealedPutSecretConsumingToken', { numberOfKeys: 2, lua: PUT_SCRIPT });
+  client.defineCommand('sealedClaimView', { numberOfKeys: 1, lua: CLAIM_SCRIPT });
+  client.defineCommand('sealedBurn', { numberOfKeys: 1, lua: BURN_SCRIPT });
+  client.defineCommand('sealedTouch', { numberOfKeys: 1, lua: TOUCH_SCRIPT });
+  client.defineCommand('sealedIncrement', { numberOfKeys: 1, lua: INCREMENT_SCRIPT });
+  client.defineCommand('sealedPutBucket', { numberOfKeys: 1, lua: BUCKET_SCRIPT });
+  client.defineCommand('sealedPutRequest', { numberOfKeys: 2, lua: PUT_REQUEST_SCRIPT });
+  client.defineCommand('sealedFillRequest', { numberOfKeys: 2, lua: FILL_SCRIPT });
+
+  const secretKey = (id) => `${prefix}secret:${id}`;
+  const tokenKey = (jti) => `${prefix}token:${jti}`;
+  const counterKey = (id) => `${prefix}counter:${id}`;
+  const bucketKey = (id) => `${prefix}bucket:${id}`;
+  const requestKey = (id) => `${prefix}request:${id}`;
+
+  function itemArgs(secret) {
+    const item = buildSecretItem(secret);
+    return [
+      JSON.stringify({ ...item, remainingViews: undefined }),
+      item.remainingViews,
+      item.burnToken,
+      item.expiresAt
+    ];
+  }
+
+  return {
+    async getSecret(id) {
+      const hash = await client.hgetall(secretKey(id));
+      return hash.item === undefined ? null : toSecret(hash);
+    },
+
+    async putSecret(secret) {
+      const outcome = await client.sealedPutSecret(secretKey(secret.id), ...itemArgs(secret));
+      if (outcome !== PUT_CREATED) {
+        throw new Error(`Secret ${secret.id} already exists`);
+      }
+    },
+
+    async putSecretConsumingToken(secret, jti) {
+      return client.sealedPutSecretConsumingToken(
+        secretKey(secret.id),
+        tokenKey(jti),
+        ...itemArgs(secret),
+        nowSeconds() + TOKEN_TTL_SECONDS
+      );
+    },
+
+    async claimView(id, accessToken) {
+      const now = nowSeconds();
+      const hash = await client.sealedClaimView(secretKey(id), now, accessToken, now + IDEMPOTENCY_WINDOW_SECONDS);
+      if (!hash) {
+        return null;
+      }
+      const secret = toSecret(hash);
+      return { secret, consumed: secret.remainingViews <= 0 };
+    },
+
+    async conditionalDelete(id, burnToken) {
+      return (await client.sealedBurn(secretKey(id), burnToken)) === 1;
+    },
+
+    async updateAccessToken(id, accessToken, accessTime) {
+      await client.sealedTouch(secretKey(id), accessTime, accessToken);
+    },
+
+    async deleteSecret(id) {
+      await client.del(secretKey(id));
+    },
+
+    async isTokenUsed(jti) {
+      return (await client.exists(tokenKey(jti))) === 1;
+    },
+
+    async putRequestConsumingToken(request, jti) {
+      return client.sealedPutRequest(
+        requestKey(request.id),
+        tokenKey(jti),
+        request.secretId,
+        request.createdAt,
+        request.expiresAt,
+        nowSeconds() + TOKEN_TTL_SECONDS
+      );
+    },
+
+    async getRequest(id) {
+      const hash = await client.hgetall(requestKey(id));
+      return hash.secretId === undefined ? null : toRequest(id, hash);
+    },
+
+    async fillRequest(id, secret) {
+      const filled = await client.sealedFillRequest(
+        requestKey(id),
+        secretKey(secret.id),
+        nowSeconds(),
+        secret.commitment,
+        ...itemArgs(secret)
+      );
+      return filled === 1;
+    },
+
+    async incrementCounter(id, expiresAt) {
+      return client.sealedIncrement(counterKey(id), expiresAt);
+    },
+
+    async getCounter(id) {
+      const hits = await client.get(counterKey(id));
+      return hits === null ? 0 : Number(hits);
+    },
+
+    async getBucket(id) {
+      const hash = await client.hgetall(bucketKey(id));
+      if (hash.version === undefined) {
+        return null;
+      }
+      return { tokens: Number(hash.tokens), updatedAt: Number(hash.updatedAt), version: Number(hash.version) };
+    },
+
+    async putBucket(id, bucket, expiresAt) {
+      const written = await client.sealedPutBucket(bucketKey(id), bucket.tokens, bucket.updatedAt, bucket.version, expiresAt);
+      return written === 1;
+    },
+
+    async close() {
+      await client.quit();
+    }
+  };
+}
+
+module.exports = {
+  createRedisStore,
+  REDIS_URL,
+  // For testing
+  _internal: {
+    toSecret,
+    toRequest,
+    KEY_PREFIX
+  }
+};
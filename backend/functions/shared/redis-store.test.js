@@ -0,0 +1,392 @@
+'use strict';
+
+const crypto = require('crypto');
+const { TOKEN_TTL_SECONDS } = require('./token');
+const storage = require('./storage');
+
+jest.mock('ioredis', () => ({ Redis: jest.fn() }));
+
+const { Redis } = require('ioredis');
+const { createRedisStore, REDIS_URL, _internal } = require('./redis-store');
+const { toSecret, KEY_PREFIX } = _internal;
+
+const now = () => Math.floor(Date.now() / 1000);
+
+/**
+ * In-memory stand-in for an ioredis client
+ * Each script defined through defineCommand is played by a JS version of
+ * the same steps, run synchronously so that, as on a server, nothing
+ * interleaves with it. Values are stored as strings, as Redis would.
+ */
+function fakeRedis() {
+  const entries = new Map();
+
+  function live(key) {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt !== undefined && entry.expiresAt <= now()) {
+      entries.delete(key);
+      return undefined;
+    }
+    return entry;
+  }
+
+  function hset(key, fields) {
+    const entry = live(key) || { value: {} };
+    for (const [field, value] of Object.entries(fields)) {
+      entry.value[field] = String(value);
+    }
+    entries.set(key, entry);
+  }
+
+  function expireAt(key, at) {
+    live(key).expiresAt = Number(at);
+  }
+
+  function put([secret, token], [item, remainingViews, burnToken, expiresAt, tokenExpiresAt]) {
+    if (token && live(token)) {
+      return storage.PUT_TOKEN_USED;
+    }
+    if (live(secret)) {
+      return storage.PUT_ID_EXISTS;
+    }
+    if (token) {
+      entries.set(token, { value: '1', expiresAt: Number(tokenExpiresAt) });
+    }
+    hset(secret, { item, remainingViews, burnToken, expiresAt });
+    expireAt(secret, expiresAt);
+    return storage.PUT_CREATED;
+  }
+
+  const scripts = {
+    sealedPutSecret: put,
+    sealedPutSecretConsumingToken: put,
+    sealedClaimView([key], [at, accessToken, until]) {
+      const hash = (live(key) || {}).value;
+      if (!hash || Number(hash.remainingViews) <= 0 || Number(hash.expiresAt) <= Number(at)) {
+        return null;
+      }
+      hset(key, { remainingViews: Number(hash.remainingViews) - 1, lastAccessAt: at, lastAccessToken: accessToken });
+      if (Number(hash.remainingViews) <= 0 && Number(hash.expiresAt) > Number(until)) {
+        hset(key, { expiresAt: until });
+        expireAt(key, until);
+      }
+      return Object.entries(hash).flat();
+    },
+    sealedBurn([key], [burnToken]) {
+      const entry = live(key);
+      if (entry && entry.value.burnToken === burnToken) {
+        entries.delete(key);
+        return 1;
+      }
+      return 0;
+    },
+    sealedTouch([key], [accessTime, accessToken]) {
+      if (live(key)) {
+        hset(key, { lastAccessAt: accessTime, lastAccessToken: accessToken });
+      }
+      return 0;
+    },
+    sealedIncrement([key], [expiresAt]) {
+      const entry = live(key);
+      if (!entry) {
+        entries.set(key, { value: '1', expiresAt: Number(expiresAt) });
+        return 1;
+      }
+      entry.value = String(Number(entry.value) + 1);
+      return Number(entry.value);
+    },
+    sealedPutBucket([key], [tokens, updatedAt, version, expiresAt]) {
+      const stored = Number(((live(key) || {}).value || {}).version || '0');
+      if (stored !== Number(version) - 1) {
+        return 0;
+      }
+      hset(key, { tokens, updatedAt, version });
+      expireAt(key, expiresAt);
+      return 1;
+    },
+    sealedPutRequest([request, token], [secretId, createdAt, expiresAt, tokenExpiresAt]) {
+      if (live(token)) {
+        return storage.PUT_TOKEN_USED;
+      }
+      if (live(request)) {
+        return storage.PUT_ID_EXISTS;
+      }
+      entries.set(token, { value: '1', expiresAt: Number(tokenExpiresAt) });
+      hset(request, { secretId, createdAt, expiresAt });
+      expireAt(request, expiresAt);
+      return storage.PUT_CREATED;
+    },
+    sealedFillRequest([request, secret], [at, commitment, item, remainingViews, burnToken, expiresAt]) {
+      const hash = (live(request) || {}).value;
+      if (!hash || hash.filledCommitment !== undefined || Number(hash.expiresAt) <= Number(at) || live(secret)) {
+        return 0;
+      }
+      hset(request, { filledCommitment: commitment });
+      hset(secret, { item, remainingViews, burnToken, expiresAt });
+      expireAt(secret, expiresAt);
+      return 1;
+    }
+  };
+
+  const client = {
+    entries,
+    defineCommand: jest.fn((name, { numberOfKeys, lua }) => {
+      expect(typeof lua).toBe('string');
+      client[name] = async (...args) => scripts[name](args.slice(0, numberOfKeys), args.slice(numberOfKeys));
+    }),
+    get: async (key) => {
+      const entry = live(key);
+      return entry ? entry.value : null;
+    },
+    exists: async (key) => (live(key) ? 1 : 0),
+    hgetall: async (key) => ({ ...(live(key) || {}).value }),
+    del: async (key) => (entries.delete(key) ? 1 : 0),
+    quit: jest.fn(async () => 'OK')
+  };
+  return client;
+}
+
+function secret(overrides = {}) {
+  return {
+    id: crypto.randomBytes(16).toString('base64url').slice(0, 22),
+    ciphertext: 'Y2lwaGVydGV4dA==',
+    iv: 'AQEBAQEBAQEBAQEB',
+    salt: null,
+    passphraseProtected: false,
+    remainingViews: 1,
+    burnToken: 'b'.repeat(32),
+    createdAt: now(),
+    expiresAt: now() + 3600,
+    ...overrides
+  };
+}
+
+function request(overrides = {}) {
+  return {
+    id: crypto.randomBytes(16).toString('base64url').slice(0, 22),
+    secretId: crypto.randomBytes(16).toString('base64url').slice(0, 22),
+    createdAt: now(),
+    expiresAt: now() + 3600,
+    ...overrides
+  };
+}
+
+describe('redis-store.js', () => {
+  let client;
+  let store;
+
+  beforeEach(() => {
+    client = fakeRedis();
+    store = createRedisStore({ client });
+  });
+
+  describe('createRedisStore', () => {
+    it('should connect to REDIS_URL unless given a client or URL', () => {
+      Redis.mockImplementation(fakeRedis);
+
+      createRedisStore();
+      createRedisStore({ url: 'redis://cache:6379' });
+
+      expect(Redis.mock.calls).toEqual([[REDIS_URL], ['redis://cache:6379']]);
+    });
+
+    it('should explain a missing ioredis package', () => {
+      jest.resetModules();
+      jest.doMock('ioredis', () => {
+        throw new Error("Cannot find module 'ioredis'");
+      });
+
+      expect(() => require('./redis-store').createRedisStore()).toThrow('SECRET_STORE=redis requires the ioredis package');
+    });
+
+    it('should define every script once', () => {
+      const names = client.defineCommand.mock.calls.map(([name]) => name);
+
+      expect(new Set(names).size).toBe(names.length);
+      expect(names).toHaveLength(9);
+    });
+
+    it('should prefix keys', async () => {
+      const stored = secret();
+      await store.putSecret(stored);
+
+      const other = fakeRedis();
+      await createRedisStore({ client: other, keyPrefix: 'other:' }).putSecret(stored);
+
+      expect([...client.entries.keys()]).toEqual([`${KEY_PREFIX}secret:${stored.id}`]);
+      expect([...other.entries.keys()]).toEqual([`other:secret:${stored.id}`]);
+    });
+
+    it('should quit the client on close', async () => {
+      await store.close();
+
+      expect(client.quit).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('secrets', () => {
+    it('should round-trip a secret and expire it at expiresAt', async () => {
+      const stored = secret({ remainingViews: 3 });
+
+      await store.putSecret(stored);
+
+      await expect(store.getSecret(stored.id)).resolves.toEqual(storage.buildSecretItem(stored));
+      expect(client.entries.get(`${KEY_PREFIX}secret:${stored.id}`).expiresAt).toBe(stored.expiresAt);
+      await expect(store.putSecret(stored)).rejects.toThrow(`Secret ${stored.id} already exists`);
+      await expect(store.getSecret('missing')).resolves.toBeNull();
+    });
+
+    it('should store a secret and use its token together', async () => {
+      const first = secret();
+
+      await expect(store.putSecretConsumingToken(first, 'jti-1')).resolves.toBe(storage.PUT_CREATED);
+      await expect(store.putSecretConsumingToken(secret(), 'jti-1')).resolves.toBe(storage.PUT_TOKEN_USED);
+      await expect(store.putSecretConsumingToken(secret({ id: first.id }), 'jti-2')).resolves.toBe(storage.PUT_ID_EXISTS);
+
+      await expect(store.isTokenUsed('jti-1')).resolves.toBe(true);
+      await expect(store.isTokenUsed('jti-2')).resolves.toBe(false);
+    });
+
+    it('should expire ledger entries after the token TTL', async () => {
+      const start = now();
+
+      await store.putSecretConsumingToken(secret(), 'jti');
+
+      const { expiresAt } = client.entries.get(`${KEY_PREFIX}token:jti`);
+      expect(expiresAt - (start + TOKEN_TTL_SECONDS)).toBeLessThanOrEqual(1);
+      expect(expiresAt).toBeGreaterThanOrEqual(start + TOKEN_TTL_SECONDS);
+    });
+
+    it('should accept each token exactly once under concurrency', async () => {
+      const results = await Promise.all(Array.from({ length: 10 }, () => store.putSecretConsumingToken(secret(), 'jti')));
+
+      expect(results.filter((outcome) => outcome === storage.PUT_CREATED)).toHaveLength(1);
+    });
+
+    it('should claim views, record the access and keep the last view for the window', async () => {
+      const stored = secret({ remainingViews: 2 });
+      await store.putSecret(stored);
+
+      const first = await store.claimView(stored.id, 'token-1');
+      const last = await store.claimView(stored.id, 'token-2');
+
+      expect(first.consumed).toBe(false);
+      expect(first.secret).toMatchObject({ remainingViews: 1, lastAccessToken: 'token-1' });
+      expect(typeof first.secret.lastAccessAt).toBe('number');
+      expect(last).toMatchObject({ consumed: true, secret: { remainingViews: 0, ciphertext: stored.ciphertext } });
+      await expect(store.getSecret(stored.id)).resolves.toMatchObject({ remainingViews: 0, lastAccessToken: 'token-2' });
+      await expect(store.claimView(stored.id, 'token-3')).resolves.toBeNull();
+      const { expiresAt } = client.entries.get(`${KEY_PREFIX}secret:${stored.id}`);
+      expect(Math.abs(expiresAt - (now() + storage.IDEMPOTENCY_WINDOW_SECONDS))).toBeLessThanOrEqual(1);
+      expect(last.secret.expiresAt).toBe(expiresAt);
+    });
+
+    it('should serve the last view to exactly one of many concurrent readers', async () => {
+      const stored = secret({ remainingViews: 2 });
+      await store.putSecret(stored);
+
+      const claims = await Promise.all(Array.from({ length: 10 }, (_, i) => store.claimView(stored.id, `token-${i}`)));
+
+      const served = claims.filter(Boolean);
+      expect(served).toHaveLength(2);
+      expect(served.filter((claim) => claim.consumed)).toHaveLength(1);
+    });
+
+    it('should not serve an expired secret', async () => {
+      const stored = secret();
+      await store.putSecret(stored);
+      client.entries.get(`${KEY_PREFIX}secret:${stored.id}`).value.expiresAt = String(now());
+
+      await expect(store.claimView(stored.id, 'token')).resolves.toBeNull();
+    });
+
+    it('should burn only with the matching token', async () => {
+      const stored = secret();
+      await store.putSecret(stored);
+
+      await expect(store.conditionalDelete(stored.id, 'c'.repeat(32))).resolves.toBe(false);
+      await expect(store.conditionalDelete(stored.id, stored.burnToken)).resolves.toBe(true);
+      await expect(store.getSecret(stored.id)).resolves.toBeNull();
+    });
+
+    it('should record access only on an existing secret', async () => {
+      const stored = secret();
+      await store.putSecret(stored);
+
+      await store.updateAccessToken(stored.id, 'token', 1706745600);
+      await store.updateAccessToken('missing', 'token', 1706745600);
+
+      await expect(store.getSecret(stored.id)).resolves.toMatchObject({ lastAccessAt: 1706745600, lastAccessToken: 'token' });
+      expect(client.entries.has(`${KEY_PREFIX}secret:missing`)).toBe(false);
+    });
+
+    it('should delete unconditionally', async () => {
+      const stored = secret();
+      await store.putSecret(stored);
+
+      await store.deleteSecret(stored.id);
+      await store.deleteSecret(stored.id);
+
+      await expect(store.getSecret(stored.id)).resolves.toBeNull();
+    });
+  });
+
+  describe('requests', () => {
+    it('should store a request and use its token together', async () => {
+      const first = request();
+
+      await expect(store.putRequestConsumingToken(first, 'jti-1')).resolves.toBe(storage.PUT_CREATED);
+      await expect(store.putRequestConsumingToken(request(), 'jti-1')).resolves.toBe(storage.PUT_TOKEN_USED);
+      await expect(store.putRequestConsumingToken(request({ id: first.id }), 'jti-2')).resolves.toBe(storage.PUT_ID_EXISTS);
+
+      await expect(store.getRequest(first.id)).resolves.toEqual(first);
+      await expect(store.getRequest('missing')).resolves.toBeNull();
+      await expect(store.isTokenUsed('jti-1')).resolves.toBe(true);
+      expect(client.entries.get(`${KEY_PREFIX}request:${first.id}`).expiresAt).toBe(first.expiresAt);
+    });
+
+    it('should fill a request once, storing its secret under the secret ID', async () => {
+      const stored = request();
+      await store.putRequestConsumingToken(stored, 'jti');
+      const filled = secret({ id: stored.secretId, commitment: 'c'.repeat(44) });
+
+      const results = await Promise.all([store.fillRequest(stored.id, filled), store.fillRequest(stored.id, filled)]);
+
+      expect(results.filter(Boolean)).toHaveLength(1);
+      await expect(store.getRequest(stored.id)).resolves.toEqual({ ...stored, filledCommitment: filled.commitment });
+      await expect(store.getSecret(stored.secretId)).resolves.toEqual(storage.buildSecretItem(filled));
+      await expect(store.fillRequest('missing', filled)).resolves.toBe(false);
+    });
+  });
+
+  describe('counters and buckets', () => {
+    it('should count hits and keep the first expiry', async () => {
+      await store.incrementCounter('window-1', now() + 100);
+
+      await expect(store.incrementCounter('window-1', now() + 200)).resolves.toBe(2);
+      await expect(store.getCounter('window-1')).resolves.toBe(2);
+      await expect(store.getCounter('window-2')).resolves.toBe(0);
+      expect(client.entries.get(`${KEY_PREFIX}counter:window-1`).expiresAt).toBe(now() + 100);
+    });
+
+    it('should write a bucket only over the version it read', async () => {
+      const expiresAt = now() + 60;
+
+      await expect(store.getBucket('ip')).resolves.toBeNull();
+      await expect(store.putBucket('ip', { tokens: 4, updatedAt: 100, version: 1 }, expiresAt)).resolves.toBe(true);
+      await expect(store.putBucket('ip', { tokens: 3, updatedAt: 101, version: 1 }, expiresAt)).resolves.toBe(false);
+
+      await expect(store.getBucket('ip')).resolves.toEqual({ tokens: 4, updatedAt: 100, version: 1 });
+      expect(client.entries.get(`${KEY_PREFIX}bucket:ip`).expiresAt).toBe(expiresAt);
+    });
+  });
+
+  describe('toSecret', () => {
+    it('should read a hash given as an object or as a flat reply', () => {
+      const fields = { item: JSON.stringify({ id: 'a', burnToken: 'b', expiresAt: 1 }), remainingViews: '2', expiresAt: '2' };
+
+      expect(toSecret(fields)).toEqual({ id: 'a', burnToken: 'b', remainingViews: 2, expiresAt: 2 });
+      expect(toSecret(Object.entries(fields).flat())).toEqual({ id: 'a', burnToken: 'b', remainingViews: 2, expiresAt: 2 });
+    });
+  });
+});
@@ -95,6 +95,15 @@ function unauthorized() {
   return buildResponse(401, { error: 'invalid_token' });
 }
 
+/**
+ * Token used response (401 Unauthorized)
+ * Used when a valid token has already been consumed by an earlier request
+ * @returns {object} API Gateway response
+ */
+function tokenUsed() {
+  return buildResponse(401, { error: 'token_used' });
+}
+
 /**
  * Forbidden response (403 Forbidden)
  * Used when proof-of-work is invalid
@@ -104,6 +113,16 @@ function forbidden() {
   return buildResponse(403, { error: 'invalid_pow' });
 }
 
+/**
+ * Too many requests response (429 Too Many Requests)
+ * Used when a caller has run out of its rate limit (see ratelimit.js)
+ * @param {number} retryAfter - Seconds until the caller may try again
+ * @returns {object} API Gateway response
+ */
+function tooManyRequests(retryAfter) {
+  return buildResponse(429, { error: 'rate_limited' }, { 'Retry-After': String(retryAfter) });
+}
+
 /**
  * Internal server error response (500 Internal Server Error)
  * @returns {object} API Gateway response
@@ -119,8 +138,11 @@ module.exports = {
   noContent,
   badRequest,
   unauthorized,
+  tokenUsed,
   forbidden,
+  tooManyRequests,
   internalError,
+  BASE_HEADERS,
   // For testing
   _internal: {
     buildResponse,
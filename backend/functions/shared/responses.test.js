@@ -7,7 +7,9 @@ const {
   noContent,
   badRequest,
   unauthorized,
+  tokenUsed,
   forbidden,
+  tooManyRequests,
   internalError,
   _internal
 } = require('./responses');
@@ -106,6 +108,21 @@ describe('responses.js', () => {
     });
   });
 
+  describe('tokenUsed', () => {
+    it('should return 401 with a distinct error body', () => {
+      const response = tokenUsed();
+      
+      expect(response.statusCode).toBe(401);
+      expect(JSON.parse(response.body)).toEqual({ error: 'token_used' });
+      expect(response.headers['Content-Type']).toBe('application/json');
+      expect(response.headers['Cache-Control']).toBe('no-store');
+    });
+
+    it('should be distinguishable from an invalid token', () => {
+      expect(tokenUsed().body).not.toBe(unauthorized().body);
+    });
+  });
+
   describe('forbidden', () => {
     it('should return 403 with error body', () => {
       const response = forbidden();
@@ -117,6 +134,17 @@ describe('responses.js', () => {
     });
   });
 
+  describe('tooManyRequests', () => {
+    it('should return 429 with a Retry-After header', () => {
+      const response = tooManyRequests(12);
+
+      expect(response.statusCode).toBe(429);
+      expect(JSON.parse(response.body)).toEqual({ error: 'rate_limited' });
+      expect(response.headers['Retry-After']).toBe('12');
+      expect(response.headers['Cache-Control']).toBe('no-store');
+    });
+  });
+
   describe('internalError', () => {
     it('should return 500 with error body', () => {
       const response = internalError();
@@ -155,7 +183,9 @@ describe('responses.js', () => {
       const responses = [
         notAvailable(),
         unauthorized(),
+        tokenUsed(),
         forbidden(),
+        tooManyRequests(1),
         internalError()
       ];
       
@@ -0,0 +1,338 @@
+'use strict';
+
+/**
+ * SQLite storage backend (SECRET_STORE=sqlite, see storage.js)
+ *
+ * For self-hosting on a single machine: one database file and no other
+ * services. Multi-statement writes run in IMMEDIATE transactions, which take
+ * the write lock before reading, so several processes sharing the file
+ * still claim each view and each token exactly once. SQLite has no TTL:
+ * sweepExpired stands in for it and the standalone server runs it on a
+ * timer. The small ledger, counter, bucket and request tables are also
+ * trimmed on every put.
+ *
+ * Uses the optional better-sqlite3 dependency.
+ */
+
+const { TOKEN_TTL_SECONDS } = require('./token');
+const {
+  buildSecretItem,
+  PUT_CREATED,
+  PUT_TOKEN_USED,
+  PUT_ID_EXISTS,
+  IDEMPOTENCY_WINDOW_SECONDS
+} = require('./storage');
+
+// Configuration
+const SQLITE_PATH = process.env.SQLITE_PATH || 'sealed.db';
+const BUSY_TIMEOUT_MS = 5000;
+
+// remainingViews and the last access fields change after creation and get
+// their own columns; everything else is stored once as JSON in `item`
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS secrets (
+    id TEXT PRIMARY KEY,
+    item TEXT NOT NULL,
+    remaining_views INTEGER NOT NULL,
+    burn_token TEXT NOT NULL,
+    expires_at INTEGER NOT NULL,
+    last_access_at INTEGER,
+    last_access_token TEXT
+  );
+  CREATE INDEX IF NOT EXISTS secrets_expires_at ON secrets (expires_at);
+
+  CREATE TABLE IF NOT EXISTS used_tokens (
+    jti TEXT PRIMARY KEY,
+    expires_at INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS used_tokens_expires_at ON used_tokens (expires_at);
+
+  CREATE TABLE IF NOT EXISTS counters (
+    id TEXT PRIMARY KEY,
+    hits INTEGER NOT NULL,
+    expires_at INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS counters_expires_at ON counters (expires_at);
+
+  CREATE TABLE IF NOT EXISTS buckets (
+    id TEXT PRIMARY KEY,
+    tokens REAL NOT NULL,
+    updated_at INTEGER NOT NULL,
+    version INTEGER NOT NULL,
+    expires_at INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS buckets_expires_at ON buckets (expires_at);
+
+  CREATE TABLE IF NOT EXISTS requests (
+    id TEXT PRIMARY KEY,
+    secret_id TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    expires_at INTEGER NOT NULL,
+    filled_commitment TEXT
+  );
+  CREATE INDEX IF NOT EXISTS requests_expires_at ON requests (expires_at);
+`;
+
+/**
+ * Open a database and create the tables if needed
+ * @param {string} filename - Database file, or ":memory:"
+ * @returns {import('better-sqlite3').Database}
+ * @throws {Error} If better-sqlite3 is not installed
+ */
+function openDatabase(filename) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (error) {
+    throw new Error('SECRET_STORE=sqlite requires the better-sqlite3 package');
+  }
+
+  const db = new Database(filename);
+  db.pragma('journal_mode = WAL');
+  db.pragma(`busy_timeout = ${BUSY_TIMEOUT_MS}`);
+  db.exec(SCHEMA);
+  return db;
+}
+
+/**
+ * Turn a secrets row back into the item shape dynamo.js returns
+ * @param {object} row
+ * @returns {object}
+ */
+function toSecret(row) {
+  const secret = { ...JSON.parse(row.item), remainingViews: row.remaining_views, expiresAt: row.expires_at };
+  if (row.last_access_at !== null) {
+    secret.lastAccessAt = row.last_access_at;
+    secret.lastAccessToken = row.last_access_token;
+  }
+  return secret;
+}
+
+/**
+ * Turn a requests row into the item shape dynamo.js returns
+ * @param {object} row
+ * @returns {import('./storage').SecretRequest}
+ */
+function toRequest(row) {
+  const request = { id: row.id, secretId: row.secret_id, createdAt: row.created_at, expiresAt: row.expires_at };
+  if (row.filled_commitment !== null) {
+    request.filledCommitment = row.filled_commitment;
+  }
+  return request;
+}
+
+function nowSeconds() {
+  return Math.floor(Date.now() / 1000);
+}
+
+/**
+ * Create a SQLite-backed store
+ * @param {{ filename?: string, database?: import('better-sqlite3').Database }} [options]
+ * @returns {import('./storage').SecretStore & { close: () => Promise<void> }}
+ */
+function createSqliteStore(options = {}) {
+  const db = options.database || openDatabase(options.filename || SQLITE_PATH);
+
+  const statements = {
+    select: db.prepare('SELECT * FROM secrets WHERE id = ?'),
+    exists: db.prepare('SELECT 1 FROM secrets WHERE id = ?'),
+    insert: db.prepare(`
+      INSERT INTO secrets (id, item, remaining_views, burn_token, expires_at)
+      VALUES (@id, @item, @remainingViews, @burnToken, @expiresAt)
+    `),
+    claim: db.prepare(`
+      UPDATE secrets
+      SET remaining_views = remaining_views - 1, last_access_at = @now, last_access_token = @token,
+        expires_at = CASE WHEN remaining_views <= 1 THEN MIN(expires_at, @until) ELSE expires_at END
+      WHERE id = @id AND remaining_views > 0 AND expires_at > @now
+      RETURNING *
+    `),
+    deleteWithToken: db.prepare('DELETE FROM secrets WHERE id = ? AND burn_token = ?'),
+    delete: db.prepare('DELETE FROM secrets WHERE id = ?'),
+    touch: db.prepare('UPDATE secrets SET last_access_at = ?, last_access_token = ? WHERE id = ?'),
+    tokenExists: db.prepare('SELECT 1 FROM used_tokens WHERE jti = ?'),
+    insertToken: db.prepare('INSERT INTO used_tokens (jti, expires_at) VALUES (?, ?) ON CONFLICT (jti) DO NOTHING'),
+    increment: db.prepare(`
+      INSERT INTO counters (id, hits, expires_at) VALUES (?, 1, ?)
+      ON CONFLICT (id) DO UPDATE SET hits = hits + 1
+      RETURNING hits
+    `),
+    counter: db.prepare('SELECT hits FROM counters WHERE id = ?'),
+    bucket: db.prepare('SELECT tokens, updated_at AS updatedAt, version FROM buckets WHERE id = ?'),
+    insertBucket: db.prepare(`
+      INSERT INTO buckets (id, tokens, updated_at, version, expires_at) VALUES (@id, @tokens, @updatedAt, 1, @expiresAt)
+      ON CONFLICT (id) DO NOTHING
+    `),
+    updateBucket: db.prepare(`
+      UPDATE buckets SET tokens = @tokens, updated_at = @updatedAt, version = @version, expires_at = @expiresAt
+      WHERE id = @id AND version = @version - 1
+    `),
+    request: db.prepare('SELECT * FROM requests WHERE id = ?'),
+    requestExists: db.prepare('SELECT 1 FROM requests WHERE id = ?'),
+    insertRequest: db.prepare(`
+      INSERT INTO requests (id, secret_id, created_at, expires_at)
+      VALUES (@id, @secretId, @createdAt, @expiresAt)
+    `),
+    fill: db.prepare(`
+      UPDATE requests SET filled_commitment = @commitment
+      WHERE id = @id AND filled_commitment IS NULL AND expires_at > @now
+    `),
+    sweepSecrets: db.prepare('DELETE FROM secrets WHERE expires_at <= ? RETURNING item'),
+    trim: [
+      db.prepare('DELETE FROM used_tokens WHERE expires_at <= ?'),
+      db.prepare('DELETE FROM counters WHERE expires_at <= ?'),
+      db.prepare('DELETE FROM buckets WHERE expires_at <= ?'),
+      db.prepare('DELETE FROM requests WHERE expires_at <= ?')
+    ]
+  };
+
+  function trimLedger(now) {
+    for (const trim of statements.trim) {
+      trim.run(now);
+    }
+  }
+
+  function insertSecret(secret, now) {
+    trimLedger(now);
+    const item = buildSecretItem(secret);
+    statements.insert.run({
+      id: item.id,
+      item: JSON.stringify({ ...item, remainingViews: undefined }),
+      remainingViews: item.remainingViews,
+      burnToken: item.burnToken,
+      expiresAt: item.expiresAt
+    });
+  }
+
+  const putConsuming = db.transaction((secret, jti, now) => {
+    if (statements.tokenExists.get(jti)) {
+      return PUT_TOKEN_USED;
+    }
+    if (statements.exists.get(secret.id)) {
+      return PUT_ID_EXISTS;
+    }
+    statements.insertToken.run(jti, now + TOKEN_TTL_SECONDS);
+    insertSecret(secret, now);
+    return PUT_CREATED;
+  });
+
+  const putRequest = db.transaction((request, jti, now) => {
+    if (statements.tokenExists.get(jti)) {
+      return PUT_TOKEN_USED;
+    }
+    if (statements.requestExists.get(request.id)) {
+      return PUT_ID_EXISTS;
+    }
+    trimLedger(now);
+    statements.insertToken.run(jti, now + TOKEN_TTL_SECONDS);
+    statements.insertRequest.run(request);
+    return PUT_CREATED;
+  });
+
+  const fill = db.transaction((id, secret, now) => {
+    if (statements.exists.get(secret.id)) {
+      return false;
+    }
+    if (statements.fill.run({ id, commitment: secret.commitment, now }).changes === 0) {
+      return false;
+    }
+    insertSecret(secret, now);
+    return true;
+  });
+
+  const sweep = db.transaction((now) => {
+    trimLedger(now);
+    const rows = statements.sweepSecrets.all(now);
+    const blobKeys = rows.map((row) => JSON.parse(row.item).blobKey).filter(Boolean);
+    return { secrets: rows.length, blobKeys };
+  });
+
+  return {
+    async getSecret(id) {
+      const row = statements.select.get(id);
+      return row ? toSecret(row) : null;
+    },
+
+    async putSecret(secret) {
+      db.transaction(() => insertSecret(secret, nowSeconds())).immediate();
+    },
+
+    async putSecretConsumingToken(secret, jti) {
+      return putConsuming.immediate(secret, jti, nowSeconds());
+    },
+
+    async claimView(id, accessToken) {
+      // The last view keeps the row until the idempotency window closes
+      const now = nowSeconds();
+      const row = statements.claim.get({ id, token: accessToken, now, until: now + IDEMPOTENCY_WINDOW_SECONDS });
+      return row ? { secret: toSecret(row), consumed: row.remaining_views <= 0 } : null;
+    },
+
+    async conditionalDelete(id, burnToken) {
+      return statements.deleteWithToken.run(id, burnToken).changes > 0;
+    },
+
+    async updateAccessToken(id, accessToken, accessTime) {
+      statements.touch.run(accessTime, accessToken, id);
+    },
+
+    async deleteSecret(id) {
+      statements.delete.run(id);
+    },
+
+    async isTokenUsed(jti) {
+      return Boolean(statements.tokenExists.get(jti));
+    },
+
+    async putRequestConsumingToken(request, jti) {
+      const { id, secretId, createdAt, expiresAt } = request;
+      return putRequest.immediate({ id, secretId, createdAt, expiresAt }, jti, nowSeconds());
+    },
+
+    async getRequest(id) {
+      const row = statements.request.get(id);
+      return row ? toRequest(row) : null;
+    },
+
+    async fillRequest(id, secret) {
+      return fill.immediate(id, secret, nowSeconds());
+    },
+
+    async incrementCounter(id, expiresAt) {
+      return statements.increment.get(id, expiresAt).hits;
+    },
+
+    async getCounter(id) {
+      const row = statements.counter.get(id);
+      return row ? row.hits : 0;
+    },
+
+    async getBucket(id) {
+      return statements.bucket.get(id) || null;
+    },
+
+    async putBucket(id, bucket, expiresAt) {
+      const write = bucket.version === 1 ? statements.insertBucket : statements.updateBucket;
+      return write.run({ id, ...bucket, expiresAt }).changes > 0;
+    },
+
+    async sweepExpired() {
+      return sweep.immediate(nowSeconds());
+    },
+
+    async close() {
+      db.close();
+    }
+  };
+}
+
+module.exports = {
+  createSqliteStore,
+  SQLITE_PATH,
+  // For testing
+  _internal: {
+    openDatabase,
+    toSecret,
+    toRequest
+  }
+};
@@ -0,0 +1,310 @@
+'use strict';
+
+/**
+ * Storage for secrets, secret requests, the token replay ledger, rate
+ * counters and rate limit buckets
+ *
+ * Handlers go through this module rather than a particular database.
+ * SECRET_STORE selects the backend:
+ *   dynamodb (default) - dynamo.js; DYNAMODB_STORE=memory swaps in an in-memory client
+ *   sqlite             - sqlite-store.js, a single file at SQLITE_PATH
+ *   redis              - redis-store.js, a Redis-protocol server at REDIS_URL
+ *
+ * Every backend must pass storage.test.js, which pins down the view, expiry
+ * and single-use semantics the handlers rely on.
+ */
+
+const IDEMPOTENCY_WINDOW_SECONDS = 30;
+
+// Outcomes of putSecretConsumingToken and putRequestConsumingToken
+const PUT_CREATED = 'created';
+const PUT_TOKEN_USED = 'token_used';
+const PUT_ID_EXISTS = 'id_exists';
+
+const STORE_DYNAMODB = 'dynamodb';
+const STORE_SQLITE = 'sqlite';
+const STORE_REDIS = 'redis';
+
+/**
+ * A storage backend. Writes that the handlers depend on for correctness
+ * (claimView, conditionalDelete, putSecretConsumingToken,
+ * putRequestConsumingToken, fillRequest) must be atomic with respect to
+ * concurrent callers, and so must putBucket's version check.
+ * @typedef {object} SecretStore
+ * @property {(id: string) => Promise<object|null>} getSecret - Read a secret as stored (may still return it after expiresAt, or with no views left)
+ * @property {(secret: object) => Promise<void>} putSecret - Store a secret; rejects if the ID exists
+ * @property {(secret: object, jti: string) => Promise<'created'|'token_used'|'id_exists'>} putSecretConsumingToken - Store a secret and record its token, both or neither
+ * @property {(id: string, accessToken: string) => Promise<{secret: object, consumed: boolean}|null>} claimView - Take one view if any remain and the secret has not expired; the last view leaves the secret, with no views, until IDEMPOTENCY_WINDOW_SECONDS later for re-fetch
+ * @property {(id: string, burnToken: string) => Promise<boolean>} conditionalDelete - Delete only if the burn token matches
+ * @property {(id: string, accessToken: string, accessTime: number) => Promise<void>} updateAccessToken - Record the latest access token and time
+ * @property {(id: string) => Promise<void>} deleteSecret - Delete unconditionally (no-op if missing)
+ * @property {(jti: string) => Promise<boolean>} isTokenUsed - Whether a token ID is in the replay ledger
+ * @property {(request: SecretRequest, jti: string) => Promise<'created'|'token_used'|'id_exists'>} putRequestConsumingToken - Store a secret request and record its token, both or neither
+ * @property {(id: string) => Promise<SecretRequest|null>} getRequest - Read a secret request as stored (may still return it after expiresAt)
+ * @property {(id: string, secret: object) => Promise<boolean>} fillRequest - Store the secret under the request's secretId and mark the request filled with secret.commitment, both or neither; false if the request is missing, expired or already filled
+ * @property {(id: string, expiresAt: number) => Promise<number>} incrementCounter - Add one to a counter, keeping the first expiry
+ * @property {(id: string) => Promise<number>} getCounter - Read a counter (0 if missing)
+ * @property {(id: string) => Promise<Bucket|null>} getBucket - Read a rate limit bucket
+ * @property {(id: string, bucket: Bucket, expiresAt: number) => Promise<boolean>} putBucket - Write a bucket only if the stored version is bucket.version - 1 (0 if missing); false otherwise
+ * @property {() => Promise<SweepResult>} [sweepExpired] - Delete expired rows; only for backends without native expiry
+ */
+
+/**
+ * A secret request: a recipient asks for a secret, which a sender later
+ * stores under secretId. Only the recipient knows secretId.
+ * @typedef {object} SecretRequest
+ * @property {string} id - Request identifier (the one in the request link)
+ * @property {string} secretId - ID the secret is stored under once filled
+ * @property {number} createdAt - Unix timestamp
+ * @property {number} expiresAt - Unix timestamp; also the filled secret's expiry
+ * @property {string} [filledCommitment] - Commitment of the secret the request was filled with
+ */
+
+/**
+ * A token bucket as ratelimit.js keeps it. Each write bumps version, so
+ * concurrent writers can detect that the bucket changed under them.
+ * @typedef {object} Bucket
+ * @property {number} tokens - Tokens left at updatedAt (may be fractional)
+ * @property {number} updatedAt - Unix time in milliseconds
+ * @property {number} version - 1 for a new bucket
+ */
+
+/**
+ * @typedef {object} SweepResult
+ * @property {number} secrets - Expired secrets deleted
+ * @property {string[]} blobKeys - Blob keys those secrets pointed at, for the caller to delete
+ */
+
+/**
+ * Build the stored form of a new secret: optional attributes only when present
+ * @param {object} secret - Secret object to store (see dynamo.putSecret)
+ * @returns {object}
+ */
+function buildSecretItem(secret) {
+  const item = {
+    id: secret.id,
+    ciphertext: secret.ciphertext,
+    iv: secret.iv,
+    passphraseProtected: secret.passphraseProtected,
+    remainingViews: secret.remainingViews,
+    burnToken: secret.burnToken,
+    createdAt: secret.createdAt,
+    expiresAt: secret.expiresAt
+  };
+
+  // Only include salt if present (passphrase-protected secrets)
+  if (secret.salt) {
+    item.salt = secret.salt;
+  }
+
+  // Large ciphertexts live in the blob store; the item only points at them
+  if (secret.blobKey) {
+    item.blobKey = secret.blobKey;
+  }
+
+  // Only include commitment if present (clients with key commitment)
+  if (secret.commitment) {
+    item.commitment = secret.commitment;
+  }
+
+  // Lets the creator's status check count views (absent on older secrets)
+  if (secret.maxViews !== undefined) {
+    item.maxViews = secret.maxViews;
+  }
+
+  // Secrets filled in for a request carry their wrapped key fragment
+  if (secret.keyFragment) {
+    item.keyFragment = secret.keyFragment;
+  }
+
+  // Sealed webhook for the first-view notification
+  if (secret.notify) {
+    item.notify = secret.notify;
+  }
+
+  // Only include envelope fields for versioned payloads
+  if (secret.version !== undefined) {
+    item.version = secret.version;
+    item.cipher = secret.cipher;
+    item.kdf = secret.kdf;
+  }
+
+  return item;
+}
+
+/**
+ * Check if request is within idempotency window
+ * @param {object} secret - Secret object with lastAccessAt and lastAccessToken
+ * @param {string} providedToken - Token provided by client
+ * @returns {boolean} True if within idempotency window with matching token
+ */
+function isWithinIdempotencyWindow(secret, providedToken) {
+  if (!secret.lastAccessToken || !secret.lastAccessAt || !providedToken) {
+    return false;
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const timeSinceAccess = now - secret.lastAccessAt;
+
+  return (
+    secret.lastAccessToken === providedToken &&
+    timeSinceAccess < IDEMPOTENCY_WINDOW_SECONDS
+  );
+}
+
+/**
+ * Check if a secret is expired
+ * @param {object} secret - Secret object with expiresAt
+ * @returns {boolean} True if secret is expired
+ */
+function isExpired(secret) {
+  const now = Math.floor(Date.now() / 1000);
+  return secret.expiresAt <= now;
+}
+
+// Singleton store instance
+let store = null;
+
+/**
+ * Create the backend named by SECRET_STORE
+ * Backends are required lazily so that a deployment only loads (and only
+ * needs installed) the driver it uses.
+ * @param {string} [name=process.env.SECRET_STORE]
+ * @returns {SecretStore}
+ * @throws {Error} If the name is not a known backend
+ */
+function createStore(name = process.env.SECRET_STORE || STORE_DYNAMODB) {
+  switch (name) {
+    case STORE_DYNAMODB:
+      return require('./dynamo');
+    case STORE_SQLITE:
+      return require('./sqlite-store').createSqliteStore();
+    case STORE_REDIS:
+      return require('./redis-store').createRedisStore();
+    default:
+      throw new Error(`Unknown SECRET_STORE: ${name}`);
+  }
+}
+
+/**
+ * Get the configured store (singleton)
+ * @returns {SecretStore}
+ */
+function getStore() {
+  if (!store) {
+    store = createStore();
+  }
+  return store;
+}
+
+/**
+ * Replace the store (useful for testing)
+ * @param {SecretStore|null} replacement - Store to use, or null to reset
+ */
+function setStore(replacement) {
+  store = replacement;
+}
+
+// The calls below keep the SecretStore signatures; see the typedef above
+
+async function getSecret(id) {
+  return getStore().getSecret(id);
+}
+
+async function putSecret(secret) {
+  return getStore().putSecret(secret);
+}
+
+async function putSecretConsumingToken(secret, jti) {
+  return getStore().putSecretConsumingToken(secret, jti);
+}
+
+async function claimView(id, accessToken) {
+  return getStore().claimView(id, accessToken);
+}
+
+async function conditionalDelete(id, burnToken) {
+  return getStore().conditionalDelete(id, burnToken);
+}
+
+async function updateAccessToken(id, accessToken, accessTime) {
+  return getStore().updateAccessToken(id, accessToken, accessTime);
+}
+
+async function deleteSecret(id) {
+  return getStore().deleteSecret(id);
+}
+
+async function isTokenUsed(jti) {
+  return getStore().isTokenUsed(jti);
+}
+
+async function putRequestConsumingToken(request, jti) {
+  return getStore().putRequestConsumingToken(request, jti);
+}
+
+async function getRequest(id) {
+  return getStore().getRequest(id);
+}
+
+async function fillRequest(id, secret) {
+  return getStore().fillRequest(id, secret);
+}
+
+async function incrementCounter(id, expiresAt) {
+  return getStore().incrementCounter(id, expiresAt);
+}
+
+async function getCounter(id) {
+  return getStore().getCounter(id);
+}
+
+async function getBucket(id) {
+  return getStore().getBucket(id);
+}
+
+async function putBucket(id, bucket, expiresAt) {
+  return getStore().putBucket(id, bucket, expiresAt);
+}
+
+/**
+ * Delete expired secrets on backends that do not expire items themselves.
+ * DynamoDB (TTL) and Redis (key expiry) have nothing to sweep.
+ * @returns {Promise<SweepResult>}
+ */
+async function sweepExpired() {
+  const current = getStore();
+  return current.sweepExpired ? current.sweepExpired() : { secrets: 0, blobKeys: [] };
+}
+
+module.exports = {
+  getSecret,
+  putSecret,
+  putSecretConsumingToken,
+  claimView,
+  conditionalDelete,
+  updateAccessToken,
+  deleteSecret,
+  isTokenUsed,
+  putRequestConsumingToken,
+  getRequest,
+  fillRequest,
+  incrementCounter,
+  getCounter,
+  getBucket,
+  putBucket,
+  sweepExpired,
+  isWithinIdempotencyWindow,
+  isExpired,
+  buildSecretItem,
+  createStore,
+  getStore,
+  setStore,
+  PUT_CREATED,
+  PUT_TOKEN_USED,
+  PUT_ID_EXISTS,
+  IDEMPOTENCY_WINDOW_SECONDS,
+  STORE_DYNAMODB,
+  STORE_SQLITE,
+  STORE_REDIS
+};
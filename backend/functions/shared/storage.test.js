@@ -0,0 +1,394 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const storage = require('./storage');
+const dynamo = require('./dynamo');
+
+function isInstalled(name) {
+  try {
+    require.resolve(name);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+const now = () => Math.floor(Date.now() / 1000);
+
+function secret(overrides = {}) {
+  return {
+    id: crypto.randomBytes(16).toString('base64url').slice(0, 22),
+    ciphertext: 'Y2lwaGVydGV4dA==',
+    iv: 'AQEBAQEBAQEBAQEB',
+    salt: null,
+    passphraseProtected: false,
+    remainingViews: 1,
+    burnToken: 'b'.repeat(32),
+    createdAt: now(),
+    expiresAt: now() + 3600,
+    ...overrides
+  };
+}
+
+function request(overrides = {}) {
+  return {
+    id: crypto.randomBytes(16).toString('base64url').slice(0, 22),
+    secretId: crypto.randomBytes(16).toString('base64url').slice(0, 22),
+    createdAt: now(),
+    expiresAt: now() + 3600,
+    ...overrides
+  };
+}
+
+// Each backend: [name, available, create]. The Redis suite needs a server:
+// REDIS_URL=redis://localhost:6379 npx jest storage
+const BACKENDS = [
+  ['dynamodb (in-memory client)', true, async () => {
+    process.env.DYNAMODB_STORE = 'memory';
+    dynamo._internal.resetClient();
+    return dynamo;
+  }],
+  ['sqlite', isInstalled('better-sqlite3'), async () => {
+    return require('./sqlite-store').createSqliteStore({ filename: ':memory:' });
+  }],
+  ['redis', Boolean(process.env.REDIS_URL) && isInstalled('ioredis'), async () => {
+    return require('./redis-store').createRedisStore({
+      url: process.env.REDIS_URL,
+      keyPrefix: `sealed-test:${crypto.randomUUID()}:`
+    });
+  }]
+];
+
+describe('storage.js', () => {
+  afterEach(() => {
+    storage.setStore(null);
+    delete process.env.SECRET_STORE;
+  });
+
+  describe('createStore', () => {
+    it('should use dynamo.js by default', () => {
+      expect(storage.createStore()).toBe(dynamo);
+      expect(storage.createStore('dynamodb')).toBe(dynamo);
+    });
+
+    it('should reject unknown backends', () => {
+      process.env.SECRET_STORE = 'postgres';
+
+      expect(() => storage.getStore()).toThrow('Unknown SECRET_STORE: postgres');
+    });
+  });
+
+  describe('sweepExpired', () => {
+    it('should report nothing for backends with native expiry', async () => {
+      storage.setStore({});
+
+      await expect(storage.sweepExpired()).resolves.toEqual({ secrets: 0, blobKeys: [] });
+    });
+  });
+
+  describe('module functions', () => {
+    it('should delegate to the configured store', async () => {
+      const store = { claimView: jest.fn().mockResolvedValue(null), getCounter: jest.fn().mockResolvedValue(3) };
+      storage.setStore(store);
+
+      await expect(storage.claimView('id', 'token')).resolves.toBeNull();
+      await expect(storage.getCounter('c')).resolves.toBe(3);
+      expect(store.claimView).toHaveBeenCalledWith('id', 'token');
+    });
+  });
+});
+
+// =============================================================================
+// Conformance: every backend must pass these unchanged
+// =============================================================================
+
+describe.each(BACKENDS)('SecretStore conformance: %s', (name, available, create) => {
+  const maybe = available ? it : it.skip;
+  let store;
+
+  beforeEach(async () => {
+    if (available) {
+      store = await create();
+    }
+  });
+
+  afterEach(async () => {
+    if (store && store.close) {
+      await store.close();
+    }
+    store = null;
+    delete process.env.DYNAMODB_STORE;
+  });
+
+  maybe('should return null for a missing secret', async () => {
+    await expect(store.getSecret('Nope0000000000000000000')).resolves.toBeNull();
+  });
+
+  maybe('should store a secret with only the attributes that are present', async () => {
+    const stored = secret({
+      salt: 'c2FsdHNhbHRzYWx0c2FsdA==',
+      commitment: 'Y29tbWl0bWVudA==',
+      version: 2,
+      cipher: 'aes-256-gcm',
+      kdf: { name: 'argon2id', m: 65536, t: 3, p: 1 },
+      remainingViews: 3,
+      maxViews: 3,
+      notify: 'c2VhbGVkIHdlYmhvb2s'
+    });
+
+    await store.putSecret(stored);
+
+    expect(await store.getSecret(stored.id)).toEqual({ ...stored });
+    const plain = secret();
+    await store.putSecret(plain);
+    const { salt, ...withoutSalt } = plain;
+    expect(await store.getSecret(plain.id)).toEqual(withoutSalt);
+  });
+
+  maybe('should refuse to overwrite an existing secret', async () => {
+    const stored = secret();
+    await store.putSecret(stored);
+
+    await expect(store.putSecret({ ...stored, ciphertext: 'b3RoZXI=' })).rejects.toThrow();
+    expect((await store.getSecret(stored.id)).ciphertext).toBe(stored.ciphertext);
+  });
+
+  maybe('should store a secret and consume its token together, or not at all', async () => {
+    const first = secret();
+
+    await expect(store.putSecretConsumingToken(first, 'jti-1')).resolves.toBe(storage.PUT_CREATED);
+    await expect(store.putSecretConsumingToken(secret(), 'jti-1')).resolves.toBe(storage.PUT_TOKEN_USED);
+    await expect(store.putSecretConsumingToken(secret({ id: first.id }), 'jti-2')).resolves.toBe(storage.PUT_ID_EXISTS);
+
+    // Neither failure left anything behind
+    await expect(store.isTokenUsed('jti-1')).resolves.toBe(true);
+    await expect(store.isTokenUsed('jti-2')).resolves.toBe(false);
+    expect((await store.getSecret(first.id)).ciphertext).toBe(first.ciphertext);
+  });
+
+  maybe('should decrement views, record the access and keep the last view for the window', async () => {
+    const stored = secret({ remainingViews: 2 });
+    await store.putSecret(stored);
+
+    const first = await store.claimView(stored.id, 'access-1');
+    expect(first.consumed).toBe(false);
+    expect(first.secret).toMatchObject({ id: stored.id, remainingViews: 1, lastAccessToken: 'access-1' });
+    expect(Math.abs(first.secret.lastAccessAt - now())).toBeLessThanOrEqual(1);
+    expect(await store.getSecret(stored.id)).toMatchObject({ remainingViews: 1, lastAccessToken: 'access-1' });
+
+    const last = await store.claimView(stored.id, 'access-2');
+    expect(last.consumed).toBe(true);
+    expect(last.secret).toMatchObject({ remainingViews: 0, lastAccessToken: 'access-2', ciphertext: stored.ciphertext });
+
+    // Kept, with no views left, only until its reader's window closes
+    await expect(store.claimView(stored.id, 'access-3')).resolves.toBeNull();
+    const kept = await store.getSecret(stored.id);
+    expect(kept).toMatchObject({ remainingViews: 0, ciphertext: stored.ciphertext });
+    expect(storage.isWithinIdempotencyWindow(kept, 'access-2')).toBe(true);
+    expect(Math.abs(kept.expiresAt - (now() + storage.IDEMPOTENCY_WINDOW_SECONDS))).toBeLessThanOrEqual(1);
+  });
+
+  maybe('should not keep the last view past the secret\'s own expiry', async () => {
+    const stored = secret({ expiresAt: now() + 10 });
+    await store.putSecret(stored);
+
+    await store.claimView(stored.id, 'access');
+
+    expect((await store.getSecret(stored.id)).expiresAt).toBe(stored.expiresAt);
+  });
+
+  maybe('should serve exactly as many views as remain to concurrent readers', async () => {
+    const stored = secret({ remainingViews: 3 });
+    await store.putSecret(stored);
+
+    const claims = await Promise.all(
+      Array.from({ length: 12 }, (_, i) => store.claimView(stored.id, `access-${i}`))
+    );
+
+    const served = claims.filter(Boolean);
+    expect(served).toHaveLength(3);
+    expect(served.map((claim) => claim.secret.remainingViews).sort()).toEqual([0, 1, 2]);
+    expect(served.filter((claim) => claim.consumed)).toHaveLength(1);
+  });
+
+  maybe('should not serve an expired secret, whatever views remain', async () => {
+    const stored = secret({ remainingViews: 5, expiresAt: now() - 1 });
+    await store.putSecret(stored);
+
+    await expect(store.claimView(stored.id, 'access')).resolves.toBeNull();
+  });
+
+  maybe('should not serve a missing secret', async () => {
+    await expect(store.claimView('Nope0000000000000000000', 'access')).resolves.toBeNull();
+  });
+
+  maybe('should burn only with the matching token', async () => {
+    const stored = secret();
+    await store.putSecret(stored);
+
+    await expect(store.conditionalDelete(stored.id, 'c'.repeat(32))).resolves.toBe(false);
+    await expect(store.getSecret(stored.id)).resolves.not.toBeNull();
+    await expect(store.conditionalDelete(stored.id, stored.burnToken)).resolves.toBe(true);
+    await expect(store.getSecret(stored.id)).resolves.toBeNull();
+    await expect(store.conditionalDelete(stored.id, stored.burnToken)).resolves.toBe(false);
+  });
+
+  maybe('should record access tokens for idempotent re-fetches', async () => {
+    const stored = secret({ remainingViews: 2 });
+    await store.putSecret(stored);
+
+    await store.updateAccessToken(stored.id, 'access', now());
+
+    const fetched = await store.getSecret(stored.id);
+    expect(fetched.remainingViews).toBe(2);
+    expect(storage.isWithinIdempotencyWindow(fetched, 'access')).toBe(true);
+    expect(storage.isWithinIdempotencyWindow(fetched, 'other')).toBe(false);
+  });
+
+  maybe('should delete unconditionally', async () => {
+    const stored = secret();
+    await store.putSecret(stored);
+
+    await store.deleteSecret(stored.id);
+    await store.deleteSecret(stored.id);
+
+    await expect(store.getSecret(stored.id)).resolves.toBeNull();
+  });
+
+  maybe('should accept each token exactly once under concurrency', async () => {
+    const results = await Promise.all(Array.from({ length: 10 }, () => store.putSecretConsumingToken(secret(), 'jti')));
+
+    expect(results.filter((outcome) => outcome === storage.PUT_CREATED)).toHaveLength(1);
+    expect(results.filter((outcome) => outcome === storage.PUT_TOKEN_USED)).toHaveLength(9);
+  });
+
+  maybe('should count hits per counter', async () => {
+    const expiresAt = now() + 120;
+
+    await Promise.all(Array.from({ length: 5 }, () => store.incrementCounter('window-1', expiresAt)));
+
+    await expect(store.incrementCounter('window-1', expiresAt + 60)).resolves.toBe(6);
+    await expect(store.getCounter('window-1')).resolves.toBe(6);
+    await expect(store.getCounter('window-2')).resolves.toBe(0);
+  });
+
+  maybe('should store a request and consume its token together, or not at all', async () => {
+    const first = request();
+
+    await expect(store.getRequest(first.id)).resolves.toBeNull();
+    await expect(store.putRequestConsumingToken(first, 'jti-1')).resolves.toBe(storage.PUT_CREATED);
+    await expect(store.putRequestConsumingToken(request(), 'jti-1')).resolves.toBe(storage.PUT_TOKEN_USED);
+    await expect(store.putRequestConsumingToken(request({ id: first.id }), 'jti-2')).resolves.toBe(storage.PUT_ID_EXISTS);
+
+    await expect(store.isTokenUsed('jti-1')).resolves.toBe(true);
+    await expect(store.isTokenUsed('jti-2')).resolves.toBe(false);
+    await expect(store.getRequest(first.id)).resolves.toEqual(first);
+  });
+
+  maybe('should fill a request once, storing its secret under the secret ID', async () => {
+    const stored = request();
+    await store.putRequestConsumingToken(stored, 'jti');
+    const filled = secret({ id: stored.secretId, commitment: 'Y29tbWl0bWVudA==', keyFragment: 'v2.r.AAAA' });
+
+    await expect(store.fillRequest(stored.id, filled)).resolves.toBe(true);
+    await expect(store.fillRequest(stored.id, secret({ id: stored.secretId, commitment: 'b3RoZXI=' }))).resolves.toBe(false);
+
+    await expect(store.getRequest(stored.id)).resolves.toEqual({ ...stored, filledCommitment: filled.commitment });
+    const { salt, ...withoutSalt } = filled;
+    expect(await store.getSecret(stored.secretId)).toEqual(withoutSalt);
+  });
+
+  maybe('should not fill a missing or expired request', async () => {
+    const expired = request({ expiresAt: now() - 1 });
+    await store.putRequestConsumingToken(expired, 'jti');
+
+    await expect(store.fillRequest(expired.id, secret({ id: expired.secretId }))).resolves.toBe(false);
+    await expect(store.fillRequest('Nope0000000000000000000', secret())).resolves.toBe(false);
+    await expect(store.getSecret(expired.secretId)).resolves.toBeNull();
+  });
+
+  maybe('should let one of several concurrent senders fill a request', async () => {
+    const stored = request();
+    await store.putRequestConsumingToken(stored, 'jti');
+
+    const fills = await Promise.all(Array.from({ length: 6 }, (_, i) => (
+      store.fillRequest(stored.id, secret({ id: stored.secretId, commitment: `c2VuZGVy${i}A==` }))
+    )));
+
+    expect(fills.filter(Boolean)).toHaveLength(1);
+  });
+
+  maybe('should write a bucket only over the version it was read at', async () => {
+    const expiresAt = now() + 60;
+    const first = { tokens: 4, updatedAt: Date.now(), version: 1 };
+
+    await expect(store.getBucket('bucket-1')).resolves.toBeNull();
+    await expect(store.putBucket('bucket-1', first, expiresAt)).resolves.toBe(true);
+    await expect(store.putBucket('bucket-1', { ...first, tokens: 3 }, expiresAt)).resolves.toBe(false);
+    await expect(store.getBucket('bucket-1')).resolves.toEqual(first);
+
+    const second = { tokens: 2.5, updatedAt: first.updatedAt + 500, version: 2 };
+    await expect(store.putBucket('bucket-1', { ...second, version: 3 }, expiresAt)).resolves.toBe(false);
+    await expect(store.putBucket('bucket-1', second, expiresAt)).resolves.toBe(true);
+    await expect(store.getBucket('bucket-1')).resolves.toEqual(second);
+    await expect(store.putBucket('bucket-2', { ...second }, expiresAt)).resolves.toBe(false);
+  });
+
+  maybe('should let one of several concurrent writers of a version win', async () => {
+    const writes = Array.from({ length: 8 }, (_, i) => (
+      store.putBucket('bucket', { tokens: i, updatedAt: Date.now(), version: 1 }, now() + 60)
+    ));
+
+    expect((await Promise.all(writes)).filter(Boolean)).toHaveLength(1);
+  });
+});
+
+// =============================================================================
+// Backend-specific behaviour
+// =============================================================================
+
+const describeSqlite = isInstalled('better-sqlite3') ? describe : describe.skip;
+
+describeSqlite('sqlite-store.js', () => {
+  const { createSqliteStore } = require('./sqlite-store');
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sealed-sqlite-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should share one file between connections without double-serving a view', async () => {
+    const filename = path.join(dir, 'sealed.db');
+    const stores = [createSqliteStore({ filename }), createSqliteStore({ filename })];
+    const stored = secret({ remainingViews: 1 });
+    await stores[0].putSecret(stored);
+
+    const claims = await Promise.all(stores.map((store) => store.claimView(stored.id, 'access')));
+
+    expect(claims.filter(Boolean)).toHaveLength(1);
+    await Promise.all(stores.map((store) => store.close()));
+  });
+
+  it('should sweep expired secrets and report their blobs', async () => {
+    const store = createSqliteStore({ filename: ':memory:' });
+    const expired = secret({ expiresAt: now() - 1 });
+    const expiredFile = secret({ expiresAt: now() - 1, ciphertext: null, blobKey: 'secrets/file' });
+    const live = secret();
+    await Promise.all([expired, expiredFile, live].map((item) => store.putSecret(item)));
+    await store.incrementCounter('old-window', now() - 1);
+
+    await expect(store.sweepExpired()).resolves.toEqual({ secrets: 2, blobKeys: ['secrets/file'] });
+
+    await expect(store.getSecret(expired.id)).resolves.toBeNull();
+    await expect(store.getSecret(live.id)).resolves.not.toBeNull();
+    await expect(store.getCounter('old-window')).resolves.toBe(0);
+    await store.close();
+  });
+});
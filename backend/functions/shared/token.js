@@ -2,6 +2,9 @@
 
 const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
+const pow = require('./pow');
+
+const { isSupportedAlg, ALG_SHA256 } = pow;
 
 // Configuration
 const TOKEN_TTL_SECONDS = 300; // 5 minutes
@@ -9,8 +12,8 @@ const NONCE_BYTES = 16;
 const SECRET_ID_BYTES = 16;
 const BURN_TOKEN_BYTES = 16;
 const ACCESS_TOKEN_BYTES = 16;
-const DEFAULT_POW_DIFFICULTY = 18;
-const POW_PREFIX = 'sealed:';
+const DEFAULT_POW_DIFFICULTY = pow.DEFAULT_DIFFICULTY;
+const POW_PREFIX = pow.DEFAULT_PREFIX;
 
 /**
  * Generate a cryptographically random nonce
@@ -52,51 +55,331 @@ function generateJti() {
   return crypto.randomUUID();
 }
 
+// Token signature algorithms. Each key is bound to one of them and a token
+// is only checked with the algorithm of the key it names, never the one its
+// header asks for, so an HMAC secret can never stand in for a public key.
+const JWT_ALG_HS256 = 'HS256';
+const JWT_ALG_EDDSA = 'EdDSA';
+
+// A retired key keeps verifying for this long: every token it signed has
+// expired by then
+const KEY_GRACE_SECONDS = TOKEN_TTL_SECONDS;
+
 /**
- * Get JWT secret from environment
- * @returns {string}
- * @throws {Error} If JWT_SECRET is not set
+ * A verification key
+ * @typedef {object} TokenKey
+ * @property {'HS256'|'EdDSA'} alg
+ * @property {string} [secret] - HS256 secret
+ * @property {crypto.KeyObject} [publicKey] - Ed25519 public key
+ * @property {number} [retiredAt] - Unix time the key stopped signing
+ */
+
+/**
+ * @typedef {object} SigningKey
+ * @property {string} [kid] - Key ID for the JWT header (absent outside a keyring)
+ * @property {'HS256'|'EdDSA'} alg
+ * @property {string} [secret] - HS256 secret
+ * @property {crypto.KeyObject} [privateKey] - Ed25519 private key
  */
-function getJwtSecret() {
-  const secret = process.env.JWT_SECRET;
-  if (!secret) {
-    throw new Error('JWT_SECRET environment variable is not set');
+
+/**
+ * @typedef {object} Keyring
+ * @property {string|null} activeKid - Keyring key that signs new tokens, if JWT_KEYS is set
+ * @property {Map<string, TokenKey>} keys - Verify tokens that carry a kid
+ * @property {{HS256?: TokenKey, EdDSA?: TokenKey}} unnamed - Verify tokens without a kid
+ */
+
+// Parsed key material, reused while the variable it came from is unchanged
+const parsedCache = new Map();
+
+function parseCached(name, parse) {
+  const raw = process.env[name];
+  if (!raw) {
+    return null;
+  }
+  const cached = parsedCache.get(name);
+  if (cached && cached.raw === raw) {
+    return cached.value;
   }
-  return secret;
+  const value = parse(raw);
+  parsedCache.set(name, { raw, value });
+  return value;
 }
 
 /**
- * Generate a PoW challenge
- * @returns {{ difficulty: number, prefix: string }}
+ * Read a PEM key. Literal "\n" sequences are accepted in place of newlines,
+ * for settings that cannot hold multi-line values.
+ * @param {string} pem
+ * @param {'public'|'private'} type
+ * @param {string} name - Setting name for error messages
+ * @returns {crypto.KeyObject} An Ed25519 key
+ * @throws {Error} If the PEM is unreadable or not Ed25519
  */
-function generateChallenge() {
+function readEd25519Key(pem, type, name) {
+  let key;
+  try {
+    const text = pem.replace(/\\n/g, '\n');
+    key = type === 'public' ? crypto.createPublicKey(text) : crypto.createPrivateKey(text);
+  } catch (error) {
+    throw new Error(`${name} is not a PEM ${type} key`);
+  }
+  if (key.asymmetricKeyType !== 'ed25519') {
+    throw new Error(`${name} must be an Ed25519 key`);
+  }
+  return key;
+}
+
+/**
+ * Parse a keyring. The JSON form (JWT_KEYS) is
+ *   { "active": "2026-10", "keys": [
+ *       { "kid": "2026-10", "alg": "EdDSA", "publicKey": "-----BEGIN PUBLIC KEY-----..." },
+ *       { "kid": "2026-07", "secret": "...", "retiredAt": 1792000000 } ] }
+ * alg defaults to HS256, which takes a secret; EdDSA takes a public key.
+ * Keys without retiredAt always verify, so a new key can be published to
+ * every instance before it becomes active.
+ * @param {string|object} value - JSON text or the parsed object
+ * @returns {{active: string, keys: Map<string, TokenKey>}}
+ * @throws {Error} If the keyring is malformed
+ */
+function parseKeyring(value) {
+  const fail = (reason) => {
+    throw new Error(`JWT_KEYS is invalid: ${reason}`);
+  };
+
+  let ring = value;
+  if (typeof value === 'string') {
+    try {
+      ring = JSON.parse(value);
+    } catch (error) {
+      fail('not JSON');
+    }
+  }
+  if (!ring || typeof ring !== 'object' || !Array.isArray(ring.keys) || ring.keys.length === 0) {
+    fail('expected { active, keys: [...] }');
+  }
+
+  const keys = new Map();
+  for (const entry of ring.keys) {
+    if (!entry || typeof entry.kid !== 'string' || !entry.kid) {
+      fail('every key needs a kid');
+    }
+    if (keys.has(entry.kid)) {
+      fail(`duplicate kid ${entry.kid}`);
+    }
+    if (entry.retiredAt !== undefined && !Number.isInteger(entry.retiredAt)) {
+      fail(`retiredAt of ${entry.kid} must be a Unix time in seconds`);
+    }
+
+    const alg = entry.alg === undefined ? JWT_ALG_HS256 : entry.alg;
+    let key;
+    if (alg === JWT_ALG_HS256 && typeof entry.secret === 'string' && entry.secret && entry.publicKey === undefined) {
+      key = { alg, secret: entry.secret };
+    } else if (alg === JWT_ALG_EDDSA && typeof entry.publicKey === 'string' && entry.secret === undefined) {
+      try {
+        key = { alg, publicKey: readEd25519Key(entry.publicKey, 'public', `publicKey of ${entry.kid}`) };
+      } catch (error) {
+        fail(error.message);
+      }
+    } else {
+      fail(`key ${entry.kid} needs a secret (HS256) or a publicKey (EdDSA), not both`);
+    }
+    if (entry.retiredAt !== undefined) {
+      key.retiredAt = entry.retiredAt;
+    }
+    keys.set(entry.kid, key);
+  }
+  if (!keys.has(ring.active)) {
+    fail('active must name one of the keys');
+  }
+  return { active: ring.active, keys };
+}
+
+/**
+ * Load the verification keys from the environment.
+ * JWT_KEYS holds a keyring (see parseKeyring). Outside it, JWT_SECRET (HS256)
+ * and JWT_PUBLIC_KEY (EdDSA) verify tokens without a kid: those issued before
+ * the keyring was introduced, or by a deployment that has none.
+ * @returns {Keyring}
+ * @throws {Error} If a configured key is malformed
+ */
+function getKeyring() {
+  const ring = parseCached('JWT_KEYS', parseKeyring);
+  const publicKey = parseCached('JWT_PUBLIC_KEY', (pem) => readEd25519Key(pem, 'public', 'JWT_PUBLIC_KEY'));
+
+  const unnamed = {};
+  if (process.env.JWT_SECRET) {
+    unnamed[JWT_ALG_HS256] = { alg: JWT_ALG_HS256, secret: process.env.JWT_SECRET };
+  }
+  if (publicKey) {
+    unnamed[JWT_ALG_EDDSA] = { alg: JWT_ALG_EDDSA, publicKey };
+  }
+
   return {
-    difficulty: DEFAULT_POW_DIFFICULTY,
-    prefix: POW_PREFIX
+    activeKid: ring ? ring.active : null,
+    keys: ring ? ring.keys : new Map(),
+    unnamed
   };
 }
 
+/**
+ * Key that signs new tokens: the keyring's active key, or else the one
+ * JWT_ALG picks (HS256 by default). Ed25519 signing needs JWT_PRIVATE_KEY,
+ * which only the token function is given.
+ * @returns {SigningKey}
+ * @throws {Error} If the key, or its private half, is not configured
+ */
+function getSigningKey() {
+  const { activeKid, keys, unnamed } = getKeyring();
+  const alg = activeKid ? keys.get(activeKid).alg : process.env.JWT_ALG || JWT_ALG_HS256;
+
+  if (alg === JWT_ALG_HS256) {
+    const key = activeKid ? keys.get(activeKid) : unnamed[JWT_ALG_HS256];
+    if (!key) {
+      throw new Error('JWT_SECRET environment variable is not set');
+    }
+    return activeKid ? { kid: activeKid, alg, secret: key.secret } : { alg, secret: key.secret };
+  }
+  if (alg !== JWT_ALG_EDDSA) {
+    throw new Error(`Unsupported JWT_ALG: ${alg}`);
+  }
+
+  const privateKey = parseCached('JWT_PRIVATE_KEY', (pem) => readEd25519Key(pem, 'private', 'JWT_PRIVATE_KEY'));
+  if (!privateKey) {
+    throw new Error('JWT_PRIVATE_KEY environment variable is not set');
+  }
+  const key = activeKid ? keys.get(activeKid) : unnamed[JWT_ALG_EDDSA];
+  const derived = crypto.createPublicKey(privateKey);
+  if (key && !derived.equals(key.publicKey)) {
+    throw new Error('JWT_PRIVATE_KEY does not match the active public key');
+  }
+  return activeKid ? { kid: activeKid, alg, privateKey } : { alg, privateKey };
+}
+
+/**
+ * A secret only this server knows, for keyed hashes: the HS256 signing
+ * secret, or a hash of the Ed25519 private key
+ * @returns {Buffer|string}
+ * @throws {Error} If no signing key is configured
+ */
+function getServerSecret() {
+  const key = getSigningKey();
+  if (key.alg === JWT_ALG_HS256) {
+    return key.secret;
+  }
+  return crypto.createHash('sha256').update(key.privateKey.export({ format: 'der', type: 'pkcs8' })).digest();
+}
+
+/**
+ * Key that verifies a token, if it is still accepted: the active key, a
+ * published key, or a retired key inside its grace period. The key must
+ * also be for the algorithm the token claims.
+ * @param {{kid?: string, alg?: string}} header - Token header
+ * @returns {TokenKey|null}
+ */
+function getVerificationKey(header) {
+  const { activeKid, keys, unnamed } = getKeyring();
+
+  let key;
+  if (header.kid === undefined) {
+    key = Object.prototype.hasOwnProperty.call(unnamed, header.alg) ? unnamed[header.alg] : null;
+  } else if (typeof header.kid === 'string' && keys.has(header.kid)) {
+    key = keys.get(header.kid);
+    const now = Math.floor(Date.now() / 1000);
+    if (header.kid !== activeKid && key.retiredAt !== undefined && now >= key.retiredAt + KEY_GRACE_SECONDS) {
+      key = null;
+    }
+  }
+  return key && key.alg === header.alg ? key : null;
+}
+
+function base64urlJson(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+/**
+ * Sign an EdDSA (Ed25519) JWT. jsonwebtoken only does HMAC, RSA and ECDSA.
+ * @param {object} payload
+ * @param {crypto.KeyObject} privateKey
+ * @param {string} [kid]
+ * @returns {string}
+ */
+function signEdDsa(payload, privateKey, kid) {
+  const header = kid ? { alg: JWT_ALG_EDDSA, typ: 'JWT', kid } : { alg: JWT_ALG_EDDSA, typ: 'JWT' };
+  const input = `${base64urlJson(header)}.${base64urlJson(payload)}`;
+  return `${input}.${crypto.sign(null, Buffer.from(input), privateKey).toString('base64url')}`;
+}
+
+/**
+ * Verify an EdDSA JWT and check its expiry, as jwt.verify does for HS256
+ * @param {string} token
+ * @param {crypto.KeyObject} publicKey
+ * @returns {object|null} Payload, or null if the signature or expiry fails
+ */
+function verifyEdDsa(token, publicKey) {
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    return null;
+  }
+  const signature = Buffer.from(parts[2], 'base64url');
+  if (!crypto.verify(null, Buffer.from(`${parts[0]}.${parts[1]}`), publicKey, signature)) {
+    return null;
+  }
+  const payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  const now = Math.floor(Date.now() / 1000);
+  if (!payload || typeof payload.exp !== 'number' || now >= payload.exp) {
+    return null;
+  }
+  return payload;
+}
+
+/**
+ * Sign token claims with the active key, naming it in the kid header
+ * @param {object} payload - JWT claims
+ * @returns {string} JWT token string
+ * @throws {Error} If no signing key is configured
+ */
+function signToken(payload) {
+  const { kid, alg, secret, privateKey } = getSigningKey();
+  if (alg === JWT_ALG_EDDSA) {
+    return signEdDsa(payload, privateKey, kid);
+  }
+  const options = { algorithm: JWT_ALG_HS256 };
+  if (kid) {
+    options.keyid = kid;
+  }
+  return jwt.sign(payload, secret, options);
+}
+
+/**
+ * Generate the PoW challenge for a new token, always with the issuer's prefix
+ * @param {number} [difficulty=DEFAULT_POW_DIFFICULTY] - Number of leading zero bits required
+ * @param {string} [alg='sha256'] - PoW algorithm
+ * @returns {import('./pow').Challenge}
+ */
+function generateChallenge(difficulty = DEFAULT_POW_DIFFICULTY, alg = ALG_SHA256) {
+  return pow.generateChallenge(difficulty, POW_PREFIX, alg);
+}
+
 /**
  * Generate a JWT token for secret creation
  * @param {string} nonce - The nonce to include in the token
- * @param {{ difficulty: number, prefix: string }} powChallenge - PoW challenge parameters
+ * @param {{ alg?: string, difficulty: number, prefix: string }} powChallenge - PoW challenge parameters
+ * @param {number} [issuedAt=now] - Issue time (Unix seconds); the token expires TOKEN_TTL_SECONDS later
  * @returns {string} JWT token string
  */
-function generateToken(nonce, powChallenge) {
-  const secret = getJwtSecret();
-  const now = Math.floor(Date.now() / 1000);
-
+function generateToken(nonce, powChallenge, issuedAt = Math.floor(Date.now() / 1000)) {
   const payload = {
     jti: generateJti(),
-    iat: now,
-    exp: now + TOKEN_TTL_SECONDS,
+    iat: issuedAt,
+    exp: issuedAt + TOKEN_TTL_SECONDS,
     op: 'create',
     nonce: nonce,
+    pow_alg: powChallenge.alg || ALG_SHA256,
     pow_difficulty: powChallenge.difficulty,
     pow_prefix: powChallenge.prefix
   };
 
-  return jwt.sign(payload, secret, { algorithm: 'HS256' });
+  return signToken(payload);
 }
 
 /**
@@ -106,6 +389,7 @@ function generateToken(nonce, powChallenge) {
  * @property {number} exp - Expiration timestamp
  * @property {string} op - Operation type ('create')
  * @property {string} nonce - Nonce bound to this token
+ * @property {string} [pow_alg] - PoW algorithm (absent on tokens issued before scrypt support; treat as 'sha256')
  * @property {number} pow_difficulty - PoW difficulty level
  * @property {string} pow_prefix - PoW prefix string
  */
@@ -121,10 +405,18 @@ function validateToken(token) {
   }
 
   try {
-    const secret = getJwtSecret();
-    const payload = jwt.verify(token, secret, {
-      algorithms: ['HS256']
-    });
+    // The header names the key; it is only trusted once the signature checks out
+    const decoded = jwt.decode(token, { complete: true });
+    const key = decoded ? getVerificationKey(decoded.header) : null;
+    if (!key) {
+      return null;
+    }
+    const payload = key.alg === JWT_ALG_EDDSA
+      ? verifyEdDsa(token, key.publicKey)
+      : jwt.verify(token, key.secret, { algorithms: [JWT_ALG_HS256] });
+    if (!payload) {
+      return null;
+    }
 
     // Verify required claims exist
     if (
@@ -142,6 +434,11 @@ function validateToken(token) {
       return null;
     }
 
+    // Verify PoW algorithm (optional for backward compatibility)
+    if (payload.pow_alg !== undefined && !isSupportedAlg(payload.pow_alg)) {
+      return null;
+    }
+
     return payload;
   } catch (error) {
     // Token is invalid, expired, or tampered with
@@ -176,6 +473,9 @@ function extractBearerToken(authHeader) {
 module.exports = {
   generateToken,
   validateToken,
+  signToken,
+  getSigningKey,
+  getServerSecret,
   generateNonce,
   generateSecretId,
   generateBurnToken,
@@ -184,12 +484,18 @@ module.exports = {
   extractBearerToken,
   // Constants for reference
   TOKEN_TTL_SECONDS,
+  KEY_GRACE_SECONDS,
+  JWT_ALG_HS256,
+  JWT_ALG_EDDSA,
   DEFAULT_POW_DIFFICULTY,
   POW_PREFIX,
   // For testing
   _internal: {
     generateJti,
-    getJwtSecret,
+    parseKeyring,
+    getKeyring,
+    getVerificationKey,
+    readEd25519Key,
     NONCE_BYTES,
     SECRET_ID_BYTES,
     BURN_TOKEN_BYTES,
@@ -9,7 +9,11 @@ const {
   generateAccessToken,
   generateChallenge,
   extractBearerToken,
+  signToken,
+  getSigningKey,
+  getServerSecret,
   TOKEN_TTL_SECONDS,
+  KEY_GRACE_SECONDS,
   DEFAULT_POW_DIFFICULTY,
   POW_PREFIX,
   _internal
@@ -95,10 +99,16 @@ describe('token.js', () => {
       const challenge = generateChallenge();
       
       expect(challenge).toEqual({
+        alg: 'sha256',
         difficulty: DEFAULT_POW_DIFFICULTY,
         prefix: POW_PREFIX
       });
     });
+
+    it('should take the difficulty and algorithm but always the issuer prefix', () => {
+      expect(generateChallenge(6, 'scrypt')).toEqual({ alg: 'scrypt', difficulty: 6, prefix: POW_PREFIX });
+      expect(POW_PREFIX).toBe(require('./pow').DEFAULT_PREFIX);
+    });
   });
 
   describe('generateToken', () => {
@@ -122,12 +132,30 @@ describe('token.js', () => {
       expect(payload.nonce).toBe(nonce);
       expect(payload.pow_difficulty).toBe(18);
       expect(payload.pow_prefix).toBe('sealed:');
+      expect(payload.pow_alg).toBe('sha256');
       expect(payload.op).toBe('create');
       expect(payload.jti).toBeDefined();
       expect(payload.iat).toBeDefined();
       expect(payload.exp).toBe(payload.iat + TOKEN_TTL_SECONDS);
     });
 
+    it('should expire TOKEN_TTL_SECONDS after the given issue time', () => {
+      const issuedAt = Math.floor(Date.now() / 1000) - 10;
+
+      const payload = validateToken(generateToken('nonce', generateChallenge(), issuedAt));
+
+      expect(payload.iat).toBe(issuedAt);
+      expect(payload.exp).toBe(issuedAt + TOKEN_TTL_SECONDS);
+    });
+
+    it('should carry the challenge algorithm in the pow_alg claim', () => {
+      const token = generateToken('nonce', { alg: 'scrypt', difficulty: 6, prefix: 'sealed:' });
+      const payload = validateToken(token);
+
+      expect(payload.pow_alg).toBe('scrypt');
+      expect(payload.pow_difficulty).toBe(6);
+    });
+
     it('should throw when JWT_SECRET is not set', () => {
       delete process.env.JWT_SECRET;
       
@@ -221,6 +249,41 @@ describe('token.js', () => {
       expect(validateToken(wrongOpToken)).toBeNull();
     });
 
+    it('should return null for an unsupported PoW algorithm', () => {
+      const jwt = require('jsonwebtoken');
+      const wrongAlgToken = jwt.sign(
+        {
+          jti: 'test-id',
+          op: 'create',
+          nonce: 'test-nonce',
+          pow_alg: 'md5',
+          pow_difficulty: 18,
+          pow_prefix: 'sealed:'
+        },
+        TEST_JWT_SECRET,
+        { algorithm: 'HS256', expiresIn: '5m' }
+      );
+
+      expect(validateToken(wrongAlgToken)).toBeNull();
+    });
+
+    it('should accept tokens issued without a PoW algorithm', () => {
+      const jwt = require('jsonwebtoken');
+      const legacyToken = jwt.sign(
+        {
+          jti: 'test-id',
+          op: 'create',
+          nonce: 'test-nonce',
+          pow_difficulty: 18,
+          pow_prefix: 'sealed:'
+        },
+        TEST_JWT_SECRET,
+        { algorithm: 'HS256', expiresIn: '5m' }
+      );
+
+      expect(validateToken(legacyToken)).not.toBeNull();
+    });
+
     it('should return null for null/undefined input', () => {
       expect(validateToken(null)).toBeNull();
       expect(validateToken(undefined)).toBeNull();
@@ -234,6 +297,251 @@ describe('token.js', () => {
     });
   });
 
+  describe('key rotation', () => {
+    const jwt = require('jsonwebtoken');
+    const OLD_KEY = { kid: '2026-07', secret: 'old-secret-old-secret-old-secret-1' };
+    const NEW_KEY = { kid: '2026-10', secret: 'new-secret-new-secret-new-secret-2' };
+    const challenge = { difficulty: 18, prefix: 'sealed:' };
+    const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+    function useKeyring(ring) {
+      process.env.JWT_KEYS = JSON.stringify(ring);
+    }
+
+    afterEach(() => {
+      delete process.env.JWT_KEYS;
+      jest.restoreAllMocks();
+    });
+
+    it('should sign with the active key and name it in the header', () => {
+      useKeyring({ active: NEW_KEY.kid, keys: [NEW_KEY, OLD_KEY] });
+
+      const token = generateToken('nonce', challenge);
+
+      expect(jwt.decode(token, { complete: true }).header.kid).toBe(NEW_KEY.kid);
+      expect(() => jwt.verify(token, NEW_KEY.secret)).not.toThrow();
+      expect(getSigningKey()).toEqual({ ...NEW_KEY, alg: 'HS256' });
+    });
+
+    it('should accept a token issued just before a rotation', () => {
+      useKeyring({ active: OLD_KEY.kid, keys: [OLD_KEY] });
+      const issued = generateToken('nonce', challenge);
+
+      useKeyring({ active: NEW_KEY.kid, keys: [NEW_KEY, { ...OLD_KEY, retiredAt: nowSeconds() }] });
+
+      expect(validateToken(issued)).not.toBeNull();
+      expect(validateToken(generateToken('nonce', challenge))).not.toBeNull();
+    });
+
+    it('should reject a retired key once its grace period is over', () => {
+      useKeyring({ active: OLD_KEY.kid, keys: [OLD_KEY] });
+      const issued = generateToken('nonce', challenge);
+      const retiredAt = nowSeconds();
+      useKeyring({ active: NEW_KEY.kid, keys: [NEW_KEY, { ...OLD_KEY, retiredAt }] });
+
+      const realNow = Date.now;
+      jest.spyOn(Date, 'now').mockImplementation(() => realNow() + (KEY_GRACE_SECONDS - 1) * 1000);
+      expect(_internal.getVerificationKey({ kid: OLD_KEY.kid, alg: 'HS256' }).secret).toBe(OLD_KEY.secret);
+
+      Date.now.mockImplementation(() => (retiredAt + KEY_GRACE_SECONDS) * 1000);
+      expect(_internal.getVerificationKey({ kid: OLD_KEY.kid, alg: 'HS256' })).toBeNull();
+      expect(validateToken(issued)).toBeNull();
+    });
+
+    it('should accept a published key before it becomes active', () => {
+      useKeyring({ active: NEW_KEY.kid, keys: [NEW_KEY] });
+      const fromUpdatedInstance = generateToken('nonce', challenge);
+
+      useKeyring({ active: OLD_KEY.kid, keys: [OLD_KEY, NEW_KEY] });
+
+      expect(validateToken(fromUpdatedInstance)).not.toBeNull();
+    });
+
+    it('should reject unknown kids and kid-less tokens without JWT_SECRET', () => {
+      useKeyring({ active: NEW_KEY.kid, keys: [NEW_KEY] });
+      const payload = { jti: 'j', nonce: 'n', op: 'create', pow_difficulty: 18, pow_prefix: 'sealed:' };
+
+      expect(validateToken(jwt.sign(payload, NEW_KEY.secret, { keyid: 'other' }))).toBeNull();
+      expect(validateToken(jwt.sign(payload, TEST_JWT_SECRET))).not.toBeNull();
+
+      delete process.env.JWT_SECRET;
+      expect(validateToken(jwt.sign(payload, NEW_KEY.secret))).toBeNull();
+    });
+
+    it('should keep verifying kid-less tokens with JWT_SECRET after moving to a keyring', () => {
+      const legacy = generateToken('nonce', challenge);
+      expect(jwt.decode(legacy, { complete: true }).header.kid).toBeUndefined();
+
+      useKeyring({ active: NEW_KEY.kid, keys: [NEW_KEY] });
+
+      expect(validateToken(legacy)).not.toBeNull();
+      expect(jwt.decode(signToken({ op: 'create' }), { complete: true }).header.kid).toBe(NEW_KEY.kid);
+    });
+
+    it('should reject malformed keyrings', () => {
+      const cases = [
+        ['{', /not JSON/],
+        [{ active: 'a', keys: [] }, /expected/],
+        [{ active: 'a', keys: [{ secret: 's' }] }, /needs a kid/],
+        [{ active: 'a', keys: [{ kid: 'a' }] }, /needs a secret \(HS256\) or a publicKey \(EdDSA\)/],
+        [{ active: 'a', keys: [{ kid: 'a', secret: 's' }, { kid: 'a', secret: 't' }] }, /duplicate kid a/],
+        [{ active: 'a', keys: [{ kid: 'a', secret: 's', retiredAt: '2026' }] }, /Unix time/],
+        [{ active: 'b', keys: [{ kid: 'a', secret: 's' }] }, /active must name/]
+      ];
+      for (const [ring, message] of cases) {
+        expect(() => _internal.parseKeyring(typeof ring === 'string' ? ring : JSON.stringify(ring))).toThrow(message);
+      }
+
+      process.env.JWT_KEYS = '{';
+      expect(() => generateToken('nonce', challenge)).toThrow('JWT_KEYS is invalid');
+      expect(validateToken(jwt.sign({}, TEST_JWT_SECRET))).toBeNull();
+    });
+  });
+
+  describe('EdDSA tokens', () => {
+    const crypto = require('crypto');
+    const jwt = require('jsonwebtoken');
+    const challenge = { difficulty: 18, prefix: 'sealed:' };
+
+    function keyPair() {
+      const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+      return {
+        publicKey: publicKey.export({ format: 'pem', type: 'spki' }),
+        privateKey: privateKey.export({ format: 'pem', type: 'pkcs8' })
+      };
+    }
+
+    const pair = keyPair();
+
+    // The token function: signs with the private key
+    function asTokenFunction() {
+      process.env.JWT_ALG = 'EdDSA';
+      process.env.JWT_PRIVATE_KEY = pair.privateKey;
+      process.env.JWT_PUBLIC_KEY = pair.publicKey;
+      delete process.env.JWT_SECRET;
+    }
+
+    // Every other function: holds only the public key
+    function asVerifier() {
+      delete process.env.JWT_PRIVATE_KEY;
+      delete process.env.JWT_SECRET;
+      process.env.JWT_PUBLIC_KEY = pair.publicKey;
+    }
+
+    afterEach(() => {
+      delete process.env.JWT_ALG;
+      delete process.env.JWT_PRIVATE_KEY;
+      delete process.env.JWT_PUBLIC_KEY;
+      delete process.env.JWT_KEYS;
+      jest.restoreAllMocks();
+    });
+
+    it('should sign with Ed25519 and verify with only the public key', () => {
+      asTokenFunction();
+      const token = generateToken('nonce', challenge);
+      expect(jwt.decode(token, { complete: true }).header).toEqual({ alg: 'EdDSA', typ: 'JWT' });
+
+      asVerifier();
+
+      expect(validateToken(token)).toMatchObject({ nonce: 'nonce', op: 'create', pow_difficulty: 18 });
+      delete process.env.JWT_ALG;
+      expect(() => generateToken('nonce', challenge)).toThrow('JWT_SECRET environment variable is not set');
+      process.env.JWT_ALG = 'EdDSA';
+      expect(() => generateToken('nonce', challenge)).toThrow('JWT_PRIVATE_KEY environment variable is not set');
+    });
+
+    it('should reject tampered and expired tokens', () => {
+      asTokenFunction();
+      const token = generateToken('nonce', challenge);
+      const [header, payload, signature] = token.split('.');
+      const claims = JSON.parse(Buffer.from(payload, 'base64url'));
+      const forged = Buffer.from(JSON.stringify({ ...claims, pow_difficulty: 1 })).toString('base64url');
+
+      expect(validateToken(`${header}.${forged}.${signature}`)).toBeNull();
+      expect(validateToken(`${header}.${payload}`)).toBeNull();
+
+      jest.spyOn(Date, 'now').mockReturnValue((claims.exp + 1) * 1000);
+      expect(validateToken(token)).toBeNull();
+    });
+
+    it('should refuse to verify with a key of another algorithm', () => {
+      asVerifier();
+      const payload = { jti: 'j', nonce: 'n', op: 'create', pow_difficulty: 1, pow_prefix: 'sealed:' };
+
+      // The public key is public: used as an HMAC secret it must not verify anything
+      expect(validateToken(jwt.sign(payload, pair.publicKey, { algorithm: 'HS256' }))).toBeNull();
+      expect(validateToken(jwt.sign(payload, null, { algorithm: 'none' }))).toBeNull();
+
+      // An HS256 token is not checked against the public key, nor an EdDSA one against JWT_SECRET
+      process.env.JWT_SECRET = TEST_JWT_SECRET;
+      const hs256 = jwt.sign(payload, TEST_JWT_SECRET);
+      const [, body, signature] = hs256.split('.');
+      const relabelled = Buffer.from(JSON.stringify({ alg: 'EdDSA', typ: 'JWT' })).toString('base64url');
+      expect(validateToken(`${relabelled}.${body}.${signature}`)).toBeNull();
+      expect(validateToken(hs256)).not.toBeNull();
+    });
+
+    it('should keep accepting HS256 tokens during the migration', () => {
+      const legacy = generateToken('nonce', challenge);
+
+      asTokenFunction();
+      process.env.JWT_SECRET = TEST_JWT_SECRET;
+      const current = generateToken('nonce', challenge);
+
+      expect(jwt.decode(current, { complete: true }).header.alg).toBe('EdDSA');
+      expect(validateToken(legacy)).not.toBeNull();
+      expect(validateToken(current)).not.toBeNull();
+    });
+
+    it('should use EdDSA keys from the keyring by kid', () => {
+      const next = keyPair();
+      const legacy = generateToken('nonce', challenge);
+      process.env.JWT_KEYS = JSON.stringify({
+        active: 'ed-1',
+        keys: [
+          { kid: 'ed-1', alg: 'EdDSA', publicKey: next.publicKey },
+          { kid: 'hs-1', secret: TEST_JWT_SECRET }
+        ]
+      });
+
+      process.env.JWT_PRIVATE_KEY = next.privateKey;
+      const token = generateToken('nonce', challenge);
+      expect(jwt.decode(token, { complete: true }).header).toEqual({ alg: 'EdDSA', typ: 'JWT', kid: 'ed-1' });
+
+      delete process.env.JWT_PRIVATE_KEY;
+      expect(validateToken(token)).not.toBeNull();
+      expect(validateToken(legacy)).not.toBeNull();
+
+      process.env.JWT_PRIVATE_KEY = pair.privateKey;
+      expect(() => generateToken('nonce', challenge)).toThrow('does not match the active public key');
+    });
+
+    it('should accept PEM keys with escaped newlines', () => {
+      asTokenFunction();
+      process.env.JWT_PRIVATE_KEY = pair.privateKey.replace(/\n/g, '\\n');
+      process.env.JWT_PUBLIC_KEY = pair.publicKey.replace(/\n/g, '\\n');
+
+      expect(validateToken(generateToken('nonce', challenge))).not.toBeNull();
+    });
+
+    it('should reject keys that are not Ed25519', () => {
+      const { publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+
+      expect(() => _internal.readEd25519Key(publicKey.export({ format: 'pem', type: 'spki' }), 'public', 'JWT_PUBLIC_KEY'))
+        .toThrow('JWT_PUBLIC_KEY must be an Ed25519 key');
+      expect(() => _internal.readEd25519Key('nope', 'private', 'JWT_PRIVATE_KEY'))
+        .toThrow('JWT_PRIVATE_KEY is not a PEM private key');
+    });
+
+    it('should derive a stable server secret from the private key', () => {
+      asTokenFunction();
+
+      const secret = getServerSecret();
+      expect(secret).toHaveLength(32);
+      expect(getServerSecret().equals(secret)).toBe(true);
+    });
+  });
+
   describe('extractBearerToken', () => {
     it('should extract token from valid Bearer header', () => {
       const token = extractBearerToken('Bearer abc123xyz');
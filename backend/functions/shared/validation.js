@@ -6,9 +6,25 @@ const TTL_MAX = 7776000;     // 90 days
 const MAX_VIEWS_MIN = 1;
 const MAX_VIEWS_MAX = 5;
 const MAX_CIPHERTEXT_BYTES = 68 * 1024;  // 68 KB
+const MAX_FILE_CIPHERTEXT_BYTES = 3328 * 1024;  // 3.25 MB (3 MB file + chunk overhead)
 const IV_BYTES = 12;
 const SALT_BYTES = 16;
 const NONCE_BYTES = 16;
+const COMMITMENT_BYTES = 32;
+const KEY_FRAGMENT_MAX_LENGTH = 256;  // a P-256 wrap is 167 characters
+const NOTIFY_MAX_LENGTH = 4096;       // sealed webhook, base64url characters
+const NOTIFY_OVERHEAD_BYTES = 60;     // ephemeral key, IV and GCM tag around the sealed JSON
+
+// Envelope format (payloads without a version are legacy v1)
+const ENVELOPE_VERSIONS = [2];
+const CIPHERS = ['aes-256-gcm', 'aes-256-gcm-chunked'];
+const FILE_CIPHERS = ['aes-256-gcm-chunked'];  // stored in the blob store
+const PBKDF2_MIN_ITERATIONS = 100000;
+const PBKDF2_MAX_ITERATIONS = 10000000;  // bounds recipient unlock time
+const ARGON2_MIN_MEMORY = 19456;     // KiB (19 MiB)
+const ARGON2_MAX_MEMORY = 1048576;   // KiB (1 GiB), bounds recipient memory use
+const ARGON2_MAX_ITERATIONS = 10;
+const ARGON2_MAX_PARALLELISM = 4;
 
 /**
  * Check if a string is valid base64
@@ -91,9 +107,10 @@ function validateMaxViews(maxViews) {
 /**
  * Validate ciphertext
  * @param {*} ciphertext - Ciphertext to validate
- * @returns {boolean} True if valid base64 and within size limit (max 68KB)
+ * @param {number} [maxBytes=MAX_CIPHERTEXT_BYTES] - Decoded size limit
+ * @returns {boolean} True if valid base64 and within size limit (default 68KB)
  */
-function validateCiphertext(ciphertext) {
+function validateCiphertext(ciphertext, maxBytes = MAX_CIPHERTEXT_BYTES) {
   if (!ciphertext || typeof ciphertext !== 'string') {
     return false;
   }
@@ -103,7 +120,16 @@ function validateCiphertext(ciphertext) {
   }
   
   const byteLength = getBase64ByteLength(ciphertext);
-  return byteLength > 0 && byteLength <= MAX_CIPHERTEXT_BYTES;
+  return byteLength > 0 && byteLength <= maxBytes;
+}
+
+/**
+ * Check whether a request carries a file secret (chunked ciphertext)
+ * @param {object} body - Request body
+ * @returns {boolean}
+ */
+function isFileSecret(body) {
+  return body.version !== undefined && FILE_CIPHERS.includes(body.cipher);
 }
 
 /**
@@ -145,6 +171,118 @@ function validateSalt(salt) {
   return getBase64ByteLength(salt) === SALT_BYTES;
 }
 
+/**
+ * Validate key commitment tag
+ * @param {*} commitment - Commitment to validate (optional; absent on legacy payloads)
+ * @returns {boolean} True if valid (32 bytes base64, or undefined/null)
+ */
+function validateCommitment(commitment) {
+  // Absent is valid (payloads from clients without key commitment)
+  if (commitment === undefined || commitment === null) {
+    return true;
+  }
+  
+  if (typeof commitment !== 'string') {
+    return false;
+  }
+  
+  if (!isValidBase64(commitment)) {
+    return false;
+  }
+  
+  return getBase64ByteLength(commitment) === COMMITMENT_BYTES;
+}
+
+/**
+ * Check that an object has exactly the given keys
+ * @param {object} obj - Object to check
+ * @param {string[]} keys - Allowed (and required) keys
+ * @returns {boolean}
+ */
+function hasExactKeys(obj, keys) {
+  const actual = Object.keys(obj);
+  return actual.length === keys.length && keys.every((key) => actual.includes(key));
+}
+
+/**
+ * Check that a value is an integer within [min, max]
+ * @param {*} value - Value to check
+ * @param {number} min - Minimum (inclusive)
+ * @param {number} max - Maximum (inclusive)
+ * @returns {boolean}
+ */
+function isIntInRange(value, min, max) {
+  return Number.isInteger(value) && value >= min && value <= max;
+}
+
+// KDF descriptor validators by name
+const KDF_VALIDATORS = {
+  'pbkdf2-sha256': (kdf) => hasExactKeys(kdf, ['name', 'iterations']) &&
+    isIntInRange(kdf.iterations, PBKDF2_MIN_ITERATIONS, PBKDF2_MAX_ITERATIONS),
+  'argon2id': (kdf) => hasExactKeys(kdf, ['name', 'memory', 'iterations', 'parallelism']) &&
+    isIntInRange(kdf.memory, ARGON2_MIN_MEMORY, ARGON2_MAX_MEMORY) &&
+    isIntInRange(kdf.iterations, 1, ARGON2_MAX_ITERATIONS) &&
+    isIntInRange(kdf.parallelism, 1, ARGON2_MAX_PARALLELISM)
+};
+
+/**
+ * Validate a passphrase KDF descriptor
+ * @param {*} kdf - KDF descriptor to validate (null for non-passphrase-protected secrets)
+ * @returns {boolean} True if null or a supported KDF with valid parameters
+ */
+function validateKdf(kdf) {
+  if (kdf === null) {
+    return true;
+  }
+  
+  if (!kdf || typeof kdf !== 'object' || Array.isArray(kdf)) {
+    return false;
+  }
+  
+  const validator = Object.prototype.hasOwnProperty.call(KDF_VALIDATORS, kdf.name)
+    ? KDF_VALIDATORS[kdf.name]
+    : null;
+  return validator ? validator(kdf) : false;
+}
+
+/**
+ * Validate the envelope fields of a create secret request
+ * Requests without a version are legacy (v1) payloads and must not carry
+ * cipher or kdf fields.
+ * @param {object} body - Request body
+ * @returns {{ valid: boolean, error?: string }}
+ */
+function validateEnvelope(body) {
+  if (body.version === undefined) {
+    if (body.cipher !== undefined || body.kdf !== undefined) {
+      return { valid: false, error: 'cipher and kdf require an envelope version' };
+    }
+    return { valid: true };
+  }
+
+  if (!ENVELOPE_VERSIONS.includes(body.version)) {
+    return { valid: false, error: `Unsupported envelope version (must be one of ${ENVELOPE_VERSIONS.join(', ')})` };
+  }
+
+  if (!CIPHERS.includes(body.cipher)) {
+    return { valid: false, error: `Unsupported cipher (must be one of ${CIPHERS.join(', ')})` };
+  }
+
+  if (!validateKdf(body.kdf)) {
+    return { valid: false, error: 'Invalid or unsupported kdf' };
+  }
+
+  if ((body.kdf === null) !== (body.salt === null)) {
+    return { valid: false, error: 'kdf and salt must both be set or both be null' };
+  }
+
+  if (body.commitment === undefined || body.commitment === null) {
+    return { valid: false, error: 'commitment is required for versioned envelopes' };
+  }
+
+  return { valid: true };
+}
+
 /**
  * Validate nonce
  * @param {*} nonce - Nonce to validate
@@ -222,6 +360,38 @@ function validateAccessToken(accessToken) {
   return accessToken.length === 32;
 }
 
+/**
+ * Validate a recipient-wrapped key fragment (stored with secrets that fill a
+ * request, since the sender has no link to put it in)
+ * @param {*} keyFragment - Fragment to validate
+ * @returns {boolean} True if a "v2.r.<base64url>" fragment within the length limit
+ */
+function validateKeyFragment(keyFragment) {
+  if (!keyFragment || typeof keyFragment !== 'string') {
+    return false;
+  }
+
+  return keyFragment.length <= KEY_FRAGMENT_MAX_LENGTH && /^v2\.r\.[A-Za-z0-9_-]+$/.test(keyFragment);
+}
+
+/**
+ * Validate a sealed view-notification webhook (optional on create)
+ * Only the shape can be checked here; the dispatcher opens it.
+ * @param {*} notify - Sealed webhook, or undefined/null for none
+ * @returns {boolean} True if absent, or base64url within the length limits
+ */
+function validateNotify(notify) {
+  if (notify === undefined || notify === null) {
+    return true;
+  }
+
+  if (typeof notify !== 'string' || notify.length > NOTIFY_MAX_LENGTH || !/^[A-Za-z0-9_-]+$/.test(notify)) {
+    return false;
+  }
+
+  return Buffer.from(notify, 'base64url').length > NOTIFY_OVERHEAD_BYTES;
+}
+
 /**
  * Validate the complete create secret request body
  * @param {object} body - Request body to validate
@@ -232,7 +402,8 @@ function validateCreateSecretRequest(body) {
     return { valid: false, error: 'Request body is required' };
   }
 
-  if (!validateCiphertext(body.ciphertext)) {
+  const maxBytes = isFileSecret(body) ? MAX_FILE_CIPHERTEXT_BYTES : MAX_CIPHERTEXT_BYTES;
+  if (!validateCiphertext(body.ciphertext, maxBytes)) {
     return { valid: false, error: 'Invalid or missing ciphertext' };
   }
 
@@ -244,6 +415,15 @@ function validateCreateSecretRequest(body) {
     return { valid: false, error: 'Invalid salt (must be 16 bytes base64 or null)' };
   }
 
+  if (!validateCommitment(body.commitment)) {
+    return { valid: false, error: 'Invalid commitment (must be 32 bytes base64 if present)' };
+  }
+
+  const envelope = validateEnvelope(body);
+  if (!envelope.valid) {
+    return envelope;
+  }
+
   if (!validateNonce(body.nonce)) {
     return { valid: false, error: 'Invalid or missing nonce (must be 32 char hex)' };
   }
@@ -269,6 +449,87 @@ function validateCreateSecretRequest(body) {
     return { valid: false, error: 'salt is required when passphraseProtected is true' };
   }
 
+  if (!validateNotify(body.notify)) {
+    return { valid: false, error: 'Invalid notify (must be a webhook sealed to the server notifyKey)' };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Validate the body of a request to create a secret request
+ * @param {object} body - Request body to validate
+ * @returns {{ valid: boolean, error?: string }}
+ */
+function validateCreateRequest(body) {
+  if (!body || typeof body !== 'object') {
+    return { valid: false, error: 'Request body is required' };
+  }
+
+  if (!validateNonce(body.nonce)) {
+    return { valid: false, error: 'Invalid or missing nonce (must be 32 char hex)' };
+  }
+
+  if (body.pow === undefined || body.pow === null || body.pow === '') {
+    return { valid: false, error: 'Missing pow solution' };
+  }
+
+  if (!validateTTL(body.ttl)) {
+    return { valid: false, error: `Invalid ttl (must be ${TTL_MIN} to ${TTL_MAX} seconds)` };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Validate the body that fills a secret request
+ * Requested secrets are text in a v2 envelope whose key is wrapped to the
+ * requester, so there is no passphrase and the fragment travels in the body.
+ * @param {object} body - Request body to validate
+ * @returns {{ valid: boolean, error?: string }}
+ */
+function validateFillRequest(body) {
+  if (!body || typeof body !== 'object') {
+    return { valid: false, error: 'Request body is required' };
+  }
+
+  if (!validateCiphertext(body.ciphertext)) {
+    return { valid: false, error: 'Invalid or missing ciphertext' };
+  }
+
+  if (!validateIV(body.iv)) {
+    return { valid: false, error: 'Invalid or missing iv (must be 12 bytes base64)' };
+  }
+
+  if (!validateSalt(body.salt)) {
+    return { valid: false, error: 'Invalid salt (must be 16 bytes base64 or null)' };
+  }
+
+  if (!validateCommitment(body.commitment)) {
+    return { valid: false, error: 'Invalid commitment (must be 32 bytes base64 if present)' };
+  }
+
+  if (body.version === undefined) {
+    return { valid: false, error: 'Requested secrets require an envelope version' };
+  }
+
+  const envelope = validateEnvelope(body);
+  if (!envelope.valid) {
+    return envelope;
+  }
+
+  if (isFileSecret(body)) {
+    return { valid: false, error: 'Requested secrets cannot be files' };
+  }
+
+  if (body.kdf !== null) {
+    return { valid: false, error: 'Requested secrets cannot be passphrase protected' };
+  }
+
+  if (!validateKeyFragment(body.keyFragment)) {
+    return { valid: false, error: 'Invalid or missing keyFragment (must be a v2 recipient fragment)' };
+  }
+
   return { valid: true };
 }
 
@@ -276,26 +537,49 @@ module.exports = {
   validateTTL,
   validateMaxViews,
   validateCiphertext,
+  isFileSecret,
   validateIV,
   validateSalt,
+  validateCommitment,
+  validateKdf,
+  validateEnvelope,
   validateNonce,
   validateSecretId,
   validateBurnToken,
   validateAccessToken,
+  validateKeyFragment,
+  validateNotify,
   validateCreateSecretRequest,
+  validateCreateRequest,
+  validateFillRequest,
   // Constants
   TTL_MIN,
   TTL_MAX,
   MAX_VIEWS_MIN,
   MAX_VIEWS_MAX,
   MAX_CIPHERTEXT_BYTES,
+  MAX_FILE_CIPHERTEXT_BYTES,
   IV_BYTES,
   SALT_BYTES,
   NONCE_BYTES,
+  COMMITMENT_BYTES,
+  KEY_FRAGMENT_MAX_LENGTH,
+  NOTIFY_MAX_LENGTH,
+  ENVELOPE_VERSIONS,
+  CIPHERS,
+  FILE_CIPHERS,
+  PBKDF2_MIN_ITERATIONS,
+  PBKDF2_MAX_ITERATIONS,
+  ARGON2_MIN_MEMORY,
+  ARGON2_MAX_MEMORY,
+  ARGON2_MAX_ITERATIONS,
+  ARGON2_MAX_PARALLELISM,
   // For testing
   _internal: {
     isValidBase64,
     getBase64ByteLength,
-    isValidHex
+    isValidHex,
+    hasExactKeys,
+    isIntInRange
   }
 };
@@ -4,13 +4,21 @@ const {
   validateTTL,
   validateMaxViews,
   validateCiphertext,
+  isFileSecret,
   validateIV,
   validateSalt,
+  validateCommitment,
+  validateKdf,
+  validateEnvelope,
   validateNonce,
   validateSecretId,
   validateBurnToken,
   validateAccessToken,
+  validateKeyFragment,
+  validateNotify,
   validateCreateSecretRequest,
+  validateCreateRequest,
+  validateFillRequest,
   TTL_MIN,
   TTL_MAX,
   MAX_VIEWS_MIN,
@@ -19,6 +27,19 @@ const {
   IV_BYTES,
   SALT_BYTES,
   NONCE_BYTES,
+  COMMITMENT_BYTES,
+  KEY_FRAGMENT_MAX_LENGTH,
+  NOTIFY_MAX_LENGTH,
+  ENVELOPE_VERSIONS,
+  CIPHERS,
+  FILE_CIPHERS,
+  MAX_FILE_CIPHERTEXT_BYTES,
+  PBKDF2_MIN_ITERATIONS,
+  PBKDF2_MAX_ITERATIONS,
+  ARGON2_MIN_MEMORY,
+  ARGON2_MAX_MEMORY,
+  ARGON2_MAX_ITERATIONS,
+  ARGON2_MAX_PARALLELISM,
   _internal
 } = require('./validation');
 
@@ -108,6 +129,24 @@ describe('validation.js', () => {
       expect(validateCiphertext(undefined)).toBe(false);
       expect(validateCiphertext(123)).toBe(false);
     });
+
+    it('should honor a custom size limit', () => {
+      const ciphertext = Buffer.alloc(MAX_CIPHERTEXT_BYTES + 1, 'x').toString('base64');
+      expect(validateCiphertext(ciphertext, MAX_FILE_CIPHERTEXT_BYTES)).toBe(true);
+      expect(validateCiphertext(Buffer.from('xx').toString('base64'), 1)).toBe(false);
+    });
+  });
+
+  describe('isFileSecret', () => {
+    it('should detect the chunked file cipher', () => {
+      expect(isFileSecret({ version: 2, cipher: 'aes-256-gcm-chunked' })).toBe(true);
+    });
+
+    it('should treat other payloads as text', () => {
+      expect(isFileSecret({ version: 2, cipher: 'aes-256-gcm' })).toBe(false);
+      expect(isFileSecret({})).toBe(false);
+      expect(isFileSecret({ cipher: 'aes-256-gcm-chunked' })).toBe(false);
+    });
   });
 
   describe('validateIV', () => {
@@ -170,6 +209,150 @@ describe('validation.js', () => {
     });
   });
 
+  describe('validateCommitment', () => {
+    it('should accept undefined and null (legacy payloads)', () => {
+      expect(validateCommitment(undefined)).toBe(true);
+      expect(validateCommitment(null)).toBe(true);
+    });
+
+    it('should accept a valid 32-byte commitment', () => {
+      const validCommitment = Buffer.alloc(32, 0x01).toString('base64');
+      expect(validateCommitment(validCommitment)).toBe(true);
+    });
+
+    it('should reject commitment with wrong length', () => {
+      expect(validateCommitment(Buffer.alloc(31, 0x01).toString('base64'))).toBe(false);
+      expect(validateCommitment(Buffer.alloc(33, 0x01).toString('base64'))).toBe(false);
+    });
+
+    it('should reject invalid base64 and non-strings', () => {
+      expect(validateCommitment('not-base64!!!')).toBe(false);
+      expect(validateCommitment('')).toBe(false);
+      expect(validateCommitment(123)).toBe(false);
+    });
+  });
+
+  describe('validateKdf', () => {
+    it('should accept null (non-passphrase-protected)', () => {
+      expect(validateKdf(null)).toBe(true);
+    });
+
+    it('should accept PBKDF2 within the iteration bounds', () => {
+      expect(validateKdf({ name: 'pbkdf2-sha256', iterations: 100000 })).toBe(true);
+      expect(validateKdf({ name: 'pbkdf2-sha256', iterations: PBKDF2_MAX_ITERATIONS })).toBe(true);
+    });
+
+    it('should reject PBKDF2 outside the iteration bounds', () => {
+      expect(validateKdf({ name: 'pbkdf2-sha256', iterations: PBKDF2_MIN_ITERATIONS - 1 })).toBe(false);
+      expect(validateKdf({ name: 'pbkdf2-sha256', iterations: PBKDF2_MAX_ITERATIONS + 1 })).toBe(false);
+      expect(validateKdf({ name: 'pbkdf2-sha256', iterations: 100000.5 })).toBe(false);
+      expect(validateKdf({ name: 'pbkdf2-sha256' })).toBe(false);
+    });
+
+    it('should reject unknown parameters', () => {
+      expect(validateKdf({ name: 'pbkdf2-sha256', iterations: 100000, extra: 1 })).toBe(false);
+    });
+
+    describe('argon2id', () => {
+      const argon2 = { name: 'argon2id', memory: 65536, iterations: 3, parallelism: 1 };
+
+      it('should accept parameters within bounds', () => {
+        expect(validateKdf(argon2)).toBe(true);
+        expect(validateKdf({ ...argon2, memory: ARGON2_MIN_MEMORY, iterations: 1 })).toBe(true);
+        expect(validateKdf({
+          ...argon2,
+          memory: ARGON2_MAX_MEMORY,
+          iterations: ARGON2_MAX_ITERATIONS,
+          parallelism: ARGON2_MAX_PARALLELISM
+        })).toBe(true);
+      });
+
+      it('should reject memory outside the bounds', () => {
+        expect(validateKdf({ ...argon2, memory: ARGON2_MIN_MEMORY - 1 })).toBe(false);
+        expect(validateKdf({ ...argon2, memory: ARGON2_MAX_MEMORY + 1 })).toBe(false);
+        expect(validateKdf({ ...argon2, memory: '65536' })).toBe(false);
+      });
+
+      it('should reject iterations and parallelism outside the bounds', () => {
+        expect(validateKdf({ ...argon2, iterations: 0 })).toBe(false);
+        expect(validateKdf({ ...argon2, iterations: ARGON2_MAX_ITERATIONS + 1 })).toBe(false);
+        expect(validateKdf({ ...argon2, parallelism: 0 })).toBe(false);
+        expect(validateKdf({ ...argon2, parallelism: ARGON2_MAX_PARALLELISM + 1 })).toBe(false);
+      });
+
+      it('should require every parameter and nothing else', () => {
+        const { parallelism, ...missing } = argon2;
+        expect(validateKdf(missing)).toBe(false);
+        expect(validateKdf({ ...argon2, version: 19 })).toBe(false);
+      });
+    });
+
+    it('should reject unknown KDFs and non-objects', () => {
+      expect(validateKdf({ name: 'md5' })).toBe(false);
+      expect(validateKdf({ name: 'toString' })).toBe(false);
+      expect(validateKdf(undefined)).toBe(false);
+      expect(validateKdf('pbkdf2-sha256')).toBe(false);
+      expect(validateKdf([])).toBe(false);
+    });
+  });
+
+  describe('validateEnvelope', () => {
+    const commitment = Buffer.alloc(32, 0x01).toString('base64');
+    const salt = Buffer.alloc(16, 0x01).toString('base64');
+    const v2 = { version: 2, cipher: 'aes-256-gcm', kdf: null, salt: null, commitment };
+
+    it('should accept legacy payloads without envelope fields', () => {
+      expect(validateEnvelope({ salt: null }).valid).toBe(true);
+    });
+
+    it('should reject envelope fields without a version', () => {
+      const result = validateEnvelope({ salt: null, cipher: 'aes-256-gcm' });
+      expect(result.valid).toBe(false);
+      expect(result.error).toContain('version');
+      expect(validateEnvelope({ salt: null, kdf: null }).valid).toBe(false);
+    });
+
+    it('should accept a v2 payload without passphrase', () => {
+      expect(validateEnvelope(v2).valid).toBe(true);
+    });
+
+    it('should accept a v2 payload with passphrase', () => {
+      const body = { ...v2, kdf: { name: 'pbkdf2-sha256', iterations: 100000 }, salt };
+      expect(validateEnvelope(body).valid).toBe(true);
+    });
+
+    it('should reject unsupported versions', () => {
+      const result = validateEnvelope({ ...v2, version: 3 });
+      expect(result.valid).toBe(false);
+      expect(result.error).toContain('version');
+      expect(validateEnvelope({ ...v2, version: '2' }).valid).toBe(false);
+    });
+
+    it('should reject unsupported ciphers', () => {
+      const result = validateEnvelope({ ...v2, cipher: 'aes-128-cbc' });
+      expect(result.valid).toBe(false);
+      expect(result.error).toContain('cipher');
+    });
+
+    it('should reject invalid kdf', () => {
+      const result = validateEnvelope({ ...v2, kdf: { name: 'md5' }, salt });
+      expect(result.valid).toBe(false);
+      expect(result.error).toContain('kdf');
+    });
+
+    it('should require kdf and salt together', () => {
+      expect(validateEnvelope({ ...v2, salt }).valid).toBe(false);
+      expect(validateEnvelope({ ...v2, kdf: { name: 'pbkdf2-sha256', iterations: 100000 } }).valid).toBe(false);
+    });
+
+    it('should require a commitment', () => {
+      const { commitment: omitted, ...body } = v2;
+      const result = validateEnvelope(body);
+      expect(result.valid).toBe(false);
+      expect(result.error).toContain('commitment');
+    });
+  });
+
   describe('validateNonce', () => {
     it('should accept valid 32-char hex nonce', () => {
       // 16 bytes = 32 hex chars
@@ -293,6 +476,78 @@ describe('validation.js', () => {
       expect(result.valid).toBe(true);
     });
 
+    it('should check the sealed notify webhook when present', () => {
+      const sealed = Buffer.alloc(120, 7).toString('base64url');
+
+      expect(validateCreateSecretRequest({ ...validRequest, notify: sealed }).valid).toBe(true);
+      expect(validateCreateSecretRequest({ ...validRequest, notify: 'https://hooks.example.com/' }).error)
+        .toMatch(/notify/);
+    });
+
+    it('should accept valid request with commitment', () => {
+      const request = {
+        ...validRequest,
+        commitment: Buffer.alloc(32, 0x01).toString('base64')
+      };
+      const result = validateCreateSecretRequest(request);
+      expect(result.valid).toBe(true);
+    });
+
+    it('should reject invalid commitment', () => {
+      const request = {
+        ...validRequest,
+        commitment: Buffer.alloc(16, 0x01).toString('base64')
+      };
+      const result = validateCreateSecretRequest(request);
+      expect(result.valid).toBe(false);
+      expect(result.error).toContain('commitment');
+    });
+
+    it('should accept valid versioned request', () => {
+      const request = {
+        ...validRequest,
+        version: 2,
+        cipher: 'aes-256-gcm',
+        kdf: null,
+        commitment: Buffer.alloc(32, 0x01).toString('base64')
+      };
+      expect(validateCreateSecretRequest(request).valid).toBe(true);
+    });
+
+    it('should allow larger ciphertext for file secrets only', () => {
+      const file = {
+        ...validRequest,
+        ciphertext: Buffer.alloc(MAX_CIPHERTEXT_BYTES + 1, 'x').toString('base64'),
+        version: 2,
+        cipher: 'aes-256-gcm-chunked',
+        kdf: null,
+        commitment: Buffer.alloc(32, 0x01).toString('base64')
+      };
+
+      expect(validateCreateSecretRequest(file).valid).toBe(true);
+      expect(validateCreateSecretRequest({ ...file, cipher: 'aes-256-gcm' }).valid).toBe(false);
+    });
+
+    it('should reject file secrets over the file size limit', () => {
+      const result = validateCreateSecretRequest({
+        ...validRequest,
+        ciphertext: Buffer.alloc(MAX_FILE_CIPHERTEXT_BYTES + 1, 'x').toString('base64'),
+        version: 2,
+        cipher: 'aes-256-gcm-chunked',
+        kdf: null,
+        commitment: Buffer.alloc(32, 0x01).toString('base64')
+      });
+
+      expect(result.valid).toBe(false);
+      expect(result.error).toContain('ciphertext');
+    });
+
+    it('should reject invalid envelope', () => {
+      const result = validateCreateSecretRequest({ ...validRequest, version: 9 });
+      expect(result.valid).toBe(false);
+      expect(result.error).toContain('version');
+    });
+
     it('should reject null/undefined body', () => {
       expect(validateCreateSecretRequest(null).valid).toBe(false);
       expect(validateCreateSecretRequest(undefined).valid).toBe(false);
@@ -362,6 +617,101 @@ describe('validation.js', () => {
     });
   });
 
+  describe('validateKeyFragment', () => {
+    it('should accept v2 recipient fragments', () => {
+      expect(validateKeyFragment(`v2.r.${'A'.repeat(123)}`)).toBe(true);
+    });
+
+    it('should reject other fragment modes, versions and oversized fragments', () => {
+      expect(validateKeyFragment(`v2.k.${'A'.repeat(43)}`)).toBe(false);
+      expect(validateKeyFragment(`v1.r.${'A'.repeat(43)}`)).toBe(false);
+      expect(validateKeyFragment('v2.r.')).toBe(false);
+      expect(validateKeyFragment(`v2.r.${'A'.repeat(KEY_FRAGMENT_MAX_LENGTH)}`)).toBe(false);
+      expect(validateKeyFragment(null)).toBe(false);
+    });
+  });
+
+  describe('validateNotify', () => {
+    it('should accept no webhook and sealed base64url webhooks', () => {
+      expect(validateNotify(undefined)).toBe(true);
+      expect(validateNotify(null)).toBe(true);
+      expect(validateNotify(Buffer.alloc(120, 7).toString('base64url'))).toBe(true);
+    });
+
+    it('should reject plain URLs, short and oversized values', () => {
+      expect(validateNotify('https://hooks.example.com/sealed')).toBe(false);
+      expect(validateNotify(Buffer.alloc(60, 7).toString('base64url'))).toBe(false);
+      expect(validateNotify('A'.repeat(NOTIFY_MAX_LENGTH + 1))).toBe(false);
+      expect(validateNotify('')).toBe(false);
+      expect(validateNotify(42)).toBe(false);
+    });
+  });
+
+  describe('validateCreateRequest', () => {
+    const validRequest = {
+      nonce: 'a1b2c3d4e5f67890a1b2c3d4e5f67890',
+      pow: '12345',
+      ttl: 86400
+    };
+
+    it('should accept valid request', () => {
+      expect(validateCreateRequest(validRequest)).toEqual({ valid: true });
+    });
+
+    it('should reject missing fields', () => {
+      expect(validateCreateRequest(null).valid).toBe(false);
+      expect(validateCreateRequest({ ...validRequest, nonce: 'abc' }).error).toContain('nonce');
+      expect(validateCreateRequest({ ...validRequest, pow: '' }).error).toContain('pow');
+      expect(validateCreateRequest({ ...validRequest, ttl: 60 }).error).toContain('ttl');
+    });
+  });
+
+  describe('validateFillRequest', () => {
+    const validRequest = {
+      ciphertext: Buffer.from('test').toString('base64'),
+      iv: Buffer.alloc(12, 0x01).toString('base64'),
+      salt: null,
+      commitment: Buffer.alloc(32, 0x02).toString('base64'),
+      version: 2,
+      cipher: 'aes-256-gcm',
+      kdf: null,
+      keyFragment: `v2.r.${'A'.repeat(123)}`
+    };
+
+    it('should accept valid request', () => {
+      expect(validateFillRequest(validRequest)).toEqual({ valid: true });
+    });
+
+    it('should require a versioned envelope', () => {
+      const { version, cipher, kdf, ...legacy } = validRequest;
+
+      expect(validateFillRequest(legacy).error).toContain('envelope version');
+    });
+
+    it('should reject file secrets and passphrase protection', () => {
+      expect(validateFillRequest({ ...validRequest, cipher: 'aes-256-gcm-chunked' }).error).toContain('files');
+      expect(validateFillRequest({
+        ...validRequest,
+        salt: Buffer.alloc(16, 0x01).toString('base64'),
+        kdf: { name: 'pbkdf2-sha256', iterations: 100000 }
+      }).error).toContain('passphrase');
+    });
+
+    it('should require a recipient key fragment', () => {
+      expect(validateFillRequest({ ...validRequest, keyFragment: undefined }).error).toContain('keyFragment');
+      expect(validateFillRequest({ ...validRequest, keyFragment: `v2.k.${'A'.repeat(43)}` }).error).toContain('keyFragment');
+    });
+
+    it('should reject missing or malformed envelope fields', () => {
+      expect(validateFillRequest(undefined).valid).toBe(false);
+      expect(validateFillRequest({ ...validRequest, ciphertext: '' }).error).toContain('ciphertext');
+      expect(validateFillRequest({ ...validRequest, iv: 'AAAA' }).error).toContain('iv');
+      expect(validateFillRequest({ ...validRequest, salt: undefined }).error).toContain('salt');
+      expect(validateFillRequest({ ...validRequest, commitment: 'AAAA' }).error).toContain('commitment');
+      expect(validateFillRequest({ ...validRequest, commitment: undefined }).error).toContain('commitment');
+    });
+  });
+
   describe('_internal.isValidBase64', () => {
     it('should accept valid base64', () => {
       expect(_internal.isValidBase64('SGVsbG8gV29ybGQ=')).toBe(true);
@@ -403,6 +753,14 @@ describe('validation.js', () => {
       expect(IV_BYTES).toBe(12);
       expect(SALT_BYTES).toBe(16);
       expect(NONCE_BYTES).toBe(16);
+      expect(COMMITMENT_BYTES).toBe(32);
+    });
+
+    it('should support the v2 envelope with AES-256-GCM', () => {
+      expect(ENVELOPE_VERSIONS).toEqual([2]);
+      expect(CIPHERS).toEqual(['aes-256-gcm', 'aes-256-gcm-chunked']);
+      expect(FILE_CIPHERS.every((cipher) => CIPHERS.includes(cipher))).toBe(true);
+      expect(PBKDF2_MIN_ITERATIONS).toBe(100000);
     });
   });
 });
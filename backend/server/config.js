@@ -0,0 +1,363 @@
+'use strict';
+
+/**
+ * Standalone server configuration
+ *
+ * Settings come from an optional JSON file (--config <file> or
+ * SEALED_CONFIG) and then from environment variables, which win. Relative
+ * paths in the file are taken relative to the file. See sealed.example.json
+ * for every key.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const token = require('../functions/shared/token');
+const notify = require('../functions/shared/notify');
+
+const { JWT_ALG_HS256, JWT_ALG_EDDSA } = token;
+const { parseKeyring, readEd25519Key } = token._internal;
+
+const FRONTEND_DIR = path.join(__dirname, '..', '..', 'frontend');
+
+// An HS256 secret shorter than this is weaker than the MAC it keys
+const MIN_JWT_SECRET_LENGTH = 32;
+
+// Lambda's synchronous invocation payload limit
+const DEFAULT_MAX_BODY_BYTES = 6 * 1024 * 1024;
+
+const STORES = ['sqlite', 'redis'];
+
+// The server has no dispatcher: it delivers view webhooks itself, or hands
+// them to a sink
+const NOTIFY_QUEUES = [notify.QUEUE_INLINE, notify.QUEUE_SINK];
+
+class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConfigError';
+  }
+}
+
+// Parsers take the raw value (string from the environment, any JSON value
+// from the file) and return the setting or throw ConfigError
+
+function string(value, name) {
+  if (typeof value !== 'string' || value === '') {
+    throw new ConfigError(`${name} must be a non-empty string`);
+  }
+  return value;
+}
+
+function integer(min, max) {
+  return (value, name) => {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (!Number.isInteger(number) || number < min || number > max) {
+      throw new ConfigError(`${name} must be an integer from ${min} to ${max}`);
+    }
+    return number;
+  };
+}
+
+function boolean(value, name) {
+  if (typeof value === 'boolean') {
+    return value;
+  }
+  if (value === 'true' || value === '1') {
+    return true;
+  }
+  if (value === 'false' || value === '0') {
+    return false;
+  }
+  throw new ConfigError(`${name} must be true or false`);
+}
+
+function oneOf(choices) {
+  return (value, name) => {
+    if (!choices.includes(value)) {
+      throw new ConfigError(`${name} must be one of ${choices.join(', ')}`);
+    }
+    return value;
+  };
+}
+
+// A list of origins: a JSON array, or comma-separated in the environment
+function origins(value, name) {
+  const list = typeof value === 'string'
+    ? value.split(',').map((entry) => entry.trim()).filter(Boolean)
+    : value;
+  if (!Array.isArray(list)) {
+    throw new ConfigError(`${name} must be a list of origins`);
+  }
+  for (const origin of list) {
+    let parsed = null;
+    try {
+      parsed = new URL(origin);
+    } catch (error) {
+      // Reported below
+    }
+    if (!parsed || parsed.origin !== origin) {
+      throw new ConfigError(`${name} entry is not an origin (scheme://host[:port]): ${origin}`);
+    }
+  }
+  return list;
+}
+
+// A JWT keyring (see docs/API.md): an object in the file, JSON in the environment
+function keyring(value, name) {
+  let ring = value;
+  if (typeof value === 'string') {
+    try {
+      ring = JSON.parse(value);
+    } catch (error) {
+      throw new ConfigError(`${name} is not JSON`);
+    }
+  }
+  let parsed;
+  try {
+    parsed = parseKeyring(ring);
+  } catch (error) {
+    throw new ConfigError(error.message.replace(/^JWT_KEYS/, name));
+  }
+  for (const [kid, key] of parsed.keys) {
+    if (key.alg === JWT_ALG_HS256 && key.secret.length < MIN_JWT_SECRET_LENGTH) {
+      throw new ConfigError(`${name} key ${kid} must be at least ${MIN_JWT_SECRET_LENGTH} characters`);
+    }
+  }
+  return ring;
+}
+
+// An Ed25519 key in PEM, checked here so a bad key fails at startup rather
+// than on the first request
+function ed25519Key(type) {
+  return (value, name) => {
+    try {
+      readEd25519Key(string(value, name), type, name);
+    } catch (error) {
+      throw error instanceof ConfigError ? error : new ConfigError(error.message);
+    }
+    return value;
+  };
+}
+
+function x25519Key(type) {
+  return (value, name) => {
+    try {
+      notify.readX25519Key(string(value, name), type, name);
+    } catch (error) {
+      throw error instanceof ConfigError ? error : new ConfigError(error.message);
+    }
+    return value;
+  };
+}
+
+// A path is resolved against the config file's directory when it came from
+// the file, and against the working directory otherwise
+const PATH = 'path';
+
+/**
+ * Every setting: [key in the file, environment variable, parser, default]
+ * A default of undefined means the handlers' own default applies.
+ */
+const SETTINGS = [
+  ['jwtSecret', 'JWT_SECRET', string, undefined],
+  ['jwtKeys', 'JWT_KEYS', keyring, undefined],
+  ['jwtAlg', 'JWT_ALG', oneOf([JWT_ALG_HS256, JWT_ALG_EDDSA]), undefined],
+  ['jwtPublicKey', 'JWT_PUBLIC_KEY', ed25519Key('public'), undefined],
+  ['jwtPrivateKey', 'JWT_PRIVATE_KEY', ed25519Key('private'), undefined],
+  ['host', 'HOST', string, '0.0.0.0'],
+  ['port', 'PORT', integer(0, 65535), 8080],
+  ['allowedOrigins', 'ALLOWED_ORIGINS', origins, []],
+  ['store', 'SECRET_STORE', oneOf(STORES), 'sqlite'],
+  ['sqlitePath', 'SQLITE_PATH', PATH, 'sealed.db'],
+  ['redisUrl', 'REDIS_URL', string, undefined],
+  ['blobDir', 'BLOB_DIR', PATH, 'blobs'],
+  ['frontendDir', 'FRONTEND_DIR', PATH, FRONTEND_DIR],
+  ['maxBodyBytes', 'MAX_BODY_BYTES', integer(1, 100 * 1024 * 1024), DEFAULT_MAX_BODY_BYTES],
+  ['sweepIntervalSeconds', 'SWEEP_INTERVAL_SECONDS', integer(1, 86400), 300],
+  ['trustProxy', 'TRUST_PROXY', boolean, false],
+  ['tlsCert', 'TLS_CERT', PATH, undefined],
+  ['tlsKey', 'TLS_KEY', PATH, undefined],
+  ['powAlg', 'POW_ALG', oneOf(['sha256', 'scrypt']), undefined],
+  ['powDifficultyMin', 'POW_DIFFICULTY_MIN', integer(1, 64), undefined],
+  ['powDifficultyMax', 'POW_DIFFICULTY_MAX', integer(1, 64), undefined],
+  ['burnResponseFloorMs', 'BURN_RESPONSE_FLOOR_MS', integer(0, 10000), undefined],
+  ['notifyPublicKey', 'NOTIFY_PUBLIC_KEY', x25519Key('public'), undefined],
+  ['notifyPrivateKey', 'NOTIFY_PRIVATE_KEY', x25519Key('private'), undefined],
+  ['notifyQueue', 'NOTIFY_QUEUE', oneOf(NOTIFY_QUEUES), notify.QUEUE_INLINE],
+  ['notifySinkUrl', 'NOTIFY_SINK_URL', string, undefined],
+  ['notifyAllowLocal', 'NOTIFY_ALLOW_LOCAL', boolean, false]
+];
+
+// Settings the handlers read from the environment themselves
+const HANDLER_ENVIRONMENT = {
+  jwtSecret: 'JWT_SECRET',
+  jwtKeys: 'JWT_KEYS',
+  jwtAlg: 'JWT_ALG',
+  jwtPublicKey: 'JWT_PUBLIC_KEY',
+  jwtPrivateKey: 'JWT_PRIVATE_KEY',
+  store: 'SECRET_STORE',
+  sqlitePath: 'SQLITE_PATH',
+  redisUrl: 'REDIS_URL',
+  blobDir: 'BLOB_DIR',
+  powAlg: 'POW_ALG',
+  powDifficultyMin: 'POW_DIFFICULTY_MIN',
+  powDifficultyMax: 'POW_DIFFICULTY_MAX',
+  burnResponseFloorMs: 'BURN_RESPONSE_FLOOR_MS',
+  notifyPublicKey: 'NOTIFY_PUBLIC_KEY',
+  notifyPrivateKey: 'NOTIFY_PRIVATE_KEY',
+  notifyQueue: 'NOTIFY_QUEUE',
+  notifySinkUrl: 'NOTIFY_SINK_URL',
+  notifyAllowLocal: 'NOTIFY_ALLOW_LOCAL'
+};
+
+/**
+ * @typedef {Object} ServerConfig
+ * @property {string} [jwtSecret] - Signing key, or with jwtKeys the key for tokens without a kid
+ * @property {object} [jwtKeys] - Keyring for rotating signing keys
+ * @property {'HS256'|'EdDSA'} [jwtAlg] - Algorithm for new tokens without a keyring
+ * @property {string} [jwtPublicKey] - Ed25519 public key (PEM) for EdDSA tokens without a kid
+ * @property {string} [jwtPrivateKey] - Ed25519 private key (PEM) that signs EdDSA tokens
+ * @property {string} host
+ * @property {number} port
+ * @property {string[]} allowedOrigins - Other origins allowed to call the API (CORS)
+ * @property {'sqlite'|'redis'} store
+ * @property {string} sqlitePath
+ * @property {string} [redisUrl]
+ * @property {string} blobDir - File secrets are stored here
+ * @property {string} frontendDir
+ * @property {number} maxBodyBytes
+ * @property {number} sweepIntervalSeconds - How often expired secrets are deleted
+ * @property {boolean} trustProxy - Take the client address from X-Forwarded-For
+ * @property {string} [tlsCert] - PEM certificate; serves HTTPS when set with tlsKey
+ * @property {string} [tlsKey]
+ * @property {string} [powAlg]
+ * @property {number} [powDifficultyMin]
+ * @property {number} [powDifficultyMax]
+ * @property {number} [burnResponseFloorMs]
+ * @property {string} [notifyPublicKey] - X25519 public key (PEM) clients seal view webhooks to; unset turns them off
+ * @property {string} [notifyPrivateKey] - Matching private key, for delivering from this process
+ * @property {'inline'|'sink'} notifyQueue - Deliver webhooks here, or hand events to notifySinkUrl
+ * @property {string} [notifySinkUrl]
+ * @property {boolean} notifyAllowLocal - Let webhooks use http and private addresses (testing only)
+ */
+
+/**
+ * Read the config file named by --config or SEALED_CONFIG, if any
+ * @param {string[]} argv - Arguments after the script name
+ * @param {object} env
+ * @returns {{file: string|null, values: object}}
+ * @throws {ConfigError}
+ */
+function readConfigFile(argv, env) {
+  const index = argv.indexOf('--config');
+  const file = index >= 0 ? argv[index + 1] : env.SEALED_CONFIG;
+  if (index >= 0 && !file) {
+    throw new ConfigError('--config needs a file name');
+  }
+  if (!file) {
+    return { file: null, values: {} };
+  }
+
+  let values;
+  try {
+    values = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new ConfigError(`Cannot read ${file}: ${error.message}`);
+  }
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    throw new ConfigError(`${file} must contain a JSON object`);
+  }
+
+  const known = new Set(SETTINGS.map(([key]) => key));
+  for (const key of Object.keys(values)) {
+    if (!known.has(key)) {
+      throw new ConfigError(`Unknown setting in ${file}: ${key}`);
+    }
+  }
+  return { file: path.resolve(file), values };
+}
+
+/**
+ * Load and check the configuration
+ * @param {Object} [options]
+ * @param {string[]} [options.argv=process.argv.slice(2)]
+ * @param {object} [options.env=process.env]
+ * @returns {ServerConfig}
+ * @throws {ConfigError} If a setting is missing or invalid
+ */
+function loadConfig(options = {}) {
+  const { argv = process.argv.slice(2), env = process.env } = options;
+  const { file, values } = readConfigFile(argv, env);
+
+  const config = {};
+  for (const [key, envName, parse, fallback] of SETTINGS) {
+    const fromEnv = env[envName] !== undefined && env[envName] !== '';
+    const raw = fromEnv ? env[envName] : values[key];
+    const name = fromEnv ? envName : key;
+
+    if (raw === undefined || raw === null) {
+      config[key] = fallback;
+    } else if (parse === PATH) {
+      const value = string(raw, name);
+      config[key] = fromEnv || !file ? path.resolve(value) : path.resolve(path.dirname(file), value);
+    } else {
+      config[key] = parse(raw, name);
+    }
+  }
+
+  if (!config.jwtSecret && !config.jwtKeys && !config.jwtPublicKey) {
+    throw new ConfigError('jwtSecret (JWT_SECRET), jwtKeys (JWT_KEYS) or jwtPublicKey (JWT_PUBLIC_KEY) is required');
+  }
+  const signingAlg = config.jwtKeys
+    ? parseKeyring(config.jwtKeys).keys.get(config.jwtKeys.active).alg
+    : config.jwtAlg || JWT_ALG_HS256;
+  if (signingAlg === JWT_ALG_EDDSA && !config.jwtPrivateKey) {
+    throw new ConfigError('jwtPrivateKey (JWT_PRIVATE_KEY) is required to sign EdDSA tokens');
+  }
+  if (signingAlg === JWT_ALG_HS256 && !config.jwtKeys && !config.jwtSecret) {
+    throw new ConfigError('jwtSecret (JWT_SECRET) is required to sign HS256 tokens');
+  }
+  if (config.jwtSecret && config.jwtSecret.length < MIN_JWT_SECRET_LENGTH) {
+    throw new ConfigError(`jwtSecret must be at least ${MIN_JWT_SECRET_LENGTH} characters`);
+  }
+  if (Boolean(config.tlsCert) !== Boolean(config.tlsKey)) {
+    throw new ConfigError('tlsCert and tlsKey must be set together');
+  }
+  if (config.powDifficultyMin && config.powDifficultyMax && config.powDifficultyMin > config.powDifficultyMax) {
+    throw new ConfigError('powDifficultyMin must not be above powDifficultyMax');
+  }
+  if (config.notifyQueue === notify.QUEUE_INLINE && Boolean(config.notifyPublicKey) !== Boolean(config.notifyPrivateKey)) {
+    throw new ConfigError('notifyPublicKey and notifyPrivateKey must be set together');
+  }
+  if (config.notifyQueue === notify.QUEUE_SINK && !config.notifySinkUrl) {
+    throw new ConfigError('notifySinkUrl (NOTIFY_SINK_URL) is required when notifyQueue is sink');
+  }
+  return config;
+}
+
+/**
+ * Export the settings the handlers read to the environment, and select the
+ * file blob store. Must run before the handlers are loaded.
+ * @param {ServerConfig} config
+ * @param {object} [env=process.env]
+ */
+function applyConfig(config, env = process.env) {
+  for (const [key, envName] of Object.entries(HANDLER_ENVIRONMENT)) {
+    if (config[key] !== undefined) {
+      env[envName] = typeof config[key] === 'object' ? JSON.stringify(config[key]) : String(config[key]);
+    }
+  }
+  env.BLOB_STORE = 'file';
+}
+
+module.exports = {
+  loadConfig,
+  applyConfig,
+  ConfigError,
+  DEFAULT_MAX_BODY_BYTES,
+  // For testing
+  _internal: {
+    SETTINGS,
+    readConfigFile
+  }
+};
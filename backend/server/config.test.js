@@ -0,0 +1,225 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { loadConfig, applyConfig, ConfigError, DEFAULT_MAX_BODY_BYTES } = require('./config');
+
+const SECRET = 's'.repeat(32);
+
+describe('config', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sealed-config-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function writeConfig(values) {
+    const file = path.join(dir, `${Math.random().toString(36).slice(2)}.json`);
+    fs.writeFileSync(file, JSON.stringify(values));
+    return file;
+  }
+
+  describe('loadConfig', () => {
+    it('should apply defaults when only the JWT secret is set', () => {
+      const config = loadConfig({ argv: [], env: { JWT_SECRET: SECRET } });
+
+      assert.strictEqual(config.jwtSecret, SECRET);
+      assert.strictEqual(config.port, 8080);
+      assert.strictEqual(config.store, 'sqlite');
+      assert.strictEqual(config.maxBodyBytes, DEFAULT_MAX_BODY_BYTES);
+      assert.strictEqual(config.trustProxy, false);
+      assert.deepStrictEqual(config.allowedOrigins, []);
+      assert.strictEqual(config.powAlg, undefined);
+    });
+
+    it('should read a config file, resolving paths next to it', () => {
+      const file = writeConfig({ jwtSecret: SECRET, port: 9000, sqlitePath: 'data/sealed.db', trustProxy: true });
+
+      const config = loadConfig({ argv: ['--config', file], env: {} });
+
+      assert.strictEqual(config.port, 9000);
+      assert.strictEqual(config.sqlitePath, path.join(dir, 'data', 'sealed.db'));
+      assert.strictEqual(config.trustProxy, true);
+    });
+
+    it('should let the environment override the file', () => {
+      const file = writeConfig({ jwtSecret: SECRET, port: 9000, allowedOrigins: ['https://a.example'] });
+
+      const config = loadConfig({
+        argv: [],
+        env: { SEALED_CONFIG: file, PORT: '9001', ALLOWED_ORIGINS: 'https://b.example, https://c.example:8443' }
+      });
+
+      assert.strictEqual(config.port, 9001);
+      assert.deepStrictEqual(config.allowedOrigins, ['https://b.example', 'https://c.example:8443']);
+    });
+
+    it('should reject a missing or short JWT secret', () => {
+      assert.throws(() => loadConfig({ argv: [], env: {} }), /jwtKeys \(JWT_KEYS\) or jwtPublicKey \(JWT_PUBLIC_KEY\) is required/);
+      assert.throws(() => loadConfig({ argv: [], env: { JWT_SECRET: 'short' } }), ConfigError);
+    });
+
+    it('should reject invalid values by name', () => {
+      const cases = [
+        [{ PORT: '80a' }, /PORT must be an integer/],
+        [{ SECRET_STORE: 'dynamodb' }, /SECRET_STORE must be one of sqlite, redis/],
+        [{ TRUST_PROXY: 'yes' }, /TRUST_PROXY must be true or false/],
+        [{ ALLOWED_ORIGINS: 'https://a.example/path' }, /not an origin/],
+        [{ TLS_CERT: 'cert.pem' }, /set together/],
+        [{ POW_DIFFICULTY_MIN: '20', POW_DIFFICULTY_MAX: '10' }, /must not be above/]
+      ];
+      for (const [env, message] of cases) {
+        assert.throws(() => loadConfig({ argv: [], env: { JWT_SECRET: SECRET, ...env } }), message);
+      }
+    });
+
+    it('should reject unknown keys and unreadable files', () => {
+      assert.throws(() => loadConfig({ argv: ['--config', writeConfig({ jwtSecret: SECRET, prot: 1 })], env: {} }), /Unknown setting in .*: prot/);
+      assert.throws(() => loadConfig({ argv: ['--config', path.join(dir, 'missing.json')], env: {} }), /Cannot read/);
+      assert.throws(() => loadConfig({ argv: ['--config'], env: {} }), /needs a file name/);
+    });
+  });
+
+  describe('jwtKeys', () => {
+    const ring = { active: 'b', keys: [{ kid: 'b', secret: SECRET }, { kid: 'a', secret: SECRET, retiredAt: 1792000000 }] };
+
+    it('should accept a keyring instead of a single secret', () => {
+      const config = loadConfig({ argv: ['--config', writeConfig({ jwtKeys: ring })], env: {} });
+      const env = {};
+
+      applyConfig(config, env);
+
+      assert.deepStrictEqual(JSON.parse(env.JWT_KEYS), ring);
+      assert.strictEqual('JWT_SECRET' in env, false);
+    });
+
+    it('should reject malformed keyrings and short keys', () => {
+      assert.throws(() => loadConfig({ argv: [], env: { JWT_KEYS: '{' } }), /JWT_KEYS is not JSON/);
+      assert.throws(() => loadConfig({ argv: [], env: { JWT_KEYS: JSON.stringify({ ...ring, active: 'c' }) } }), /JWT_KEYS is invalid: active/);
+      assert.throws(
+        () => loadConfig({ argv: ['--config', writeConfig({ jwtKeys: { active: 'a', keys: [{ kid: 'a', secret: 'short' }] } })], env: {} }),
+        /jwtKeys key a must be at least 32/
+      );
+    });
+  });
+
+  describe('EdDSA keys', () => {
+    const { publicKey, privateKey } = require('node:crypto').generateKeyPairSync('ed25519', {
+      publicKeyEncoding: { format: 'pem', type: 'spki' },
+      privateKeyEncoding: { format: 'pem', type: 'pkcs8' }
+    });
+
+    it('should accept a key pair instead of a secret', () => {
+      const config = loadConfig({
+        argv: ['--config', writeConfig({ jwtAlg: 'EdDSA', jwtPublicKey: publicKey, jwtPrivateKey: privateKey })],
+        env: {}
+      });
+      const env = {};
+
+      applyConfig(config, env);
+
+      assert.strictEqual(env.JWT_ALG, 'EdDSA');
+      assert.strictEqual(env.JWT_PUBLIC_KEY, publicKey);
+      assert.strictEqual(env.JWT_PRIVATE_KEY, privateKey);
+      assert.strictEqual('JWT_SECRET' in env, false);
+    });
+
+    it('should reject unreadable keys and a missing signing key', () => {
+      assert.throws(
+        () => loadConfig({ argv: [], env: { JWT_ALG: 'EdDSA', JWT_PUBLIC_KEY: 'nope', JWT_PRIVATE_KEY: privateKey } }),
+        /JWT_PUBLIC_KEY is not a PEM public key/
+      );
+      assert.throws(
+        () => loadConfig({ argv: [], env: { JWT_ALG: 'EdDSA', JWT_PUBLIC_KEY: publicKey } }),
+        /jwtPrivateKey \(JWT_PRIVATE_KEY\) is required/
+      );
+      assert.throws(() => loadConfig({ argv: [], env: { JWT_PUBLIC_KEY: publicKey } }), /jwtSecret \(JWT_SECRET\) is required/);
+      assert.throws(() => loadConfig({ argv: [], env: { JWT_SECRET: SECRET, JWT_ALG: 'RS256' } }), /JWT_ALG must be one of HS256, EdDSA/);
+    });
+
+    it('should take the algorithm from the active keyring key', () => {
+      const jwtKeys = { active: 'ed', keys: [{ kid: 'ed', alg: 'EdDSA', publicKey }, { kid: 'hs', secret: SECRET }] };
+
+      assert.throws(() => loadConfig({ argv: ['--config', writeConfig({ jwtKeys })], env: {} }), /jwtPrivateKey/);
+      assert.ok(loadConfig({ argv: ['--config', writeConfig({ jwtKeys, jwtPrivateKey: privateKey })], env: {} }).jwtKeys);
+    });
+  });
+
+  describe('notification keys', () => {
+    const { publicKey, privateKey } = require('node:crypto').generateKeyPairSync('x25519', {
+      publicKeyEncoding: { format: 'pem', type: 'spki' },
+      privateKeyEncoding: { format: 'pem', type: 'pkcs8' }
+    });
+
+    it('should deliver inline by default and export the keys', () => {
+      const config = loadConfig({
+        argv: ['--config', writeConfig({ jwtSecret: SECRET, notifyPublicKey: publicKey, notifyPrivateKey: privateKey })],
+        env: {}
+      });
+      const env = {};
+
+      applyConfig(config, env);
+
+      assert.strictEqual(env.NOTIFY_QUEUE, 'inline');
+      assert.strictEqual(env.NOTIFY_PUBLIC_KEY, publicKey);
+      assert.strictEqual(env.NOTIFY_PRIVATE_KEY, privateKey);
+      assert.strictEqual(env.NOTIFY_ALLOW_LOCAL, 'false');
+    });
+
+    it('should reject a lone key, non-X25519 keys and a sink without a URL', () => {
+      const ed25519 = require('node:crypto').generateKeyPairSync('ed25519').publicKey.export({ format: 'pem', type: 'spki' });
+
+      assert.throws(
+        () => loadConfig({ argv: [], env: { JWT_SECRET: SECRET, NOTIFY_PUBLIC_KEY: publicKey } }),
+        /notifyPublicKey and notifyPrivateKey must be set together/
+      );
+      assert.throws(
+        () => loadConfig({ argv: [], env: { JWT_SECRET: SECRET, NOTIFY_PUBLIC_KEY: ed25519, NOTIFY_PRIVATE_KEY: privateKey } }),
+        /NOTIFY_PUBLIC_KEY must be an X25519 key/
+      );
+      assert.throws(
+        () => loadConfig({ argv: [], env: { JWT_SECRET: SECRET, NOTIFY_QUEUE: 'sink' } }),
+        /notifySinkUrl \(NOTIFY_SINK_URL\) is required/
+      );
+      // The notifications table needs the DynamoDB store, which the server does not run
+      assert.throws(
+        () => loadConfig({ argv: [], env: { JWT_SECRET: SECRET, NOTIFY_QUEUE: 'dynamodb' } }),
+        /NOTIFY_QUEUE must be one of inline, sink/
+      );
+    });
+
+    it('should let a sink stand in for delivery without the private key', () => {
+      const config = loadConfig({
+        argv: [],
+        env: { JWT_SECRET: SECRET, NOTIFY_PUBLIC_KEY: publicKey, NOTIFY_QUEUE: 'sink', NOTIFY_SINK_URL: 'http://127.0.0.1:9090/events' }
+      });
+
+      assert.strictEqual(config.notifyQueue, 'sink');
+      assert.strictEqual(config.notifyPrivateKey, undefined);
+    });
+  });
+
+  describe('applyConfig', () => {
+    it('should export handler settings and select the file blob store', () => {
+      const config = loadConfig({ argv: [], env: { JWT_SECRET: SECRET, POW_DIFFICULTY_MIN: '20' } });
+      const env = {};
+
+      applyConfig(config, env);
+
+      assert.strictEqual(env.JWT_SECRET, SECRET);
+      assert.strictEqual(env.SECRET_STORE, 'sqlite');
+      assert.strictEqual(env.POW_DIFFICULTY_MIN, '20');
+      assert.strictEqual(env.BLOB_STORE, 'file');
+      assert.strictEqual(env.BLOB_DIR, config.blobDir);
+      assert.strictEqual('POW_ALG' in env, false);
+      assert.strictEqual('PORT' in env, false);
+    });
+  });
+});
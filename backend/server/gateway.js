@@ -0,0 +1,432 @@
+'use strict';
+
+/**
+ * API Gateway stand-in shared by the dev server and the standalone server
+ *
+ * Mounts the Lambda handlers on the routes declared in template.yaml,
+ * translates each request into an API Gateway HTTP API (payload format 2.0)
+ * event and serves the frontend for everything else. What differs between
+ * the two servers (CORS policy, extra headers, body limit, client address)
+ * is passed in as options.
+ */
+
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const path = require('node:path');
+const { BASE_HEADERS } = require('../functions/shared/responses');
+
+// Mirrors CorsConfiguration in template.yaml
+const CORS_ALLOW_METHODS = 'GET,POST,PUT,DELETE,OPTIONS';
+const CORS_ALLOW_HEADERS = 'authorization,content-type,x-burn-token';
+const CORS_MAX_AGE = '3600';
+const CORS_EXPOSE_HEADERS = 'retry-after';
+
+// API Gateway passes these bodies through as text and base64-encodes the rest
+const TEXT_CONTENT_TYPE_PATTERN = /^(text\/|application\/(json|xml|x-www-form-urlencoded)\b)/i;
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.ico': 'image/x-icon',
+  '.wasm': 'application/wasm',
+  '.txt': 'text/plain; charset=utf-8'
+};
+
+class PayloadTooLargeError extends Error {
+  constructor() {
+    super('Request body too large');
+    this.name = 'PayloadTooLargeError';
+  }
+}
+
+// =============================================================================
+// Routes
+// =============================================================================
+
+/**
+ * @typedef {Object} Route
+ * @property {string} method - e.g. "GET"
+ * @property {string} path - e.g. "/secrets/{id}"
+ * @property {string} codeUri - Function directory relative to backend/
+ * @property {string} routeKey - e.g. "GET /secrets/{id}"
+ * @property {RegExp} pattern - Matches request paths, capturing path parameters
+ */
+
+/**
+ * Read the HttpApi routes from template.yaml.
+ * Each function's CodeUri is paired with the Path/Method of its events; this
+ * is a line scan of the layout the template uses, not a YAML parser.
+ * @param {string} template - template.yaml contents
+ * @returns {Route[]}
+ */
+function readRoutes(template) {
+  const routes = [];
+  let codeUri = null;
+  let routePath = null;
+
+  for (const line of template.split(/\r?\n/)) {
+    const match = /^\s*(CodeUri|Path|Method):\s*(\S+)\s*$/.exec(line);
+    if (!match) {
+      continue;
+    }
+    const [, key, value] = match;
+    if (key === 'CodeUri') {
+      codeUri = value;
+      routePath = null;
+    } else if (key === 'Path') {
+      routePath = value;
+    } else if (codeUri && routePath) {
+      const method = value.toUpperCase();
+      routes.push({
+        method,
+        path: routePath,
+        codeUri,
+        routeKey: `${method} ${routePath}`,
+        pattern: compilePath(routePath)
+      });
+      routePath = null;
+    }
+  }
+  return routes;
+}
+
+/**
+ * Turn "/secrets/{id}" into a pattern with an "id" group.
+ * @param {string} routePath
+ * @returns {RegExp}
+ */
+function compilePath(routePath) {
+  const source = routePath
+    .split(/(\{[A-Za-z0-9_]+\})/)
+    .map((part) => {
+      const param = /^\{(.+)\}$/.exec(part);
+      return param ? `(?<${param[1]}>[^/]+)` : part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Find the route for a request.
+ * @param {Route[]} routes
+ * @param {string} method
+ * @param {string} pathname
+ * @returns {{route: Route, pathParameters: object|undefined}|null}
+ */
+function matchRoute(routes, method, pathname) {
+  for (const route of routes) {
+    if (route.method !== method) {
+      continue;
+    }
+    const match = route.pattern.exec(pathname);
+    if (match) {
+      const params = match.groups ? decodeParams(match.groups) : undefined;
+      return { route, pathParameters: params };
+    }
+  }
+  return null;
+}
+
+function decodeParams(groups) {
+  const params = {};
+  for (const [name, value] of Object.entries(groups)) {
+    params[name] = decodeURIComponent(value);
+  }
+  return params;
+}
+
+// =============================================================================
+// API Gateway translation
+// =============================================================================
+
+/**
+ * Client address as the socket sees it
+ * @param {import('node:http').IncomingMessage} req
+ * @returns {string}
+ */
+function socketAddress(req) {
+  return (req.socket.remoteAddress || '').replace(/^::ffff:/, '');
+}
+
+/**
+ * Build an HTTP API payload 2.0 event for a request.
+ * @param {import('node:http').IncomingMessage} req
+ * @param {URL} url
+ * @param {Buffer} body
+ * @param {{route: Route, pathParameters: object|undefined}} matched
+ * @param {string} [sourceIp] - Client address (defaults to the socket's)
+ * @returns {object}
+ */
+function toEvent(req, url, body, matched, sourceIp = socketAddress(req)) {
+  const headers = {};
+  for (const [name, value] of Object.entries(req.headers)) {
+    headers[name] = Array.isArray(value) ? value.join(',') : value;
+  }
+
+  let queryStringParameters;
+  for (const [name, value] of url.searchParams) {
+    queryStringParameters = queryStringParameters || {};
+    // Repeated parameters are joined with commas, as API Gateway does
+    queryStringParameters[name] = name in queryStringParameters
+      ? `${queryStringParameters[name]},${value}`
+      : value;
+  }
+
+  const isText = TEXT_CONTENT_TYPE_PATTERN.test(headers['content-type'] || '');
+
+  return {
+    version: '2.0',
+    routeKey: matched.route.routeKey,
+    rawPath: url.pathname,
+    rawQueryString: url.search.slice(1),
+    headers,
+    queryStringParameters,
+    pathParameters: matched.pathParameters,
+    requestContext: {
+      http: {
+        method: req.method,
+        path: url.pathname,
+        protocol: `HTTP/${req.httpVersion}`,
+        sourceIp,
+        userAgent: headers['user-agent'] || ''
+      },
+      requestId: crypto.randomUUID(),
+      routeKey: matched.route.routeKey,
+      stage: '$default',
+      timeEpoch: Date.now()
+    },
+    body: body.length > 0 ? body.toString(isText ? 'utf8' : 'base64') : undefined,
+    isBase64Encoded: body.length > 0 && !isText
+  };
+}
+
+/**
+ * Read a request body, giving up once it passes maxBytes
+ * @param {import('node:http').IncomingMessage} req
+ * @param {number} [maxBytes=Infinity]
+ * @returns {Promise<Buffer>}
+ * @throws {PayloadTooLargeError}
+ */
+function readBody(req, maxBytes = Infinity) {
+  return new Promise((resolve, reject) => {
+    if (Number(req.headers['content-length']) > maxBytes) {
+      reject(new PayloadTooLargeError());
+      return;
+    }
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        req.removeAllListeners('data');
+        reject(new PayloadTooLargeError());
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, statusCode, body, headers = {}) {
+  res.writeHead(statusCode, { ...BASE_HEADERS, ...headers });
+  res.end(JSON.stringify(body));
+}
+
+// =============================================================================
+// Static files
+// =============================================================================
+
+/**
+ * Serve a file from the frontend directory. Extensionless paths that are not
+ * files (e.g. /s/<id>) get index.html, like `serve -s`.
+ * @param {string} root
+ * @param {import('node:http').IncomingMessage} req
+ * @param {import('node:http').ServerResponse} res
+ * @param {string} pathname
+ * @param {{headers?: object, transformHtml?: (html: string) => string}} [options]
+ */
+async function serveStatic(root, req, res, pathname, options = {}) {
+  const { headers = {}, transformHtml } = options;
+
+  let relative;
+  try {
+    relative = path.normalize(decodeURIComponent(pathname));
+  } catch (error) {
+    sendJson(res, 400, { message: 'Bad Request' }, headers);
+    return;
+  }
+  let file = path.join(root, relative);
+  if (file !== root && !file.startsWith(root + path.sep)) {
+    sendJson(res, 404, { message: 'Not Found' }, headers);
+    return;
+  }
+
+  let stat = await fs.promises.stat(file).catch(() => null);
+  if (stat && stat.isDirectory()) {
+    file = path.join(file, 'index.html');
+    stat = await fs.promises.stat(file).catch(() => null);
+  }
+  if ((!stat || !stat.isFile()) && path.extname(relative) === '') {
+    file = path.join(root, 'index.html');
+    stat = await fs.promises.stat(file).catch(() => null);
+  }
+  if (!stat || !stat.isFile()) {
+    sendJson(res, 404, { message: 'Not Found' }, headers);
+    return;
+  }
+
+  const extension = path.extname(file);
+  const fileHeaders = {
+    'Content-Type': CONTENT_TYPES[extension] || 'application/octet-stream',
+    'Cache-Control': 'no-store',
+    ...headers
+  };
+
+  if (transformHtml && extension === '.html') {
+    const html = Buffer.from(transformHtml(await fs.promises.readFile(file, 'utf8')));
+    res.writeHead(200, { ...fileHeaders, 'Content-Length': html.length });
+    res.end(req.method === 'HEAD' ? undefined : html);
+    return;
+  }
+
+  res.writeHead(200, { ...fileHeaders, 'Content-Length': stat.size });
+  if (req.method === 'HEAD') {
+    res.end();
+    return;
+  }
+  fs.createReadStream(file).pipe(res);
+}
+
+// =============================================================================
+// Gateway
+// =============================================================================
+
+/**
+ * Create a request listener that routes to the handlers in templatePath and
+ * serves frontendDir for everything else.
+ * Requires the handlers, so any environment they read at load time must be
+ * set before this is called.
+ * @param {Object} options
+ * @param {string} options.templatePath - SAM template to read routes from
+ * @param {string} options.frontendDir - Static files root
+ * @param {(req: import('node:http').IncomingMessage) => object} [options.corsHeaders] - CORS headers for a request (none by default)
+ * @param {object} [options.headers] - Added to every response; the handlers' own headers win on API responses
+ * @param {(html: string) => string} [options.transformHtml] - Rewrites HTML pages before they are sent
+ * @param {number} [options.maxBodyBytes=Infinity] - Larger API requests get 413
+ * @param {(req: import('node:http').IncomingMessage) => string} [options.sourceIp] - Client address for the event
+ * @param {Function} [options.log] - Receives one line per API request
+ * @returns {(req: import('node:http').IncomingMessage, res: import('node:http').ServerResponse) => void}
+ */
+function createGateway(options) {
+  const {
+    templatePath,
+    frontendDir,
+    corsHeaders = () => ({}),
+    headers = {},
+    transformHtml,
+    maxBodyBytes = Infinity,
+    sourceIp = socketAddress,
+    log = (line) => console.log(line)
+  } = options;
+
+  const routes = readRoutes(fs.readFileSync(templatePath, 'utf8'));
+  const backendDir = path.dirname(templatePath);
+  const handlers = new Map(routes.map((route) => [
+    route,
+    require(path.join(backendDir, route.codeUri, 'index.js')).handler
+  ]));
+  const root = path.resolve(frontendDir);
+
+  async function handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const cors = { ...headers, ...corsHeaders(req) };
+
+    // Preflight for any path that has an API route
+    if (req.method === 'OPTIONS') {
+      const allowed = routes.some((route) => route.pattern.test(url.pathname));
+      res.writeHead(allowed ? 204 : 404, allowed ? {
+        ...cors,
+        'Access-Control-Allow-Methods': CORS_ALLOW_METHODS,
+        'Access-Control-Allow-Headers': CORS_ALLOW_HEADERS,
+        'Access-Control-Max-Age': CORS_MAX_AGE
+      } : headers);
+      res.end();
+      return;
+    }
+
+    const matched = matchRoute(routes, req.method, url.pathname);
+    if (!matched) {
+      if (req.method === 'GET' || req.method === 'HEAD') {
+        await serveStatic(root, req, res, url.pathname, { headers, transformHtml });
+      } else {
+        sendJson(res, 404, { message: 'Not Found' }, cors);
+      }
+      return;
+    }
+
+    let body;
+    try {
+      body = await readBody(req, maxBodyBytes);
+    } catch (error) {
+      if (!(error instanceof PayloadTooLargeError)) {
+        throw error;
+      }
+      // API Gateway's own answer; the connection is dropped after it
+      res.setHeader('Connection', 'close');
+      sendJson(res, 413, { message: 'Request Entity Too Large' }, cors);
+      log(`${matched.route.routeKey} 413`);
+      return;
+    }
+
+    const event = toEvent(req, url, body, matched, sourceIp(req));
+    let result;
+    try {
+      result = await handlers.get(matched.route)(event);
+    } catch (error) {
+      // What API Gateway returns when the function itself fails
+      console.error(error);
+      sendJson(res, 500, { message: 'Internal Server Error' }, cors);
+      return;
+    }
+
+    // Cross-origin callers may read the exposed headers of API responses
+    const allowed = corsHeaders(req);
+    const exposed = allowed['Access-Control-Allow-Origin'] ? { 'Access-Control-Expose-Headers': CORS_EXPOSE_HEADERS } : {};
+    const statusCode = result.statusCode || 200;
+    res.writeHead(statusCode, { ...headers, ...result.headers, ...allowed, ...exposed });
+    res.end(result.body === undefined ? '' : Buffer.from(result.body, result.isBase64Encoded ? 'base64' : 'utf8'));
+    log(`${matched.route.routeKey} ${statusCode}`);
+  }
+
+  return (req, res) => {
+    handle(req, res).catch((error) => {
+      console.error(error);
+      if (!res.headersSent) {
+        sendJson(res, 500, { message: 'Internal Server Error' }, headers);
+      } else {
+        res.destroy();
+      }
+    });
+  };
+}
+
+module.exports = {
+  createGateway,
+  readRoutes,
+  matchRoute,
+  toEvent,
+  serveStatic,
+  PayloadTooLargeError,
+  // For testing
+  _internal: {
+    compilePath,
+    readBody,
+    socketAddress
+  }
+};
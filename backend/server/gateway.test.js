@@ -0,0 +1,96 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const { Readable } = require('node:stream');
+const { readRoutes, matchRoute, toEvent, PayloadTooLargeError, _internal } = require('./gateway');
+const { compilePath, readBody } = _internal;
+
+const TEMPLATE = fs.readFileSync(path.join(__dirname, '..', 'template.yaml'), 'utf8');
+
+function request(chunks, headers = {}) {
+  const req = Readable.from(chunks.map((chunk) => Buffer.from(chunk)));
+  req.headers = headers;
+  return req;
+}
+
+describe('gateway', () => {
+  describe('routes', () => {
+    it('should read every function route from template.yaml', () => {
+      const routes = readRoutes(TEMPLATE).map(({ routeKey, codeUri }) => [routeKey, codeUri]);
+
+      assert.deepStrictEqual(routes, [
+        ['POST /token', 'functions/create-token/'],
+        ['POST /secrets', 'functions/create-secret/'],
+        ['GET /secrets/{id}', 'functions/get-secret/'],
+        ['DELETE /secrets/{id}', 'functions/burn-secret/'],
+        ['GET /secrets/{id}/status', 'functions/secret-status/'],
+        ['POST /requests', 'functions/create-request/'],
+        ['PUT /requests/{id}', 'functions/fill-request/']
+      ]);
+    });
+
+    it('should match path parameters by method', () => {
+      const routes = readRoutes(TEMPLATE);
+
+      const matched = matchRoute(routes, 'DELETE', '/secrets/Ab3dEf6hIj9kLmNoPqRs12');
+      assert.strictEqual(matched.route.routeKey, 'DELETE /secrets/{id}');
+      assert.deepStrictEqual(matched.pathParameters, { id: 'Ab3dEf6hIj9kLmNoPqRs12' });
+      assert.strictEqual(matchRoute(routes, 'GET', '/secrets/Ab3dEf6hIj9kLmNoPqRs12/status').route.routeKey, 'GET /secrets/{id}/status');
+      assert.strictEqual(matchRoute(routes, 'POST', '/token').pathParameters, undefined);
+      assert.strictEqual(matchRoute(routes, 'PUT', '/secrets/abc'), null);
+      assert.strictEqual(matchRoute(routes, 'GET', '/secrets/a/b'), null);
+    });
+
+    it('should escape literal path characters', () => {
+      assert.ok(compilePath('/v1.0/items').test('/v1.0/items'));
+      assert.ok(!compilePath('/v1.0/items').test('/v1x0/items'));
+    });
+  });
+
+  describe('events', () => {
+    const matched = matchRoute(readRoutes(TEMPLATE), 'GET', '/secrets/abc');
+    const req = {
+      method: 'GET',
+      httpVersion: '1.1',
+      headers: { 'user-agent': 'test', 'content-type': 'application/octet-stream' },
+      socket: { remoteAddress: '::ffff:192.0.2.7' }
+    };
+
+    it('should use the socket address unless told otherwise', () => {
+      const url = new URL('http://localhost/secrets/abc?a=1&a=2');
+
+      const event = toEvent(req, url, Buffer.alloc(0), matched);
+      assert.strictEqual(event.requestContext.http.sourceIp, '192.0.2.7');
+      assert.deepStrictEqual(event.queryStringParameters, { a: '1,2' });
+      assert.deepStrictEqual(event.pathParameters, { id: 'abc' });
+
+      assert.strictEqual(toEvent(req, url, Buffer.alloc(0), matched, '198.51.100.1').requestContext.http.sourceIp, '198.51.100.1');
+    });
+
+    it('should base64-encode binary bodies', () => {
+      const event = toEvent(req, new URL('http://localhost/secrets/abc'), Buffer.from([0xff, 0x00]), matched);
+
+      assert.strictEqual(event.body, '/wA=');
+      assert.strictEqual(event.isBase64Encoded, true);
+    });
+  });
+
+  describe('readBody', () => {
+    it('should read a body within the limit', async () => {
+      const body = await readBody(request(['abc', 'def']), 6);
+
+      assert.strictEqual(body.toString(), 'abcdef');
+    });
+
+    it('should reject a body over the limit as it streams', async () => {
+      await assert.rejects(readBody(request(['abc', 'defg']), 6), PayloadTooLargeError);
+    });
+
+    it('should reject an oversized Content-Length before reading', async () => {
+      await assert.rejects(readBody(request([], { 'content-length': '7' }), 6), PayloadTooLargeError);
+    });
+  });
+});
@@ -0,0 +1,228 @@
+'use strict';
+
+/**
+ * sealed.fyi standalone server
+ *
+ * Serves the frontend and the API from one process for self-hosting: the
+ * Lambda handlers run unchanged behind the gateway in gateway.js, secrets
+ * live in SQLite (or Redis) and file secrets in a directory. SQLite has no
+ * TTL, so a timer deletes expired secrets and their blobs.
+ *
+ * Usage: node index.js [--config sealed.json]   (see config.js)
+ */
+
+const fs = require('node:fs');
+const http = require('node:http');
+const https = require('node:https');
+const path = require('node:path');
+const { createGateway } = require('./gateway');
+const { loadConfig, applyConfig, ConfigError } = require('./config');
+
+const TEMPLATE_PATH = path.join(__dirname, '..', 'template.yaml');
+
+// Slow clients are cut off rather than holding sockets open
+const REQUEST_TIMEOUT_MS = 30 * 1000;
+const HEADERS_TIMEOUT_MS = 10 * 1000;
+
+// In-flight requests get this long to finish on shutdown
+const SHUTDOWN_GRACE_MS = 10 * 1000;
+
+// Injected into HTML pages: an empty API URL makes the frontend call this origin
+const API_URL_META = '<meta name="sealed-api-url" content="">';
+
+/**
+ * Headers for every response (see ARCHITECTURE.md, Security Headers).
+ * The API is on the same origin, so connect-src needs nothing beyond 'self';
+ * Argon2 is compiled WebAssembly, hence 'wasm-unsafe-eval'.
+ * @param {import('./config').ServerConfig} config
+ * @returns {object}
+ */
+function securityHeaders(config) {
+  const headers = {
+    'Content-Security-Policy': [
+      "default-src 'self'",
+      "script-src 'self' 'wasm-unsafe-eval'",
+      "style-src 'self'",
+      "connect-src 'self'",
+      "frame-ancestors 'none'",
+      "base-uri 'self'",
+      "form-action 'self'"
+    ].join('; '),
+    'Referrer-Policy': 'no-referrer',
+    'X-Content-Type-Options': 'nosniff',
+    'X-Frame-Options': 'DENY',
+    'Permissions-Policy': 'geolocation=(), microphone=(), camera=()'
+  };
+  // Browsers ignore HSTS over plain HTTP; behind a proxy, TLS ends there
+  if (config.tlsCert || config.trustProxy) {
+    headers['Strict-Transport-Security'] = 'max-age=31536000; includeSubDomains';
+  }
+  return headers;
+}
+
+/**
+ * CORS for the configured origins. Pages served by this server are same
+ * origin and need none.
+ * @param {string[]} allowedOrigins
+ * @returns {(req: http.IncomingMessage) => object}
+ */
+function corsPolicy(allowedOrigins) {
+  return (req) => {
+    const origin = req.headers.origin;
+    if (!origin || !allowedOrigins.includes(origin)) {
+      return {};
+    }
+    return {
+      'Access-Control-Allow-Origin': origin,
+      'Vary': 'Origin'
+    };
+  };
+}
+
+/**
+ * Client address behind a reverse proxy: the last X-Forwarded-For entry,
+ * the one the proxy itself added. Earlier entries come from the client.
+ * @param {http.IncomingMessage} req
+ * @returns {string}
+ */
+function forwardedFor(req) {
+  const header = req.headers['x-forwarded-for'];
+  const entries = typeof header === 'string' ? header.split(',').map((entry) => entry.trim()).filter(Boolean) : [];
+  return entries.length > 0
+    ? entries[entries.length - 1]
+    : (req.socket.remoteAddress || '').replace(/^::ffff:/, '');
+}
+
+function injectApiUrl(html) {
+  return html.replace(/<head>/i, (head) => `${head}\n  ${API_URL_META}`);
+}
+
+/**
+ * Create the server (not yet listening). applyConfig must have run first.
+ * @param {import('./config').ServerConfig} config
+ * @param {Object} [options]
+ * @param {string} [options.templatePath] - SAM template to read routes from
+ * @param {Function} [options.log] - Receives one line per request
+ * @returns {http.Server|https.Server}
+ */
+function createServer(config, options = {}) {
+  const { templatePath = TEMPLATE_PATH, log = (line) => console.log(line) } = options;
+
+  const listener = createGateway({
+    templatePath,
+    frontendDir: config.frontendDir,
+    corsHeaders: corsPolicy(config.allowedOrigins),
+    headers: securityHeaders(config),
+    transformHtml: injectApiUrl,
+    maxBodyBytes: config.maxBodyBytes,
+    sourceIp: config.trustProxy ? forwardedFor : undefined,
+    log
+  });
+
+  const server = config.tlsCert
+    ? https.createServer({ cert: fs.readFileSync(config.tlsCert), key: fs.readFileSync(config.tlsKey) }, listener)
+    : http.createServer(listener);
+  server.requestTimeout = REQUEST_TIMEOUT_MS;
+  server.headersTimeout = HEADERS_TIMEOUT_MS;
+  return server;
+}
+
+/**
+ * Delete expired secrets and their blobs, then any blob old enough that its
+ * secret must be gone (left behind by a crash between the two deletes).
+ * @returns {Promise<{secrets: number, blobs: number}>}
+ */
+async function sweep() {
+  // Loaded here, not at the top, so applyConfig runs before their settings are read
+  const { storage, blobs } = require('../functions/shared');
+
+  const { secrets, blobKeys } = await storage.sweepExpired();
+  await Promise.all(blobKeys.map((key) => blobs.deleteBlob(key)));
+  const orphans = await blobs.sweepBlobs();
+  return { secrets, blobs: blobKeys.length + orphans };
+}
+
+/**
+ * Run sweep now and then every intervalSeconds. The timer does not keep the
+ * process alive.
+ * @param {number} intervalSeconds
+ * @param {Function} [log]
+ * @returns {NodeJS.Timeout}
+ */
+function startSweeper(intervalSeconds, log = (line) => console.log(line)) {
+  const run = () => sweep()
+    .then((swept) => {
+      if (swept.secrets > 0 || swept.blobs > 0) {
+        log(`swept ${swept.secrets} expired secrets, ${swept.blobs} blobs`);
+      }
+    })
+    .catch((error) => console.error('Sweep failed:', error));
+
+  run();
+  const timer = setInterval(run, intervalSeconds * 1000);
+  timer.unref();
+  return timer;
+}
+
+function main() {
+  let config;
+  try {
+    config = loadConfig();
+  } catch (error) {
+    if (error instanceof ConfigError) {
+      console.error(`Invalid configuration: ${error.message}`);
+      process.exit(1);
+    }
+    throw error;
+  }
+  applyConfig(config);
+  if (config.store === 'sqlite') {
+    fs.mkdirSync(path.dirname(config.sqlitePath), { recursive: true, mode: 0o700 });
+  }
+
+  const server = createServer(config);
+  const sweeper = startSweeper(config.sweepIntervalSeconds);
+
+  let stopping = false;
+  const shutdown = (signal) => {
+    if (stopping) {
+      return;
+    }
+    stopping = true;
+    console.log(`${signal} received, shutting down`);
+    clearInterval(sweeper);
+    server.close(async () => {
+      const store = require('../functions/shared').storage.getStore();
+      if (store.close) {
+        await store.close();
+      }
+      process.exit(0);
+    });
+    server.closeIdleConnections();
+    setTimeout(() => process.exit(1), SHUTDOWN_GRACE_MS).unref();
+  };
+  process.on('SIGTERM', shutdown);
+  process.on('SIGINT', shutdown);
+
+  server.listen(config.port, config.host, () => {
+    const scheme = config.tlsCert ? 'https' : 'http';
+    console.log(`sealed.fyi on ${scheme}://${config.host}:${server.address().port} (${config.store})`);
+  });
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  createServer,
+  sweep,
+  startSweeper,
+  // For testing
+  _internal: {
+    securityHeaders,
+    corsPolicy,
+    forwardedFor,
+    injectApiUrl
+  }
+};
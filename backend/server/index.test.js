@@ -0,0 +1,151 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { loadConfig, applyConfig } = require('./config');
+
+// Configure before anything loads the handlers; PoW is kept cheap
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sealed-server-'));
+const config = loadConfig({
+  argv: [],
+  env: {
+    JWT_SECRET: 'test-secret-that-is-at-least-32-chars',
+    SQLITE_PATH: path.join(dir, 'sealed.db'),
+    BLOB_DIR: path.join(dir, 'blobs'),
+    ALLOWED_ORIGINS: 'https://app.example',
+    MAX_BODY_BYTES: '8192',
+    POW_ALG: 'sha256',
+    POW_DIFFICULTY_MIN: '1',
+    POW_DIFFICULTY_MAX: '1'
+  }
+});
+applyConfig(config);
+
+const { createServer, sweep, _internal } = require('./index.js');
+const { forwardedFor, securityHeaders } = _internal;
+const { pow, storage, blobs } = require('../functions/shared');
+
+describe('standalone server', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    server = createServer(config, { log: () => {} });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    await storage.getStore().close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  async function createSecret() {
+    const { token, nonce, powChallenge } = await (await fetch(`${baseUrl}/token`, { method: 'POST' })).json();
+
+    const response = await fetch(`${baseUrl}/secrets`, {
+      method: 'POST',
+      headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        ciphertext: Buffer.from('encrypted payload').toString('base64'),
+        iv: Buffer.alloc(12, 1).toString('base64'),
+        salt: null,
+        nonce,
+        pow: pow._internal.solvePow(nonce, powChallenge),
+        ttl: 900,
+        maxViews: 1,
+        passphraseProtected: false
+      })
+    });
+    assert.strictEqual(response.status, 201);
+    return response.json();
+  }
+
+  it('should create and consume a secret in SQLite', async () => {
+    const { id } = await createSecret();
+
+    const first = await fetch(`${baseUrl}/secrets/${id}`);
+    assert.strictEqual(first.status, 200);
+    assert.strictEqual(first.headers.get('cache-control'), 'no-store');
+    assert.match(first.headers.get('content-security-policy'), /frame-ancestors 'none'/);
+    const { accessToken } = await first.json();
+
+    // Consumed: kept for the reader's re-fetch only
+    assert.strictEqual((await storage.getSecret(id)).remainingViews, 0);
+    const second = await fetch(`${baseUrl}/secrets/${id}`);
+    assert.strictEqual(second.status, 404);
+    await second.json();
+    const reload = await fetch(`${baseUrl}/secrets/${id}?accessToken=${accessToken}`);
+    assert.strictEqual(reload.status, 200);
+    await reload.json();
+  });
+
+  it('should serve pages with security headers and the same-origin API marker', async () => {
+    const page = await fetch(`${baseUrl}/s/Ab3dEf6hIj9kLmNoPqRs12`);
+
+    assert.strictEqual(page.status, 200);
+    assert.strictEqual(page.headers.get('x-frame-options'), 'DENY');
+    assert.strictEqual(page.headers.get('referrer-policy'), 'no-referrer');
+    assert.strictEqual(page.headers.get('cache-control'), 'no-store');
+    assert.match(await page.text(), /<head>\s*<meta name="sealed-api-url" content="">/);
+  });
+
+  it('should refuse bodies over the configured limit', async () => {
+    const response = await fetch(`${baseUrl}/secrets`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ciphertext: 'A'.repeat(10000) })
+    });
+
+    assert.strictEqual(response.status, 413);
+    assert.strictEqual(response.headers.get('cache-control'), 'no-store');
+    assert.strictEqual(response.headers.get('x-content-type-options'), 'nosniff');
+    await response.json();
+  });
+
+  it('should allow only the configured origins', async () => {
+    const allowed = await fetch(`${baseUrl}/token`, { method: 'POST', headers: { 'Origin': 'https://app.example' } });
+    assert.strictEqual(allowed.headers.get('access-control-allow-origin'), 'https://app.example');
+    assert.strictEqual(allowed.headers.get('access-control-expose-headers'), 'retry-after');
+    await allowed.json();
+
+    const other = await fetch(`${baseUrl}/token`, { method: 'POST', headers: { 'Origin': 'http://localhost:3000' } });
+    assert.strictEqual(other.headers.get('access-control-allow-origin'), null);
+    assert.strictEqual(other.headers.get('access-control-expose-headers'), null);
+    await other.json();
+  });
+
+  it('should sweep expired secrets and their blobs', async () => {
+    const now = Math.floor(Date.now() / 1000);
+    const base = { iv: 'AQEBAQEBAQEBAQEB', passphraseProtected: false, remainingViews: 1, burnToken: 'b'.repeat(32), createdAt: now - 60 };
+    await blobs.putBlob('secrets/expired0000000000000', 'YmxvYg==');
+    await storage.putSecret({ ...base, id: 'expired0000000000000', ciphertext: null, blobKey: 'secrets/expired0000000000000', expiresAt: now - 1 });
+    await storage.putSecret({ ...base, id: 'live0000000000000000000', ciphertext: 'Y3Q=', expiresAt: now + 600 });
+
+    const swept = await sweep();
+
+    assert.deepStrictEqual(swept, { secrets: 1, blobs: 1 });
+    assert.strictEqual(fs.existsSync(path.join(dir, 'blobs', 'secrets', 'expired0000000000000')), false);
+    assert.notStrictEqual(await storage.getSecret('live0000000000000000000'), null);
+    assert.deepStrictEqual(await sweep(), { secrets: 0, blobs: 0 });
+  });
+
+  describe('helpers', () => {
+    it('should take the client address from the last forwarded entry', () => {
+      const socket = { remoteAddress: '::ffff:10.0.0.1' };
+
+      assert.strictEqual(forwardedFor({ headers: { 'x-forwarded-for': '1.1.1.1, 203.0.113.9' }, socket }), '203.0.113.9');
+      assert.strictEqual(forwardedFor({ headers: {}, socket }), '10.0.0.1');
+    });
+
+    it('should send HSTS only when the connection is HTTPS', () => {
+      assert.strictEqual('Strict-Transport-Security' in securityHeaders({}), false);
+      assert.ok(securityHeaders({ tlsCert: 'cert.pem' })['Strict-Transport-Security']);
+      assert.ok(securityHeaders({ trustProxy: true })['Strict-Transport-Security']);
+    });
+  });
+});
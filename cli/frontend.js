@@ -0,0 +1,63 @@
+'use strict';
+
+/**
+ * Loads the browser modules from frontend/js into Node.
+ *
+ * Those files are classic scripts that end with a guarded `module.exports`.
+ * The frontend package is "type": "module", so Node would treat them as ES
+ * modules and `require` would see no exports; instead each file is compiled
+ * here as a CommonJS-style function with its own `module` object.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const FRONTEND_JS_DIR = path.join(__dirname, '..', 'frontend', 'js');
+
+const loaded = new Map();
+
+/**
+ * Run a script from frontend/js and return what it exports.
+ * Each script runs once; later calls return the same exports object.
+ * @param {string} name - Path below frontend/js, e.g. "crypto.js"
+ * @returns {object}
+ */
+function loadFrontendScript(name) {
+  if (!loaded.has(name)) {
+    const filename = path.join(FRONTEND_JS_DIR, name);
+    const source = fs.readFileSync(filename, 'utf8');
+    const wrapper = vm.runInThisContext(`(function (module, exports) {${source}\n})`, { filename });
+    const module = { exports: {} };
+    wrapper(module, module.exports);
+    loaded.set(name, module.exports);
+  }
+  return loaded.get(name);
+}
+
+module.exports = {
+  loadFrontendScript,
+
+  /** crypto.js, with the bundled Argon2 build installed as in index.html */
+  get crypto() {
+    if (!globalThis.hashwasm) {
+      globalThis.hashwasm = loadFrontendScript('vendor/argon2.umd.min.js');
+    }
+    return loadFrontendScript('crypto.js');
+  },
+
+  /** pow.js */
+  get pow() {
+    return loadFrontendScript('pow.js');
+  },
+
+  /** api.js */
+  get api() {
+    return loadFrontendScript('api.js');
+  },
+
+  /** app.js (routing helpers only; the controller needs a DOM) */
+  get app() {
+    return loadFrontendScript('app.js');
+  }
+};
@@ -0,0 +1,515 @@
+'use strict';
+
+/**
+ * sealed - command-line client
+ *
+ * Creates, opens and burns secrets from shells and CI pipelines. Encryption,
+ * proof-of-work and API calls use the web app's own modules (see
+ * frontend.js), so a link made here opens in the browser and vice versa.
+ */
+
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { parseArgs } = require('node:util');
+const { Worker } = require('node:worker_threads');
+
+const frontend = require('./frontend');
+
+const DEFAULT_WEB_URL = 'https://sealed.fyi';
+const DEFAULT_TTL_SECONDS = 86400;  // same default as the web form
+const DEFAULT_VIEWS = 1;
+const DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86400 };
+const SECRET_ID_PATTERN = /^[A-Za-z0-9_-]{22}$/;
+
+const EXIT_OK = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+const USAGE = `Usage:
+  sealed create [options] < secret.txt
+  sealed open <url> [options]
+  sealed burn <url|id> <burn-token> [options]
+  sealed keygen [options] > recipient.jwk
+
+Options:
+  --ttl <duration>          Lifetime in seconds, or with a unit: 15m, 1h, 7d (default 1d)
+  --views <n>               Views before the secret is destroyed, 1-5 (default 1)
+  --passphrase-file <path>  Read a passphrase from a file (create and open)
+  --notify <url>            Webhook to POST to when the secret is first viewed (create)
+  --notify-secret-file <path>
+                            Sign notifications with the secret in this file instead of a new one
+  --recipient <jwk>         Bind the secret to a recipient's public key: a JWK, or a
+                            bare X25519 key (create)
+  --recipient-key <path>    Private JWK file from keygen or the web app's recipient key
+                            page, to open a recipient-bound link with (open)
+  --json                    Print JSON on stdout
+  --api <url>               API base URL (default $SEALED_API_URL or https://api.sealed.fyi)
+  --web <url>               Origin used in created links (default $SEALED_WEB_URL or https://sealed.fyi)
+  -h, --help                Show this help
+
+create reads the secret from stdin and prints the link. The burn token goes
+to stderr, or into the JSON output with --json, as does the notification
+signing secret when --notify generates one.
+
+keygen makes a recipient key pair. The private JWK goes to stdout and the
+public key to stderr, or both into the JSON output with --json.
+`;
+
+const OPTIONS = {
+  ttl: { type: 'string' },
+  views: { type: 'string' },
+  'passphrase-file': { type: 'string' },
+  notify: { type: 'string' },
+  'notify-secret-file': { type: 'string' },
+  recipient: { type: 'string' },
+  'recipient-key': { type: 'string' },
+  json: { type: 'boolean', default: false },
+  api: { type: 'string' },
+  web: { type: 'string' },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+/** Bad command line; reported with a pointer to --help and exit code 2 */
+class UsageError extends Error {}
+
+// =============================================================================
+// Argument helpers
+// =============================================================================
+
+/**
+ * Parse a TTL such as "3600", "15m", "1h" or "7d" into seconds.
+ * Range checks are left to the API.
+ * @param {string} value
+ * @returns {number}
+ * @throws {UsageError}
+ */
+function parseDuration(value) {
+  const match = /^(\d+)([smhd]?)$/.exec(value);
+  if (!match) {
+    throw new UsageError(`Invalid --ttl: ${value}`);
+  }
+  return Number(match[1]) * DURATION_UNITS[match[2] || 's'];
+}
+
+/**
+ * @param {string} value
+ * @returns {number}
+ * @throws {UsageError}
+ */
+function parseViews(value) {
+  if (!/^\d+$/.test(value)) {
+    throw new UsageError(`Invalid --views: ${value}`);
+  }
+  return Number(value);
+}
+
+/**
+ * Read a passphrase file, dropping one trailing newline.
+ * @param {string} [file]
+ * @returns {string|undefined}
+ * @throws {UsageError} If the file is empty
+ */
+function readPassphrase(file) {
+  if (file === undefined) {
+    return undefined;
+  }
+  const passphrase = fs.readFileSync(file, 'utf8').replace(/\r?\n$/, '');
+  if (!passphrase) {
+    throw new UsageError(`Passphrase file is empty: ${file}`);
+  }
+  return passphrase;
+}
+
+/**
+ * Check a --notify webhook URL. Whether the server will call it (https,
+ * public host) is the server's decision.
+ * @param {string} [value]
+ * @returns {string|undefined}
+ * @throws {UsageError}
+ */
+function parseNotifyUrl(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    throw new UsageError(`Invalid --notify URL: ${value}`);
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    throw new UsageError(`Invalid --notify URL: ${value}`);
+  }
+  return value;
+}
+
+/**
+ * Read a notification signing secret file, dropping one trailing newline.
+ * @param {string} file
+ * @returns {string}
+ * @throws {UsageError} If the file is empty
+ */
+function readNotifySecret(file) {
+  const secret = fs.readFileSync(file, 'utf8').replace(/\r?\n$/, '');
+  if (!secret) {
+    throw new UsageError(`Notify secret file is empty: ${file}`);
+  }
+  return secret;
+}
+
+/**
+ * Import a --recipient public key.
+ * @param {string} [value] - JWK text or a bare base64url X25519 key
+ * @returns {Promise<CryptoKey|undefined>}
+ * @throws {UsageError} If the value is not a recipient public key
+ */
+async function parseRecipient(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+  try {
+    return await frontend.crypto.importRecipientPublicKey(value);
+  } catch (error) {
+    throw new UsageError('Invalid --recipient: not a recipient public key');
+  }
+}
+
+/**
+ * Import a recipient private key file (a JWK, as saved by keygen or the web app).
+ * @param {string} [file]
+ * @returns {Promise<CryptoKey|undefined>}
+ * @throws {UsageError} If the file does not hold a private recipient key
+ */
+async function readRecipientKey(file) {
+  if (file === undefined) {
+    return undefined;
+  }
+  const jwk = fs.readFileSync(file, 'utf8');
+  try {
+    return await frontend.crypto.importRecipientPrivateKey(jwk);
+  } catch (error) {
+    throw new UsageError(`Not a private recipient key: ${file}`);
+  }
+}
+
+/**
+ * Parse a secret link into its ID and key fragment.
+ * @param {string} link
+ * @returns {{id: string, fragment: string}}
+ * @throws {UsageError}
+ */
+function parseLink(link) {
+  let url;
+  try {
+    url = new URL(link);
+  } catch (error) {
+    throw new UsageError(`Not a secret link: ${link}`);
+  }
+  const route = frontend.app.parseRoute(url);
+  if (route.view !== 'reveal') {
+    throw new UsageError(`Not a secret link: ${link}`);
+  }
+  return { id: route.id, fragment: route.fragment };
+}
+
+async function readStream(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+}
+
+function writeJson(io, value) {
+  io.stdout.write(`${JSON.stringify(value)}\n`);
+}
+
+// =============================================================================
+// Proof-of-work
+// =============================================================================
+
+/**
+ * Start a worker thread that looks like a Web Worker to solveChallengeParallel.
+ * @returns {{postMessage: Function, terminate: Function, onmessage: Function|null, onerror: Function|null}}
+ */
+function createPowWorker() {
+  const worker = new Worker(path.join(__dirname, 'pow-worker.js'));
+  const port = {
+    onmessage: null,
+    onerror: null,
+    postMessage: (message) => worker.postMessage(message),
+    terminate: () => {
+      worker.terminate();
+    }
+  };
+  worker.on('message', (data) => port.onmessage && port.onmessage({ data }));
+  worker.on('error', (error) => port.onerror && port.onerror(error));
+  return port;
+}
+
+/**
+ * Solve a PoW challenge on every core, showing progress on a terminal.
+ * @param {string} nonce
+ * @param {object} challenge
+ * @param {object} io
+ * @returns {Promise<string>}
+ */
+async function solvePow(nonce, challenge, io) {
+  const onProgress = io.stderr.isTTY
+    ? ({ fraction }) => io.stderr.write(`\rSolving proof-of-work... ${Math.floor(fraction * 100)}%`)
+    : undefined;
+
+  const solution = await frontend.pow.solveChallengeParallel(nonce, challenge, {
+    workers: os.availableParallelism(),
+    createWorker: createPowWorker,
+    onProgress
+  });
+  if (onProgress) {
+    io.stderr.write('\n');
+  }
+  return solution;
+}
+
+// =============================================================================
+// Commands
+// =============================================================================
+
+/**
+ * sealed create: encrypt stdin and store it.
+ */
+async function create(operands, options, io) {
+  if (operands.length > 0) {
+    throw new UsageError('create takes no arguments; pipe the secret on stdin');
+  }
+  const ttl = options.ttl === undefined ? DEFAULT_TTL_SECONDS : parseDuration(options.ttl);
+  const maxViews = options.views === undefined ? DEFAULT_VIEWS : parseViews(options.views);
+  const passphrase = readPassphrase(options['passphrase-file']);
+  const recipientKey = await parseRecipient(options.recipient);
+  if (passphrase !== undefined && recipientKey !== undefined) {
+    throw new UsageError('Use either --passphrase-file or --recipient, not both');
+  }
+  const notifyUrl = parseNotifyUrl(options.notify);
+  const notifySecretFile = options['notify-secret-file'];
+  if (notifySecretFile !== undefined && notifyUrl === undefined) {
+    throw new UsageError('--notify-secret-file needs --notify');
+  }
+  // A secret from a file is the caller's already; only a new one is printed
+  const newNotifySecret = notifyUrl !== undefined && notifySecretFile === undefined
+    ? frontend.crypto.generateNotifySecret()
+    : undefined;
+  const notifySecret = notifySecretFile === undefined ? newNotifySecret : readNotifySecret(notifySecretFile);
+
+  if (io.stdin.isTTY) {
+    io.stderr.write('Type the secret, then press Ctrl-D.\n');
+  }
+  // Sent exactly as read, trailing newline included
+  const plaintext = (await readStream(io.stdin)).toString('utf8');
+  if (!plaintext) {
+    throw new UsageError('Nothing to send: the secret is read from stdin');
+  }
+
+  const { created, encrypted } = await frontend.api.withCreateRestart(async () => {
+    const { token, nonce, powChallenge, notifyKey } = await frontend.api.getToken();
+    if (notifyUrl !== undefined && !notifyKey) {
+      throw new Error('This server does not send view notifications');
+    }
+    const [solution, encrypted, notify] = await Promise.all([
+      solvePow(nonce, powChallenge, io),
+      frontend.crypto.encryptSecret(plaintext, passphrase, { recipientKey }),
+      notifyUrl === undefined ? undefined : frontend.crypto.sealNotify({ url: notifyUrl, secret: notifySecret }, notifyKey)
+    ]);
+    const created = await frontend.api.createSecret({
+      ...encrypted.payload,
+      nonce,
+      pow: solution,
+      ttl,
+      maxViews,
+      passphraseProtected: Boolean(passphrase),
+      notify
+    }, token);
+    return { created, encrypted };
+  });
+
+  const url = frontend.app.buildSecretUrl(options.webUrl, created.id, encrypted.urlFragment);
+  if (options.json) {
+    writeJson(io, {
+      url,
+      id: created.id,
+      burnToken: created.burnToken,
+      expiresAt: created.expiresAt,
+      notifySecret: newNotifySecret
+    });
+  } else {
+    io.stdout.write(`${url}\n`);
+    io.stderr.write(`Burn token: ${created.burnToken}\n`);
+    if (newNotifySecret) {
+      io.stderr.write(`Notify secret: ${newNotifySecret}\n`);
+    }
+  }
+}
+
+/**
+ * sealed open: fetch and decrypt a secret. Uses up a view.
+ */
+async function open(operands, options, io) {
+  if (operands.length !== 1) {
+    throw new UsageError('open takes exactly one link');
+  }
+  const { id, fragment } = parseLink(operands[0]);
+  const passphrase = readPassphrase(options['passphrase-file']);
+  const recipientKey = await readRecipientKey(options['recipient-key']);
+
+  // The fragment says whether a passphrase or key is needed; check before a view is spent
+  let mode;
+  try {
+    mode = frontend.crypto.parseFragment(fragment).mode;
+  } catch (error) {
+    throw new UsageError('The link is incomplete or damaged');
+  }
+  if (mode === frontend.crypto.FRAGMENT_MODE_PASSPHRASE && passphrase === undefined) {
+    throw new UsageError('This secret is passphrase-protected: use --passphrase-file');
+  }
+  if (mode === frontend.crypto.FRAGMENT_MODE_RECIPIENT && recipientKey === undefined) {
+    throw new UsageError('This secret is bound to a recipient key: use --recipient-key');
+  }
+  if (mode === frontend.crypto.FRAGMENT_MODE_RECIPIENT && !(await frontend.crypto.recipientKeyOpens(fragment, recipientKey))) {
+    throw new UsageError('The --recipient-key does not open this secret');
+  }
+
+  const payload = await frontend.api.getSecret(id);
+
+  if (payload.cipher === frontend.crypto.CIPHER_AES_256_GCM_CHUNKED) {
+    const file = await frontend.crypto.decryptFile(payload, fragment, passphrase, recipientKey);
+    const bytes = Buffer.from(await file.blob.arrayBuffer());
+    if (options.json) {
+      writeJson(io, { file: { name: file.name, type: file.type, size: file.size, content: bytes.toString('base64') } });
+    } else {
+      io.stdout.write(bytes);
+    }
+    return;
+  }
+
+  const secret = await frontend.crypto.decryptSecret(payload, fragment, passphrase, recipientKey);
+  if (options.json) {
+    writeJson(io, { secret });
+  } else {
+    io.stdout.write(secret);
+  }
+}
+
+/**
+ * sealed burn: destroy a secret with its burn token.
+ * The API answers the same whether or not anything was deleted.
+ */
+async function burn(operands, options, io) {
+  if (operands.length !== 2) {
+    throw new UsageError('burn takes a link or ID and the burn token');
+  }
+  const [target, burnToken] = operands;
+  const id = SECRET_ID_PATTERN.test(target) ? target : parseLink(target).id;
+
+  await frontend.api.burnSecret(id, burnToken);
+
+  if (options.json) {
+    writeJson(io, { id, burnRequested: true });
+  } else {
+    io.stderr.write('Burn requested. If the token was right, the secret is gone.\n');
+  }
+}
+
+/**
+ * sealed keygen: make a key pair for receiving recipient-bound secrets.
+ */
+async function keygen(operands, options, io) {
+  if (operands.length > 0) {
+    throw new UsageError('keygen takes no arguments');
+  }
+  const { publicKey, privateKey } = await frontend.crypto.generateRecipientKeyPair();
+  const [publicJwk, privateJwk] = await Promise.all([
+    frontend.crypto.exportRecipientKey(publicKey),
+    frontend.crypto.exportRecipientKey(privateKey)
+  ]);
+
+  if (options.json) {
+    writeJson(io, { publicKey: publicJwk, privateKey: privateJwk });
+  } else {
+    io.stdout.write(`${JSON.stringify(privateJwk)}\n`);
+    io.stderr.write(`Public key: ${JSON.stringify(publicJwk)}\n`);
+  }
+}
+
+const COMMANDS = { create, open, burn, keygen };
+
+// =============================================================================
+// Entry point
+// =============================================================================
+
+function describeError(error) {
+  if (error.code === 'not_available') {
+    return 'Secret not available: it has expired, been viewed already, or never existed';
+  }
+  if (error.code === 'rate_limited') {
+    return `Too many requests; try again in ${error.retryAfter || 60} seconds`;
+  }
+  if (error.code === 'network_error') {
+    return `${error.message} (is ${frontend.api.apiBaseUrl()} reachable?)`;
+  }
+  return error.message;
+}
+
+/**
+ * Run the CLI.
+ * @param {string[]} argv - Arguments after the program name
+ * @param {{stdin: NodeJS.ReadableStream, stdout: NodeJS.WritableStream, stderr: NodeJS.WritableStream, env: object}} [io]
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv, io = { stdin: process.stdin, stdout: process.stdout, stderr: process.stderr, env: process.env }) {
+  try {
+    let parsed;
+    try {
+      parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+      throw new UsageError(error.message);
+    }
+    const { values, positionals: [command, ...operands] } = parsed;
+
+    if (values.help) {
+      io.stdout.write(USAGE);
+      return EXIT_OK;
+    }
+    if (!COMMANDS[command]) {
+      throw new UsageError(command ? `Unknown command: ${command}` : 'Missing command');
+    }
+
+    frontend.api.setApiBaseUrl(values.api || io.env.SEALED_API_URL || frontend.api.API_PRODUCTION_URL);
+    const webUrl = (values.web || io.env.SEALED_WEB_URL || DEFAULT_WEB_URL).replace(/\/+$/, '');
+
+    await COMMANDS[command](operands, { ...values, webUrl }, io);
+    return EXIT_OK;
+  } catch (error) {
+    if (error instanceof UsageError) {
+      io.stderr.write(`sealed: ${error.message}\nRun "sealed --help" for usage.\n`);
+      return EXIT_USAGE;
+    }
+    io.stderr.write(`sealed: ${describeError(error)}\n`);
+    return EXIT_FAILURE;
+  }
+}
+
+module.exports = {
+  main,
+  _internal: {
+    parseDuration,
+    parseViews,
+    parseLink,
+    readPassphrase,
+    readRecipientKey,
+    parseRecipient,
+    parseNotifyUrl,
+    UsageError,
+    EXIT_OK,
+    EXIT_FAILURE,
+    EXIT_USAGE
+  }
+};
@@ -0,0 +1,414 @@
+'use strict';
+
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { Readable } = require('node:stream');
+
+const frontend = require('./frontend');
+const { main, _internal } = require('./index.js');
+const { parseDuration, parseViews, parseLink, parseNotifyUrl, EXIT_OK, EXIT_FAILURE, EXIT_USAGE } = _internal;
+
+const ID = 'Ab3dEf6hIj9kLmNoPqRs12';
+const BURN_TOKEN = 'a1b2c3d4e5f6a7b8c9d0e1f2a3b4c5d6';
+
+function output() {
+  const chunks = [];
+  return {
+    isTTY: false,
+    write(chunk) {
+      chunks.push(Buffer.from(chunk));
+      return true;
+    },
+    text: () => Buffer.concat(chunks).toString('utf8')
+  };
+}
+
+// The server's notification key pair; the private half opens sealed webhooks
+const NOTIFY_KEYS = crypto.generateKeyPairSync('x25519');
+const NOTIFY_KEY = NOTIFY_KEYS.publicKey.export({ format: 'jwk' }).x;
+
+function openWebhook(sealed) {
+  const bytes = Buffer.from(sealed, 'base64url');
+  const ephemeral = bytes.subarray(0, 32);
+  const shared = crypto.diffieHellman({
+    privateKey: NOTIFY_KEYS.privateKey,
+    publicKey: crypto.createPublicKey({ key: { kty: 'OKP', crv: 'X25519', x: ephemeral.toString('base64url') }, format: 'jwk' })
+  });
+  const key = Buffer.from(crypto.hkdfSync('sha256', shared, ephemeral, `${frontend.crypto.NOTIFY_LABEL}|x25519`, 32));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, bytes.subarray(32, 44));
+  decipher.setAuthTag(bytes.subarray(bytes.length - 16));
+  return JSON.parse(Buffer.concat([decipher.update(bytes.subarray(44, bytes.length - 16)), decipher.final()]).toString('utf8'));
+}
+
+function fakeIo(stdin = '') {
+  return {
+    stdin: Readable.from([Buffer.from(stdin)]),
+    stdout: output(),
+    stderr: output(),
+    env: {}
+  };
+}
+
+describe('sealed CLI', () => {
+  let tmp;
+  let stored;
+
+  before(() => {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'sealed-cli-'));
+    fs.writeFileSync(path.join(tmp, 'passphrase'), 'correct horse\n');
+    fs.writeFileSync(path.join(tmp, 'empty'), '\n');
+  });
+
+  after(() => {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    stored = null;
+    mock.method(frontend.api, 'getToken', async () => ({
+      token: 'jwt',
+      nonce: 'a1b2c3d4e5f67890a1b2c3d4e5f67890',
+      powChallenge: { alg: 'sha256', difficulty: 8, prefix: 'sealed:' },
+      expiresAt: 0
+    }));
+    mock.method(frontend.api, 'createSecret', async (request) => {
+      stored = request;
+      return { id: ID, burnToken: BURN_TOKEN, expiresAt: 1706745600 };
+    });
+    mock.method(frontend.api, 'getSecret', async () => ({ ...stored, accessToken: 'x' }));
+    mock.method(frontend.api, 'burnSecret', async () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('argument helpers', () => {
+    it('should parse durations with and without units', () => {
+      assert.strictEqual(parseDuration('900'), 900);
+      assert.strictEqual(parseDuration('15m'), 900);
+      assert.strictEqual(parseDuration('1h'), 3600);
+      assert.strictEqual(parseDuration('7d'), 604800);
+      assert.throws(() => parseDuration('1w'), /Invalid --ttl/);
+      assert.throws(() => parseDuration('-5'), /Invalid --ttl/);
+    });
+
+    it('should parse view counts', () => {
+      assert.strictEqual(parseViews('3'), 3);
+      assert.throws(() => parseViews('two'), /Invalid --views/);
+    });
+
+    it('should parse current and legacy links', () => {
+      assert.deepStrictEqual(parseLink(`https://sealed.fyi/s/${ID}#v2.k.abc`), { id: ID, fragment: 'v2.k.abc' });
+      assert.deepStrictEqual(parseLink(`https://sealed.fyi/#${ID}:v2.k.abc`), { id: ID, fragment: 'v2.k.abc' });
+      assert.throws(() => parseLink('https://sealed.fyi/'), /Not a secret link/);
+      assert.throws(() => parseLink('not a url'), /Not a secret link/);
+    });
+
+    it('should accept http(s) webhook URLs only', () => {
+      assert.strictEqual(parseNotifyUrl(undefined), undefined);
+      assert.strictEqual(parseNotifyUrl('https://hooks.example.com/x'), 'https://hooks.example.com/x');
+      assert.throws(() => parseNotifyUrl('ftp://hooks.example.com/'), /Invalid --notify URL/);
+    });
+  });
+
+  describe('create', () => {
+    it('should solve the challenge, encrypt stdin and print the link', async () => {
+      const io = fakeIo('-----BEGIN KEY-----\nabc\n-----END KEY-----\n');
+
+      const code = await main(['create', '--ttl', '1h', '--views', '2'], io);
+
+      assert.strictEqual(code, EXIT_OK);
+      const [request, token] = frontend.api.createSecret.mock.calls[0].arguments;
+      assert.strictEqual(token, 'jwt');
+      assert.strictEqual(request.ttl, 3600);
+      assert.strictEqual(request.maxViews, 2);
+      assert.strictEqual(request.passphraseProtected, false);
+      assert.strictEqual(request.version, 2);
+      assert.ok(!JSON.stringify(request).includes('BEGIN KEY'));
+      assert.ok(frontend.pow.verifyChallenge(request.nonce, request.pow, { alg: 'sha256', difficulty: 8, prefix: 'sealed:' }));
+      assert.match(io.stdout.text(), new RegExp(`^https://sealed\\.fyi/s/${ID}#v2\\.k\\.[A-Za-z0-9_-]+\\n$`));
+      assert.strictEqual(io.stderr.text(), `Burn token: ${BURN_TOKEN}\n`);
+    });
+
+    it('should print JSON with --json', async () => {
+      const io = fakeIo('secret');
+
+      await main(['create', '--json', '--web', 'http://localhost:8080/'], io);
+
+      const result = JSON.parse(io.stdout.text());
+      assert.strictEqual(result.id, ID);
+      assert.strictEqual(result.burnToken, BURN_TOKEN);
+      assert.strictEqual(result.expiresAt, 1706745600);
+      assert.ok(result.url.startsWith(`http://localhost:8080/s/${ID}#`));
+      assert.strictEqual(io.stderr.text(), '');
+    });
+
+    it('should start again with a new token when a lost attempt used the first', async () => {
+      const lost = Object.assign(new frontend.api.TokenUsedError('used', 401, 'token_used'), { retried: true });
+      frontend.api.createSecret.mock.mockImplementationOnce(async () => { throw lost; });
+      const io = fakeIo('secret');
+
+      assert.strictEqual(await main(['create'], io), EXIT_OK);
+      assert.strictEqual(frontend.api.getToken.mock.callCount(), 2);
+      assert.strictEqual(frontend.api.createSecret.mock.callCount(), 2);
+      assert.match(io.stdout.text(), new RegExp(`/s/${ID}#`));
+    });
+
+    it('should seal a --notify webhook with a new signing secret', async () => {
+      frontend.api.getToken.mock.mockImplementation(async () => ({
+        token: 'jwt',
+        nonce: 'a1b2c3d4e5f67890a1b2c3d4e5f67890',
+        powChallenge: { alg: 'sha256', difficulty: 8, prefix: 'sealed:' },
+        expiresAt: 0,
+        notifyKey: NOTIFY_KEY
+      }));
+      const io = fakeIo('secret');
+
+      assert.strictEqual(await main(['create', '--notify', 'https://hooks.example.com/sealed'], io), EXIT_OK);
+
+      const [request] = frontend.api.createSecret.mock.calls[0].arguments;
+      const [, printed] = /Notify secret: ([A-Za-z0-9_-]{43})\n$/.exec(io.stderr.text());
+      assert.deepStrictEqual(openWebhook(request.notify), { url: 'https://hooks.example.com/sealed', secret: printed });
+    });
+
+    it('should sign with --notify-secret-file and not print that secret', async () => {
+      frontend.api.getToken.mock.mockImplementation(async () => ({
+        token: 'jwt',
+        nonce: 'a1b2c3d4e5f67890a1b2c3d4e5f67890',
+        powChallenge: { alg: 'sha256', difficulty: 8, prefix: 'sealed:' },
+        expiresAt: 0,
+        notifyKey: NOTIFY_KEY
+      }));
+      fs.writeFileSync(path.join(tmp, 'notify-secret'), 'team-webhook-secret\n');
+      const io = fakeIo('secret');
+
+      await main(['create', '--json', '--notify', 'https://hooks.example.com/', '--notify-secret-file', path.join(tmp, 'notify-secret')], io);
+
+      const result = JSON.parse(io.stdout.text());
+      assert.strictEqual(result.notifySecret, undefined);
+      assert.strictEqual(openWebhook(frontend.api.createSecret.mock.calls[0].arguments[0].notify).secret, 'team-webhook-secret');
+    });
+
+    it('should refuse --notify when the server sends no notifications', async () => {
+      const io = fakeIo('secret');
+
+      assert.strictEqual(await main(['create', '--notify', 'https://hooks.example.com/'], io), EXIT_FAILURE);
+      assert.match(io.stderr.text(), /does not send view notifications/);
+      assert.strictEqual(frontend.api.createSecret.mock.callCount(), 0);
+    });
+
+    it('should reject bad --notify options before requesting a token', async () => {
+      assert.strictEqual(await main(['create', '--notify', 'hooks.example.com'], fakeIo('secret')), EXIT_USAGE);
+      assert.strictEqual(await main(['create', '--notify-secret-file', path.join(tmp, 'passphrase')], fakeIo('secret')), EXIT_USAGE);
+      assert.strictEqual(frontend.api.getToken.mock.callCount(), 0);
+    });
+
+    it('should bind the secret to a --recipient public key', async () => {
+      const { publicKey } = await frontend.crypto.generateRecipientKeyPair();
+      const publicJwk = await frontend.crypto.exportRecipientKey(publicKey);
+      const io = fakeIo('secret');
+
+      assert.strictEqual(await main(['create', '--recipient', JSON.stringify(publicJwk)], io), EXIT_OK);
+      assert.match(io.stdout.text(), new RegExp(`/s/${ID}#v2\\.r\\.[A-Za-z0-9_-]+\\n$`));
+      assert.strictEqual(stored.passphraseProtected, false);
+    });
+
+    it('should reject a bad --recipient, or one with a passphrase, before requesting a token', async () => {
+      const { publicKey } = await frontend.crypto.generateRecipientKeyPair();
+      const { x } = await frontend.crypto.exportRecipientKey(publicKey);
+      const io = fakeIo('secret');
+
+      assert.strictEqual(await main(['create', '--recipient', '{"kty":"EC"'], io), EXIT_USAGE);
+      assert.match(io.stderr.text(), /Invalid --recipient/);
+      assert.strictEqual(await main(['create', '--recipient', x, '--passphrase-file', path.join(tmp, 'passphrase')], fakeIo('secret')), EXIT_USAGE);
+      assert.strictEqual(frontend.api.getToken.mock.callCount(), 0);
+    });
+
+    it('should reject an empty secret before requesting a token', async () => {
+      const io = fakeIo('');
+
+      assert.strictEqual(await main(['create'], io), EXIT_USAGE);
+      assert.strictEqual(frontend.api.getToken.mock.callCount(), 0);
+    });
+
+    it('should report API errors', async () => {
+      frontend.api.createSecret.mock.mockImplementation(async () => {
+        throw new frontend.api.InvalidRequestError('ttl must be at least 900', 400, 'invalid_request');
+      });
+      const io = fakeIo('secret');
+
+      assert.strictEqual(await main(['create', '--ttl', '60'], io), EXIT_FAILURE);
+      assert.strictEqual(io.stderr.text(), 'sealed: ttl must be at least 900\n');
+    });
+  });
+
+  describe('open', () => {
+    async function createLink(secret, args = []) {
+      const io = fakeIo(secret);
+      await main(['create', ...args], io);
+      return io.stdout.text().trim();
+    }
+
+    it('should decrypt a secret made by create, byte for byte', async () => {
+      const secret = 'line one\n  indented\ttab ✓\n';
+      const url = await createLink(secret);
+      const io = fakeIo();
+
+      assert.strictEqual(await main(['open', url], io), EXIT_OK);
+      assert.strictEqual(io.stdout.text(), secret);
+      assert.deepStrictEqual(frontend.api.getSecret.mock.calls[0].arguments, [ID]);
+    });
+
+    it('should decrypt with --passphrase-file and print JSON', async () => {
+      const passphraseFile = path.join(tmp, 'passphrase');
+      const url = await createLink('protected', ['--passphrase-file', passphraseFile]);
+      assert.strictEqual(stored.passphraseProtected, true);
+      const io = fakeIo();
+
+      await main(['open', url, '--passphrase-file', passphraseFile, '--json'], io);
+
+      assert.deepStrictEqual(JSON.parse(io.stdout.text()), { secret: 'protected' });
+    });
+
+    it('should ask for a passphrase before spending a view', async () => {
+      const url = await createLink('protected', ['--passphrase-file', path.join(tmp, 'passphrase')]);
+      const io = fakeIo();
+
+      assert.strictEqual(await main(['open', url], io), EXIT_USAGE);
+      assert.match(io.stderr.text(), /passphrase-protected/);
+      assert.strictEqual(frontend.api.getSecret.mock.callCount(), 0);
+    });
+
+    it('should decrypt a recipient-bound secret with --recipient-key', async () => {
+      const { publicKey, privateKey } = await frontend.crypto.generateRecipientKeyPair();
+      const keyFile = path.join(tmp, 'recipient.jwk');
+      fs.writeFileSync(keyFile, JSON.stringify(await frontend.crypto.exportRecipientKey(privateKey)));
+      const encrypted = await frontend.crypto.encryptSecret('for you only', undefined, { recipientKey: publicKey });
+      stored = encrypted.payload;
+      const io = fakeIo();
+
+      assert.strictEqual(await main(['open', `https://sealed.fyi/s/${ID}#${encrypted.urlFragment}`, '--recipient-key', keyFile], io), EXIT_OK);
+      assert.strictEqual(io.stdout.text(), 'for you only');
+    });
+
+    it('should open a secret made with create --recipient using a keygen key', async () => {
+      const keygen = fakeIo();
+      assert.strictEqual(await main(['keygen'], keygen), EXIT_OK);
+      const keyFile = path.join(tmp, 'keygen.jwk');
+      fs.writeFileSync(keyFile, keygen.stdout.text());
+      const [, publicJwk] = /^Public key: (.+)\n$/.exec(keygen.stderr.text());
+      const url = await createLink('made for the key holder', ['--recipient', publicJwk]);
+      const io = fakeIo();
+
+      assert.strictEqual(await main(['open', url, '--recipient-key', keyFile], io), EXIT_OK);
+      assert.strictEqual(io.stdout.text(), 'made for the key holder');
+    });
+
+    it('should refuse a recipient key that does not fit before spending a view', async () => {
+      const url = await createLink('secret', ['--recipient', JSON.stringify(
+        await frontend.crypto.exportRecipientKey((await frontend.crypto.generateRecipientKeyPair()).publicKey))]);
+      const keygen = fakeIo();
+      await main(['keygen', '--json'], keygen);
+      const keyFile = path.join(tmp, 'other.jwk');
+      fs.writeFileSync(keyFile, JSON.stringify(JSON.parse(keygen.stdout.text()).privateKey));
+      const io = fakeIo();
+
+      assert.strictEqual(await main(['open', url, '--recipient-key', keyFile], io), EXIT_USAGE);
+      assert.match(io.stderr.text(), /does not open this secret/);
+      assert.strictEqual(frontend.api.getSecret.mock.callCount(), 0);
+    });
+
+    it('should ask for a recipient key before spending a view', async () => {
+      const io = fakeIo();
+
+      assert.strictEqual(await main(['open', `https://sealed.fyi/s/${ID}#v2.r.abc`], io), EXIT_USAGE);
+      assert.match(io.stderr.text(), /bound to a recipient key: use --recipient-key/);
+      assert.strictEqual(frontend.api.getSecret.mock.callCount(), 0);
+    });
+
+    it('should reject a recipient key file that is not a private key', async () => {
+      const { publicKey } = await frontend.crypto.generateRecipientKeyPair();
+      const keyFile = path.join(tmp, 'public.jwk');
+      fs.writeFileSync(keyFile, JSON.stringify(await frontend.crypto.exportRecipientKey(publicKey)));
+      const io = fakeIo();
+
+      assert.strictEqual(await main(['open', `https://sealed.fyi/s/${ID}#v2.r.abc`, '--recipient-key', keyFile], io), EXIT_USAGE);
+      assert.match(io.stderr.text(), /Not a private recipient key/);
+      assert.strictEqual(frontend.api.getSecret.mock.callCount(), 0);
+    });
+
+    it('should reject an empty passphrase file', async () => {
+      const io = fakeIo();
+
+      assert.strictEqual(await main(['open', `https://sealed.fyi/s/${ID}#v2.p.abc`, '--passphrase-file', path.join(tmp, 'empty')], io), EXIT_USAGE);
+      assert.match(io.stderr.text(), /Passphrase file is empty/);
+    });
+
+    it('should explain when the secret is not available', async () => {
+      frontend.api.getSecret.mock.mockImplementation(async () => {
+        throw new frontend.api.NotAvailableError('API request failed: 404 not_available', 404, 'not_available');
+      });
+      const io = fakeIo();
+
+      assert.strictEqual(await main(['open', `https://sealed.fyi/s/${ID}#v2.k.abc`], io), EXIT_FAILURE);
+      assert.match(io.stderr.text(), /^sealed: Secret not available/);
+    });
+  });
+
+  describe('burn', () => {
+    it('should burn by ID or by link', async () => {
+      await main(['burn', ID, BURN_TOKEN], fakeIo());
+      await main(['burn', `https://sealed.fyi/s/${ID}#v2.k.abc`, BURN_TOKEN], fakeIo());
+
+      for (const call of frontend.api.burnSecret.mock.calls) {
+        assert.deepStrictEqual(call.arguments, [ID, BURN_TOKEN]);
+      }
+    });
+
+    it('should print JSON with --json', async () => {
+      const io = fakeIo();
+
+      await main(['burn', ID, BURN_TOKEN, '--json'], io);
+
+      assert.deepStrictEqual(JSON.parse(io.stdout.text()), { id: ID, burnRequested: true });
+    });
+
+    it('should require the burn token', async () => {
+      assert.strictEqual(await main(['burn', ID], fakeIo()), EXIT_USAGE);
+      assert.strictEqual(frontend.api.burnSecret.mock.callCount(), 0);
+    });
+  });
+
+  describe('main', () => {
+    it('should print help', async () => {
+      const io = fakeIo();
+
+      assert.strictEqual(await main(['--help'], io), EXIT_OK);
+      assert.match(io.stdout.text(), /^Usage:/);
+    });
+
+    it('should reject unknown commands and options', async () => {
+      for (const argv of [[], ['fetch'], ['create', '--views']]) {
+        const io = fakeIo();
+        assert.strictEqual(await main(argv, io), EXIT_USAGE);
+        assert.match(io.stderr.text(), /sealed --help/);
+      }
+    });
+
+    it('should take the API URL from --api or the environment', async () => {
+      const io = fakeIo();
+      io.env.SEALED_API_URL = 'http://localhost:3000/';
+
+      await main(['burn', ID, BURN_TOKEN], io);
+      assert.strictEqual(frontend.api.apiBaseUrl(), 'http://localhost:3000');
+
+      await main(['burn', ID, BURN_TOKEN, '--api', 'https://api.example.test'], io);
+      assert.strictEqual(frontend.api.apiBaseUrl(), 'https://api.example.test');
+    });
+  });
+});
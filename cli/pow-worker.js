@@ -0,0 +1,13 @@
+'use strict';
+
+/**
+ * Worker thread for the CLI's PoW pool: the Node counterpart of
+ * frontend/js/pow-worker.js, running the same search loop.
+ */
+
+const { parentPort } = require('node:worker_threads');
+const { pow } = require('./frontend');
+
+parentPort.on('message', (task) => {
+  pow.runPowWorker(task, (message) => parentPort.postMessage(message));
+});
@@ -0,0 +1,542 @@
+/**
+ * sealed.fyi - API Client
+ *
+ * Client for the REST API (see docs/API.md). Only ciphertext and public
+ * envelope fields are ever sent; keys stay in the URL fragment.
+ *
+ * Error bodies are mapped to typed errors (ApiError subclasses) so callers
+ * can branch with instanceof rather than comparing status codes.
+ */
+
+// =============================================================================
+// Configuration
+// =============================================================================
+
+const API_PRODUCTION_URL = 'https://api.sealed.fyi';
+const API_LOCAL_URL = 'http://localhost:3000';
+
+// Delays before each retry of a request that failed in transit
+const API_RETRY_DELAYS_MS = [250, 1000];
+
+// Gateway statuses that mean the request never reached a handler
+const API_RETRY_STATUSES = [502, 503, 504];
+
+// Times a create flow is run in all, counting restarts with a new token
+const API_CREATE_ATTEMPTS = 3;
+
+// Matches IDEMPOTENCY_WINDOW_SECONDS in backend/functions/shared/storage.js
+const API_IDEMPOTENCY_WINDOW_MS = 30 * 1000;
+
+const API_ACCESS_TOKEN_PREFIX = 'sealed.accessToken.';
+
+let apiBaseUrlOverride = null;
+
+/**
+ * Point the client at a specific API, e.g. from the CLI's --api option.
+ * @param {string|null} url - Base URL, or null to go back to the default
+ */
+function setApiBaseUrl(url) {
+  apiBaseUrlOverride = url ? url.replace(/\/+$/, '') : null;
+}
+
+/**
+ * Base URL for API requests.
+ * A self-hosted server names its API in a sealed-api-url meta tag (empty
+ * content means the page's own origin). Otherwise a page served from
+ * localhost talks to the local API (SAM or the dev server).
+ * @returns {string}
+ */
+function apiBaseUrl() {
+  if (apiBaseUrlOverride) {
+    return apiBaseUrlOverride;
+  }
+  const meta = typeof document !== 'undefined' ? document.querySelector('meta[name="sealed-api-url"]') : null;
+  if (meta) {
+    return (meta.getAttribute('content') || '').replace(/\/+$/, '');
+  }
+  const host = typeof location !== 'undefined' ? location.hostname : '';
+  return host === 'localhost' || host === '127.0.0.1' ? API_LOCAL_URL : API_PRODUCTION_URL;
+}
+
+// =============================================================================
+// Types
+// =============================================================================
+
+/**
+ * @typedef {Object} PowChallenge
+ * @property {string} [alg] - "sha256" (default) or "scrypt"
+ * @property {number} difficulty - Required leading zero bits
+ * @property {string} prefix - Hash input prefix
+ */
+
+/**
+ * @typedef {Object} TokenResponse
+ * @property {string} token - Create token (JWT)
+ * @property {string} nonce - Nonce to echo in the create request
+ * @property {PowChallenge} powChallenge
+ * @property {number} expiresAt - Unix seconds
+ * @property {string} [notifyKey] - X25519 key for sealing a view webhook; absent when the server has none
+ */
+
+/**
+ * @typedef {Object} CreateSecretRequest
+ * @property {string} ciphertext
+ * @property {string} iv
+ * @property {string|null} salt
+ * @property {string} [commitment]
+ * @property {number} [version]
+ * @property {string} [cipher]
+ * @property {object|null} [kdf]
+ * @property {string} nonce - From the TokenResponse
+ * @property {string} pow - Proof-of-work solution
+ * @property {number} ttl - Seconds
+ * @property {number} maxViews
+ * @property {boolean} passphraseProtected
+ * @property {string} [notify] - Webhook sealed with sealNotify() to the TokenResponse notifyKey
+ */
+
+/**
+ * @typedef {Object} CreateSecretResponse
+ * @property {string} id
+ * @property {string} burnToken
+ * @property {number} expiresAt - Unix seconds
+ */
+
+/**
+ * @typedef {Object} SecretPayload
+ * @property {string} ciphertext
+ * @property {string} iv
+ * @property {string|null} salt
+ * @property {boolean} passphraseProtected
+ * @property {string} accessToken - Re-fetch token for the idempotency window
+ * @property {string} [commitment]
+ * @property {number} [version]
+ * @property {string} [cipher]
+ * @property {object|null} [kdf]
+ * @property {string} [keyFragment] - Recipient-wrapped key (secrets that fill a request)
+ */
+
+/**
+ * @typedef {Object} SecretStatus
+ * @property {'pending'|'viewed'|'gone'} status - "gone" covers viewed out, burned and expired
+ * @property {number} [views] - Views used so far (live secrets that recorded maxViews)
+ * @property {number} [maxViews]
+ */
+
+/**
+ * @typedef {Object} CreateRequestRequest
+ * @property {string} nonce - From the TokenResponse
+ * @property {string} pow - Proof-of-work solution
+ * @property {number} ttl - Seconds the request (and the secret that fills it) lasts
+ */
+
+/**
+ * @typedef {Object} CreateRequestResponse
+ * @property {string} id - Request ID, for the request link
+ * @property {string} secretId - ID the secret will be stored under; keep it private
+ * @property {number} expiresAt - Unix seconds
+ */
+
+/**
+ * @typedef {Object} FillRequestRequest
+ * @property {string} ciphertext
+ * @property {string} iv
+ * @property {null} salt
+ * @property {string} commitment
+ * @property {number} version
+ * @property {string} cipher
+ * @property {null} kdf
+ * @property {string} keyFragment - Content key wrapped to the requester's public key
+ */
+
+// =============================================================================
+// Errors
+// =============================================================================
+
+/**
+ * Base class for errors reported by the API.
+ * `code` is the `error` field of the response body. `retried` is true when
+ * the response answered a retry, so an earlier attempt may have reached
+ * the handler.
+ */
+class ApiError extends Error {
+  constructor(message, status, code) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.retried = false;
+  }
+}
+
+/** 400 invalid_request: the request failed validation */
+class InvalidRequestError extends ApiError {}
+
+/** 401 invalid_token: the create token is invalid or expired */
+class InvalidTokenError extends ApiError {}
+
+/** 401 token_used: the create token was already consumed */
+class TokenUsedError extends ApiError {}
+
+/** 403 invalid_pow: the proof-of-work solution was rejected */
+class InvalidPowError extends ApiError {}
+
+/** 404 not_available: the secret is gone, expired or never existed */
+class NotAvailableError extends ApiError {}
+
+/** 429 rate_limited: too many requests; retryAfter is in seconds (null if not given) */
+class RateLimitedError extends ApiError {
+  constructor(message, status, code, retryAfter = null) {
+    super(message, status, code);
+    this.retryAfter = retryAfter;
+  }
+}
+
+/** 5xx or an unrecognised response */
+class ServerError extends ApiError {}
+
+/** The API could not be reached, even after retrying */
+class NetworkError extends ApiError {}
+
+const API_ERROR_TYPES = {
+  invalid_request: InvalidRequestError,
+  invalid_token: InvalidTokenError,
+  token_used: TokenUsedError,
+  invalid_pow: InvalidPowError,
+  not_available: NotAvailableError,
+  rate_limited: RateLimitedError
+};
+
+/**
+ * Typed error for a non-success API response.
+ * @param {{status: number, body: object|null, retryAfter?: number|null, retried?: boolean}} response
+ * @returns {ApiError}
+ */
+function apiError(response) {
+  const code = (response.body && response.body.error) || 'unknown_error';
+  const Type = API_ERROR_TYPES[code] || ServerError;
+  const detail = response.body && response.body.message;
+  const error = new Type(detail || `API request failed: ${response.status} ${code}`, response.status, code, response.retryAfter);
+  error.retried = Boolean(response.retried);
+  return error;
+}
+
+// =============================================================================
+// Requests
+// =============================================================================
+
+function apiDelay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function parseJson(text) {
+  try {
+    return text ? JSON.parse(text) : null;
+  } catch (error) {
+    // Gateways can answer with HTML; treat it as a body without an error code
+    return null;
+  }
+}
+
+/**
+ * Send a request and parse the JSON response.
+ * Retries when the request fails in transit (fetch rejects, or a gateway
+ * answers 502/503/504), unless options.retry is false. A repeated create
+ * that already succeeded is refused with token_used (see withCreateRestart),
+ * and a repeated fill is recognised by its commitment. A first view is
+ * never repeated: an attempt that failed in transit may still have spent
+ * a view.
+ *
+ * @param {string} method - HTTP method
+ * @param {string} path - Path below the base URL
+ * @param {{body?: object, headers?: object, retry?: boolean}} [options]
+ * @returns {Promise<{status: number, body: object|null, retryAfter: number|null, retried: boolean}>}
+ * @throws {NetworkError} If every attempt failed in transit
+ */
+async function apiRequest(method, path, options = {}) {
+  const headers = { ...options.headers };
+  if (options.body !== undefined) {
+    headers['Content-Type'] = 'application/json';
+  }
+  const init = {
+    method,
+    headers,
+    body: options.body === undefined ? undefined : JSON.stringify(options.body),
+    cache: 'no-store'
+  };
+
+  for (let attempt = 0; ; attempt++) {
+    let response = null;
+    let failure = null;
+    try {
+      response = await fetch(apiBaseUrl() + path, init);
+    } catch (error) {
+      failure = error;
+    }
+
+    const transient = failure !== null || API_RETRY_STATUSES.includes(response.status);
+    if (transient && options.retry !== false && attempt < API_RETRY_DELAYS_MS.length) {
+      await apiDelay(API_RETRY_DELAYS_MS[attempt]);
+      continue;
+    }
+    if (failure) {
+      throw new NetworkError(`Could not reach the API: ${failure.message}`, 0, 'network_error');
+    }
+
+    const retryAfter = Number.parseInt(response.headers.get('Retry-After'), 10);
+    return {
+      status: response.status,
+      body: parseJson(await response.text()),
+      retryAfter: Number.isNaN(retryAfter) ? null : retryAfter,
+      retried: attempt > 0
+    };
+  }
+}
+
+// =============================================================================
+// Access tokens (idempotent re-fetch)
+// =============================================================================
+
+function accessTokenStorage() {
+  try {
+    return typeof sessionStorage !== 'undefined' ? sessionStorage : null;
+  } catch (error) {
+    // Access to sessionStorage throws when storage is disabled
+    return null;
+  }
+}
+
+/**
+ * Access token from an earlier GET of this secret, if still inside the
+ * server's idempotency window. Expired entries are removed.
+ * @param {string} id - Secret ID
+ * @returns {string|null}
+ */
+function loadAccessToken(id) {
+  const storage = accessTokenStorage();
+  if (!storage) {
+    return null;
+  }
+  const key = API_ACCESS_TOKEN_PREFIX + id;
+  const entry = parseJson(storage.getItem(key));
+  if (entry && typeof entry.accessToken === 'string' && Date.now() - entry.storedAt < API_IDEMPOTENCY_WINDOW_MS) {
+    return entry.accessToken;
+  }
+  storage.removeItem(key);
+  return null;
+}
+
+/**
+ * Remember the access token from a GET so a reload can re-fetch the secret
+ * without using another view, even after the last view. The token only
+ * re-serves ciphertext; it is useless without the key in the URL fragment.
+ * @param {string} id - Secret ID
+ * @param {string} accessToken
+ */
+function saveAccessToken(id, accessToken) {
+  const storage = accessTokenStorage();
+  if (!storage) {
+    return;
+  }
+  // Only the time of the first fetch counts; re-fetches don't extend the window
+  const existing = parseJson(storage.getItem(API_ACCESS_TOKEN_PREFIX + id));
+  const storedAt = existing && existing.accessToken === accessToken ? existing.storedAt : Date.now();
+  try {
+    storage.setItem(API_ACCESS_TOKEN_PREFIX + id, JSON.stringify({ accessToken, storedAt }));
+  } catch (error) {
+    // Quota exceeded: the secret was still fetched, only reloads will cost a view
+  }
+}
+
+// =============================================================================
+// Endpoints
+// =============================================================================
+
+/**
+ * Request a create token (POST /token).
+ * @returns {Promise<TokenResponse>}
+ * @throws {ApiError}
+ */
+async function getToken() {
+  const response = await apiRequest('POST', '/token');
+  if (response.status !== 200) {
+    throw apiError(response);
+  }
+  return response.body;
+}
+
+/**
+ * Run a create flow, starting it again with a new token if its token turns
+ * out to be used after a retry. The attempt that failed in transit may have
+ * created the secret, but its response (and so the link) is lost, and the
+ * server refuses to hand it out a second time. `run` must fetch its own
+ * token with getToken() and solve it.
+ * @template T
+ * @param {() => Promise<T>} run - Fetches a token, solves it and sends the create
+ * @returns {Promise<T>}
+ * @throws {ApiError}
+ */
+async function withCreateRestart(run) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await run();
+    } catch (error) {
+      if (!(error instanceof TokenUsedError && error.retried) || attempt >= API_CREATE_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+}
+
+/**
+ * Store an encrypted secret (POST /secrets).
+ * @param {CreateSecretRequest} request
+ * @param {string} token - Create token from getToken()
+ * @returns {Promise<CreateSecretResponse>}
+ * @throws {ApiError} InvalidRequestError, InvalidTokenError, TokenUsedError, InvalidPowError, ...
+ */
+async function createSecret(request, token) {
+  const response = await apiRequest('POST', '/secrets', {
+    body: request,
+    headers: { Authorization: `Bearer ${token}` }
+  });
+  if (response.status !== 201) {
+    throw apiError(response);
+  }
+  return response.body;
+}
+
+/**
+ * Retrieve an encrypted secret (GET /secrets/{id}).
+ * Uses up a view, unless this browser session fetched the same secret within
+ * the idempotency window, in which case the stored access token re-fetches it.
+ * @param {string} id - Secret ID
+ * @returns {Promise<SecretPayload>}
+ * @throws {NotAvailableError} If the secret is gone, expired or never existed
+ */
+async function getSecret(id) {
+  const accessToken = loadAccessToken(id);
+  const query = accessToken ? `?accessToken=${encodeURIComponent(accessToken)}` : '';
+
+  // Only a re-fetch is free to repeat; without an access token a retry
+  // would spend another view
+  const response = await apiRequest('GET', `/secrets/${encodeURIComponent(id)}${query}`, {
+    retry: accessToken !== null
+  });
+  if (response.status !== 200) {
+    throw apiError(response);
+  }
+
+  saveAccessToken(id, response.body.accessToken);
+  return response.body;
+}
+
+/**
+ * Burn a secret (DELETE /secrets/{id}). Always succeeds from the caller's view.
+ * @param {string} id - Secret ID
+ * @param {string} burnToken - Burn token from createSecret()
+ * @returns {Promise<void>}
+ * @throws {ApiError} Only for transport or server failures
+ */
+async function burnSecret(id, burnToken) {
+  const response = await apiRequest('DELETE', `/secrets/${encodeURIComponent(id)}`, {
+    headers: { 'X-Burn-Token': burnToken }
+  });
+  if (response.status !== 204) {
+    throw apiError(response);
+  }
+}
+
+/**
+ * Check whether a secret has been viewed (GET /secrets/{id}/status).
+ * Never uses up a view. The API answers a secret that is gone exactly as it
+ * answers a wrong burn token, so a 404 is reported as "gone".
+ * @param {string} id - Secret ID
+ * @param {string} burnToken - Burn token from createSecret()
+ * @returns {Promise<SecretStatus>}
+ * @throws {ApiError} For rate limiting, transport or server failures
+ */
+async function getSecretStatus(id, burnToken) {
+  const response = await apiRequest('GET', `/secrets/${encodeURIComponent(id)}/status`, {
+    headers: { 'X-Burn-Token': burnToken }
+  });
+  if (response.status === 404) {
+    return { status: 'gone' };
+  }
+  if (response.status !== 200) {
+    throw apiError(response);
+  }
+  return response.body;
+}
+
+/**
+ * Create a secret request (POST /requests).
+ * @param {CreateRequestRequest} request
+ * @param {string} token - Create token from getToken()
+ * @returns {Promise<CreateRequestResponse>}
+ * @throws {ApiError} InvalidRequestError, InvalidTokenError, TokenUsedError, InvalidPowError, ...
+ */
+async function createRequest(request, token) {
+  const response = await apiRequest('POST', '/requests', {
+    body: request,
+    headers: { Authorization: `Bearer ${token}` }
+  });
+  if (response.status !== 201) {
+    throw apiError(response);
+  }
+  return response.body;
+}
+
+/**
+ * Fill a secret request (PUT /requests/{id}).
+ * @param {string} id - Request ID from the request link
+ * @param {FillRequestRequest} payload
+ * @returns {Promise<void>}
+ * @throws {NotAvailableError} If the request is gone, expired or already filled
+ */
+async function fillRequest(id, payload) {
+  const response = await apiRequest('PUT', `/requests/${encodeURIComponent(id)}`, { body: payload });
+  if (response.status !== 204) {
+    throw apiError(response);
+  }
+}
+
+// =============================================================================
+// Exports (for both browser and testing)
+// =============================================================================
+
+// Check if running in Node.js environment (for testing)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    getToken,
+    withCreateRestart,
+    createSecret,
+    getSecret,
+    burnSecret,
+    getSecretStatus,
+    createRequest,
+    fillRequest,
+    apiBaseUrl,
+    setApiBaseUrl,
+    apiError,
+
+    // Errors
+    ApiError,
+    InvalidRequestError,
+    InvalidTokenError,
+    TokenUsedError,
+    InvalidPowError,
+    NotAvailableError,
+    RateLimitedError,
+    ServerError,
+    NetworkError,
+
+    // Constants
+    API_PRODUCTION_URL,
+    API_LOCAL_URL,
+    API_RETRY_DELAYS_MS,
+    API_CREATE_ATTEMPTS,
+    API_IDEMPOTENCY_WINDOW_MS,
+    API_ACCESS_TOKEN_PREFIX
+  };
+}
@@ -0,0 +1,391 @@
+/**
+ * sealed.fyi - API Client Tests
+ *
+ * Run with: npx vitest run api.test.js
+ * Or in watch mode: npx vitest api.test.js
+ */
+
+import { describe, test, expect, vi, beforeEach, afterEach } from 'vitest';
+
+const {
+  getToken,
+  withCreateRestart,
+  createSecret,
+  getSecret,
+  burnSecret,
+  getSecretStatus,
+  createRequest,
+  fillRequest,
+  apiBaseUrl,
+  apiError,
+  ApiError,
+  InvalidRequestError,
+  InvalidTokenError,
+  TokenUsedError,
+  InvalidPowError,
+  NotAvailableError,
+  RateLimitedError,
+  ServerError,
+  NetworkError,
+  API_PRODUCTION_URL,
+  API_LOCAL_URL,
+  API_RETRY_DELAYS_MS,
+  API_CREATE_ATTEMPTS,
+  API_IDEMPOTENCY_WINDOW_MS,
+  API_ACCESS_TOKEN_PREFIX
+} = await import('./api.js');
+
+const ID = 'Ab3dEf6hIj9kLmNoPqRs12';
+const ACCESS_TOKEN = 'a1b2c3d4e5f6a7b8c9d0e1f2a3b4c5d6';
+
+function reply(status, body, headers = {}) {
+  return {
+    status,
+    headers: new Headers(headers),
+    text: async () => (body === undefined ? '' : typeof body === 'string' ? body : JSON.stringify(body))
+  };
+}
+
+function fakeSessionStorage() {
+  const items = new Map();
+  return {
+    items,
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key)
+  };
+}
+
+let fetchMock;
+let storage;
+
+beforeEach(() => {
+  fetchMock = vi.fn();
+  storage = fakeSessionStorage();
+  vi.stubGlobal('fetch', fetchMock);
+  vi.stubGlobal('sessionStorage', storage);
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  vi.useRealTimers();
+});
+
+// =============================================================================
+// Configuration
+// =============================================================================
+
+describe('apiBaseUrl', () => {
+  test('uses production by default', () => {
+    expect(apiBaseUrl()).toBe(API_PRODUCTION_URL);
+  });
+
+  test('uses the local API when served from localhost', () => {
+    vi.stubGlobal('location', { hostname: 'localhost' });
+    expect(apiBaseUrl()).toBe(API_LOCAL_URL);
+  });
+
+  test('uses the API named by the page, where empty means same origin', () => {
+    const meta = { getAttribute: () => '' };
+    vi.stubGlobal('document', { querySelector: (selector) => selector === 'meta[name="sealed-api-url"]' ? meta : null });
+    vi.stubGlobal('location', { hostname: 'localhost' });
+    expect(apiBaseUrl()).toBe('');
+
+    meta.getAttribute = () => 'https://secrets.example.com/api/';
+    expect(apiBaseUrl()).toBe('https://secrets.example.com/api');
+  });
+});
+
+// =============================================================================
+// Errors
+// =============================================================================
+
+describe('apiError', () => {
+  test('maps each error code to its type', () => {
+    const cases = [
+      [400, 'invalid_request', InvalidRequestError],
+      [401, 'invalid_token', InvalidTokenError],
+      [401, 'token_used', TokenUsedError],
+      [403, 'invalid_pow', InvalidPowError],
+      [404, 'not_available', NotAvailableError],
+      [429, 'rate_limited', RateLimitedError],
+      [500, 'internal_error', ServerError]
+    ];
+
+    for (const [status, code, Type] of cases) {
+      const error = apiError({ status, body: { error: code } });
+      expect(error).toBeInstanceOf(Type);
+      expect(error).toBeInstanceOf(ApiError);
+      expect(error.status).toBe(status);
+      expect(error.code).toBe(code);
+      expect(error.name).toBe(Type.name);
+    }
+  });
+
+  test('keeps the validation message', () => {
+    const error = apiError({ status: 400, body: { error: 'invalid_request', message: 'ttl must be one of: 900, 3600' } });
+    expect(error.message).toBe('ttl must be one of: 900, 3600');
+  });
+
+  test('treats bodies without an error code as server errors', () => {
+    const error = apiError({ status: 418, body: null });
+    expect(error).toBeInstanceOf(ServerError);
+    expect(error.code).toBe('unknown_error');
+  });
+});
+
+// =============================================================================
+// Endpoints
+// =============================================================================
+
+describe('endpoints', () => {
+  test('getToken posts to /token', async () => {
+    const body = { token: 't', nonce: 'n', powChallenge: { difficulty: 18, prefix: 'sealed:' }, expiresAt: 1 };
+    fetchMock.mockResolvedValue(reply(200, body));
+
+    expect(await getToken()).toEqual(body);
+    expect(fetchMock).toHaveBeenCalledWith(`${API_PRODUCTION_URL}/token`, expect.objectContaining({ method: 'POST' }));
+  });
+
+  test('createSecret sends the bearer token and JSON body', async () => {
+    fetchMock.mockResolvedValue(reply(201, { id: ID, burnToken: 'b', expiresAt: 1 }));
+
+    const result = await createSecret({ ciphertext: 'c' }, 'jwt');
+
+    expect(result.id).toBe(ID);
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toBe(`${API_PRODUCTION_URL}/secrets`);
+    expect(init.headers).toEqual({ Authorization: 'Bearer jwt', 'Content-Type': 'application/json' });
+    expect(JSON.parse(init.body)).toEqual({ ciphertext: 'c' });
+  });
+
+  test('createSecret throws typed errors', async () => {
+    fetchMock.mockResolvedValue(reply(403, { error: 'invalid_pow' }));
+    await expect(createSecret({}, 'jwt')).rejects.toBeInstanceOf(InvalidPowError);
+
+    fetchMock.mockResolvedValue(reply(401, { error: 'token_used' }));
+    await expect(createSecret({}, 'jwt')).rejects.toBeInstanceOf(TokenUsedError);
+  });
+
+  test('getSecret throws NotAvailableError on 404', async () => {
+    fetchMock.mockResolvedValue(reply(404, { error: 'not_available' }));
+
+    await expect(getSecret(ID)).rejects.toBeInstanceOf(NotAvailableError);
+  });
+
+  test('reports how long to wait when rate limited', async () => {
+    fetchMock.mockResolvedValue(reply(429, { error: 'rate_limited' }, { 'Retry-After': '12' }));
+
+    const error = await getSecret(ID).catch(e => e);
+
+    expect(error).toBeInstanceOf(RateLimitedError);
+    expect(error.retryAfter).toBe(12);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  test('burnSecret sends the burn token', async () => {
+    fetchMock.mockResolvedValue(reply(204));
+
+    await burnSecret(ID, 'burn');
+
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toBe(`${API_PRODUCTION_URL}/secrets/${ID}`);
+    expect(init.method).toBe('DELETE');
+    expect(init.headers).toEqual({ 'X-Burn-Token': 'burn' });
+  });
+
+  test('getSecretStatus sends the burn token and reports a 404 as gone', async () => {
+    fetchMock.mockResolvedValueOnce(reply(200, { status: 'viewed', views: 1, maxViews: 2 }));
+    fetchMock.mockResolvedValueOnce(reply(404, { error: 'not_available' }));
+
+    expect(await getSecretStatus(ID, 'burn')).toEqual({ status: 'viewed', views: 1, maxViews: 2 });
+    expect(await getSecretStatus(ID, 'burn')).toEqual({ status: 'gone' });
+
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toBe(`${API_PRODUCTION_URL}/secrets/${ID}/status`);
+    expect(init.method).toBe('GET');
+    expect(init.headers).toEqual({ 'X-Burn-Token': 'burn' });
+  });
+
+  test('createRequest sends the bearer token and JSON body', async () => {
+    fetchMock.mockResolvedValue(reply(201, { id: ID, secretId: 's', expiresAt: 1 }));
+
+    const result = await createRequest({ ttl: 3600 }, 'jwt');
+
+    expect(result.secretId).toBe('s');
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toBe(`${API_PRODUCTION_URL}/requests`);
+    expect(init.method).toBe('POST');
+    expect(init.headers).toEqual({ Authorization: 'Bearer jwt', 'Content-Type': 'application/json' });
+  });
+
+  test('fillRequest puts the payload and throws NotAvailableError once filled', async () => {
+    fetchMock.mockResolvedValue(reply(204));
+
+    await fillRequest(ID, { ciphertext: 'c', keyFragment: 'v2.r.AAAA' });
+
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toBe(`${API_PRODUCTION_URL}/requests/${ID}`);
+    expect(init.method).toBe('PUT');
+    expect(JSON.parse(init.body)).toEqual({ ciphertext: 'c', keyFragment: 'v2.r.AAAA' });
+
+    fetchMock.mockResolvedValue(reply(404, { error: 'not_available' }));
+    await expect(fillRequest(ID, {})).rejects.toBeInstanceOf(NotAvailableError);
+  });
+});
+
+// =============================================================================
+// Retries
+// =============================================================================
+
+describe('retries', () => {
+  test('retries network failures and gateway errors', async () => {
+    vi.useFakeTimers();
+    fetchMock
+      .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+      .mockResolvedValueOnce(reply(503, '<html>Service Unavailable</html>'))
+      .mockResolvedValueOnce(reply(200, { token: 't' }));
+
+    const result = getToken();
+    await vi.runAllTimersAsync();
+
+    expect(await result).toEqual({ token: 't' });
+    expect(fetchMock).toHaveBeenCalledTimes(3);
+  });
+
+  test('gives up with a NetworkError', async () => {
+    vi.useFakeTimers();
+    fetchMock.mockRejectedValue(new TypeError('Failed to fetch'));
+
+    const result = getToken();
+    const assertion = expect(result).rejects.toBeInstanceOf(NetworkError);
+    await vi.runAllTimersAsync();
+
+    await assertion;
+    await expect(result).rejects.toMatchObject({ code: 'network_error' });
+    expect(fetchMock).toHaveBeenCalledTimes(API_RETRY_DELAYS_MS.length + 1);
+  });
+
+  test('does not retry responses from the API itself', async () => {
+    fetchMock.mockResolvedValue(reply(500, { error: 'internal_error' }));
+
+    await expect(getToken()).rejects.toBeInstanceOf(ServerError);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  test('does not repeat a first view that failed in transit', async () => {
+    fetchMock.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+    await expect(getSecret(ID)).rejects.toBeInstanceOf(NetworkError);
+
+    fetchMock.mockResolvedValueOnce(reply(503, '<html>Service Unavailable</html>'));
+    await expect(getSecret(ID)).rejects.toBeInstanceOf(ServerError);
+
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+  });
+
+  test('marks a create refused after a retry', async () => {
+    vi.useFakeTimers();
+    fetchMock
+      .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+      .mockResolvedValueOnce(reply(401, { error: 'token_used' }));
+
+    const result = createSecret({}, 'jwt');
+    const assertion = expect(result).rejects.toMatchObject({ code: 'token_used', retried: true });
+    await vi.runAllTimersAsync();
+
+    await assertion;
+    fetchMock.mockResolvedValueOnce(reply(401, { error: 'token_used' }));
+    await expect(createSecret({}, 'jwt')).rejects.toMatchObject({ code: 'token_used', retried: false });
+  });
+
+  test('starts a create again with a new token when its token was used by a lost attempt', async () => {
+    const lost = Object.assign(new TokenUsedError('used', 401, 'token_used'), { retried: true });
+    const run = vi.fn()
+      .mockRejectedValueOnce(lost)
+      .mockResolvedValueOnce({ id: ID });
+
+    await expect(withCreateRestart(run)).resolves.toEqual({ id: ID });
+    expect(run).toHaveBeenCalledTimes(2);
+  });
+
+  test('does not start a create again for a plainly reused token', async () => {
+    const run = vi.fn().mockRejectedValue(new TokenUsedError('used', 401, 'token_used'));
+
+    await expect(withCreateRestart(run)).rejects.toBeInstanceOf(TokenUsedError);
+    expect(run).toHaveBeenCalledTimes(1);
+  });
+
+  test('stops starting a create again after API_CREATE_ATTEMPTS runs', async () => {
+    const lost = Object.assign(new TokenUsedError('used', 401, 'token_used'), { retried: true });
+    const run = vi.fn().mockRejectedValue(lost);
+
+    await expect(withCreateRestart(run)).rejects.toBe(lost);
+    expect(run).toHaveBeenCalledTimes(API_CREATE_ATTEMPTS);
+  });
+
+  test('retries a re-fetch with its access token', async () => {
+    vi.useFakeTimers();
+    storage.setItem(API_ACCESS_TOKEN_PREFIX + ID, JSON.stringify({ accessToken: ACCESS_TOKEN, storedAt: Date.now() }));
+    fetchMock
+      .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+      .mockResolvedValueOnce(reply(200, { ciphertext: 'c', iv: 'i', accessToken: ACCESS_TOKEN }));
+
+    const result = getSecret(ID);
+    await vi.runAllTimersAsync();
+
+    expect((await result).ciphertext).toBe('c');
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+  });
+});
+
+// =============================================================================
+// Idempotent re-fetch
+// =============================================================================
+
+describe('idempotent re-fetch', () => {
+  const payload = { ciphertext: 'c', iv: 'i', salt: null, passphraseProtected: false, accessToken: ACCESS_TOKEN };
+
+  test('stores the access token and sends it on the next fetch', async () => {
+    fetchMock.mockResolvedValue(reply(200, payload));
+
+    await getSecret(ID);
+    expect(fetchMock.mock.calls[0][0]).toBe(`${API_PRODUCTION_URL}/secrets/${ID}`);
+    expect(JSON.parse(storage.getItem(API_ACCESS_TOKEN_PREFIX + ID)).accessToken).toBe(ACCESS_TOKEN);
+
+    // A reload: same session, same secret
+    await getSecret(ID);
+    expect(fetchMock.mock.calls[1][0]).toBe(`${API_PRODUCTION_URL}/secrets/${ID}?accessToken=${ACCESS_TOKEN}`);
+  });
+
+  test('does not extend the window on re-fetch', async () => {
+    vi.useFakeTimers();
+    fetchMock.mockResolvedValue(reply(200, payload));
+
+    await getSecret(ID);
+    const { storedAt } = JSON.parse(storage.getItem(API_ACCESS_TOKEN_PREFIX + ID));
+    vi.advanceTimersByTime(10 * 1000);
+    await getSecret(ID);
+
+    expect(JSON.parse(storage.getItem(API_ACCESS_TOKEN_PREFIX + ID)).storedAt).toBe(storedAt);
+  });
+
+  test('drops tokens older than the idempotency window', async () => {
+    storage.setItem(API_ACCESS_TOKEN_PREFIX + ID, JSON.stringify({
+      accessToken: ACCESS_TOKEN,
+      storedAt: Date.now() - API_IDEMPOTENCY_WINDOW_MS - 1
+    }));
+    fetchMock.mockResolvedValue(reply(404, { error: 'not_available' }));
+
+    await expect(getSecret(ID)).rejects.toBeInstanceOf(NotAvailableError);
+
+    expect(fetchMock.mock.calls[0][0]).toBe(`${API_PRODUCTION_URL}/secrets/${ID}`);
+    expect(storage.getItem(API_ACCESS_TOKEN_PREFIX + ID)).toBeNull();
+  });
+
+  test('works without sessionStorage', async () => {
+    vi.stubGlobal('sessionStorage', undefined);
+    fetchMock.mockResolvedValue(reply(200, payload));
+
+    expect(await getSecret(ID)).toEqual(payload);
+  });
+});
@@ -0,0 +1,1029 @@
+/**
+ * sealed.fyi - Application Controller
+ *
+ * Drives the views in index.html as a small state machine. The URL decides
+ * where it starts:
+ * - /                    create a secret (or a recipient key pair)
+ * - /s/{id}#{fragment}   reveal a secret (also the older /#{id}:{fragment})
+ * - /r/{id}#{publicKey}  a secret request: the requester (whose browser holds
+ *                        the private key) waits for it, anyone else fills it
+ *
+ * Opening a reveal link sends no request. The secret is fetched, and a view
+ * used up, only when the recipient presses reveal-btn, so link-preview bots
+ * that load the page cannot consume it. Checking a request works the same way.
+ * A link bound to a recipient key asks for the private key first, and checks
+ * it against the link, so a missing or wrong key never uses up a view.
+ */
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+const APP_SECRET_ID_PATTERN = /^[A-Za-z0-9_-]{22}$/;
+// Request links carry a bare base64url X25519 public key
+const APP_REQUEST_KEY_PATTERN = /^[A-Za-z0-9_-]{43}$/;
+const APP_MAX_SECRET_LENGTH = 50000;
+// How often the link view re-checks whether its secret has been opened
+const APP_STATUS_POLL_MS = 30000;
+
+// States each view may move to (anything may be re-entered via routing)
+const APP_TRANSITIONS = Object.freeze({
+  create: ['creating', 'keys', 'error'],
+  creating: ['link', 'waiting', 'create', 'error'],
+  link: ['create'],
+  keys: ['create'],
+  waiting: ['secret', 'error'],
+  fill: ['filled', 'error'],
+  filled: ['create'],
+  reveal: ['passphrase', 'recipient', 'secret', 'error'],
+  passphrase: ['secret', 'error'],
+  recipient: ['secret', 'error'],
+  secret: ['create'],
+  error: ['create']
+});
+
+// Element that receives focus when a view is entered
+const APP_FOCUS_TARGETS = Object.freeze({
+  create: 'secret-input',
+  creating: 'creating-heading',
+  link: 'secret-url',
+  keys: 'public-key-output',
+  waiting: 'request-url',
+  fill: 'fill-input',
+  filled: 'filled-heading',
+  reveal: 'reveal-btn',
+  passphrase: 'reveal-passphrase-input',
+  recipient: 'recipient-private-key-input',
+  secret: 'secret-content',
+  error: 'error-title'
+});
+
+// Screen reader announcements on entering a view. The creating and error
+// sections are live regions themselves, so they announce their own content.
+const APP_ANNOUNCEMENTS = Object.freeze({
+  link: 'Secret link created.',
+  keys: 'Recipient key created.',
+  waiting: 'Request link ready.',
+  filled: 'Secret sent.',
+  passphrase: 'This secret is protected with a passphrase.',
+  recipient: 'This secret needs your private recipient key.',
+  secret: 'Secret revealed. It has been destroyed on the server.'
+});
+
+const APP_ERRORS = Object.freeze({
+  notAvailable: {
+    title: 'Secret Not Available',
+    message: 'This secret may have expired, already been viewed, or never existed.'
+  },
+  badLink: {
+    title: 'Invalid Link',
+    message: 'This link is incomplete. Check that you copied all of it.'
+  },
+  decryptFailed: {
+    title: 'Could Not Decrypt',
+    message: 'The link may be incomplete or corrupted. The secret cannot be shown.'
+  },
+  requestNotAvailable: {
+    title: 'Request Not Available',
+    message: 'This request may have expired, already been answered, or never existed.'
+  },
+  createFailed: {
+    title: 'Could Not Create Secret',
+    message: 'Something went wrong while creating your secret. Please try again.'
+  },
+  requestFailed: {
+    title: 'Could Not Create Request',
+    message: 'Something went wrong while creating your request. Please try again.'
+  },
+  keysFailed: {
+    title: 'Could Not Create Key',
+    message: 'This browser could not create a recipient key.'
+  },
+  fillFailed: {
+    title: 'Could Not Send Secret',
+    message: 'Something went wrong while sending your secret. Please try again.'
+  },
+  network: {
+    title: 'Connection Problem',
+    message: 'The server could not be reached. Please try again.'
+  },
+  rateLimited: {
+    title: 'Too Many Requests',
+    message: 'Please wait a minute and try again. Nothing has been lost.'
+  }
+});
+
+// =============================================================================
+// Routing
+// =============================================================================
+
+/**
+ * Work out the starting view from the page URL.
+ * A request link routes to the fill view; the controller switches to the
+ * waiting view if this browser made the request.
+ * @param {{pathname: string, hash: string}} location
+ * @returns {{view: string, id?: string, fragment?: string, error?: string}}
+ */
+function parseRoute(location) {
+  const hash = (location.hash || '').replace(/^#/, '');
+  const secretPath = /^\/s\/([^/]*)\/?$/.exec(location.pathname);
+  const requestPath = /^\/r\/([^/]*)\/?$/.exec(location.pathname);
+
+  if (requestPath) {
+    if (!APP_SECRET_ID_PATTERN.test(requestPath[1]) || !APP_REQUEST_KEY_PATTERN.test(hash)) {
+      return { view: 'error', error: 'badLink' };
+    }
+    return { view: 'fill', id: requestPath[1], fragment: hash };
+  }
+
+  if (secretPath) {
+    if (!APP_SECRET_ID_PATTERN.test(secretPath[1]) || !hash) {
+      return { view: 'error', error: 'badLink' };
+    }
+    return { view: 'reveal', id: secretPath[1], fragment: hash };
+  }
+
+  // Links in the original format carry the ID in the fragment as well
+  const legacy = /^([A-Za-z0-9_-]{22}):(.+)$/.exec(hash);
+  if (legacy) {
+    return { view: 'reveal', id: legacy[1], fragment: legacy[2] };
+  }
+
+  return { view: 'create' };
+}
+
+/**
+ * Build the link a recipient opens.
+ * @param {string} origin - Page origin, e.g. "https://sealed.fyi"
+ * @param {string} id - Secret ID
+ * @param {string} fragment - Key material from encryptSecret()
+ * @returns {string}
+ */
+function buildSecretUrl(origin, id, fragment) {
+  return `${origin}/s/${id}#${fragment}`;
+}
+
+/**
+ * Build the link a requester sends to whoever holds the secret.
+ * @param {string} origin - Page origin, e.g. "https://sealed.fyi"
+ * @param {string} id - Request ID
+ * @param {string} publicKey - Base64url X25519 public key (the JWK's x)
+ * @returns {string}
+ */
+function buildRequestUrl(origin, id, publicKey) {
+  return `${origin}/r/${id}#${publicKey}`;
+}
+
+/**
+ * Describe a secret's status for the link view.
+ * @param {{status: string, views?: number, maxViews?: number}} status - From api.getSecretStatus()
+ * @returns {string}
+ */
+function describeStatus(status) {
+  switch (status.status) {
+    case 'pending':
+      return 'Not opened yet.';
+    case 'viewed':
+      return status.maxViews === undefined
+        ? 'Opened.'
+        : `Opened ${status.views} of ${status.maxViews} time(s).`;
+    default:
+      return 'Gone. It has been viewed for the last time, burned, or has expired.';
+  }
+}
+
+/**
+ * Which error to show for a failed API call. A throttled read must not look
+ * like a missing secret, or the recipient would give up on a live link.
+ * @param {{code?: string}} error - Error from api.js
+ * @param {string} fallback - Key of APP_ERRORS for any other failure
+ * @returns {string} Key of APP_ERRORS
+ */
+function errorKind(error, fallback) {
+  switch (error.code) {
+    case 'network_error':
+      return 'network';
+    case 'rate_limited':
+      return 'rateLimited';
+    default:
+      return fallback;
+  }
+}
+
+// =============================================================================
+// Controller
+// =============================================================================
+
+/**
+ * Create the application controller.
+ * @param {object} deps
+ * @param {Document} deps.document
+ * @param {Window} deps.window - Provides location, history, navigator and timers
+ * @param {{getToken: Function, createSecret: Function, getSecret: Function, getSecretStatus: Function, createRequest: Function, fillRequest: Function, withCreateRestart: Function}} deps.api - See api.js; errors carry the API's `code`
+ * @param {{encryptSecret: Function, decryptSecret: Function, decryptFile: Function, parseFragment: Function, CIPHER_AES_256_GCM_CHUNKED: string, FRAGMENT_MODE_RECIPIENT: string, generateRecipientKeyPair: Function, exportRecipientKey: Function, importRecipientPublicKey: Function, importRecipientPrivateKey: Function, recipientKeyOpens: Function}} deps.cryptoApi
+ * @param {{solveChallengeParallel: Function, bindPowProgress: Function}} deps.powApi
+ * @param {{save: Function, load: Function, remove: Function}} deps.keystore - See keystore.js
+ * @returns {{start: Function, route: Function, transition: Function, readonly view: string|null}}
+ */
+function createApp(deps) {
+  const { document: doc, window: win, api, cryptoApi, powApi, keystore } = deps;
+  const $ = id => doc.getElementById(id);
+
+  const state = {
+    view: null,
+    route: null,
+    payload: null,
+    request: null,
+    recipientKey: undefined,
+    status: null,
+    abort: null
+  };
+
+  // ---------------------------------------------------------------------------
+  // Views
+  // ---------------------------------------------------------------------------
+
+  function announce(message) {
+    $('announcer').textContent = message;
+  }
+
+  function focusView(view) {
+    const target = $(APP_FOCUS_TARGETS[view]);
+    // Headings are not focusable by default
+    if (!target.hasAttribute('tabindex')) {
+      target.setAttribute('tabindex', '-1');
+    }
+    target.focus();
+  }
+
+  /**
+   * Show one view and hide the rest.
+   * @param {string} view
+   * @param {{focus?: boolean, announce?: string}} [options]
+   */
+  function show(view, options = {}) {
+    for (const name of Object.keys(APP_TRANSITIONS)) {
+      $(`view-${name}`).classList.toggle('hidden', name !== view);
+    }
+    state.view = view;
+
+    if (options.focus !== false) {
+      focusView(view);
+    }
+    const message = options.announce || APP_ANNOUNCEMENTS[view];
+    if (message) {
+      announce(message);
+    }
+  }
+
+  /**
+   * Move to another view, enforcing APP_TRANSITIONS.
+   * @param {string} next
+   * @param {{focus?: boolean, announce?: string}} [options]
+   * @throws {Error} If the move is not allowed from the current view
+   */
+  function transition(next, options) {
+    if (!APP_TRANSITIONS[state.view].includes(next)) {
+      throw new Error(`Invalid view transition: ${state.view} -> ${next}`);
+    }
+    show(next, options);
+  }
+
+  function showError(kind) {
+    const { title, message } = APP_ERRORS[kind];
+    $('error-title').textContent = title;
+    $('error-message').textContent = message;
+    transition('error');
+  }
+
+  /**
+   * Show the view for the current URL. Only a request link waits (on the
+   * key store); every other view is shown before this returns.
+   * @param {{focus?: boolean}} [options]
+   * @returns {Promise<void>}
+   */
+  async function route(options = {}) {
+    cancelCreate();
+    stopStatusChecks();
+    const current = parseRoute(win.location);
+    state.route = current;
+    state.payload = null;
+    state.request = null;
+    state.recipientKey = undefined;
+    clearKeys();
+
+    if (current.view === 'error') {
+      const { title, message } = APP_ERRORS[current.error];
+      $('error-title').textContent = title;
+      $('error-message').textContent = message;
+    }
+    if (current.view !== 'fill') {
+      show(current.view, options);
+      return;
+    }
+
+    let request = null;
+    try {
+      request = await keystore.load(current.id);
+    } catch (error) {
+      // Without IndexedDB this browser cannot have made the request
+    }
+    if (state.route !== current) {
+      return;
+    }
+    if (request) {
+      showWaiting(request, options);
+    } else {
+      show('fill', options);
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Create
+  // ---------------------------------------------------------------------------
+
+  function updateCharCount() {
+    const length = $('secret-input').value.length;
+    $('char-count').textContent =
+      `${length.toLocaleString('en-US')} / ${APP_MAX_SECRET_LENGTH.toLocaleString('en-US')} characters`;
+  }
+
+  /**
+   * Show or hide the field behind a create-form checkbox.
+   * @param {string} name - "passphrase" or "recipient"
+   * @param {boolean} enabled
+   */
+  function showOption(name, enabled) {
+    const container = $(`${name}-container`);
+    container.classList.toggle('hidden', !enabled);
+    container.setAttribute('aria-hidden', String(!enabled));
+  }
+
+  // A secret is protected by a passphrase or a recipient key, not both, so
+  // checking one unchecks the other
+  function togglePassphrase() {
+    const enabled = $('passphrase-toggle').checked;
+    showOption('passphrase', enabled);
+    if (enabled) {
+      $('recipient-toggle').checked = false;
+      showOption('recipient', false);
+      $('passphrase-input').focus();
+    }
+  }
+
+  function toggleRecipient() {
+    const enabled = $('recipient-toggle').checked;
+    showOption('recipient', enabled);
+    if (enabled) {
+      $('passphrase-toggle').checked = false;
+      showOption('passphrase', false);
+      $('recipient-key-input').focus();
+    }
+  }
+
+  function toggleVisibility(inputId, buttonId) {
+    const input = $(inputId);
+    const reveal = input.type === 'password';
+    input.type = reveal ? 'text' : 'password';
+    $(buttonId).setAttribute('aria-label', reveal ? 'Hide passphrase' : 'Show passphrase');
+  }
+
+  async function handleCreate(event) {
+    event.preventDefault();
+    if (state.view !== 'create') {
+      return;
+    }
+
+    const plaintext = $('secret-input').value;
+    const usePassphrase = $('passphrase-toggle').checked;
+    const passphrase = usePassphrase ? $('passphrase-input').value : '';
+    const useRecipient = $('recipient-toggle').checked;
+    if (!plaintext) {
+      $('secret-input').focus();
+      return;
+    }
+    if (usePassphrase && !passphrase) {
+      $('passphrase-input').focus();
+      return;
+    }
+
+    let recipientKey;
+    const keyError = $('recipient-key-error');
+    keyError.classList.add('hidden');
+    if (useRecipient) {
+      try {
+        recipientKey = await cryptoApi.importRecipientPublicKey($('recipient-key-input').value);
+      } catch (error) {
+        keyError.textContent = 'That is not a recipient public key. Paste the public key the recipient gave you.';
+        keyError.classList.remove('hidden');
+        $('recipient-key-input').focus();
+        return;
+      }
+      // Another submit may have got in while the key was imported
+      if (state.view !== 'create') {
+        return;
+      }
+    }
+
+    const ttl = Number($('ttl-select').value);
+    const maxViews = Number($('max-views-select').value);
+    const controller = new AbortController();
+    state.abort = controller;
+
+    // Gives the browser's Back button something to undo while we work
+    win.history.pushState({ creating: true }, '', win.location.href);
+    transition('creating');
+
+    try {
+      const result = await api.withCreateRestart(async () => {
+        const { token, nonce, powChallenge } = await api.getToken();
+        const [solution, encrypted] = await Promise.all([
+          powApi.solveChallengeParallel(nonce, powChallenge, {
+            signal: controller.signal,
+            onProgress: powApi.bindPowProgress($('pow-progress'))
+          }),
+          cryptoApi.encryptSecret(plaintext, passphrase || undefined, { recipientKey })
+        ]);
+        if (controller.signal.aborted) {
+          return null;
+        }
+
+        const created = await api.createSecret({
+          ...encrypted.payload,
+          nonce,
+          pow: solution,
+          ttl,
+          maxViews,
+          passphraseProtected: Boolean(passphrase)
+        }, token);
+        return { created, encrypted };
+      });
+      if (!result || controller.signal.aborted) {
+        return;
+      }
+      const { created, encrypted } = result;
+
+      $('secret-url').value = buildSecretUrl(win.location.origin, created.id, encrypted.urlFragment);
+      $('link-max-views').textContent = String(maxViews);
+      $('secret-input').value = '';
+      $('passphrase-input').value = '';
+      updateCharCount();
+      transition('link');
+      startStatusChecks(created.id, created.burnToken);
+    } catch (error) {
+      if (controller.signal.aborted) {
+        return;
+      }
+      showError(errorKind(error, 'createFailed'));
+    } finally {
+      if (state.abort === controller) {
+        state.abort = null;
+      }
+    }
+  }
+
+  /**
+   * Create a secret request: a new key pair whose private half stays in
+   * this browser, and a request link that carries the public half.
+   */
+  async function handleRequest() {
+    if (state.view !== 'create') {
+      return;
+    }
+
+    const ttl = Number($('ttl-select').value);
+    const controller = new AbortController();
+    state.abort = controller;
+
+    win.history.pushState({ creating: true }, '', win.location.href);
+    transition('creating');
+
+    try {
+      const result = await api.withCreateRestart(async () => {
+        const { token, nonce, powChallenge } = await api.getToken();
+        const [solution, keyPair] = await Promise.all([
+          powApi.solveChallengeParallel(nonce, powChallenge, {
+            signal: controller.signal,
+            onProgress: powApi.bindPowProgress($('pow-progress'))
+          }),
+          cryptoApi.generateRecipientKeyPair()
+        ]);
+        if (controller.signal.aborted) {
+          return null;
+        }
+
+        const created = await api.createRequest({ nonce, pow: solution, ttl }, token);
+        return { created, keyPair };
+      });
+      if (!result || controller.signal.aborted) {
+        return;
+      }
+      const { created, keyPair } = result;
+      const [publicJwk, privateJwk] = await Promise.all([
+        cryptoApi.exportRecipientKey(keyPair.publicKey),
+        cryptoApi.exportRecipientKey(keyPair.privateKey)
+      ]);
+      // Re-import so that what is stored can never be exported again
+      const request = {
+        requestId: created.id,
+        secretId: created.secretId,
+        privateKey: await cryptoApi.importRecipientPrivateKey(privateJwk),
+        expiresAt: created.expiresAt
+      };
+      await keystore.save(request);
+      if (controller.signal.aborted) {
+        return;
+      }
+
+      // Coming back to the request link in this browser reopens this view
+      state.route = { view: 'fill', id: created.id, fragment: publicJwk.x };
+      win.history.replaceState(null, '', buildRequestUrl(win.location.origin, created.id, publicJwk.x));
+      showWaiting(request, { transition: true });
+    } catch (error) {
+      if (controller.signal.aborted) {
+        return;
+      }
+      showError(errorKind(error, 'requestFailed'));
+    } finally {
+      if (state.abort === controller) {
+        state.abort = null;
+      }
+    }
+  }
+
+  /**
+   * Abandon a secret that is still being created and return to the form.
+   * @returns {boolean} True if there was anything to cancel
+   */
+  function cancelCreate() {
+    if (!state.abort) {
+      return false;
+    }
+    state.abort.abort();
+    state.abort = null;
+    if (state.view === 'creating') {
+      transition('create', { announce: 'Secret creation cancelled.' });
+    }
+    return true;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Recipient keys
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Create a recipient key pair and show both halves. Nothing is stored:
+   * the recipient saves the private key themselves, and opens recipient-bound
+   * links with it here or in the CLI.
+   */
+  async function handleKeys() {
+    if (state.view !== 'create') {
+      return;
+    }
+
+    let publicJwk;
+    let privateJwk;
+    try {
+      const keyPair = await cryptoApi.generateRecipientKeyPair();
+      [publicJwk, privateJwk] = await Promise.all([
+        cryptoApi.exportRecipientKey(keyPair.publicKey),
+        cryptoApi.exportRecipientKey(keyPair.privateKey)
+      ]);
+    } catch (error) {
+      showError('keysFailed');
+      return;
+    }
+    if (state.view !== 'create') {
+      return;
+    }
+
+    const privateText = JSON.stringify(privateJwk);
+    $('public-key-output').value = JSON.stringify(publicJwk);
+    $('private-key-output').value = privateText;
+    $('save-private-key-link').setAttribute('href', `data:application/json,${encodeURIComponent(privateText)}`);
+    // Back returns to the form
+    win.history.pushState({ keys: true }, '', win.location.href);
+    transition('keys');
+  }
+
+  // The private key should not outlive the view it was shown in
+  function clearKeys() {
+    $('public-key-output').value = '';
+    $('private-key-output').value = '';
+    $('save-private-key-link').removeAttribute('href');
+  }
+
+  // ---------------------------------------------------------------------------
+  // Reveal
+  // ---------------------------------------------------------------------------
+
+  function renderFile(file) {
+    const content = $('secret-content');
+    const link = doc.createElement('a');
+    link.href = win.URL.createObjectURL(file.blob);
+    link.download = file.name;
+    link.textContent = `Download ${file.name} (${file.size.toLocaleString('en-US')} bytes)`;
+    content.textContent = '';
+    content.appendChild(link);
+  }
+
+  /**
+   * Decrypt the fetched payload and show it.
+   * @param {string} [passphrase]
+   * @throws {Error} If decryption fails (wrong passphrase or damaged link)
+   */
+  async function openSecret(passphrase) {
+    const { payload, recipientKey } = state;
+    const { fragment } = state.route;
+
+    if (payload.cipher === cryptoApi.CIPHER_AES_256_GCM_CHUNKED) {
+      renderFile(await cryptoApi.decryptFile(payload, fragment, passphrase, recipientKey));
+    } else {
+      $('secret-content').textContent = await cryptoApi.decryptSecret(payload, fragment, passphrase, recipientKey);
+    }
+
+    state.payload = null;
+    state.recipientKey = undefined;
+    // The key has done its job; keep it out of the address bar and history
+    win.history.replaceState(null, '', win.location.pathname);
+    transition('secret');
+  }
+
+  async function handleReveal() {
+    const button = $('reveal-btn');
+    if (state.view !== 'reveal' || button.disabled) {
+      return;
+    }
+
+    // The fragment says whether a recipient key is needed; ask for it before a view is spent
+    let mode;
+    try {
+      mode = cryptoApi.parseFragment(state.route.fragment).mode;
+    } catch (error) {
+      showError('badLink');
+      return;
+    }
+    if (mode === cryptoApi.FRAGMENT_MODE_RECIPIENT) {
+      transition('recipient');
+      return;
+    }
+
+    button.disabled = true;
+    button.setAttribute('aria-busy', 'true');
+    try {
+      await fetchAndOpen();
+    } finally {
+      button.disabled = false;
+      button.removeAttribute('aria-busy');
+    }
+  }
+
+  /**
+   * Fetch the secret, using up a view, and open it unless it still needs a
+   * passphrase.
+   */
+  async function fetchAndOpen() {
+    try {
+      const payload = await api.getSecret(state.route.id);
+      state.payload = payload;
+      if (payload.passphraseProtected) {
+        transition('passphrase');
+        return;
+      }
+
+      try {
+        await openSecret();
+      } catch (error) {
+        showError('decryptFailed');
+      }
+    } catch (error) {
+      showError(errorKind(error, 'notAvailable'));
+    }
+  }
+
+  /**
+   * Take the recipient's private key and open the secret with it. The key is
+   * checked against the link first, so a wrong one costs no view.
+   */
+  async function handleRecipientKey(event) {
+    event.preventDefault();
+    const button = $('recipient-btn');
+    if (state.view !== 'recipient' || button.disabled) {
+      return;
+    }
+
+    const input = $('recipient-private-key-input');
+    const message = $('recipient-error');
+    message.classList.add('hidden');
+    button.disabled = true;
+    button.setAttribute('aria-busy', 'true');
+
+    try {
+      let recipientKey = null;
+      try {
+        recipientKey = await cryptoApi.importRecipientPrivateKey(input.value);
+      } catch (error) {
+        // Reported below, as for a key that does not fit
+      }
+      if (!recipientKey || !(await cryptoApi.recipientKeyOpens(state.route.fragment, recipientKey))) {
+        message.textContent = recipientKey
+          ? 'This key does not open this secret. Nothing was fetched; try another key.'
+          : 'That is not a private recipient key. Paste the whole key you saved.';
+        message.classList.remove('hidden');
+        input.focus();
+        return;
+      }
+
+      state.recipientKey = recipientKey;
+      input.value = '';
+      await fetchAndOpen();
+    } finally {
+      button.disabled = false;
+      button.removeAttribute('aria-busy');
+    }
+  }
+
+  async function handlePassphrase(event) {
+    event.preventDefault();
+    if (state.view !== 'passphrase') {
+      return;
+    }
+
+    const input = $('reveal-passphrase-input');
+    const message = $('passphrase-error');
+    message.classList.add('hidden');
+
+    try {
+      await openSecret(input.value);
+      input.value = '';
+    } catch (error) {
+      message.textContent = 'Incorrect passphrase. Please try again.';
+      message.classList.remove('hidden');
+      input.focus();
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Status
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Poll the status of the secret just created, for as long as its link is
+   * shown. Only the burn token (which never leaves this page) can read it.
+   * @param {string} id
+   * @param {string} burnToken
+   */
+  function startStatusChecks(id, burnToken) {
+    stopStatusChecks();
+    state.status = { id, burnToken, timer: null };
+    $('status-text').textContent = describeStatus({ status: 'pending' });
+    $('check-status-btn').disabled = false;
+    scheduleStatusCheck();
+  }
+
+  function stopStatusChecks() {
+    if (state.status && state.status.timer !== null) {
+      win.clearTimeout(state.status.timer);
+    }
+    state.status = null;
+  }
+
+  function scheduleStatusCheck() {
+    state.status.timer = win.setTimeout(checkStatus, APP_STATUS_POLL_MS);
+  }
+
+  async function checkStatus() {
+    const current = state.status;
+    if (!current) {
+      return;
+    }
+    win.clearTimeout(current.timer);
+    current.timer = null;
+
+    let text;
+    let gone = false;
+    try {
+      const status = await api.getSecretStatus(current.id, current.burnToken);
+      text = describeStatus(status);
+      gone = status.status === 'gone';
+    } catch (error) {
+      text = 'Could not check the status. Trying again shortly.';
+    }
+    // The link view was left (or a newer secret created) while we waited
+    if (state.status !== current) {
+      return;
+    }
+
+    $('status-text').textContent = text;
+    if (gone) {
+      $('check-status-btn').disabled = true;
+      stopStatusChecks();
+    } else if (current.timer === null) {
+      scheduleStatusCheck();
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Requests
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Show the requester's view of their own request.
+   * @param {RequestKey} request - Record from the key store
+   * @param {{focus?: boolean, transition?: boolean}} [options]
+   */
+  function showWaiting(request, options = {}) {
+    state.request = request;
+    $('request-url').value = buildRequestUrl(win.location.origin, state.route.id, state.route.fragment);
+    $('check-status').textContent = '';
+    if (options.transition) {
+      transition('waiting');
+    } else {
+      show('waiting', options);
+    }
+  }
+
+  async function handleCheck() {
+    const button = $('check-btn');
+    if (state.view !== 'waiting' || button.disabled) {
+      return;
+    }
+    button.disabled = true;
+    button.setAttribute('aria-busy', 'true');
+
+    const { request } = state;
+    try {
+      const payload = await api.getSecret(request.secretId);
+      // Fetching used up the only view, so the key is no use after this
+      await keystore.remove(request.requestId);
+
+      try {
+        $('secret-content').textContent =
+          await cryptoApi.decryptSecret(payload, payload.keyFragment, undefined, request.privateKey);
+      } catch (error) {
+        showError('decryptFailed');
+        return;
+      }
+      state.request = null;
+      transition('secret');
+    } catch (error) {
+      if (error.code === 'not_available') {
+        $('check-status').textContent = 'No secret yet. Check again once it has been sent.';
+        announce($('check-status').textContent);
+        return;
+      }
+      showError(errorKind(error, 'notAvailable'));
+    } finally {
+      button.disabled = false;
+      button.removeAttribute('aria-busy');
+    }
+  }
+
+  async function handleFill(event) {
+    event.preventDefault();
+    const button = $('fill-btn');
+    if (state.view !== 'fill' || button.disabled) {
+      return;
+    }
+
+    const plaintext = $('fill-input').value;
+    if (!plaintext) {
+      $('fill-input').focus();
+      return;
+    }
+    button.disabled = true;
+    button.setAttribute('aria-busy', 'true');
+
+    try {
+      let recipientKey;
+      try {
+        recipientKey = await cryptoApi.importRecipientPublicKey(state.route.fragment);
+      } catch (error) {
+        showError('badLink');
+        return;
+      }
+
+      const encrypted = await cryptoApi.encryptSecret(plaintext, undefined, { recipientKey });
+      await api.fillRequest(state.route.id, { ...encrypted.payload, keyFragment: encrypted.urlFragment });
+      $('fill-input').value = '';
+      transition('filled');
+    } catch (error) {
+      showError(errorKind(error, error.code === 'not_available' ? 'requestNotAvailable' : 'fillFailed'));
+    } finally {
+      button.disabled = false;
+      button.removeAttribute('aria-busy');
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Clipboard
+  // ---------------------------------------------------------------------------
+
+  async function copy(text, confirmation) {
+    try {
+      await win.navigator.clipboard.writeText(text);
+      announce(confirmation);
+    } catch (error) {
+      announce('Copy failed. Select the text and copy it manually.');
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Wiring
+  // ---------------------------------------------------------------------------
+
+  function start() {
+    $('create-form').addEventListener('submit', handleCreate);
+    $('request-btn').addEventListener('click', handleRequest);
+    $('secret-input').addEventListener('input', updateCharCount);
+    $('passphrase-toggle').addEventListener('change', togglePassphrase);
+    $('recipient-toggle').addEventListener('change', toggleRecipient);
+    $('keys-btn').addEventListener('click', handleKeys);
+    $('copy-public-key-btn').addEventListener('click', () => copy($('public-key-output').value, 'Public key copied.'));
+    $('copy-private-key-btn').addEventListener('click', () => copy($('private-key-output').value, 'Private key copied.'));
+    $('passphrase-visibility-toggle').addEventListener('click',
+      () => toggleVisibility('passphrase-input', 'passphrase-visibility-toggle'));
+    $('reveal-passphrase-visibility-toggle').addEventListener('click',
+      () => toggleVisibility('reveal-passphrase-input', 'reveal-passphrase-visibility-toggle'));
+    $('copy-link-btn').addEventListener('click', () => copy($('secret-url').value, 'Link copied.'));
+    $('check-status-btn').addEventListener('click', checkStatus);
+    $('copy-request-btn').addEventListener('click', () => copy($('request-url').value, 'Link copied.'));
+    $('check-btn').addEventListener('click', handleCheck);
+    $('fill-form').addEventListener('submit', handleFill);
+    $('copy-secret-btn').addEventListener('click', () => copy($('secret-content').textContent, 'Secret copied.'));
+    $('reveal-btn').addEventListener('click', handleReveal);
+    $('passphrase-form').addEventListener('submit', handlePassphrase);
+    $('recipient-form').addEventListener('submit', handleRecipientKey);
+
+    doc.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') {
+        cancelCreate();
+      }
+    });
+    win.addEventListener('popstate', () => {
+      if (!cancelCreate()) {
+        route();
+      }
+    });
+
+    // Don't move focus on first load; let the browser and screen reader start at the top
+    return route({ focus: false });
+  }
+
+  return {
+    start,
+    route,
+    transition,
+    get view() {
+      return state.view;
+    }
+  };
+}
+
+// =============================================================================
+// Startup
+// =============================================================================
+
+if (typeof document !== 'undefined' && typeof module === 'undefined') {
+  document.addEventListener('DOMContentLoaded', () => {
+    createApp({
+      document,
+      window,
+      api: { getToken, createSecret, getSecret, getSecretStatus, createRequest, fillRequest, withCreateRestart },
+      cryptoApi: {
+        encryptSecret,
+        decryptSecret,
+        decryptFile,
+        parseFragment,
+        CIPHER_AES_256_GCM_CHUNKED,
+        FRAGMENT_MODE_RECIPIENT,
+        generateRecipientKeyPair,
+        exportRecipientKey,
+        importRecipientPublicKey,
+        importRecipientPrivateKey,
+        recipientKeyOpens
+      },
+      powApi: { solveChallengeParallel, bindPowProgress },
+      keystore: createKeystore(window.indexedDB)
+    }).start();
+  });
+}
+
+// =============================================================================
+// Exports (for both browser and testing)
+// =============================================================================
+
+// Check if running in Node.js environment (for testing)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    createApp,
+    parseRoute,
+    buildSecretUrl,
+    buildRequestUrl,
+    describeStatus,
+    APP_STATUS_POLL_MS,
+    APP_TRANSITIONS,
+    APP_FOCUS_TARGETS,
+    APP_ERRORS
+  };
+}
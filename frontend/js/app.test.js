@@ -0,0 +1,855 @@
+/**
+ * sealed.fyi - Application Controller Tests
+ *
+ * Run with: npx vitest run app.test.js
+ * Or in watch mode: npx vitest app.test.js
+ */
+
+import { describe, test, expect, vi } from 'vitest';
+import { readFileSync } from 'node:fs';
+
+const {
+  createApp,
+  parseRoute,
+  buildSecretUrl,
+  buildRequestUrl,
+  describeStatus,
+  APP_STATUS_POLL_MS,
+  APP_TRANSITIONS,
+  APP_FOCUS_TARGETS,
+  APP_ERRORS
+} = await import('./app.js');
+
+const ID = 'Ab3dEf6hIj9kLmNoPqRs12';
+const FRAGMENT = 'v2.k.AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA';
+const ORIGIN = 'https://sealed.fyi';
+const SECRET_ID = 'Zy9xWv6uTs3rQpOnMl0kJi';
+const PUBLIC_KEY = 'B'.repeat(43);
+const KEY_FRAGMENT = `v2.r.${'C'.repeat(123)}`;
+
+// =============================================================================
+// Fake DOM
+// =============================================================================
+
+/**
+ * Just enough of an element for the controller: classes, attributes,
+ * listeners and focus.
+ */
+class FakeElement {
+  constructor(doc, id, classes = []) {
+    this.ownerDocument = doc;
+    this.id = id;
+    this.classList = new FakeClassList(classes);
+    this.attributes = new Map();
+    this.listeners = {};
+    this.children = [];
+    this.value = '';
+    this.textContent = '';
+    this.checked = false;
+    this.disabled = false;
+    this.type = 'password';
+  }
+
+  hasAttribute(name) { return this.attributes.has(name); }
+  getAttribute(name) { return this.attributes.has(name) ? this.attributes.get(name) : null; }
+  setAttribute(name, value) { this.attributes.set(name, String(value)); }
+  removeAttribute(name) { this.attributes.delete(name); }
+  appendChild(child) { this.children.push(child); return child; }
+  focus() { this.ownerDocument.activeElement = this; }
+
+  addEventListener(type, listener) {
+    (this.listeners[type] ||= []).push(listener);
+  }
+
+  /** Fire an event and wait for async listeners to finish */
+  async dispatch(type, event = {}) {
+    const full = { preventDefault() {}, ...event };
+    await Promise.all((this.listeners[type] || []).map(listener => listener(full)));
+  }
+}
+
+class FakeClassList {
+  constructor(classes) { this.set = new Set(classes); }
+  add(name) { this.set.add(name); }
+  remove(name) { this.set.delete(name); }
+  contains(name) { return this.set.has(name); }
+  toggle(name, force) {
+    const on = force === undefined ? !this.set.has(name) : force;
+    on ? this.set.add(name) : this.set.delete(name);
+    return on;
+  }
+}
+
+// Build elements for every id in the real page so typos in the controller fail
+const PAGE = readFileSync(new URL('../index.html', import.meta.url), 'utf8');
+const PAGE_ELEMENTS = [...PAGE.matchAll(/<\w+([^>]*?)\sid="([^"]+)"([^>]*)>/g)].map(match => {
+  const attributes = match[1] + match[3];
+  const classes = /class="([^"]*)"/.exec(attributes);
+  return { id: match[2], classes: classes ? classes[1].split(/\s+/) : [] };
+});
+
+function fakeDocument() {
+  const doc = {
+    activeElement: null,
+    elements: new Map(),
+    listeners: {},
+    getElementById(id) { return this.elements.get(id) || null; },
+    createElement(tag) { return new FakeElement(doc, null, []); },
+    addEventListener(type, listener) { (this.listeners[type] ||= []).push(listener); },
+    dispatch(type, event) { (this.listeners[type] || []).forEach(listener => listener(event)); }
+  };
+  for (const { id, classes } of PAGE_ELEMENTS) {
+    doc.elements.set(id, new FakeElement(doc, id, classes));
+  }
+  return doc;
+}
+
+function fakeWindow(path) {
+  const [pathname, hash = ''] = path.split('#');
+  const win = {
+    location: { origin: ORIGIN, pathname, hash: hash ? `#${hash}` : '', href: ORIGIN + path },
+    history: { pushState: vi.fn(), replaceState: vi.fn() },
+    navigator: { clipboard: { writeText: vi.fn(async () => {}) } },
+    URL: { createObjectURL: vi.fn(() => 'blob:secret') },
+    // Timers only record their callbacks; tests run them by hand
+    setTimeout: vi.fn(() => win.setTimeout.mock.calls.length),
+    clearTimeout: vi.fn(),
+    listeners: {},
+    addEventListener(type, listener) { (this.listeners[type] ||= []).push(listener); },
+    dispatch(type) { (this.listeners[type] || []).forEach(listener => listener({})); }
+  };
+  return win;
+}
+
+function setup(path, overrides = {}) {
+  const doc = fakeDocument();
+  const win = fakeWindow(path);
+  const api = {
+    getToken: vi.fn(async () => ({
+      token: 'token',
+      nonce: 'nonce',
+      powChallenge: { difficulty: 18, prefix: 'sealed' }
+    })),
+    withCreateRestart: vi.fn(run => run()),
+    createSecret: vi.fn(async () => ({ id: ID, burnToken: 'b'.repeat(32), expiresAt: 0 })),
+    getSecretStatus: vi.fn(async () => ({ status: 'pending', views: 0, maxViews: 1 })),
+    getSecret: vi.fn(async () => ({ version: 2, cipher: 'aes-256-gcm', passphraseProtected: false })),
+    createRequest: vi.fn(async () => ({ id: ID, secretId: SECRET_ID, expiresAt: 0 })),
+    fillRequest: vi.fn(async () => {}),
+    ...overrides.api
+  };
+  const cryptoApi = {
+    encryptSecret: vi.fn(async () => ({ payload: { version: 2, ciphertext: 'c' }, urlFragment: FRAGMENT })),
+    decryptSecret: vi.fn(async () => 'the secret'),
+    decryptFile: vi.fn(async () => ({ name: 'notes.txt', size: 1200, blob: {} })),
+    parseFragment: vi.fn(fragment => ({ version: 2, mode: fragment.split('.')[1] })),
+    CIPHER_AES_256_GCM_CHUNKED: 'aes-256-gcm-chunked',
+    FRAGMENT_MODE_RECIPIENT: 'r',
+    generateRecipientKeyPair: vi.fn(async () => ({ publicKey: 'public', privateKey: 'private' })),
+    exportRecipientKey: vi.fn(async key => (key === 'public' ? { x: PUBLIC_KEY } : { x: PUBLIC_KEY, d: 'secret' })),
+    importRecipientPublicKey: vi.fn(async () => 'imported public'),
+    importRecipientPrivateKey: vi.fn(async () => 'imported private'),
+    recipientKeyOpens: vi.fn(async () => true),
+    ...overrides.cryptoApi
+  };
+  const powApi = {
+    solveChallengeParallel: vi.fn(async () => 'solution'),
+    bindPowProgress: vi.fn(() => () => {}),
+    ...overrides.powApi
+  };
+
+  const records = new Map((overrides.requests || []).map(record => [record.requestId, record]));
+  const keystore = {
+    records,
+    save: vi.fn(async record => { records.set(record.requestId, record); }),
+    load: vi.fn(async requestId => records.get(requestId) || null),
+    remove: vi.fn(async requestId => { records.delete(requestId); })
+  };
+
+  const app = createApp({ document: doc, window: win, api, cryptoApi, powApi, keystore });
+  const started = app.start();
+  const $ = id => doc.getElementById(id);
+  return { app, doc, win, api, cryptoApi, powApi, keystore, started, $ };
+}
+
+function requestKey(overrides = {}) {
+  return { requestId: ID, secretId: SECRET_ID, privateKey: 'stored private', expiresAt: 0, ...overrides };
+}
+
+function visibleViews(doc) {
+  return Object.keys(APP_TRANSITIONS).filter(name => !doc.getElementById(`view-${name}`).classList.contains('hidden'));
+}
+
+// =============================================================================
+// Routing
+// =============================================================================
+
+describe('parseRoute', () => {
+  test('routes the root to the create view', () => {
+    expect(parseRoute({ pathname: '/', hash: '' })).toEqual({ view: 'create' });
+  });
+
+  test('routes /s/{id}#fragment to the reveal view', () => {
+    expect(parseRoute({ pathname: `/s/${ID}`, hash: `#${FRAGMENT}` }))
+      .toEqual({ view: 'reveal', id: ID, fragment: FRAGMENT });
+  });
+
+  test('accepts the legacy /#id:fragment format', () => {
+    expect(parseRoute({ pathname: '/', hash: `#${ID}:${FRAGMENT}` }))
+      .toEqual({ view: 'reveal', id: ID, fragment: FRAGMENT });
+  });
+
+  test('rejects secret links without a key or with a bad ID', () => {
+    expect(parseRoute({ pathname: `/s/${ID}`, hash: '' })).toEqual({ view: 'error', error: 'badLink' });
+    expect(parseRoute({ pathname: '/s/short', hash: `#${FRAGMENT}` })).toEqual({ view: 'error', error: 'badLink' });
+  });
+});
+
+describe('parseRoute for requests', () => {
+  test('routes /r/{id}#publicKey to the fill view', () => {
+    expect(parseRoute({ pathname: `/r/${ID}`, hash: `#${PUBLIC_KEY}` }))
+      .toEqual({ view: 'fill', id: ID, fragment: PUBLIC_KEY });
+  });
+
+  test('rejects request links without a usable key or with a bad ID', () => {
+    expect(parseRoute({ pathname: `/r/${ID}`, hash: '' })).toEqual({ view: 'error', error: 'badLink' });
+    expect(parseRoute({ pathname: `/r/${ID}`, hash: `#${PUBLIC_KEY.slice(1)}` })).toEqual({ view: 'error', error: 'badLink' });
+    expect(parseRoute({ pathname: '/r/short', hash: `#${PUBLIC_KEY}` })).toEqual({ view: 'error', error: 'badLink' });
+  });
+
+  test('builds request links that route back to the request', () => {
+    expect(buildRequestUrl(ORIGIN, ID, PUBLIC_KEY)).toBe(`${ORIGIN}/r/${ID}#${PUBLIC_KEY}`);
+    expect(parseRoute(new URL(buildRequestUrl(ORIGIN, ID, PUBLIC_KEY))))
+      .toEqual({ view: 'fill', id: ID, fragment: PUBLIC_KEY });
+  });
+});
+
+describe('describeStatus', () => {
+  test('describes each coarse state', () => {
+    expect(describeStatus({ status: 'pending', views: 0, maxViews: 2 })).toBe('Not opened yet.');
+    expect(describeStatus({ status: 'viewed', views: 1, maxViews: 2 })).toBe('Opened 1 of 2 time(s).');
+    expect(describeStatus({ status: 'viewed' })).toBe('Opened.');
+    expect(describeStatus({ status: 'gone' })).toMatch(/^Gone/);
+  });
+});
+
+describe('buildSecretUrl', () => {
+  test('puts the ID in the path and the key in the fragment', () => {
+    expect(buildSecretUrl(ORIGIN, ID, FRAGMENT)).toBe(`${ORIGIN}/s/${ID}#${FRAGMENT}`);
+    expect(parseRoute(new URL(buildSecretUrl(ORIGIN, ID, FRAGMENT))))
+      .toEqual({ view: 'reveal', id: ID, fragment: FRAGMENT });
+  });
+});
+
+// =============================================================================
+// Controller
+// =============================================================================
+
+describe('createApp', () => {
+  test('every view and focus target exists in the page', () => {
+    const doc = fakeDocument();
+
+    for (const view of Object.keys(APP_TRANSITIONS)) {
+      expect(doc.getElementById(`view-${view}`)).not.toBeNull();
+      expect(doc.getElementById(APP_FOCUS_TARGETS[view])).not.toBeNull();
+    }
+    expect(doc.getElementById('announcer')).not.toBeNull();
+  });
+
+  test('shows only the routed view and leaves focus alone on load', () => {
+    const { app, doc } = setup('/');
+
+    expect(app.view).toBe('create');
+    expect(visibleViews(doc)).toEqual(['create']);
+    expect(doc.activeElement).toBeNull();
+  });
+
+  test('rejects transitions the state machine does not allow', () => {
+    const { app } = setup('/');
+
+    expect(() => app.transition('secret')).toThrow('Invalid view transition: create -> secret');
+  });
+
+  test('focuses a heading by making it programmatically focusable', () => {
+    const { app, doc, $ } = setup('/');
+
+    app.transition('error');
+
+    expect(doc.activeElement).toBe($('error-title'));
+    expect($('error-title').getAttribute('tabindex')).toBe('-1');
+  });
+
+  describe('reveal', () => {
+    test('never fetches the secret before reveal-btn is pressed', async () => {
+      const { app, api, win } = setup(`/s/${ID}#${FRAGMENT}`);
+
+      expect(app.view).toBe('reveal');
+      win.dispatch('popstate');
+      await Promise.resolve();
+
+      expect(api.getSecret).not.toHaveBeenCalled();
+    });
+
+    test('fetches, decrypts and shows the secret on reveal', async () => {
+      const { app, api, cryptoApi, doc, win, $ } = setup(`/s/${ID}#${FRAGMENT}`);
+
+      await $('reveal-btn').dispatch('click');
+
+      expect(api.getSecret).toHaveBeenCalledWith(ID);
+      expect(cryptoApi.decryptSecret).toHaveBeenCalledWith(expect.any(Object), FRAGMENT, undefined, undefined);
+      expect(app.view).toBe('secret');
+      expect($('secret-content').textContent).toBe('the secret');
+      expect(doc.activeElement).toBe($('secret-content'));
+      expect($('announcer').textContent).toMatch(/revealed/);
+      expect(win.history.replaceState).toHaveBeenCalledWith(null, '', `/s/${ID}`);
+    });
+
+    test('shows the not available error when the secret is gone', async () => {
+      const gone = Object.assign(new Error('API request failed: 404 not_available'), { code: 'not_available' });
+      const { app, $ } = setup(`/s/${ID}#${FRAGMENT}`, { api: { getSecret: vi.fn(async () => { throw gone; }) } });
+
+      await $('reveal-btn').dispatch('click');
+
+      expect(app.view).toBe('error');
+      expect($('error-title').textContent).toBe(APP_ERRORS.notAvailable.title);
+    });
+
+    test('does not call a throttled read a missing secret', async () => {
+      const throttled = Object.assign(new Error('API request failed: 429 rate_limited'), { code: 'rate_limited' });
+      const { app, $ } = setup(`/s/${ID}#${FRAGMENT}`, { api: { getSecret: vi.fn(async () => { throw throttled; }) } });
+
+      await $('reveal-btn').dispatch('click');
+
+      expect(app.view).toBe('error');
+      expect($('error-title').textContent).toBe(APP_ERRORS.rateLimited.title);
+    });
+
+    test('shows a decrypt error when the link key is wrong', async () => {
+      const { app, $ } = setup(`/s/${ID}#${FRAGMENT}`, {
+        cryptoApi: { decryptSecret: vi.fn(async () => { throw new Error('Key commitment mismatch'); }) }
+      });
+
+      await $('reveal-btn').dispatch('click');
+
+      expect(app.view).toBe('error');
+      expect($('error-title').textContent).toBe(APP_ERRORS.decryptFailed.title);
+    });
+
+    test('asks for the passphrase and retries after a wrong one', async () => {
+      const decryptSecret = vi.fn(async (payload, fragment, passphrase) => {
+        if (passphrase !== 'correct horse') throw new Error('Decryption failed');
+        return 'protected secret';
+      });
+      const { app, api, doc, $ } = setup(`/s/${ID}#${FRAGMENT}`, {
+        api: { getSecret: vi.fn(async () => ({ version: 2, passphraseProtected: true })) },
+        cryptoApi: { decryptSecret }
+      });
+
+      await $('reveal-btn').dispatch('click');
+      expect(app.view).toBe('passphrase');
+      expect(doc.activeElement).toBe($('reveal-passphrase-input'));
+
+      $('reveal-passphrase-input').value = 'wrong';
+      await $('passphrase-form').dispatch('submit');
+      expect(app.view).toBe('passphrase');
+      expect($('passphrase-error').classList.contains('hidden')).toBe(false);
+      expect(doc.activeElement).toBe($('reveal-passphrase-input'));
+
+      $('reveal-passphrase-input').value = 'correct horse';
+      await $('passphrase-form').dispatch('submit');
+      expect(app.view).toBe('secret');
+      expect($('secret-content').textContent).toBe('protected secret');
+      // The payload was fetched once; retries reuse it
+      expect(api.getSecret).toHaveBeenCalledTimes(1);
+    });
+
+    test('asks for the recipient key before fetching a recipient-bound secret', async () => {
+      const { app, api, cryptoApi, doc, $ } = setup(`/s/${ID}#${KEY_FRAGMENT}`);
+
+      await $('reveal-btn').dispatch('click');
+
+      expect(app.view).toBe('recipient');
+      expect(doc.activeElement).toBe($('recipient-private-key-input'));
+      expect(api.getSecret).not.toHaveBeenCalled();
+
+      $('recipient-private-key-input').value = '{"kty":"OKP","crv":"X25519","x":"x","d":"d"}';
+      await $('recipient-form').dispatch('submit');
+
+      expect(cryptoApi.importRecipientPrivateKey).toHaveBeenCalledWith('{"kty":"OKP","crv":"X25519","x":"x","d":"d"}');
+      expect(cryptoApi.recipientKeyOpens).toHaveBeenCalledWith(KEY_FRAGMENT, 'imported private');
+      expect(api.getSecret).toHaveBeenCalledWith(ID);
+      expect(cryptoApi.decryptSecret).toHaveBeenCalledWith(expect.any(Object), KEY_FRAGMENT, undefined, 'imported private');
+      expect(app.view).toBe('secret');
+      expect($('recipient-private-key-input').value).toBe('');
+    });
+
+    test('refuses a recipient key that does not open the link without fetching', async () => {
+      const { app, api, doc, $ } = setup(`/s/${ID}#${KEY_FRAGMENT}`, {
+        cryptoApi: { recipientKeyOpens: vi.fn(async () => false) }
+      });
+      await $('reveal-btn').dispatch('click');
+
+      $('recipient-private-key-input').value = 'someone else\'s key';
+      await $('recipient-form').dispatch('submit');
+
+      expect(app.view).toBe('recipient');
+      expect($('recipient-error').classList.contains('hidden')).toBe(false);
+      expect($('recipient-error').textContent).toMatch(/does not open this secret/);
+      expect(doc.activeElement).toBe($('recipient-private-key-input'));
+      expect(api.getSecret).not.toHaveBeenCalled();
+    });
+
+    test('refuses text that is not a private key without fetching', async () => {
+      const { app, api, cryptoApi, $ } = setup(`/s/${ID}#${KEY_FRAGMENT}`, {
+        cryptoApi: { importRecipientPrivateKey: vi.fn(async () => { throw new Error('Not a private recipient key'); }) }
+      });
+      await $('reveal-btn').dispatch('click');
+
+      $('recipient-private-key-input').value = PUBLIC_KEY;
+      await $('recipient-form').dispatch('submit');
+
+      expect(app.view).toBe('recipient');
+      expect($('recipient-error').textContent).toMatch(/not a private recipient key/);
+      expect(cryptoApi.recipientKeyOpens).not.toHaveBeenCalled();
+      expect(api.getSecret).not.toHaveBeenCalled();
+    });
+
+    test('shows the invalid link error for a damaged fragment without fetching', async () => {
+      const { app, api, $ } = setup(`/s/${ID}#${FRAGMENT}`, {
+        cryptoApi: { parseFragment: vi.fn(() => { throw new Error('Malformed URL fragment'); }) }
+      });
+
+      await $('reveal-btn').dispatch('click');
+
+      expect(app.view).toBe('error');
+      expect($('error-title').textContent).toBe(APP_ERRORS.badLink.title);
+      expect(api.getSecret).not.toHaveBeenCalled();
+    });
+
+    test('offers file secrets as a download', async () => {
+      const { $ } = setup(`/s/${ID}#${FRAGMENT}`, {
+        api: { getSecret: vi.fn(async () => ({ version: 2, cipher: 'aes-256-gcm-chunked' })) }
+      });
+
+      await $('reveal-btn').dispatch('click');
+
+      const [link] = $('secret-content').children;
+      expect(link.href).toBe('blob:secret');
+      expect(link.download).toBe('notes.txt');
+    });
+  });
+
+  describe('create', () => {
+    test('solves the challenge, encrypts and shows the link', async () => {
+      const { app, api, cryptoApi, powApi, doc, $ } = setup('/');
+      $('secret-input').value = 'hello';
+      $('ttl-select').value = '3600';
+      $('max-views-select').value = '2';
+
+      await $('create-form').dispatch('submit');
+
+      expect(powApi.solveChallengeParallel).toHaveBeenCalledWith('nonce', { difficulty: 18, prefix: 'sealed' }, expect.objectContaining({ signal: expect.any(AbortSignal) }));
+      expect(cryptoApi.encryptSecret).toHaveBeenCalledWith('hello', undefined, { recipientKey: undefined });
+      expect(api.createSecret).toHaveBeenCalledWith({
+        version: 2,
+        ciphertext: 'c',
+        nonce: 'nonce',
+        pow: 'solution',
+        ttl: 3600,
+        maxViews: 2,
+        passphraseProtected: false
+      }, 'token');
+      expect(app.view).toBe('link');
+      expect($('secret-url').value).toBe(`${ORIGIN}/s/${ID}#${FRAGMENT}`);
+      expect($('link-max-views').textContent).toBe('2');
+      expect($('secret-input').value).toBe('');
+      expect(doc.activeElement).toBe($('secret-url'));
+    });
+
+    test('passes the passphrase when protection is enabled', async () => {
+      const { cryptoApi, api, $ } = setup('/');
+      $('secret-input').value = 'hello';
+      $('passphrase-toggle').checked = true;
+      $('passphrase-input').value = 'pass';
+
+      await $('create-form').dispatch('submit');
+
+      expect(cryptoApi.encryptSecret).toHaveBeenCalledWith('hello', 'pass', { recipientKey: undefined });
+      expect(api.createSecret.mock.calls[0][0].passphraseProtected).toBe(true);
+    });
+
+    test('encrypts to the recipient key when one is given', async () => {
+      const { app, cryptoApi, api, $ } = setup('/');
+      $('secret-input').value = 'hello';
+      $('recipient-toggle').checked = true;
+      $('recipient-key-input').value = PUBLIC_KEY;
+
+      await $('create-form').dispatch('submit');
+
+      expect(cryptoApi.importRecipientPublicKey).toHaveBeenCalledWith(PUBLIC_KEY);
+      expect(cryptoApi.encryptSecret).toHaveBeenCalledWith('hello', undefined, { recipientKey: 'imported public' });
+      expect(api.createSecret.mock.calls[0][0].passphraseProtected).toBe(false);
+      expect(app.view).toBe('link');
+    });
+
+    test('stays on the form when the recipient key is not a public key', async () => {
+      const { app, api, doc, $ } = setup('/', {
+        cryptoApi: { importRecipientPublicKey: vi.fn(async () => { throw new Error('Malformed recipient key'); }) }
+      });
+      $('secret-input').value = 'hello';
+      $('recipient-toggle').checked = true;
+      $('recipient-key-input').value = 'not a key';
+
+      await $('create-form').dispatch('submit');
+
+      expect(app.view).toBe('create');
+      expect($('recipient-key-error').classList.contains('hidden')).toBe(false);
+      expect(doc.activeElement).toBe($('recipient-key-input'));
+      expect(api.getToken).not.toHaveBeenCalled();
+    });
+
+    test('does nothing for an empty secret', async () => {
+      const { app, api, $ } = setup('/');
+
+      await $('create-form').dispatch('submit');
+
+      expect(app.view).toBe('create');
+      expect(api.getToken).not.toHaveBeenCalled();
+    });
+
+    test('cancels on Escape and returns to the form', async () => {
+      let signal;
+      const { app, api, doc, $ } = setup('/', {
+        powApi: {
+          solveChallengeParallel: vi.fn((nonce, challenge, options) => {
+            signal = options.signal;
+            return new Promise((resolve, reject) => {
+              signal.addEventListener('abort', () => reject(Object.assign(new Error('Aborted'), { name: 'AbortError' })));
+            });
+          })
+        }
+      });
+      $('secret-input').value = 'hello';
+
+      const submitted = $('create-form').dispatch('submit');
+      await vi.waitFor(() => expect(signal).toBeDefined());
+      expect(app.view).toBe('creating');
+
+      doc.dispatch('keydown', { key: 'Escape' });
+      await submitted;
+
+      expect(signal.aborted).toBe(true);
+      expect(app.view).toBe('create');
+      expect($('announcer').textContent).toMatch(/cancelled/);
+      expect(api.createSecret).not.toHaveBeenCalled();
+    });
+
+    test('shows an error when the API fails', async () => {
+      const { app, $ } = setup('/', {
+        api: { getToken: vi.fn(async () => { throw new Error('API request failed: 429 rate_limited'); }) }
+      });
+      $('secret-input').value = 'hello';
+
+      await $('create-form').dispatch('submit');
+
+      expect(app.view).toBe('error');
+      expect($('error-title').textContent).toBe(APP_ERRORS.createFailed.title);
+    });
+
+    test('shows a connection error when the API cannot be reached', async () => {
+      const offline = Object.assign(new Error('Could not reach the API'), { code: 'network_error' });
+      const { app, $ } = setup('/', { api: { getToken: vi.fn(async () => { throw offline; }) } });
+      $('secret-input').value = 'hello';
+
+      await $('create-form').dispatch('submit');
+
+      expect(app.view).toBe('error');
+      expect($('error-title').textContent).toBe(APP_ERRORS.network.title);
+    });
+  });
+
+  describe('request', () => {
+    test('creates a request, keeps its key and shows the request link', async () => {
+      const { app, api, cryptoApi, keystore, win, doc, $ } = setup('/');
+      $('ttl-select').value = '3600';
+
+      await $('request-btn').dispatch('click');
+
+      expect(api.createRequest).toHaveBeenCalledWith({ nonce: 'nonce', pow: 'solution', ttl: 3600 }, 'token');
+      expect(cryptoApi.importRecipientPrivateKey).toHaveBeenCalledWith({ x: PUBLIC_KEY, d: 'secret' });
+      expect(keystore.save).toHaveBeenCalledWith({
+        requestId: ID,
+        secretId: SECRET_ID,
+        privateKey: 'imported private',
+        expiresAt: 0
+      });
+      expect(app.view).toBe('waiting');
+      expect($('request-url').value).toBe(`${ORIGIN}/r/${ID}#${PUBLIC_KEY}`);
+      expect(win.history.replaceState).toHaveBeenCalledWith(null, '', `${ORIGIN}/r/${ID}#${PUBLIC_KEY}`);
+      expect(doc.activeElement).toBe($('request-url'));
+    });
+
+    test('shows an error when the request cannot be created', async () => {
+      const { app, keystore, $ } = setup('/', {
+        api: { createRequest: vi.fn(async () => { throw new Error('API request failed: 500 internal_error'); }) }
+      });
+
+      await $('request-btn').dispatch('click');
+
+      expect(app.view).toBe('error');
+      expect($('error-title').textContent).toBe(APP_ERRORS.requestFailed.title);
+      expect(keystore.save).not.toHaveBeenCalled();
+    });
+
+    test('shows the waiting view in the browser that made the request', async () => {
+      const { app, api, started, $ } = setup(`/r/${ID}#${PUBLIC_KEY}`, { requests: [requestKey()] });
+
+      await started;
+
+      expect(app.view).toBe('waiting');
+      expect($('request-url').value).toBe(`${ORIGIN}/r/${ID}#${PUBLIC_KEY}`);
+      expect(api.getSecret).not.toHaveBeenCalled();
+    });
+
+    test('says so when the request has not been filled yet', async () => {
+      const gone = Object.assign(new Error('API request failed: 404 not_available'), { code: 'not_available' });
+      const { app, keystore, started, $ } = setup(`/r/${ID}#${PUBLIC_KEY}`, {
+        requests: [requestKey()],
+        api: { getSecret: vi.fn(async () => { throw gone; }) }
+      });
+      await started;
+
+      await $('check-btn').dispatch('click');
+
+      expect(app.view).toBe('waiting');
+      expect($('check-status').textContent).toMatch(/No secret yet/);
+      expect($('announcer').textContent).toMatch(/No secret yet/);
+      expect(keystore.records.has(ID)).toBe(true);
+    });
+
+    test('decrypts the answer with the stored key and then forgets the key', async () => {
+      const payload = { version: 2, cipher: 'aes-256-gcm', keyFragment: KEY_FRAGMENT };
+      const { app, api, cryptoApi, keystore, started, $ } = setup(`/r/${ID}#${PUBLIC_KEY}`, {
+        requests: [requestKey()],
+        api: { getSecret: vi.fn(async () => payload) }
+      });
+      await started;
+
+      await $('check-btn').dispatch('click');
+
+      expect(api.getSecret).toHaveBeenCalledWith(SECRET_ID);
+      expect(cryptoApi.decryptSecret).toHaveBeenCalledWith(payload, KEY_FRAGMENT, undefined, 'stored private');
+      expect(app.view).toBe('secret');
+      expect($('secret-content').textContent).toBe('the secret');
+      expect(keystore.records.has(ID)).toBe(false);
+    });
+
+    test('shows the fill view to anyone else', async () => {
+      const { app, started } = setup(`/r/${ID}#${PUBLIC_KEY}`);
+
+      await started;
+
+      expect(app.view).toBe('fill');
+    });
+
+    test('encrypts to the public key in the link and fills the request', async () => {
+      const { app, api, cryptoApi, started, $ } = setup(`/r/${ID}#${PUBLIC_KEY}`, {
+        cryptoApi: {
+          encryptSecret: vi.fn(async () => ({ payload: { version: 2, ciphertext: 'c' }, urlFragment: KEY_FRAGMENT }))
+        }
+      });
+      await started;
+      $('fill-input').value = 'vendor password';
+
+      await $('fill-form').dispatch('submit');
+
+      expect(cryptoApi.importRecipientPublicKey).toHaveBeenCalledWith(PUBLIC_KEY);
+      expect(cryptoApi.encryptSecret).toHaveBeenCalledWith('vendor password', undefined, { recipientKey: 'imported public' });
+      expect(api.fillRequest).toHaveBeenCalledWith(ID, { version: 2, ciphertext: 'c', keyFragment: KEY_FRAGMENT });
+      expect(app.view).toBe('filled');
+      expect($('fill-input').value).toBe('');
+    });
+
+    test('shows the request error when the request is gone', async () => {
+      const gone = Object.assign(new Error('API request failed: 404 not_available'), { code: 'not_available' });
+      const { app, started, $ } = setup(`/r/${ID}#${PUBLIC_KEY}`, { api: { fillRequest: vi.fn(async () => { throw gone; }) } });
+      await started;
+      $('fill-input').value = 'vendor password';
+
+      await $('fill-form').dispatch('submit');
+
+      expect(app.view).toBe('error');
+      expect($('error-title').textContent).toBe(APP_ERRORS.requestNotAvailable.title);
+    });
+  });
+
+  describe('recipient keys', () => {
+    test('creates a key pair and shows both halves', async () => {
+      const { app, cryptoApi, win, doc, $ } = setup('/');
+
+      await $('keys-btn').dispatch('click');
+
+      expect(cryptoApi.generateRecipientKeyPair).toHaveBeenCalled();
+      expect(app.view).toBe('keys');
+      expect(JSON.parse($('public-key-output').value)).toEqual({ x: PUBLIC_KEY });
+      expect(JSON.parse($('private-key-output').value)).toEqual({ x: PUBLIC_KEY, d: 'secret' });
+      expect($('save-private-key-link').getAttribute('href'))
+        .toBe(`data:application/json,${encodeURIComponent($('private-key-output').value)}`);
+      expect(doc.activeElement).toBe($('public-key-output'));
+      expect(win.history.pushState).toHaveBeenCalled();
+    });
+
+    test('copies the private key', async () => {
+      const { win, $ } = setup('/');
+      await $('keys-btn').dispatch('click');
+
+      await $('copy-private-key-btn').dispatch('click');
+
+      expect(win.navigator.clipboard.writeText).toHaveBeenCalledWith($('private-key-output').value);
+      expect($('announcer').textContent).toBe('Private key copied.');
+    });
+
+    test('forgets the keys on going back to the form', async () => {
+      const { app, win, $ } = setup('/');
+      await $('keys-btn').dispatch('click');
+
+      win.dispatch('popstate');
+
+      expect(app.view).toBe('create');
+      expect($('private-key-output').value).toBe('');
+      expect($('save-private-key-link').getAttribute('href')).toBeNull();
+    });
+
+    test('shows an error when the browser cannot create keys', async () => {
+      const { app, $ } = setup('/', {
+        cryptoApi: { generateRecipientKeyPair: vi.fn(async () => { throw new Error('X25519 not supported'); }) }
+      });
+
+      await $('keys-btn').dispatch('click');
+
+      expect(app.view).toBe('error');
+      expect($('error-title').textContent).toBe(APP_ERRORS.keysFailed.title);
+    });
+  });
+
+  describe('status', () => {
+    async function created(overrides) {
+      const context = setup('/', overrides);
+      context.$('secret-input').value = 'hello';
+      await context.$('create-form').dispatch('submit');
+      return context;
+    }
+
+    function scheduledCheck(win) {
+      const [callback, delay] = win.setTimeout.mock.calls.at(-1);
+      expect(delay).toBe(APP_STATUS_POLL_MS);
+      return callback;
+    }
+
+    test('polls the status of the new secret with its burn token', async () => {
+      const { api, win, $ } = await created({
+        api: { getSecretStatus: vi.fn(async () => ({ status: 'viewed', views: 1, maxViews: 2 })) }
+      });
+      expect($('status-text').textContent).toBe('Not opened yet.');
+
+      await scheduledCheck(win)();
+
+      expect(api.getSecretStatus).toHaveBeenCalledWith(ID, 'b'.repeat(32));
+      expect($('status-text').textContent).toBe('Opened 1 of 2 time(s).');
+      expect(win.setTimeout).toHaveBeenCalledTimes(2);
+    });
+
+    test('checks at once on request', async () => {
+      const { api, $ } = await created();
+
+      await $('check-status-btn').dispatch('click');
+
+      expect(api.getSecretStatus).toHaveBeenCalledTimes(1);
+    });
+
+    test('stops polling once the secret is gone', async () => {
+      const { win, $ } = await created({ api: { getSecretStatus: vi.fn(async () => ({ status: 'gone' })) } });
+
+      await scheduledCheck(win)();
+
+      expect($('status-text').textContent).toMatch(/^Gone/);
+      expect($('check-status-btn').disabled).toBe(true);
+      expect(win.setTimeout).toHaveBeenCalledTimes(1);
+    });
+
+    test('keeps polling after a failed check', async () => {
+      const { win, $ } = await created({
+        api: { getSecretStatus: vi.fn(async () => { throw new Error('Could not reach the API'); }) }
+      });
+
+      await scheduledCheck(win)();
+
+      expect($('status-text').textContent).toMatch(/Could not check/);
+      expect(win.setTimeout).toHaveBeenCalledTimes(2);
+    });
+
+    test('stops polling when the link view is left', async () => {
+      const { api, win } = await created();
+      const check = scheduledCheck(win);
+
+      win.dispatch('popstate');
+      await check();
+
+      expect(win.clearTimeout).toHaveBeenCalled();
+      expect(api.getSecretStatus).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('create form', () => {
+    test('shows and hides the passphrase field', async () => {
+      const { $ } = setup('/');
+
+      $('passphrase-toggle').checked = true;
+      await $('passphrase-toggle').dispatch('change');
+      expect($('passphrase-container').classList.contains('hidden')).toBe(false);
+      expect($('passphrase-container').getAttribute('aria-hidden')).toBe('false');
+
+      $('passphrase-toggle').checked = false;
+      await $('passphrase-toggle').dispatch('change');
+      expect($('passphrase-container').classList.contains('hidden')).toBe(true);
+    });
+
+    test('a passphrase and a recipient key exclude each other', async () => {
+      const { $ } = setup('/');
+
+      $('passphrase-toggle').checked = true;
+      await $('passphrase-toggle').dispatch('change');
+      $('recipient-toggle').checked = true;
+      await $('recipient-toggle').dispatch('change');
+
+      expect($('passphrase-toggle').checked).toBe(false);
+      expect($('passphrase-container').classList.contains('hidden')).toBe(true);
+      expect($('recipient-container').classList.contains('hidden')).toBe(false);
+
+      $('passphrase-toggle').checked = true;
+      await $('passphrase-toggle').dispatch('change');
+
+      expect($('recipient-toggle').checked).toBe(false);
+      expect($('recipient-container').classList.contains('hidden')).toBe(true);
+    });
+
+    test('updates the character count', async () => {
+      const { $ } = setup('/');
+
+      $('secret-input').value = 'x'.repeat(1234);
+      await $('secret-input').dispatch('input');
+
+      expect($('char-count').textContent).toBe('1,234 / 50,000 characters');
+    });
+
+    test('copies the link and announces it', async () => {
+      const { win, $ } = setup('/');
+      $('secret-url').value = 'https://sealed.fyi/s/x#y';
+
+      await $('copy-link-btn').dispatch('click');
+
+      expect(win.navigator.clipboard.writeText).toHaveBeenCalledWith('https://sealed.fyi/s/x#y');
+      expect($('announcer').textContent).toBe('Link copied.');
+    });
+  });
+});
@@ -2,12 +2,17 @@
  * sealed.fyi - Client-side Cryptography Module
  * 
  * Implements AES-256-GCM encryption with optional passphrase protection.
- * All cryptographic operations use the Web Crypto API exclusively.
+ * All cryptographic operations use the Web Crypto API, except Argon2id, which
+ * comes from the bundled WASM build in js/vendor/argon2.umd.min.js.
  * 
  * Security properties:
  * - Keys never leave the browser (passed via URL fragment only)
  * - Server only receives ciphertext
  * - Passphrase protection adds defense-in-depth
+ * - Recipient-bound secrets need the recipient's private key as well as the URL
+ * - Key commitment binds each ciphertext to a single content key
+ * - Versioned envelope (payload and URL fragment) allows algorithm rotation
+ * - Files are encrypted in authenticated chunks, with name and type inside
  */
 
 // =============================================================================
@@ -18,6 +23,71 @@ const AES_KEY_LENGTH = 256;
 const AES_IV_LENGTH = 12;  // 96 bits for GCM
 const SALT_LENGTH = 16;    // 128 bits
 const PBKDF2_ITERATIONS = 100000;
+const PBKDF2_MAX_ITERATIONS = 10000000;
+const KEY_COMMITMENT_LENGTH = 32;  // HMAC-SHA256 output
+const KEY_COMMITMENT_LABEL = 'sealed.fyi key commitment v1';
+
+// Envelope format
+// v1: {ciphertext, iv, salt[, commitment]}; fragment layout implied by salt
+// v2: adds version/cipher/kdf; fragment is "v2.<mode>.<data>"
+const ENVELOPE_VERSION = 2;
+const LEGACY_ENVELOPE_VERSION = 1;
+const CIPHER_AES_256_GCM = 'aes-256-gcm';
+const KDF_PBKDF2_SHA256 = 'pbkdf2-sha256';
+const KDF_ARGON2ID = 'argon2id';
+const CIPHER_AES_256_GCM_CHUNKED = 'aes-256-gcm-chunked';  // file secrets
+const FRAGMENT_MODE_KEY = 'k';         // fragment holds the raw content key
+const FRAGMENT_MODE_PASSPHRASE = 'p';  // fragment holds wrappingIV || wrappedKey
+const FRAGMENT_MODE_RECIPIENT = 'r';   // fragment holds ephemeralPublicKey || wrappingIV || wrappedKey
+const ENVELOPE_AAD_LABEL = 'sealed.fyi envelope';
+
+// File secrets: metadata chunk, then data chunks of FILE_CHUNK_SIZE bytes,
+// each sealed with a nonce derived from the payload IV, its index and a
+// final-chunk flag, so chunks cannot be reordered, dropped or truncated
+const FILE_CHUNK_SIZE = 65536;
+const MAX_FILE_BYTES = 3 * 1024 * 1024;  // 3 MB (server caps ciphertext at 3.25 MB)
+const MAX_FILENAME_LENGTH = 255;
+const DEFAULT_FILE_TYPE = 'application/octet-stream';
+const GCM_TAG_LENGTH = 16;
+const CHUNK_LENGTH_BYTES = 4;  // big-endian ciphertext length before each chunk
+
+// Recipient keys: the content key is wrapped with a key derived (HKDF-SHA256)
+// from an ECDH agreement between a fresh ephemeral key and the recipient's key
+const RECIPIENT_X25519 = 'x25519';
+const RECIPIENT_P256 = 'p256';
+const RECIPIENT_WRAP_LABEL = 'sealed.fyi recipient wrap v1';
+const RECIPIENT_CURVES = {
+  [RECIPIENT_X25519]: { algorithm: { name: 'X25519' }, jwkCurve: 'X25519', publicKeyLength: 32 },
+  [RECIPIENT_P256]: { algorithm: { name: 'ECDH', namedCurve: 'P-256' }, jwkCurve: 'P-256', publicKeyLength: 65 }
+};
+const RECIPIENT_SHARED_BITS = 256;
+
+// View notifications: the webhook is sealed to the server's X25519 key the
+// same way, under its own HKDF label
+const NOTIFY_LABEL = 'sealed.fyi notify v1';
+const NOTIFY_SECRET_LENGTH = 32;  // bytes of the per-secret signing secret
+
+// Argon2id cost parameters (memory in KiB)
+const ARGON2_DEFAULT_MEMORY = 65536;   // 64 MiB
+const ARGON2_DEFAULT_PARALLELISM = 1;
+const ARGON2_MIN_MEMORY = 19456;       // 19 MiB
+const ARGON2_MAX_MEMORY = 1048576;     // 1 GiB
+const ARGON2_MAX_ITERATIONS = 10;
+const ARGON2_MAX_PARALLELISM = 4;
+const ARGON2_TARGET_UNLOCK_MS = 1000;  // calibration target
+
+// Accepted KDF parameters as [min, max]; bounds what a payload can make
+// the recipient's browser spend before the envelope is authenticated
+const KDF_PARAMETER_RANGES = {
+  [KDF_PBKDF2_SHA256]: {
+    iterations: [PBKDF2_ITERATIONS, PBKDF2_MAX_ITERATIONS]
+  },
+  [KDF_ARGON2ID]: {
+    memory: [ARGON2_MIN_MEMORY, ARGON2_MAX_MEMORY],
+    iterations: [1, ARGON2_MAX_ITERATIONS],
+    parallelism: [1, ARGON2_MAX_PARALLELISM]
+  }
+};
 
 // =============================================================================
 // Utility Functions
@@ -29,7 +99,11 @@ const PBKDF2_ITERATIONS = 100000;
  * @returns {string}
  */
 function bytesToBase64(bytes) {
-  const binary = String.fromCharCode(...bytes);
+  // Convert in slices: spreading a large array overflows the call stack
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
   return btoa(binary);
 }
 
@@ -148,21 +222,36 @@ function generateSalt() {
   return bytesToBase64(salt);
 }
 
+/**
+ * Build AES-GCM parameters, with additional authenticated data if given.
+ * @param {Uint8Array} iv
+ * @param {Uint8Array} [additionalData]
+ * @returns {AesGcmParams}
+ */
+function gcmParams(iv, additionalData) {
+  const params = {
+    name: 'AES-GCM',
+    iv: iv
+  };
+  if (additionalData) {
+    params.additionalData = additionalData;
+  }
+  return params;
+}
+
 /**
  * Encrypt plaintext using AES-256-GCM.
  * @param {string} plaintext - UTF-8 string to encrypt
  * @param {CryptoKey} key - AES-256 key
+ * @param {Uint8Array} [additionalData] - Authenticated but unencrypted data
  * @returns {Promise<{ciphertext: string, iv: string}>} Base64-encoded ciphertext and IV
  */
-async function encrypt(plaintext, key) {
+async function encrypt(plaintext, key, additionalData) {
   const iv = generateIV();
   const plaintextBytes = stringToBytes(plaintext);
   
   const ciphertextBuffer = await crypto.subtle.encrypt(
-    {
-      name: 'AES-GCM',
-      iv: iv
-    },
+    gcmParams(iv, additionalData),
     key,
     plaintextBytes
   );
@@ -178,18 +267,16 @@ async function encrypt(plaintext, key) {
  * @param {string} ciphertext - Base64-encoded ciphertext (includes auth tag)
  * @param {string} iv - Base64-encoded initialization vector
  * @param {CryptoKey} key - AES-256 key
+ * @param {Uint8Array} [additionalData] - Authenticated data used at encryption
  * @returns {Promise<string>} Decrypted plaintext
  * @throws {Error} If decryption fails (wrong key, tampered data)
  */
-async function decrypt(ciphertext, iv, key) {
+async function decrypt(ciphertext, iv, key, additionalData) {
   const ciphertextBytes = base64ToBytes(ciphertext);
   const ivBytes = base64ToBytes(iv);
   
   const plaintextBuffer = await crypto.subtle.decrypt(
-    {
-      name: 'AES-GCM',
-      iv: ivBytes
-    },
+    gcmParams(ivBytes, additionalData),
     key,
     ciphertextBytes
   );
@@ -198,15 +285,42 @@ async function decrypt(ciphertext, iv, key) {
 }
 
 /**
- * Derive an AES-256 key from a passphrase using PBKDF2.
+ * Derive an AES-256 key from a passphrase.
  * @param {string} passphrase - User-provided passphrase
  * @param {string} salt - Base64-encoded salt
+ * @param {{name: string, iterations?: number, memory?: number, parallelism?: number}} [kdf] - KDF descriptor from the payload (default PBKDF2-SHA256, 100,000 iterations)
  * @returns {Promise<CryptoKey>} Derived AES-256 key
+ * @throws {Error} If the KDF is not supported or its parameters are out of range
  */
-async function deriveKeyFromPassphrase(passphrase, salt) {
+async function deriveKeyFromPassphrase(passphrase, salt, kdf = defaultKdf()) {
+  const ranges = Object.prototype.hasOwnProperty.call(KDF_PARAMETER_RANGES, kdf.name)
+    ? KDF_PARAMETER_RANGES[kdf.name]
+    : null;
+  if (!ranges) {
+    throw new Error(`Unsupported KDF: ${kdf.name}`);
+  }
+  
+  const inRange = Object.entries(ranges).every(([param, [min, max]]) =>
+    Number.isInteger(kdf[param]) && kdf[param] >= min && kdf[param] <= max
+  );
+  if (!inRange) {
+    throw new Error(`Unsupported ${kdf.name} parameters`);
+  }
+  
   const passphraseBytes = stringToBytes(passphrase);
   const saltBytes = base64ToBytes(salt);
   
+  if (kdf.name === KDF_ARGON2ID) {
+    const keyBytes = await argon2idHash(passphraseBytes, saltBytes, kdf);
+    return crypto.subtle.importKey(
+      'raw',
+      keyBytes,
+      { name: 'AES-GCM', length: AES_KEY_LENGTH },
+      true,  // extractable
+      ['encrypt', 'decrypt']
+    );
+  }
+  
   // Import passphrase as key material
   const keyMaterial = await crypto.subtle.importKey(
     'raw',
@@ -221,7 +335,7 @@ async function deriveKeyFromPassphrase(passphrase, salt) {
     {
       name: 'PBKDF2',
       salt: saltBytes,
-      iterations: PBKDF2_ITERATIONS,
+      iterations: kdf.iterations,
       hash: 'SHA-256'
     },
     keyMaterial,
@@ -234,6 +348,75 @@ async function deriveKeyFromPassphrase(passphrase, salt) {
   );
 }
 
+/**
+ * KDF descriptor used for new passphrase-protected secrets.
+ * @returns {{name: string, iterations: number}}
+ */
+function defaultKdf() {
+  return {
+    name: KDF_PBKDF2_SHA256,
+    iterations: PBKDF2_ITERATIONS
+  };
+}
+
+/**
+ * Run Argon2id via the bundled WASM module (global `hashwasm`).
+ * @param {Uint8Array} passwordBytes
+ * @param {Uint8Array} saltBytes
+ * @param {{memory: number, iterations: number, parallelism: number}} params - memory in KiB
+ * @returns {Promise<Uint8Array>} 32-byte hash
+ * @throws {Error} If the Argon2 module is not loaded
+ */
+async function argon2idHash(passwordBytes, saltBytes, params) {
+  const argon2 = globalThis.hashwasm;
+  if (!argon2 || typeof argon2.argon2id !== 'function') {
+    throw new Error('Argon2id is not available');
+  }
+  
+  return argon2.argon2id({
+    password: passwordBytes,
+    salt: saltBytes,
+    memorySize: params.memory,
+    iterations: params.iterations,
+    parallelism: params.parallelism,
+    hashLength: AES_KEY_LENGTH / 8,
+    outputType: 'binary'
+  });
+}
+
+/**
+ * Pick Argon2id parameters so that unlocking takes about `targetMs` on this
+ * device. Times a single pass at the requested memory cost, halving memory
+ * (down to the minimum) while one pass alone overshoots, then spends the rest
+ * of the budget on iterations.
+ * 
+ * @param {{targetMs?: number, memory?: number, parallelism?: number, now?: function(): number}} [options]
+ * @returns {Promise<{name: string, memory: number, iterations: number, parallelism: number}>} KDF descriptor for encryptSecret()
+ */
+async function calibrateArgon2id(options = {}) {
+  const targetMs = options.targetMs ?? ARGON2_TARGET_UNLOCK_MS;
+  const parallelism = options.parallelism ?? ARGON2_DEFAULT_PARALLELISM;
+  const now = options.now ?? (() => performance.now());
+  const salt = generateSalt();
+  const password = stringToBytes('sealed.fyi calibration');
+  
+  let memory = Math.min(ARGON2_MAX_MEMORY,
+    Math.max(ARGON2_MIN_MEMORY, options.memory ?? ARGON2_DEFAULT_MEMORY));
+  
+  for (;;) {
+    const start = now();
+    await argon2idHash(password, salt, { memory, iterations: 1, parallelism });
+    const elapsed = Math.max(now() - start, 1);
+    
+    if (elapsed <= targetMs || memory === ARGON2_MIN_MEMORY) {
+      const iterations = Math.min(ARGON2_MAX_ITERATIONS, Math.max(1, Math.floor(targetMs / elapsed)));
+      return { name: KDF_ARGON2ID, memory, iterations, parallelism };
+    }
+    
+    memory = Math.max(ARGON2_MIN_MEMORY, Math.floor(memory / 2));
+  }
+}
+
 /**
  * Export a CryptoKey to base64url for URL fragment.
  * @param {CryptoKey} key - AES-256 key
@@ -283,45 +466,217 @@ async function base64UrlToNonExtractableKey(encoded) {
 }
 
 // =============================================================================
-// High-Level API
+// Key Commitment
 // =============================================================================
 
 /**
- * Encrypt a secret for storage.
- * Optionally adds passphrase protection via key wrapping.
- * 
- * @param {string} plaintext - Secret content
- * @param {string} [passphrase] - Optional additional passphrase
- * @returns {Promise<{payload: {ciphertext: string, iv: string, salt: string|null}, urlFragment: string}>}
+ * Compute the key commitment tag for a content key and IV.
+ * AES-GCM is not key-committing: a ciphertext can be crafted that decrypts
+ * under two different keys. The tag is HMAC-SHA256(key, label || iv), so
+ * only the key that produced it can match.
+ * @param {Uint8Array} keyBytes - Raw content key bytes
+ * @param {string} iv - Base64-encoded initialization vector
+ * @returns {Promise<string>} Base64-encoded 32-byte tag
  */
-async function encryptSecret(plaintext, passphrase) {
-  // Generate random content key
-  const contentKey = await generateKey();
+async function computeKeyCommitment(keyBytes, iv) {
+  const hmacKey = await crypto.subtle.importKey(
+    'raw',
+    keyBytes,
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
   
-  // Encrypt the plaintext with content key
-  const { ciphertext, iv } = await encrypt(plaintext, contentKey);
+  const message = concatBytes(stringToBytes(KEY_COMMITMENT_LABEL), base64ToBytes(iv));
+  const tag = await crypto.subtle.sign('HMAC', hmacKey, message);
   
-  if (!passphrase) {
-    // No passphrase: encode content key directly in URL fragment
-    const urlFragment = await keyToBase64Url(contentKey);
-    return {
-      payload: {
-        ciphertext,
-        iv,
-        salt: null
-      },
-      urlFragment
-    };
-  }
-  
-  // With passphrase: wrap the content key
-  const salt = generateSalt();
-  const wrappingKey = await deriveKeyFromPassphrase(passphrase, salt);
+  return bytesToBase64(new Uint8Array(tag));
+}
+
+/**
+ * Verify a key commitment tag in constant time.
+ * @param {Uint8Array} keyBytes - Raw content key bytes
+ * @param {string} iv - Base64-encoded initialization vector
+ * @param {string} commitment - Base64-encoded tag from the payload
+ * @returns {Promise<boolean>} True if the tag matches
+ */
+async function verifyKeyCommitment(keyBytes, iv, commitment) {
+  const expected = base64ToBytes(await computeKeyCommitment(keyBytes, iv));
+  const actual = base64ToBytes(commitment);
   
-  // Export content key for wrapping
-  const contentKeyBytes = new Uint8Array(await crypto.subtle.exportKey('raw', contentKey));
+  if (actual.length !== KEY_COMMITMENT_LENGTH) {
+    return false;
+  }
   
-  // Wrap the content key using AES-GCM
+  let diff = 0;
+  for (let i = 0; i < KEY_COMMITMENT_LENGTH; i++) {
+    diff |= expected[i] ^ actual[i];
+  }
+  return diff === 0;
+}
+
+// =============================================================================
+// Recipient Keys
+// =============================================================================
+
+/**
+ * Generate a key pair for receiving recipient-bound secrets.
+ * @param {string} [curve] - RECIPIENT_X25519 (default) or RECIPIENT_P256
+ * @returns {Promise<CryptoKeyPair>} Extractable, so both halves can be exported
+ * @throws {Error} If the curve is not supported
+ */
+async function generateRecipientKeyPair(curve = RECIPIENT_X25519) {
+  const params = RECIPIENT_CURVES[curve];
+  if (!params) {
+    throw new Error(`Unsupported recipient curve: ${curve}`);
+  }
+  
+  return crypto.subtle.generateKey(params.algorithm, true, ['deriveBits']);
+}
+
+/**
+ * Export a recipient key as a JWK. The public JWK is what the recipient hands
+ * to creators; the private JWK (which includes the public part) stays with them.
+ * @param {CryptoKey} key - Public or private recipient key
+ * @returns {Promise<object>} JWK
+ */
+async function exportRecipientKey(key) {
+  return crypto.subtle.exportKey('jwk', key);
+}
+
+/**
+ * Parse a pasted recipient key: a JWK (object or JSON text) or, for X25519,
+ * the bare base64url public key.
+ * @param {object|string} input
+ * @returns {{curve: string, jwk: object}}
+ * @throws {Error} If the key is malformed or its curve is not supported
+ */
+function parseRecipientKey(input) {
+  let jwk = input;
+  
+  if (typeof input === 'string') {
+    const text = input.trim();
+    if (/^[A-Za-z0-9_-]+$/.test(text)) {
+      jwk = { kty: 'OKP', crv: 'X25519', x: text };
+    } else {
+      try {
+        jwk = JSON.parse(text);
+      } catch {
+        throw new Error('Malformed recipient key');
+      }
+    }
+  }
+  
+  const curve = Object.keys(RECIPIENT_CURVES)
+    .find(name => jwk && RECIPIENT_CURVES[name].jwkCurve === jwk.crv);
+  if (!curve) {
+    throw new Error('Unsupported recipient key');
+  }
+  
+  return { curve, jwk };
+}
+
+/**
+ * Import a recipient's public key for encryptSecret()/encryptFile().
+ * Only the public coordinates are read, so a pasted private JWK still yields
+ * just the public key.
+ * @param {object|string} input - JWK (object or JSON text) or base64url X25519 key
+ * @returns {Promise<CryptoKey>}
+ * @throws {Error} If the key is malformed or its curve is not supported
+ */
+async function importRecipientPublicKey(input) {
+  const { curve, jwk } = parseRecipientKey(input);
+  const publicJwk = { kty: jwk.kty, crv: jwk.crv, x: jwk.x };
+  if (jwk.y !== undefined) {
+    publicJwk.y = jwk.y;
+  }
+  
+  return crypto.subtle.importKey('jwk', publicJwk, RECIPIENT_CURVES[curve].algorithm, true, []);
+}
+
+/**
+ * Import a recipient's private key for decryptSecret()/decryptFile().
+ * @param {object|string} input - Private JWK (object or JSON text)
+ * @returns {Promise<CryptoKey>} Non-extractable
+ * @throws {Error} If the key is malformed, public only, or its curve is not supported
+ */
+async function importRecipientPrivateKey(input) {
+  const { curve, jwk } = parseRecipientKey(input);
+  if (!jwk.d) {
+    throw new Error('Not a private recipient key');
+  }
+  
+  return crypto.subtle.importKey('jwk', jwk, RECIPIENT_CURVES[curve].algorithm, false, ['deriveBits']);
+}
+
+/**
+ * Find the curve of a recipient key.
+ * @param {CryptoKey} key
+ * @returns {string} RECIPIENT_X25519 or RECIPIENT_P256
+ * @throws {Error} If the key is not a recipient key
+ */
+function recipientCurveOf(key) {
+  const curve = Object.keys(RECIPIENT_CURVES).find(name => {
+    const { algorithm } = RECIPIENT_CURVES[name];
+    return key.algorithm.name === algorithm.name && key.algorithm.namedCurve === algorithm.namedCurve;
+  });
+  if (!curve) {
+    throw new Error('Unsupported recipient key');
+  }
+  return curve;
+}
+
+/**
+ * Derive the key that wraps a content key for a recipient.
+ * The ephemeral public key is the HKDF salt, so every wrap gets its own key.
+ * @param {CryptoKey} privateKey - Ephemeral private key (wrap) or recipient private key (unwrap)
+ * @param {CryptoKey} publicKey - Recipient public key (wrap) or ephemeral public key (unwrap)
+ * @param {Uint8Array} ephemeralPublicBytes - Raw ephemeral public key
+ * @param {string} curve
+ * @param {string[]} usages - ['encrypt'] or ['decrypt']
+ * @param {string} [label] - HKDF info prefix; NOTIFY_LABEL keeps notification keys apart
+ * @returns {Promise<CryptoKey>} AES-256-GCM key
+ */
+async function deriveRecipientWrappingKey(privateKey, publicKey, ephemeralPublicBytes, curve, usages, label = RECIPIENT_WRAP_LABEL) {
+  const { algorithm } = RECIPIENT_CURVES[curve];
+  const sharedBits = await crypto.subtle.deriveBits(
+    { name: algorithm.name, public: publicKey },
+    privateKey,
+    RECIPIENT_SHARED_BITS
+  );
+  
+  const hkdfKey = await crypto.subtle.importKey('raw', sharedBits, 'HKDF', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    {
+      name: 'HKDF',
+      hash: 'SHA-256',
+      salt: ephemeralPublicBytes,
+      info: stringToBytes(`${label}|${curve}`)
+    },
+    hkdfKey,
+    {
+      name: 'AES-GCM',
+      length: AES_KEY_LENGTH
+    },
+    false,
+    usages
+  );
+}
+
+/**
+ * Wrap a content key to a recipient's public key.
+ * @param {Uint8Array} contentKeyBytes - Raw content key bytes
+ * @param {CryptoKey} recipientKey - Recipient public key
+ * @returns {Promise<Uint8Array>} ephemeralPublicKey || wrappingIV || wrappedKey (includes auth tag)
+ */
+async function wrapContentKeyForRecipient(contentKeyBytes, recipientKey) {
+  const curve = recipientCurveOf(recipientKey);
+  const ephemeral = await crypto.subtle.generateKey(RECIPIENT_CURVES[curve].algorithm, true, ['deriveBits']);
+  const ephemeralPublicBytes = new Uint8Array(await crypto.subtle.exportKey('raw', ephemeral.publicKey));
+  
+  const wrappingKey = await deriveRecipientWrappingKey(
+    ephemeral.privateKey, recipientKey, ephemeralPublicBytes, curve, ['encrypt']
+  );
   const wrappingIV = generateIV();
   const wrappedKeyBuffer = await crypto.subtle.encrypt(
     {
@@ -332,76 +687,633 @@ async function encryptSecret(plaintext, passphrase) {
     contentKeyBytes
   );
   
-  // URL fragment = wrappingIV || wrappedKey (includes auth tag)
-  const wrappedKeyBytes = new Uint8Array(wrappedKeyBuffer);
-  const fragmentBytes = concatBytes(wrappingIV, wrappedKeyBytes);
-  const urlFragment = bytesToBase64Url(fragmentBytes);
+  return concatBytes(ephemeralPublicBytes, wrappingIV, new Uint8Array(wrappedKeyBuffer));
+}
+
+/**
+ * Unwrap a content key with the recipient's private key.
+ * The fragment does not name the curve; the recipient's key does.
+ * @param {Uint8Array} fragmentBytes - ephemeralPublicKey || wrappingIV || wrappedKey
+ * @param {CryptoKey} [recipientKey] - Recipient private key
+ * @returns {Promise<Uint8Array>} Raw content key bytes
+ * @throws {Error} If no key is given or the key cannot unwrap the content key
+ */
+async function unwrapContentKeyForRecipient(fragmentBytes, recipientKey) {
+  if (!recipientKey) {
+    throw new Error('Recipient key required for this secret');
+  }
+  
+  const curve = recipientCurveOf(recipientKey);
+  const { algorithm, publicKeyLength } = RECIPIENT_CURVES[curve];
+  
+  // Parse: ephemeralPublicKey || wrappingIV || wrappedKey
+  const ephemeralPublicBytes = fragmentBytes.slice(0, publicKeyLength);
+  const wrappingIV = fragmentBytes.slice(publicKeyLength, publicKeyLength + AES_IV_LENGTH);
+  const wrappedKeyBytes = fragmentBytes.slice(publicKeyLength + AES_IV_LENGTH);
+  
+  const ephemeralPublicKey = await crypto.subtle.importKey('raw', ephemeralPublicBytes, algorithm, false, []);
+  const wrappingKey = await deriveRecipientWrappingKey(
+    recipientKey, ephemeralPublicKey, ephemeralPublicBytes, curve, ['decrypt']
+  );
+  
+  const contentKeyBuffer = await crypto.subtle.decrypt(
+    {
+      name: 'AES-GCM',
+      iv: wrappingIV
+    },
+    wrappingKey,
+    wrappedKeyBytes
+  );
+  return new Uint8Array(contentKeyBuffer);
+}
+
+/**
+ * Check a private key against a recipient-bound link. The wrapped content key
+ * is authenticated on its own, so a key that does not fit is found out before
+ * the secret is fetched and a view used up.
+ * @param {string} urlFragment - Key material from the link
+ * @param {CryptoKey} recipientKey - Recipient private key
+ * @returns {Promise<boolean>} False if the key does not unwrap the fragment, or the fragment is not recipient-bound
+ */
+async function recipientKeyOpens(urlFragment, recipientKey) {
+  try {
+    const { mode, bytes } = parseFragment(urlFragment);
+    if (mode !== FRAGMENT_MODE_RECIPIENT) {
+      return false;
+    }
+    await unwrapContentKeyForRecipient(bytes, recipientKey);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// =============================================================================
+// View notifications
+// =============================================================================
+
+/**
+ * Generate the secret a webhook receiver checks notification signatures with.
+ * @returns {string} base64url, used as-is (UTF-8) for the HMAC key
+ */
+function generateNotifySecret() {
+  return bytesToBase64Url(crypto.getRandomValues(new Uint8Array(NOTIFY_SECRET_LENGTH)));
+}
+
+/**
+ * Seal a webhook for the server's notification dispatcher, which alone holds
+ * the matching private key: the stored secret carries no readable URL.
+ * @param {{url: string, secret: string}} webhook - Where to POST, and the signing secret
+ * @param {string} serverKey - base64url X25519 key (notifyKey from POST /token)
+ * @returns {Promise<string>} base64url(ephemeralPublicKey || iv || ciphertext)
+ * @throws {Error} If the server key is malformed or not X25519
+ */
+async function sealNotify(webhook, serverKey) {
+  const publicKey = await importRecipientPublicKey(serverKey);
+  const curve = recipientCurveOf(publicKey);
+  if (curve !== RECIPIENT_X25519) {
+    throw new Error('Unsupported notification key');
+  }
+  
+  const ephemeral = await crypto.subtle.generateKey(RECIPIENT_CURVES[curve].algorithm, true, ['deriveBits']);
+  const ephemeralPublicBytes = new Uint8Array(await crypto.subtle.exportKey('raw', ephemeral.publicKey));
+  const sealingKey = await deriveRecipientWrappingKey(
+    ephemeral.privateKey, publicKey, ephemeralPublicBytes, curve, ['encrypt'], NOTIFY_LABEL
+  );
+  const iv = generateIV();
+  const sealed = await crypto.subtle.encrypt(
+    {
+      name: 'AES-GCM',
+      iv
+    },
+    sealingKey,
+    stringToBytes(JSON.stringify({ url: webhook.url, secret: webhook.secret }))
+  );
+  
+  return bytesToBase64Url(concatBytes(ephemeralPublicBytes, iv, new Uint8Array(sealed)));
+}
+
+// =============================================================================
+// Envelope
+// =============================================================================
+
+/**
+ * Encode key material as a versioned URL fragment.
+ * @param {string} mode - FRAGMENT_MODE_KEY, FRAGMENT_MODE_PASSPHRASE or FRAGMENT_MODE_RECIPIENT
+ * @param {Uint8Array} bytes - Raw key, or the wrapped key (see FRAGMENT_MODE_*)
+ * @returns {string} "v2.<mode>.<base64url>"
+ */
+function encodeFragment(mode, bytes) {
+  return `v${ENVELOPE_VERSION}.${mode}.${bytesToBase64Url(bytes)}`;
+}
+
+/**
+ * Parse a URL fragment into its version, mode and key material.
+ * Legacy (v1) fragments are bare base64url, which never contains '.'.
+ * @param {string} fragment
+ * @returns {{version: number, mode: string|null, bytes: Uint8Array}}
+ * @throws {Error} If the fragment is malformed
+ */
+function parseFragment(fragment) {
+  if (!fragment.includes('.')) {
+    return { version: LEGACY_ENVELOPE_VERSION, mode: null, bytes: base64UrlToBytes(fragment) };
+  }
+  
+  const match = /^v(\d+)\.([a-z])\.([A-Za-z0-9_-]+)$/.exec(fragment);
+  if (!match) {
+    throw new Error('Malformed URL fragment');
+  }
   
   return {
-    payload: {
-      ciphertext,
-      iv,
-      salt
+    version: Number(match[1]),
+    mode: match[2],
+    bytes: base64UrlToBytes(match[3])
+  };
+}
+
+/**
+ * Build the additional authenticated data for a v2 envelope.
+ * Binding the header into GCM means a payload whose version, cipher or KDF
+ * has been altered (e.g. downgraded) fails to decrypt.
+ * @param {{version: number, cipher: string, kdf: object|null}} header
+ * @returns {Uint8Array}
+ */
+function envelopeAdditionalData(header) {
+  const kdf = header.kdf
+    ? [header.kdf.name, ...Object.keys(header.kdf)
+        .filter(key => key !== 'name')
+        .sort()
+        .map(key => `${key}=${header.kdf[key]}`)].join(';')
+    : 'none';
+  
+  return stringToBytes(`${ENVELOPE_AAD_LABEL}|v${header.version}|${header.cipher}|${kdf}`);
+}
+
+/**
+ * Wrap a content key with a passphrase.
+ * @param {Uint8Array} contentKeyBytes - Raw content key bytes
+ * @param {string} passphrase
+ * @param {string} salt - Base64-encoded salt
+ * @param {object} kdf - KDF descriptor
+ * @returns {Promise<Uint8Array>} wrappingIV || wrappedKey (includes auth tag)
+ */
+async function wrapContentKey(contentKeyBytes, passphrase, salt, kdf) {
+  const wrappingKey = await deriveKeyFromPassphrase(passphrase, salt, kdf);
+  
+  // Wrap the content key using AES-GCM
+  const wrappingIV = generateIV();
+  const wrappedKeyBuffer = await crypto.subtle.encrypt(
+    {
+      name: 'AES-GCM',
+      iv: wrappingIV
+    },
+    wrappingKey,
+    contentKeyBytes
+  );
+  
+  return concatBytes(wrappingIV, new Uint8Array(wrappedKeyBuffer));
+}
+
+/**
+ * Build the v2 URL fragment for a content key: the raw key, the key wrapped
+ * to a recipient, or the key wrapped with the passphrase.
+ * @param {Uint8Array} contentKeyBytes - Raw content key bytes
+ * @param {string} [passphrase]
+ * @param {string|null} salt - Base64-encoded salt (passphrase only)
+ * @param {object|null} kdf - KDF descriptor (passphrase only)
+ * @param {CryptoKey} [recipientKey] - Recipient public key
+ * @returns {Promise<string>}
+ */
+async function contentKeyFragment(contentKeyBytes, passphrase, salt, kdf, recipientKey) {
+  if (recipientKey) {
+    const fragmentBytes = await wrapContentKeyForRecipient(contentKeyBytes, recipientKey);
+    return encodeFragment(FRAGMENT_MODE_RECIPIENT, fragmentBytes);
+  }
+  if (!passphrase) {
+    return encodeFragment(FRAGMENT_MODE_KEY, contentKeyBytes);
+  }
+  
+  const fragmentBytes = await wrapContentKey(contentKeyBytes, passphrase, salt, kdf);
+  return encodeFragment(FRAGMENT_MODE_PASSPHRASE, fragmentBytes);
+}
+
+/**
+ * Unwrap a content key with a passphrase.
+ * @param {Uint8Array} fragmentBytes - wrappingIV || wrappedKey
+ * @param {string} passphrase
+ * @param {string} salt - Base64-encoded salt
+ * @param {object} [kdf] - KDF descriptor
+ * @returns {Promise<Uint8Array>} Raw content key bytes
+ */
+async function unwrapContentKey(fragmentBytes, passphrase, salt, kdf) {
+  if (!passphrase) {
+    throw new Error('Passphrase required for this secret');
+  }
+  
+  const wrappingKey = await deriveKeyFromPassphrase(passphrase, salt, kdf);
+  
+  // Parse: wrappingIV || wrappedKey
+  const wrappingIV = fragmentBytes.slice(0, AES_IV_LENGTH);
+  const wrappedKeyBytes = fragmentBytes.slice(AES_IV_LENGTH);
+  
+  const contentKeyBuffer = await crypto.subtle.decrypt(
+    {
+      name: 'AES-GCM',
+      iv: wrappingIV
+    },
+    wrappingKey,
+    wrappedKeyBytes
+  );
+  return new Uint8Array(contentKeyBuffer);
+}
+
+/**
+ * Check the key commitment (if present) and import the content key.
+ * @param {{iv: string, commitment?: string}} payload
+ * @param {Uint8Array} contentKeyBytes - Raw content key bytes
+ * @returns {Promise<CryptoKey>} Non-extractable, decrypt-only key
+ * @throws {Error} If the key commitment does not match
+ */
+async function importContentKey(payload, contentKeyBytes) {
+  const { iv, commitment } = payload;
+  
+  // Check the key commitment before trusting the key (if present)
+  if (commitment !== undefined && commitment !== null) {
+    if (!(await verifyKeyCommitment(contentKeyBytes, iv, commitment))) {
+      throw new Error('Key commitment mismatch');
+    }
+  }
+  
+  // Import content key (non-extractable, decrypt only)
+  return crypto.subtle.importKey(
+    'raw',
+    contentKeyBytes,
+    {
+      name: 'AES-GCM',
+      length: AES_KEY_LENGTH
     },
-    urlFragment
+    false,
+    ['decrypt']
+  );
+}
+
+/**
+ * Check the key commitment (if present) and decrypt the ciphertext.
+ * @param {{ciphertext: string, iv: string, commitment?: string}} payload
+ * @param {Uint8Array} contentKeyBytes - Raw content key bytes
+ * @param {Uint8Array} [additionalData] - Envelope AAD (v2 only)
+ * @returns {Promise<string>} Decrypted plaintext
+ */
+async function openPayload(payload, contentKeyBytes, additionalData) {
+  const contentKey = await importContentKey(payload, contentKeyBytes);
+  return decrypt(payload.ciphertext, payload.iv, contentKey, additionalData);
+}
+
+/**
+ * Decrypt a legacy (v1) payload: no envelope fields, fragment layout implied
+ * by whether salt is set, PBKDF2 at the default iteration count.
+ */
+async function decryptSecretV1(payload, urlFragment, passphrase) {
+  const { version, bytes } = parseFragment(urlFragment);
+  if (version !== LEGACY_ENVELOPE_VERSION) {
+    throw new Error('URL fragment does not match payload version');
+  }
+  
+  const contentKeyBytes = payload.salt
+    ? await unwrapContentKey(bytes, passphrase, payload.salt)
+    : bytes;
+  
+  return openPayload(payload, contentKeyBytes);
+}
+
+/**
+ * Recover and check the content key of a v2 payload: versioned fragment,
+ * expected cipher, mandatory key commitment.
+ * @param {object} payload - v2 payload
+ * @param {string} urlFragment
+ * @param {string} [passphrase]
+ * @param {CryptoKey} [recipientKey] - Recipient private key
+ * @param {string} cipher - Cipher the caller can decrypt
+ * @returns {Promise<CryptoKey>} Content key
+ */
+async function recoverContentKeyV2(payload, urlFragment, passphrase, recipientKey, cipher) {
+  const { version, mode, bytes } = parseFragment(urlFragment);
+  if (version !== ENVELOPE_VERSION) {
+    throw new Error('URL fragment does not match payload version');
+  }
+  if (payload.cipher !== cipher) {
+    throw new Error(`Unsupported cipher: ${payload.cipher}`);
+  }
+  if (!payload.commitment) {
+    throw new Error('Key commitment missing');
+  }
+  
+  // A recipient-wrapped key needs nothing from the payload, so the server
+  // cannot tell it from a raw one
+  const expectedModes = payload.kdf
+    ? [FRAGMENT_MODE_PASSPHRASE]
+    : [FRAGMENT_MODE_KEY, FRAGMENT_MODE_RECIPIENT];
+  if (!expectedModes.includes(mode)) {
+    throw new Error('URL fragment does not match payload');
+  }
+  
+  let contentKeyBytes = bytes;
+  if (mode === FRAGMENT_MODE_PASSPHRASE) {
+    contentKeyBytes = await unwrapContentKey(bytes, passphrase, payload.salt, payload.kdf);
+  } else if (mode === FRAGMENT_MODE_RECIPIENT) {
+    contentKeyBytes = await unwrapContentKeyForRecipient(bytes, recipientKey);
+  }
+  
+  return importContentKey(payload, contentKeyBytes);
+}
+
+/**
+ * Decrypt a v2 payload: explicit cipher and KDF, versioned fragment,
+ * mandatory key commitment and header bound as AAD.
+ */
+async function decryptSecretV2(payload, urlFragment, passphrase, recipientKey) {
+  const contentKey = await recoverContentKeyV2(payload, urlFragment, passphrase, recipientKey, CIPHER_AES_256_GCM);
+  return decrypt(payload.ciphertext, payload.iv, contentKey, envelopeAdditionalData(payload));
+}
+
+// Decryptors by envelope version
+const DECRYPTORS = {
+  [LEGACY_ENVELOPE_VERSION]: decryptSecretV1,
+  [ENVELOPE_VERSION]: decryptSecretV2
+};
+
+/**
+ * Reject a passphrase combined with a recipient key: the fragment carries
+ * one wrapped key, so only one of them could protect it.
+ * @param {string} [passphrase]
+ * @param {{recipientKey?: CryptoKey}} options
+ * @throws {Error} If both are given
+ */
+function checkKeyProtection(passphrase, options) {
+  if (passphrase && options.recipientKey) {
+    throw new Error('Use either a passphrase or a recipient key, not both');
+  }
+}
+
+// =============================================================================
+// High-Level API
+// =============================================================================
+
+/**
+ * Encrypt a secret for storage.
+ * Optionally adds passphrase protection via key wrapping, or binds the
+ * secret to a recipient by wrapping the key to their public key.
+ * 
+ * @param {string} plaintext - Secret content
+ * @param {string} [passphrase] - Optional additional passphrase
+ * @param {{kdf?: object, recipientKey?: CryptoKey}} [options] - Passphrase KDF descriptor (default PBKDF2; see calibrateArgon2id()), or recipient public key (see importRecipientPublicKey())
+ * @returns {Promise<{payload: {version: number, cipher: string, kdf: object|null, ciphertext: string, iv: string, salt: string|null, commitment: string}, urlFragment: string}>}
+ * @throws {Error} If both a passphrase and a recipient key are given
+ */
+async function encryptSecret(plaintext, passphrase, options = {}) {
+  checkKeyProtection(passphrase, options);
+  
+  const salt = passphrase ? generateSalt() : null;
+  const header = {
+    version: ENVELOPE_VERSION,
+    cipher: CIPHER_AES_256_GCM,
+    kdf: passphrase ? (options.kdf ?? defaultKdf()) : null
+  };
+  
+  // Generate random content key
+  const contentKey = await generateKey();
+  const contentKeyBytes = new Uint8Array(await crypto.subtle.exportKey('raw', contentKey));
+  
+  // Encrypt the plaintext with content key, binding the envelope header
+  const { ciphertext, iv } = await encrypt(plaintext, contentKey, envelopeAdditionalData(header));
+  
+  // Commit to the content key
+  const commitment = await computeKeyCommitment(contentKeyBytes, iv);
+  
+  const payload = {
+    ...header,
+    ciphertext,
+    iv,
+    salt,
+    commitment
+  };
+  
+  // Content key goes in the fragment, wrapped if there is a passphrase or recipient
+  return {
+    payload,
+    urlFragment: await contentKeyFragment(contentKeyBytes, passphrase, salt, header.kdf, options.recipientKey)
   };
 }
 
 /**
  * Decrypt a secret retrieved from server.
+ * Dispatches on the envelope version; payloads without a version are legacy
+ * (v1) payloads and are decrypted as they always were.
  * 
- * @param {{ciphertext: string, iv: string, salt: string|null}} payload - Encrypted payload from server
+ * @param {{version?: number, cipher?: string, kdf?: object|null, ciphertext: string, iv: string, salt: string|null, commitment?: string}} payload - Encrypted payload from server
  * @param {string} urlFragment - Key material from URL fragment
- * @param {string} [passphrase] - Required if payload.salt is present
+ * @param {string} [passphrase] - Required if the secret is passphrase-protected
+ * @param {CryptoKey} [recipientKey] - Recipient private key, required if the secret is recipient-bound (see importRecipientPrivateKey())
  * @returns {Promise<string>} Decrypted plaintext
- * @throws {Error} If decryption fails
+ * @throws {Error} If decryption fails, the version is unsupported, or the key commitment does not match
  */
-async function decryptSecret(payload, urlFragment, passphrase) {
-  const { ciphertext, iv, salt } = payload;
+async function decryptSecret(payload, urlFragment, passphrase, recipientKey) {
+  const version = payload.version ?? LEGACY_ENVELOPE_VERSION;
+  const decryptor = DECRYPTORS[version];
   
-  let contentKey;
+  if (!decryptor) {
+    throw new Error(`Unsupported envelope version: ${version}`);
+  }
   
-  if (!salt) {
-    // No passphrase: URL fragment is the content key
-    contentKey = await base64UrlToNonExtractableKey(urlFragment);
-  } else {
-    // With passphrase: unwrap the content key
-    if (!passphrase) {
-      throw new Error('Passphrase required for this secret');
-    }
-    
-    const wrappingKey = await deriveKeyFromPassphrase(passphrase, salt);
+  return decryptor(payload, urlFragment, passphrase, recipientKey);
+}
+
+// =============================================================================
+// File Secrets
+// =============================================================================
+
+/**
+ * Derive the nonce for one chunk of a file secret.
+ * The payload IV is the base; the chunk index is XORed into bytes 7-10 and
+ * the final-chunk flag into byte 11.
+ * @param {Uint8Array} baseIV - 12-byte payload IV
+ * @param {number} index - Chunk index (0 is the metadata chunk)
+ * @param {boolean} last - Whether this is the final chunk
+ * @returns {Uint8Array}
+ */
+function chunkNonce(baseIV, index, last) {
+  const nonce = baseIV.slice();
+  const view = new DataView(nonce.buffer);
+  view.setUint32(7, view.getUint32(7) ^ index);
+  nonce[11] ^= last ? 1 : 0;
+  return nonce;
+}
+
+/**
+ * Encrypt chunks into a length-prefixed stream.
+ * @param {CryptoKey} key - Content key
+ * @param {Uint8Array} baseIV - Payload IV
+ * @param {Uint8Array[]} chunks - Plaintext chunks (metadata first)
+ * @param {Uint8Array} additionalData - Envelope AAD
+ * @returns {Promise<Uint8Array>} len || ciphertext, for each chunk
+ */
+async function sealChunks(key, baseIV, chunks, additionalData) {
+  const sealed = [];
+  
+  for (let i = 0; i < chunks.length; i++) {
+    const nonce = chunkNonce(baseIV, i, i === chunks.length - 1);
+    const ciphertext = new Uint8Array(
+      await crypto.subtle.encrypt(gcmParams(nonce, additionalData), key, chunks[i])
+    );
     
-    // Parse URL fragment: wrappingIV || wrappedKey
-    const fragmentBytes = base64UrlToBytes(urlFragment);
-    const wrappingIV = fragmentBytes.slice(0, AES_IV_LENGTH);
-    const wrappedKeyBytes = fragmentBytes.slice(AES_IV_LENGTH);
+    const length = new Uint8Array(CHUNK_LENGTH_BYTES);
+    new DataView(length.buffer).setUint32(0, ciphertext.length);
+    sealed.push(length, ciphertext);
+  }
+  
+  return concatBytes(...sealed);
+}
+
+/**
+ * Split and decrypt a length-prefixed chunk stream.
+ * @param {CryptoKey} key - Content key
+ * @param {Uint8Array} baseIV - Payload IV
+ * @param {Uint8Array} stream - Output of sealChunks()
+ * @param {Uint8Array} additionalData - Envelope AAD
+ * @returns {Promise<Uint8Array[]>} Plaintext chunks (metadata first)
+ * @throws {Error} If the stream is malformed or any chunk fails to authenticate
+ */
+async function openChunks(key, baseIV, stream, additionalData) {
+  const view = new DataView(stream.buffer, stream.byteOffset, stream.byteLength);
+  const sealed = [];
+  let offset = 0;
+  
+  while (offset < stream.length) {
+    if (offset + CHUNK_LENGTH_BYTES > stream.length) {
+      throw new Error('Malformed file ciphertext');
+    }
     
-    // Unwrap the content key
-    const contentKeyBuffer = await crypto.subtle.decrypt(
-      {
-        name: 'AES-GCM',
-        iv: wrappingIV
-      },
-      wrappingKey,
-      wrappedKeyBytes
-    );
+    const length = view.getUint32(offset);
+    offset += CHUNK_LENGTH_BYTES;
+    if (length < GCM_TAG_LENGTH || length > FILE_CHUNK_SIZE + GCM_TAG_LENGTH ||
+        offset + length > stream.length) {
+      throw new Error('Malformed file ciphertext');
+    }
     
-    // Import unwrapped key
-    contentKey = await crypto.subtle.importKey(
-      'raw',
-      contentKeyBuffer,
-      {
-        name: 'AES-GCM',
-        length: AES_KEY_LENGTH
-      },
-      false,
-      ['decrypt']
-    );
+    sealed.push(stream.subarray(offset, offset + length));
+    offset += length;
+  }
+  
+  if (sealed.length === 0) {
+    throw new Error('Malformed file ciphertext');
+  }
+  
+  const chunks = [];
+  for (let i = 0; i < sealed.length; i++) {
+    const nonce = chunkNonce(baseIV, i, i === sealed.length - 1);
+    const plaintext = await crypto.subtle.decrypt(gcmParams(nonce, additionalData), key, sealed[i]);
+    chunks.push(new Uint8Array(plaintext));
+  }
+  
+  return chunks;
+}
+
+/**
+ * Encrypt a file for storage.
+ * The filename and MIME type are encrypted with the contents, in the first
+ * chunk, so the server never sees them.
+ * 
+ * @param {Blob|ArrayBuffer|Uint8Array} file - File contents (a File supplies its own name and type)
+ * @param {string} [passphrase] - Optional additional passphrase
+ * @param {{name?: string, type?: string, kdf?: object, recipientKey?: CryptoKey}} [options] - Metadata overrides, passphrase KDF descriptor and recipient public key
+ * @returns {Promise<{payload: {version: number, cipher: string, kdf: object|null, ciphertext: string, iv: string, salt: string|null, commitment: string}, urlFragment: string}>}
+ * @throws {Error} If the file or filename is too large, or both a passphrase and a recipient key are given
+ */
+async function encryptFile(file, passphrase, options = {}) {
+  const data = typeof Blob !== 'undefined' && file instanceof Blob
+    ? new Uint8Array(await file.arrayBuffer())
+    : new Uint8Array(file);
+  const name = options.name ?? file.name ?? 'file';
+  const type = options.type || file.type || DEFAULT_FILE_TYPE;
+  
+  if (data.length > MAX_FILE_BYTES) {
+    throw new Error('File too large');
+  }
+  if (name.length > MAX_FILENAME_LENGTH || type.length > MAX_FILENAME_LENGTH) {
+    throw new Error('Filename or type too long');
+  }
+  checkKeyProtection(passphrase, options);
+  
+  const salt = passphrase ? generateSalt() : null;
+  const header = {
+    version: ENVELOPE_VERSION,
+    cipher: CIPHER_AES_256_GCM_CHUNKED,
+    kdf: passphrase ? (options.kdf ?? defaultKdf()) : null
+  };
+  
+  const contentKey = await generateKey();
+  const contentKeyBytes = new Uint8Array(await crypto.subtle.exportKey('raw', contentKey));
+  const iv = generateIV();
+  
+  // Metadata chunk, then the contents
+  const chunks = [stringToBytes(JSON.stringify({ name, type, size: data.length }))];
+  for (let offset = 0; offset < data.length; offset += FILE_CHUNK_SIZE) {
+    chunks.push(data.subarray(offset, offset + FILE_CHUNK_SIZE));
+  }
+  
+  const stream = await sealChunks(contentKey, iv, chunks, envelopeAdditionalData(header));
+  const ivBase64 = bytesToBase64(iv);
+  
+  const payload = {
+    ...header,
+    ciphertext: bytesToBase64(stream),
+    iv: ivBase64,
+    salt,
+    commitment: await computeKeyCommitment(contentKeyBytes, ivBase64)
+  };
+  
+  return {
+    payload,
+    urlFragment: await contentKeyFragment(contentKeyBytes, passphrase, salt, header.kdf, options.recipientKey)
+  };
+}
+
+/**
+ * Decrypt a file secret retrieved from server.
+ * 
+ * @param {{version: number, cipher: string, kdf: object|null, ciphertext: string, iv: string, salt: string|null, commitment: string}} payload - Encrypted payload from server
+ * @param {string} urlFragment - Key material from URL fragment
+ * @param {string} [passphrase] - Required if the secret is passphrase-protected
+ * @param {CryptoKey} [recipientKey] - Recipient private key, required if the secret is recipient-bound
+ * @returns {Promise<{name: string, type: string, size: number, blob: Blob}>} File ready to download (blob is application/octet-stream; type is the original MIME type)
+ * @throws {Error} If the payload is not a file secret or decryption fails
+ */
+async function decryptFile(payload, urlFragment, passphrase, recipientKey) {
+  if (payload.version !== ENVELOPE_VERSION) {
+    throw new Error(`Unsupported envelope version: ${payload.version ?? LEGACY_ENVELOPE_VERSION}`);
+  }
+  
+  const contentKey = await recoverContentKeyV2(
+    payload, urlFragment, passphrase, recipientKey, CIPHER_AES_256_GCM_CHUNKED
+  );
+  const [metadataBytes, ...chunks] = await openChunks(
+    contentKey,
+    base64ToBytes(payload.iv),
+    base64ToBytes(payload.ciphertext),
+    envelopeAdditionalData(payload)
+  );
+  
+  const { name, type, size } = JSON.parse(bytesToString(metadataBytes));
+  
+  // The type is the sender's claim: report it, but keep the Blob opaque so an
+  // object URL for it can only be downloaded, never rendered in our origin
+  const blob = new Blob(chunks, { type: DEFAULT_FILE_TYPE });
+  
+  if (blob.size !== size) {
+    throw new Error('File size mismatch');
   }
   
-  // Decrypt the ciphertext with content key
-  return decrypt(ciphertext, iv, contentKey);
+  return { name, type, size, blob };
 }
 
 // =============================================================================
@@ -418,13 +1330,34 @@ if (typeof module !== 'undefined' && module.exports) {
     encrypt,
     decrypt,
     deriveKeyFromPassphrase,
+    calibrateArgon2id,
     keyToBase64Url,
     base64UrlToKey,
     base64UrlToNonExtractableKey,
+    computeKeyCommitment,
+    verifyKeyCommitment,
+    
+    // Recipient keys
+    generateRecipientKeyPair,
+    exportRecipientKey,
+    importRecipientPublicKey,
+    importRecipientPrivateKey,
+    recipientKeyOpens,
+    
+    // View notifications
+    generateNotifySecret,
+    sealNotify,
+    
+    // Envelope
+    encodeFragment,
+    parseFragment,
+    envelopeAdditionalData,
     
     // High-level API
     encryptSecret,
     decryptSecret,
+    encryptFile,
+    decryptFile,
     
     // Utility functions (exported for testing)
     bytesToBase64,
@@ -439,6 +1372,28 @@ if (typeof module !== 'undefined' && module.exports) {
     AES_KEY_LENGTH,
     AES_IV_LENGTH,
     SALT_LENGTH,
-    PBKDF2_ITERATIONS
+    PBKDF2_ITERATIONS,
+    PBKDF2_MAX_ITERATIONS,
+    KEY_COMMITMENT_LENGTH,
+    ENVELOPE_VERSION,
+    LEGACY_ENVELOPE_VERSION,
+    CIPHER_AES_256_GCM,
+    CIPHER_AES_256_GCM_CHUNKED,
+    FRAGMENT_MODE_KEY,
+    FRAGMENT_MODE_PASSPHRASE,
+    FRAGMENT_MODE_RECIPIENT,
+    RECIPIENT_X25519,
+    RECIPIENT_P256,
+    NOTIFY_LABEL,
+    FILE_CHUNK_SIZE,
+    MAX_FILE_BYTES,
+    MAX_FILENAME_LENGTH,
+    KDF_PBKDF2_SHA256,
+    KDF_ARGON2ID,
+    ARGON2_DEFAULT_MEMORY,
+    ARGON2_DEFAULT_PARALLELISM,
+    ARGON2_MIN_MEMORY,
+    ARGON2_MAX_MEMORY,
+    ARGON2_MAX_ITERATIONS
   };
 }
@@ -6,13 +6,16 @@
  */
 
 import { describe, test, expect, beforeAll } from 'vitest';
-import { webcrypto } from 'node:crypto';
+import { webcrypto, createPrivateKey, createPublicKey, diffieHellman, hkdfSync, createDecipheriv } from 'node:crypto';
 
 // Polyfill Web Crypto API for Node.js
 if (typeof globalThis.crypto === 'undefined') {
   globalThis.crypto = webcrypto;
 }
 
+// Load the bundled Argon2 build the way index.html does (as global `hashwasm`)
+globalThis.hashwasm = (await import('./vendor/argon2.umd.min.js')).default;
+
 // Import the crypto module
 const {
   generateKey,
@@ -21,22 +24,90 @@ const {
   encrypt,
   decrypt,
   deriveKeyFromPassphrase,
+  calibrateArgon2id,
   keyToBase64Url,
   base64UrlToKey,
   base64UrlToNonExtractableKey,
+  computeKeyCommitment,
+  verifyKeyCommitment,
+  encodeFragment,
+  parseFragment,
+  envelopeAdditionalData,
+  generateRecipientKeyPair,
+  exportRecipientKey,
+  importRecipientPublicKey,
+  importRecipientPrivateKey,
+  recipientKeyOpens,
+  generateNotifySecret,
+  sealNotify,
   encryptSecret,
   decryptSecret,
+  encryptFile,
+  decryptFile,
   bytesToBase64,
   base64ToBytes,
   bytesToBase64Url,
   base64UrlToBytes,
   stringToBytes,
   bytesToString,
+  concatBytes,
   AES_KEY_LENGTH,
   AES_IV_LENGTH,
-  SALT_LENGTH
+  SALT_LENGTH,
+  PBKDF2_ITERATIONS,
+  KEY_COMMITMENT_LENGTH,
+  ENVELOPE_VERSION,
+  LEGACY_ENVELOPE_VERSION,
+  CIPHER_AES_256_GCM,
+  CIPHER_AES_256_GCM_CHUNKED,
+  FRAGMENT_MODE_RECIPIENT,
+  RECIPIENT_X25519,
+  RECIPIENT_P256,
+  NOTIFY_LABEL,
+  FILE_CHUNK_SIZE,
+  MAX_FILE_BYTES,
+  MAX_FILENAME_LENGTH,
+  KDF_PBKDF2_SHA256,
+  KDF_ARGON2ID,
+  ARGON2_MIN_MEMORY,
+  ARGON2_MAX_MEMORY,
+  ARGON2_MAX_ITERATIONS
 } = await import('./crypto.js');
 
+/**
+ * Build a legacy (v1) secret the way clients did before the envelope format:
+ * no AAD, bare base64url fragment, layout implied by salt.
+ */
+async function encryptLegacySecret(plaintext, passphrase) {
+  const contentKey = await generateKey();
+  const { ciphertext, iv } = await encrypt(plaintext, contentKey);
+  
+  if (!passphrase) {
+    return {
+      payload: { ciphertext, iv, salt: null },
+      urlFragment: await keyToBase64Url(contentKey)
+    };
+  }
+  
+  const salt = generateSalt();
+  const wrappingKey = await deriveKeyFromPassphrase(passphrase, salt);
+  const wrappingIV = generateIV();
+  const wrapped = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv: wrappingIV },
+    wrappingKey,
+    new Uint8Array(await crypto.subtle.exportKey('raw', contentKey))
+  );
+  
+  const fragmentBytes = new Uint8Array(AES_IV_LENGTH + wrapped.byteLength);
+  fragmentBytes.set(wrappingIV);
+  fragmentBytes.set(new Uint8Array(wrapped), AES_IV_LENGTH);
+  
+  return {
+    payload: { ciphertext, iv, salt },
+    urlFragment: bytesToBase64Url(fragmentBytes)
+  };
+}
+
 // =============================================================================
 // Utility Function Tests
 // =============================================================================
@@ -56,6 +127,12 @@ describe('Utility Functions', () => {
       const decoded = base64ToBytes(encoded);
       expect(decoded).toEqual(original);
     });
+    
+    test('handles arrays larger than the call stack allows', () => {
+      const original = new Uint8Array(1024 * 1024).fill(0xab);
+      
+      expect(bytesToBase64(original)).toBe(Buffer.from(original).toString('base64'));
+    });
   });
   
   describe('base64url encoding', () => {
@@ -367,6 +444,123 @@ describe('Passphrase Key Derivation', () => {
       
       expect(key.algorithm.name).toBe('AES-GCM');
     });
+    
+    test('PBKDF2 iterations outside the accepted range throw', async () => {
+      const salt = generateSalt();
+      
+      await expect(deriveKeyFromPassphrase('pass', salt, { name: KDF_PBKDF2_SHA256, iterations: 1000 }))
+        .rejects.toThrow('Unsupported pbkdf2-sha256 parameters');
+    });
+  });
+  
+  describe('Argon2id', () => {
+    // Small enough to keep the suite fast
+    const kdf = { name: KDF_ARGON2ID, memory: ARGON2_MIN_MEMORY, iterations: 2, parallelism: 1 };
+    
+    test('matches the reference implementation', async () => {
+      // libargon2: argon2id_hash_raw(t=2, m=19456, p=1, "password", 16 x 0x01)
+      const salt = bytesToBase64(new Uint8Array(16).fill(1));
+      const key = await deriveKeyFromPassphrase('password', salt, kdf);
+      const raw = new Uint8Array(await crypto.subtle.exportKey('raw', key));
+      
+      expect(Buffer.from(raw).toString('hex')).toBe(
+        '14695787c8ad1a210f90997854ba075c517b97924ed513e244aa058c48a03ea3'
+      );
+    });
+    
+    test('cost parameters change the key', async () => {
+      const salt = generateSalt();
+      
+      const key1 = await deriveKeyFromPassphrase('pass', salt, kdf);
+      const key2 = await deriveKeyFromPassphrase('pass', salt, { ...kdf, iterations: 3 });
+      
+      const raw1 = await crypto.subtle.exportKey('raw', key1);
+      const raw2 = await crypto.subtle.exportKey('raw', key2);
+      
+      expect(new Uint8Array(raw1)).not.toEqual(new Uint8Array(raw2));
+    });
+    
+    test('parameters outside the accepted range throw', async () => {
+      const salt = generateSalt();
+      
+      await expect(deriveKeyFromPassphrase('pass', salt, { ...kdf, memory: 1024 }))
+        .rejects.toThrow('Unsupported argon2id parameters');
+      await expect(deriveKeyFromPassphrase('pass', salt, { ...kdf, memory: ARGON2_MAX_MEMORY * 2 }))
+        .rejects.toThrow('Unsupported argon2id parameters');
+      await expect(deriveKeyFromPassphrase('pass', salt, { ...kdf, iterations: ARGON2_MAX_ITERATIONS + 1 }))
+        .rejects.toThrow('Unsupported argon2id parameters');
+      await expect(deriveKeyFromPassphrase('pass', salt, { name: KDF_ARGON2ID }))
+        .rejects.toThrow('Unsupported argon2id parameters');
+    });
+    
+    test('throws when the WASM module is not loaded', async () => {
+      const loaded = globalThis.hashwasm;
+      delete globalThis.hashwasm;
+      
+      try {
+        await expect(deriveKeyFromPassphrase('pass', generateSalt(), kdf))
+          .rejects.toThrow('Argon2id is not available');
+      } finally {
+        globalThis.hashwasm = loaded;
+      }
+    });
+    
+    test('encryptSecret round-trips with Argon2id', async () => {
+      const { payload, urlFragment } = await encryptSecret('argon2 secret', 'pass', { kdf });
+      
+      expect(payload.kdf).toEqual(kdf);
+      expect(await decryptSecret(payload, urlFragment, 'pass')).toBe('argon2 secret');
+      await expect(decryptSecret(payload, urlFragment, 'wrong')).rejects.toThrow();
+    });
+    
+    test('altered Argon2id parameters fail', async () => {
+      const { payload, urlFragment } = await encryptSecret('test', 'pass', { kdf });
+      const altered = { ...payload, kdf: { ...kdf, iterations: 1 } };
+      
+      await expect(decryptSecret(altered, urlFragment, 'pass')).rejects.toThrow();
+    });
+  });
+  
+  describe('calibrateArgon2id', () => {
+    // Fake clock: each calibration pass "takes" the next duration in the list
+    function clock(...durations) {
+      const times = durations.flatMap((duration) => [0, duration]);
+      return () => times.shift();
+    }
+    
+    test('spends the unlock budget on iterations', async () => {
+      const kdf = await calibrateArgon2id({
+        targetMs: 500,
+        memory: ARGON2_MIN_MEMORY,
+        now: clock(100)
+      });
+      
+      expect(kdf).toEqual({ name: KDF_ARGON2ID, memory: ARGON2_MIN_MEMORY, iterations: 5, parallelism: 1 });
+    });
+    
+    test('caps iterations on fast devices', async () => {
+      const kdf = await calibrateArgon2id({ memory: ARGON2_MIN_MEMORY, now: clock(1) });
+      
+      expect(kdf.iterations).toBe(ARGON2_MAX_ITERATIONS);
+    });
+    
+    test('lowers memory when one pass is over budget', async () => {
+      const kdf = await calibrateArgon2id({
+        targetMs: 1000,
+        memory: ARGON2_MIN_MEMORY * 2,
+        now: clock(3000, 400)
+      });
+      
+      expect(kdf.memory).toBe(ARGON2_MIN_MEMORY);
+      expect(kdf.iterations).toBe(2);
+    });
+    
+    test('never goes below the minimum cost', async () => {
+      const kdf = await calibrateArgon2id({ memory: ARGON2_MIN_MEMORY, now: clock(5000) });
+      
+      expect(kdf.memory).toBe(ARGON2_MIN_MEMORY);
+      expect(kdf.iterations).toBe(1);
+    });
   });
 });
 
@@ -427,6 +621,63 @@ describe('Key Encoding', () => {
   });
 });
 
+// =============================================================================
+// Key Commitment Tests
+// =============================================================================
+
+describe('Key Commitment', () => {
+  const keyBytes = new Uint8Array(32).fill(7);
+  const iv = bytesToBase64(new Uint8Array(AES_IV_LENGTH).fill(1));
+
+  describe('computeKeyCommitment', () => {
+    test('returns a 32-byte base64 tag', async () => {
+      const tag = await computeKeyCommitment(keyBytes, iv);
+      
+      expect(base64ToBytes(tag).length).toBe(KEY_COMMITMENT_LENGTH);
+    });
+    
+    test('is deterministic for the same key and IV', async () => {
+      expect(await computeKeyCommitment(keyBytes, iv))
+        .toBe(await computeKeyCommitment(keyBytes, iv));
+    });
+    
+    test('differs for a different key', async () => {
+      const otherKey = new Uint8Array(32).fill(8);
+      
+      expect(await computeKeyCommitment(otherKey, iv))
+        .not.toBe(await computeKeyCommitment(keyBytes, iv));
+    });
+    
+    test('differs for a different IV', async () => {
+      const otherIV = bytesToBase64(new Uint8Array(AES_IV_LENGTH).fill(2));
+      
+      expect(await computeKeyCommitment(keyBytes, otherIV))
+        .not.toBe(await computeKeyCommitment(keyBytes, iv));
+    });
+  });
+
+  describe('verifyKeyCommitment', () => {
+    test('accepts the matching tag', async () => {
+      const tag = await computeKeyCommitment(keyBytes, iv);
+      
+      expect(await verifyKeyCommitment(keyBytes, iv, tag)).toBe(true);
+    });
+    
+    test('rejects a tag for another key', async () => {
+      const tag = await computeKeyCommitment(new Uint8Array(32).fill(8), iv);
+      
+      expect(await verifyKeyCommitment(keyBytes, iv, tag)).toBe(false);
+    });
+    
+    test('rejects a truncated tag', async () => {
+      const tag = await computeKeyCommitment(keyBytes, iv);
+      const truncated = bytesToBase64(base64ToBytes(tag).slice(0, 16));
+      
+      expect(await verifyKeyCommitment(keyBytes, iv, truncated)).toBe(false);
+    });
+  });
+});
+
 // =============================================================================
 // High-Level API Tests
 // =============================================================================
@@ -451,17 +702,33 @@ describe('High-Level API', () => {
       expect(typeof payload.iv).toBe('string');
     });
     
-    test('urlFragment is valid base64url', async () => {
+    test('urlFragment is versioned and URL-safe', async () => {
       const plaintext = 'My secret message';
       const { urlFragment } = await encryptSecret(plaintext);
       
+      expect(urlFragment).toMatch(/^v2\.k\./);
       expect(urlFragment).not.toContain('+');
       expect(urlFragment).not.toContain('/');
       expect(urlFragment).not.toContain('=');
       
-      // Should be decodable
-      const bytes = base64UrlToBytes(urlFragment);
-      expect(bytes.length).toBeGreaterThan(0);
+      // Key material should be decodable
+      const { bytes } = parseFragment(urlFragment);
+      expect(bytes.length).toBe(32);
+    });
+    
+    test('payload carries the envelope header', async () => {
+      const { payload } = await encryptSecret('My secret message');
+      
+      expect(payload.version).toBe(ENVELOPE_VERSION);
+      expect(payload.cipher).toBe(CIPHER_AES_256_GCM);
+      expect(payload.kdf).toBeNull();
+    });
+    
+    test('with passphrase: payload names the KDF and fragment mode', async () => {
+      const { payload, urlFragment } = await encryptSecret('My secret message', 'pass');
+      
+      expect(payload.kdf).toEqual({ name: KDF_PBKDF2_SHA256, iterations: PBKDF2_ITERATIONS });
+      expect(urlFragment).toMatch(/^v2\.p\./);
     });
     
     test('without passphrase: salt is null', async () => {
@@ -469,6 +736,20 @@ describe('High-Level API', () => {
       expect(payload.salt).toBeNull();
     });
     
+    test('payload contains a key commitment', async () => {
+      const { payload } = await encryptSecret('My secret message');
+      
+      expect(typeof payload.commitment).toBe('string');
+      expect(base64ToBytes(payload.commitment).length).toBe(KEY_COMMITMENT_LENGTH);
+    });
+    
+    test('commitment matches the content key', async () => {
+      const { payload, urlFragment } = await encryptSecret('My secret message');
+      
+      expect(await verifyKeyCommitment(parseFragment(urlFragment).bytes, payload.iv, payload.commitment))
+        .toBe(true);
+    });
+    
     test('with passphrase: payload contains salt', async () => {
       const { payload } = await encryptSecret('test', 'my-passphrase');
       expect(payload.salt).not.toBeNull();
@@ -534,5 +815,607 @@ describe('High-Level API', () => {
       
       expect(decrypted).toBe(plaintext);
     });
+    
+    test('decrypts legacy payloads without a commitment', async () => {
+      const { payload, urlFragment } = await encryptLegacySecret('legacy secret');
+      
+      expect(await decryptSecret(payload, urlFragment)).toBe('legacy secret');
+    });
+    
+    test('decrypts legacy passphrase payloads without a commitment', async () => {
+      const { payload, urlFragment } = await encryptLegacySecret('legacy secret', 'pass');
+      
+      expect(await decryptSecret(payload, urlFragment, 'pass')).toBe('legacy secret');
+    });
+    
+    test('tampered commitment throws error', async () => {
+      const { payload, urlFragment } = await encryptSecret('My secret message');
+      const tag = base64ToBytes(payload.commitment);
+      tag[0] ^= 0x01;
+      payload.commitment = bytesToBase64(tag);
+      
+      await expect(decryptSecret(payload, urlFragment)).rejects.toThrow('Key commitment mismatch');
+    });
+    
+    test('rejects a key other than the committed one', async () => {
+      // A multi-key ciphertext would open under a second key; the commitment
+      // pins the key before any decryption is attempted.
+      const { payload } = await encryptSecret('My secret message');
+      const otherKey = await crypto.subtle.exportKey('raw', await generateKey());
+      const otherFragment = encodeFragment('k', new Uint8Array(otherKey));
+      
+      await expect(decryptSecret(payload, otherFragment)).rejects.toThrow('Key commitment mismatch');
+    });
+    
+    test('rejects a passphrase-path key other than the committed one', async () => {
+      const original = await encryptSecret('My secret message', 'pass');
+      const other = await encryptSecret('Other message', 'pass');
+      const forged = { ...original.payload, salt: other.payload.salt };
+      
+      await expect(decryptSecret(forged, other.urlFragment, 'pass'))
+        .rejects.toThrow('Key commitment mismatch');
+    });
+  });
+});
+
+// =============================================================================
+// Envelope Tests
+// =============================================================================
+
+describe('Envelope', () => {
+  describe('fragments', () => {
+    test('encodeFragment / parseFragment round-trip', () => {
+      const bytes = new Uint8Array([1, 2, 3, 250]);
+      const fragment = encodeFragment('p', bytes);
+      
+      expect(fragment.startsWith('v2.p.')).toBe(true);
+      expect(parseFragment(fragment)).toEqual({ version: 2, mode: 'p', bytes });
+    });
+    
+    test('bare base64url parses as a legacy fragment', () => {
+      const parsed = parseFragment(bytesToBase64Url(new Uint8Array([9, 8, 7])));
+      
+      expect(parsed.version).toBe(LEGACY_ENVELOPE_VERSION);
+      expect(parsed.mode).toBeNull();
+      expect(parsed.bytes).toEqual(new Uint8Array([9, 8, 7]));
+    });
+    
+    test('malformed fragment throws', () => {
+      expect(() => parseFragment('v2.k')).toThrow('Malformed URL fragment');
+      expect(() => parseFragment('vx.k.AAAA')).toThrow('Malformed URL fragment');
+    });
+  });
+
+  describe('envelopeAdditionalData', () => {
+    test('differs when any header field changes', () => {
+      const header = { version: 2, cipher: 'aes-256-gcm', kdf: { name: 'pbkdf2-sha256', iterations: 100000 } };
+      const base = bytesToString(envelopeAdditionalData(header));
+      
+      expect(bytesToString(envelopeAdditionalData({ ...header, version: 3 }))).not.toBe(base);
+      expect(bytesToString(envelopeAdditionalData({ ...header, cipher: 'other' }))).not.toBe(base);
+      expect(bytesToString(envelopeAdditionalData({ ...header, kdf: { ...header.kdf, iterations: 1 } }))).not.toBe(base);
+      expect(bytesToString(envelopeAdditionalData({ ...header, kdf: null }))).not.toBe(base);
+    });
+    
+    test('does not depend on KDF parameter order', () => {
+      const a = envelopeAdditionalData({ version: 2, cipher: 'c', kdf: { name: 'k', x: 1, y: 2 } });
+      const b = envelopeAdditionalData({ version: 2, cipher: 'c', kdf: { y: 2, name: 'k', x: 1 } });
+      
+      expect(a).toEqual(b);
+    });
+  });
+
+  describe('decryptSecret dispatch', () => {
+    test('unsupported version throws', async () => {
+      const { payload, urlFragment } = await encryptSecret('test');
+      
+      await expect(decryptSecret({ ...payload, version: 99 }, urlFragment))
+        .rejects.toThrow('Unsupported envelope version: 99');
+    });
+    
+    test('unsupported cipher throws', async () => {
+      const { payload, urlFragment } = await encryptSecret('test');
+      
+      await expect(decryptSecret({ ...payload, cipher: 'chacha20-poly1305' }, urlFragment))
+        .rejects.toThrow('Unsupported cipher');
+    });
+    
+    test('unsupported KDF throws', async () => {
+      const { payload, urlFragment } = await encryptSecret('test', 'pass');
+      
+      await expect(decryptSecret({ ...payload, kdf: { name: 'md5' } }, urlFragment, 'pass'))
+        .rejects.toThrow('Unsupported KDF: md5');
+    });
+    
+    test('v2 payload requires a commitment', async () => {
+      const { payload, urlFragment } = await encryptSecret('test');
+      delete payload.commitment;
+      
+      await expect(decryptSecret(payload, urlFragment)).rejects.toThrow('Key commitment missing');
+    });
+    
+    test('downgrading a v2 payload to v1 fails', async () => {
+      const { payload, urlFragment } = await encryptSecret('test');
+      const { version, cipher, kdf, ...legacy } = payload;
+      const legacyFragment = bytesToBase64Url(parseFragment(urlFragment).bytes);
+      
+      // Header is authenticated, so the ciphertext no longer opens without it
+      await expect(decryptSecret(legacy, legacyFragment)).rejects.toThrow();
+    });
+    
+    test('altered KDF parameters fail', async () => {
+      const { payload, urlFragment } = await encryptSecret('test', 'pass');
+      const altered = { ...payload, kdf: { ...payload.kdf, iterations: 1000 } };
+      
+      await expect(decryptSecret(altered, urlFragment, 'pass')).rejects.toThrow();
+    });
+    
+    test('fragment version must match payload version', async () => {
+      const { payload } = await encryptSecret('test');
+      const legacy = await encryptLegacySecret('test');
+      
+      await expect(decryptSecret(payload, legacy.urlFragment))
+        .rejects.toThrow('URL fragment does not match payload version');
+      await expect(decryptSecret(legacy.payload, encodeFragment('k', new Uint8Array(32))))
+        .rejects.toThrow('URL fragment does not match payload version');
+    });
+    
+    test('fragment mode must match payload', async () => {
+      const { payload, urlFragment } = await encryptSecret('test');
+      const swapped = urlFragment.replace(/^v2\.k\./, 'v2.p.');
+      
+      await expect(decryptSecret(payload, swapped, 'pass'))
+        .rejects.toThrow('URL fragment does not match payload');
+    });
+  });
+});
+
+// =============================================================================
+// Recipient Key Tests
+// =============================================================================
+
+describe('Recipient Keys', () => {
+  // A key pair as the recipient would hold it: public JWK to share, private JWK to keep
+  async function recipient(curve) {
+    const pair = await generateRecipientKeyPair(curve);
+    return {
+      publicJwk: await exportRecipientKey(pair.publicKey),
+      privateJwk: await exportRecipientKey(pair.privateKey)
+    };
+  }
+  
+  describe('key pairs', () => {
+    test('X25519 is the default curve', async () => {
+      const { publicJwk, privateJwk } = await recipient();
+      
+      expect(publicJwk).toMatchObject({ kty: 'OKP', crv: 'X25519' });
+      expect(publicJwk.d).toBeUndefined();
+      expect(privateJwk.d).toBeDefined();
+    });
+    
+    test('P-256 keys export as EC JWKs', async () => {
+      const { publicJwk } = await recipient(RECIPIENT_P256);
+      
+      expect(publicJwk).toMatchObject({ kty: 'EC', crv: 'P-256' });
+    });
+    
+    test('unsupported curve throws', async () => {
+      await expect(generateRecipientKeyPair('p521')).rejects.toThrow('Unsupported recipient curve: p521');
+    });
+    
+    test('imports JWK objects, JSON text and bare X25519 keys', async () => {
+      const { publicJwk } = await recipient(RECIPIENT_X25519);
+      
+      for (const input of [publicJwk, JSON.stringify(publicJwk), publicJwk.x]) {
+        const key = await importRecipientPublicKey(input);
+        expect(key.type).toBe('public');
+        expect(key.algorithm.name).toBe('X25519');
+      }
+    });
+    
+    test('importing a private JWK as public keeps only the public part', async () => {
+      const { publicJwk, privateJwk } = await recipient(RECIPIENT_P256);
+      
+      const key = await importRecipientPublicKey(privateJwk);
+      
+      expect(key.type).toBe('public');
+      expect(await exportRecipientKey(key)).toMatchObject({ x: publicJwk.x, y: publicJwk.y });
+    });
+    
+    test('malformed and unsupported keys are rejected', async () => {
+      await expect(importRecipientPublicKey('{not json')).rejects.toThrow('Malformed recipient key');
+      await expect(importRecipientPublicKey({ kty: 'EC', crv: 'P-384', x: 'AA', y: 'AA' }))
+        .rejects.toThrow('Unsupported recipient key');
+      await expect(importRecipientPublicKey(bytesToBase64Url(new Uint8Array(31)))).rejects.toThrow();
+    });
+    
+    test('private key import requires the private part', async () => {
+      const { publicJwk, privateJwk } = await recipient();
+      
+      await expect(importRecipientPrivateKey(publicJwk)).rejects.toThrow('Not a private recipient key');
+      const key = await importRecipientPrivateKey(JSON.stringify(privateJwk));
+      expect(key.type).toBe('private');
+      expect(key.extractable).toBe(false);
+    });
+  });
+  
+  describe('recipient-bound secrets', () => {
+    test.each([RECIPIENT_X25519, RECIPIENT_P256])('round-trips with %s keys', async (curve) => {
+      const { publicJwk, privateJwk } = await recipient(curve);
+      
+      const { payload, urlFragment } = await encryptSecret('for your eyes only', undefined, {
+        recipientKey: await importRecipientPublicKey(publicJwk)
+      });
+      
+      expect(parseFragment(urlFragment).mode).toBe(FRAGMENT_MODE_RECIPIENT);
+      expect(await decryptSecret(payload, urlFragment, undefined, await importRecipientPrivateKey(privateJwk)))
+        .toBe('for your eyes only');
+    });
+    
+    test('payload looks like an unprotected one', async () => {
+      const { publicJwk } = await recipient();
+      
+      const { payload } = await encryptSecret('test', undefined, {
+        recipientKey: await importRecipientPublicKey(publicJwk)
+      });
+      
+      expect(Object.keys(payload).sort()).toEqual(['cipher', 'ciphertext', 'commitment', 'iv', 'kdf', 'salt', 'version']);
+      expect(payload.kdf).toBeNull();
+      expect(payload.salt).toBeNull();
+    });
+    
+    test('each encryption uses a fresh ephemeral key', async () => {
+      const { publicJwk } = await recipient();
+      const recipientKey = await importRecipientPublicKey(publicJwk);
+      
+      const a = await encryptSecret('test', undefined, { recipientKey });
+      const b = await encryptSecret('test', undefined, { recipientKey });
+      
+      expect(parseFragment(a.urlFragment).bytes.slice(0, 32))
+        .not.toEqual(parseFragment(b.urlFragment).bytes.slice(0, 32));
+    });
+    
+    test('the URL alone does not open the secret', async () => {
+      const { publicJwk } = await recipient();
+      const { payload, urlFragment } = await encryptSecret('test', undefined, {
+        recipientKey: await importRecipientPublicKey(publicJwk)
+      });
+      
+      await expect(decryptSecret(payload, urlFragment)).rejects.toThrow('Recipient key required for this secret');
+      await expect(decryptSecret(payload, urlFragment, 'guess')).rejects.toThrow('Recipient key required');
+    });
+    
+    test('another recipient\'s key fails', async () => {
+      const intended = await recipient();
+      const other = await recipient();
+      const { payload, urlFragment } = await encryptSecret('test', undefined, {
+        recipientKey: await importRecipientPublicKey(intended.publicJwk)
+      });
+      
+      await expect(decryptSecret(payload, urlFragment, undefined, await importRecipientPrivateKey(other.privateJwk)))
+        .rejects.toThrow();
+    });
+    
+    test('a key on the wrong curve fails', async () => {
+      const intended = await recipient(RECIPIENT_P256);
+      const other = await recipient(RECIPIENT_X25519);
+      const { payload, urlFragment } = await encryptSecret('test', undefined, {
+        recipientKey: await importRecipientPublicKey(intended.publicJwk)
+      });
+      
+      await expect(decryptSecret(payload, urlFragment, undefined, await importRecipientPrivateKey(other.privateJwk)))
+        .rejects.toThrow();
+    });
+    
+    test('tampered wrapped key fails', async () => {
+      const { publicJwk, privateJwk } = await recipient();
+      const { payload, urlFragment } = await encryptSecret('test', undefined, {
+        recipientKey: await importRecipientPublicKey(publicJwk)
+      });
+      const bytes = parseFragment(urlFragment).bytes;
+      bytes[bytes.length - 1] ^= 1;
+      
+      await expect(decryptSecret(payload, encodeFragment('r', bytes), undefined, await importRecipientPrivateKey(privateJwk)))
+        .rejects.toThrow();
+    });
+    
+    test('a key is checked against the link without the payload', async () => {
+      const intended = await recipient();
+      const other = await recipient();
+      const { urlFragment } = await encryptSecret('test', undefined, {
+        recipientKey: await importRecipientPublicKey(intended.publicJwk)
+      });
+      const unbound = await encryptSecret('test');
+      const key = await importRecipientPrivateKey(intended.privateJwk);
+      
+      expect(await recipientKeyOpens(urlFragment, key)).toBe(true);
+      expect(await recipientKeyOpens(urlFragment, await importRecipientPrivateKey(other.privateJwk))).toBe(false);
+      expect(await recipientKeyOpens(unbound.urlFragment, key)).toBe(false);
+      expect(await recipientKeyOpens('v2.r.!', key)).toBe(false);
+    });
+    
+    test('passphrase and recipient key cannot be combined', async () => {
+      const { publicJwk } = await recipient();
+      const recipientKey = await importRecipientPublicKey(publicJwk);
+      
+      await expect(encryptSecret('test', 'pass', { recipientKey }))
+        .rejects.toThrow('Use either a passphrase or a recipient key, not both');
+      await expect(encryptFile(new Uint8Array(4), 'pass', { recipientKey }))
+        .rejects.toThrow('Use either a passphrase or a recipient key, not both');
+    });
+    
+    test('recipient fragment does not pair with a passphrase payload', async () => {
+      const { publicJwk, privateJwk } = await recipient();
+      const bound = await encryptSecret('test', undefined, {
+        recipientKey: await importRecipientPublicKey(publicJwk)
+      });
+      const { payload } = await encryptSecret('test', 'pass');
+      
+      await expect(decryptSecret(payload, bound.urlFragment, 'pass', await importRecipientPrivateKey(privateJwk)))
+        .rejects.toThrow('URL fragment does not match payload');
+    });
+    
+    test('files can be bound to a recipient', async () => {
+      const { publicJwk, privateJwk } = await recipient(RECIPIENT_P256);
+      const data = new Uint8Array([1, 2, 3, 4, 5]);
+      const { payload, urlFragment } = await encryptFile(data, undefined, {
+        name: 'key.txt',
+        recipientKey: await importRecipientPublicKey(publicJwk)
+      });
+      
+      await expect(decryptFile(payload, urlFragment)).rejects.toThrow('Recipient key required for this secret');
+      const file = await decryptFile(payload, urlFragment, undefined, await importRecipientPrivateKey(privateJwk));
+      expect(file.name).toBe('key.txt');
+      expect(new Uint8Array(await file.blob.arrayBuffer())).toEqual(data);
+    });
+  });
+});
+
+// =============================================================================
+// View Notification Tests
+// =============================================================================
+
+describe('View Notifications', () => {
+  // Open a sealed webhook the way the server's dispatcher does (node:crypto)
+  function openSealed(sealed, privateJwk) {
+    const bytes = Buffer.from(sealed, 'base64url');
+    const ephemeral = bytes.subarray(0, 32);
+    const shared = diffieHellman({
+      privateKey: createPrivateKey({ key: privateJwk, format: 'jwk' }),
+      publicKey: createPublicKey({ key: { kty: 'OKP', crv: 'X25519', x: ephemeral.toString('base64url') }, format: 'jwk' })
+    });
+    const key = Buffer.from(hkdfSync('sha256', shared, ephemeral, `${NOTIFY_LABEL}|${RECIPIENT_X25519}`, 32));
+    const decipher = createDecipheriv('aes-256-gcm', key, bytes.subarray(32, 44));
+    decipher.setAuthTag(bytes.subarray(bytes.length - 16));
+    return JSON.parse(Buffer.concat([decipher.update(bytes.subarray(44, bytes.length - 16)), decipher.final()]).toString('utf8'));
+  }
+  
+  async function serverKey(curve) {
+    const pair = await generateRecipientKeyPair(curve);
+    return {
+      publicJwk: await exportRecipientKey(pair.publicKey),
+      privateJwk: await exportRecipientKey(pair.privateKey)
+    };
+  }
+  
+  test('generateNotifySecret returns 32 random bytes as base64url', () => {
+    const a = generateNotifySecret();
+    
+    expect(a).toMatch(/^[A-Za-z0-9_-]{43}$/);
+    expect(generateNotifySecret()).not.toBe(a);
+  });
+  
+  test('sealNotify output opens with the server private key', async () => {
+    const { publicJwk, privateJwk } = await serverKey();
+    const webhook = { url: 'https://hooks.example.com/sealed', secret: generateNotifySecret() };
+    
+    const sealed = await sealNotify(webhook, publicJwk.x);
+    
+    expect(sealed).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect(openSealed(sealed, privateJwk)).toEqual(webhook);
+    expect(sealed).not.toContain(Buffer.from('hooks.example.com').toString('base64url'));
+  });
+  
+  test('each seal uses a fresh ephemeral key', async () => {
+    const { publicJwk } = await serverKey();
+    const webhook = { url: 'https://hooks.example.com/sealed', secret: 's' };
+    
+    const a = base64UrlToBytes(await sealNotify(webhook, publicJwk.x));
+    const b = base64UrlToBytes(await sealNotify(webhook, publicJwk.x));
+    
+    expect(a.slice(0, 32)).not.toEqual(b.slice(0, 32));
+  });
+  
+  test('a tampered seal does not open', async () => {
+    const { publicJwk, privateJwk } = await serverKey();
+    const sealed = await sealNotify({ url: 'https://hooks.example.com/', secret: 's' }, publicJwk.x);
+    
+    expect(() => openSealed(sealed.replace(/^./, c => (c === 'A' ? 'B' : 'A')), privateJwk)).toThrow();
+  });
+  
+  test('only X25519 server keys are accepted', async () => {
+    const { publicJwk } = await serverKey(RECIPIENT_P256);
+    
+    await expect(sealNotify({ url: 'https://hooks.example.com/', secret: 's' }, publicJwk))
+      .rejects.toThrow('Unsupported notification key');
+    await expect(sealNotify({ url: 'https://hooks.example.com/', secret: 's' }, 'not a key!'))
+      .rejects.toThrow();
+  });
+});
+
+// =============================================================================
+// File Secret Tests
+// =============================================================================
+
+describe('File Secrets', () => {
+  // Split a file ciphertext into its length-prefixed frames
+  function frames(ciphertext) {
+    const bytes = base64ToBytes(ciphertext);
+    const result = [];
+    let offset = 0;
+    while (offset < bytes.length) {
+      const length = new DataView(bytes.buffer, bytes.byteOffset + offset).getUint32(0);
+      result.push(bytes.slice(offset, offset + 4 + length));
+      offset += 4 + length;
+    }
+    return result;
+  }
+  
+  function joinFrames(list) {
+    return bytesToBase64(concatBytes(...list));
+  }
+  
+  async function blobBytes(blob) {
+    return new Uint8Array(await blob.arrayBuffer());
+  }
+  
+  function pattern(length) {
+    return Uint8Array.from({ length }, (_, i) => (i * 7) & 0xff);
+  }
+  
+  describe('encryptFile/decryptFile', () => {
+    test('round-trips contents, name and type', async () => {
+      const data = pattern(1000);
+      const { payload, urlFragment } = await encryptFile(data, undefined, {
+        name: 'cert.pem',
+        type: 'application/x-pem-file'
+      });
+      
+      const file = await decryptFile(payload, urlFragment);
+      
+      expect(file.name).toBe('cert.pem');
+      expect(file.type).toBe('application/x-pem-file');
+      expect(file.size).toBe(1000);
+      expect(await blobBytes(file.blob)).toEqual(data);
+    });
+    
+    test('round-trips multi-chunk files from a File', async () => {
+      const data = pattern(FILE_CHUNK_SIZE * 2 + 123);
+      const input = new File([data], 'report.pdf', { type: 'application/pdf' });
+      const { payload, urlFragment } = await encryptFile(input);
+      
+      const file = await decryptFile(payload, urlFragment);
+      
+      // metadata chunk + 3 data chunks
+      expect(frames(payload.ciphertext)).toHaveLength(4);
+      expect(file.name).toBe('report.pdf');
+      expect(file.type).toBe('application/pdf');
+      expect(await blobBytes(file.blob)).toEqual(data);
+    });
+    
+    test('round-trips empty files', async () => {
+      const { payload, urlFragment } = await encryptFile(new ArrayBuffer(0), undefined, { name: 'empty' });
+      
+      const file = await decryptFile(payload, urlFragment);
+      
+      expect(file.size).toBe(0);
+      expect(file.type).toBe('application/octet-stream');
+    });
+    
+    test('round-trips with a passphrase', async () => {
+      const data = pattern(500);
+      const { payload, urlFragment } = await encryptFile(data, 'pass', { name: 'keystore.jks' });
+      
+      expect(payload.kdf).not.toBeNull();
+      expect(parseFragment(urlFragment).mode).toBe('p');
+      expect(await blobBytes((await decryptFile(payload, urlFragment, 'pass')).blob)).toEqual(data);
+      await expect(decryptFile(payload, urlFragment, 'wrong')).rejects.toThrow();
+      await expect(decryptFile(payload, urlFragment))
+        .rejects.toThrow('Passphrase required for this secret');
+    });
+    
+    test('payload names the chunked cipher and hides the metadata', async () => {
+      const { payload } = await encryptFile(pattern(10), undefined, { name: 'secret-name.txt' });
+      
+      expect(payload.cipher).toBe(CIPHER_AES_256_GCM_CHUNKED);
+      expect(JSON.stringify(payload)).not.toContain('secret-name');
+      expect(bytesToString(base64ToBytes(payload.ciphertext))).not.toContain('secret-name');
+    });
+    
+    test('decrypted blob is opaque regardless of the claimed type', async () => {
+      const { payload, urlFragment } = await encryptFile(pattern(10), undefined, { name: 'x.html', type: 'text/html' });
+      
+      const file = await decryptFile(payload, urlFragment);
+      
+      expect(file.type).toBe('text/html');
+      expect(file.blob.type).toBe('application/octet-stream');
+    });
+  });
+  
+  describe('limits', () => {
+    test('rejects files over the size limit', async () => {
+      await expect(encryptFile(new Uint8Array(MAX_FILE_BYTES + 1), undefined, { name: 'big' }))
+        .rejects.toThrow('File too large');
+    });
+    
+    test('rejects overlong filenames', async () => {
+      await expect(encryptFile(pattern(1), undefined, { name: 'x'.repeat(MAX_FILENAME_LENGTH + 1) }))
+        .rejects.toThrow('Filename or type too long');
+    });
+  });
+  
+  describe('tampering', () => {
+    const data = pattern(FILE_CHUNK_SIZE + 10);
+    
+    test('reordered chunks fail', async () => {
+      const { payload, urlFragment } = await encryptFile(data, undefined, { name: 'f' });
+      const [meta, first, second] = frames(payload.ciphertext);
+      
+      const reordered = { ...payload, ciphertext: joinFrames([meta, second, first]) };
+      
+      await expect(decryptFile(reordered, urlFragment)).rejects.toThrow();
+    });
+    
+    test('truncated files fail', async () => {
+      const { payload, urlFragment } = await encryptFile(data, undefined, { name: 'f' });
+      const [meta, first] = frames(payload.ciphertext);
+      
+      const truncated = { ...payload, ciphertext: joinFrames([meta, first]) };
+      
+      await expect(decryptFile(truncated, urlFragment)).rejects.toThrow();
+    });
+    
+    test('chunks from another file fail', async () => {
+      const a = await encryptFile(data, undefined, { name: 'a' });
+      const b = await encryptFile(data, undefined, { name: 'b' });
+      const [meta, first] = frames(a.payload.ciphertext);
+      const [, , last] = frames(b.payload.ciphertext);
+      
+      const spliced = { ...a.payload, ciphertext: joinFrames([meta, first, last]) };
+      
+      await expect(decryptFile(spliced, a.urlFragment)).rejects.toThrow();
+    });
+    
+    test('malformed framing fails', async () => {
+      const { payload, urlFragment } = await encryptFile(pattern(10), undefined, { name: 'f' });
+      const bytes = base64ToBytes(payload.ciphertext);
+      
+      await expect(decryptFile({ ...payload, ciphertext: bytesToBase64(bytes.slice(0, -1)) }, urlFragment))
+        .rejects.toThrow('Malformed file ciphertext');
+      await expect(decryptFile({ ...payload, ciphertext: bytesToBase64(concatBytes(bytes, new Uint8Array(2))) }, urlFragment))
+        .rejects.toThrow('Malformed file ciphertext');
+    });
+  });
+  
+  describe('dispatch', () => {
+    test('decryptSecret rejects file payloads', async () => {
+      const { payload, urlFragment } = await encryptFile(pattern(10), undefined, { name: 'f' });
+      
+      await expect(decryptSecret(payload, urlFragment))
+        .rejects.toThrow(`Unsupported cipher: ${CIPHER_AES_256_GCM_CHUNKED}`);
+    });
+    
+    test('decryptFile rejects text payloads', async () => {
+      const { payload, urlFragment } = await encryptSecret('text');
+      
+      await expect(decryptFile(payload, urlFragment))
+        .rejects.toThrow(`Unsupported cipher: ${CIPHER_AES_256_GCM}`);
+    });
+    
+    test('decryptFile rejects legacy payloads', async () => {
+      const { payload, urlFragment } = await encryptLegacySecret('text');
+      
+      await expect(decryptFile(payload, urlFragment)).rejects.toThrow('Unsupported envelope version: 1');
+    });
   });
 });
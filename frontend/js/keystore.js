@@ -0,0 +1,129 @@
+/**
+ * sealed.fyi - Request Key Store
+ *
+ * Keeps the private key of each open secret request in IndexedDB, so the
+ * requester's browser can decrypt the answer when they come back to the
+ * request link. Keys are stored as non-extractable CryptoKeys: IndexedDB
+ * can hold them, but no script (ours included) can read their bytes.
+ *
+ * Records are dropped once used or past their request's expiry.
+ */
+
+// =============================================================================
+// Configuration
+// =============================================================================
+
+const KEYSTORE_DB_NAME = 'sealed-fyi';
+const KEYSTORE_DB_VERSION = 1;
+const KEYSTORE_STORE = 'requests';
+
+// =============================================================================
+// Types
+// =============================================================================
+
+/**
+ * @typedef {Object} RequestKey
+ * @property {string} requestId - Request ID (the key path)
+ * @property {string} secretId - Where the answer will be stored
+ * @property {CryptoKey} privateKey - Non-extractable recipient private key
+ * @property {number} expiresAt - Unix timestamp (seconds) of the request's expiry
+ */
+
+// =============================================================================
+// IndexedDB helpers
+// =============================================================================
+
+/**
+ * Settle with an IDBRequest.
+ * @param {IDBRequest} request
+ * @returns {Promise<*>} The request's result
+ */
+function keystoreRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Open (and on first use create) the database.
+ * @param {IDBFactory} factory
+ * @returns {Promise<IDBDatabase>}
+ */
+function openKeystoreDatabase(factory) {
+  const request = factory.open(KEYSTORE_DB_NAME, KEYSTORE_DB_VERSION);
+  request.onupgradeneeded = () => {
+    request.result.createObjectStore(KEYSTORE_STORE, { keyPath: 'requestId' });
+  };
+  return keystoreRequest(request);
+}
+
+// =============================================================================
+// Key store
+// =============================================================================
+
+/**
+ * Create a store for request keys. The database is opened on first use.
+ * @param {IDBFactory} factory - Usually the page's indexedDB
+ * @param {() => number} [now] - Current time in milliseconds
+ * @returns {{save: Function, load: Function, remove: Function}}
+ */
+function createKeystore(factory, now = Date.now) {
+  let database = null;
+
+  async function store(mode) {
+    database ||= openKeystoreDatabase(factory);
+    return (await database).transaction(KEYSTORE_STORE, mode).objectStore(KEYSTORE_STORE);
+  }
+
+  /**
+   * Store the key for a new request.
+   * @param {RequestKey} record
+   * @returns {Promise<void>}
+   */
+  async function save(record) {
+    await keystoreRequest((await store('readwrite')).put(record));
+  }
+
+  /**
+   * Remove a request's key.
+   * @param {string} requestId
+   * @returns {Promise<void>}
+   */
+  async function remove(requestId) {
+    await keystoreRequest((await store('readwrite')).delete(requestId));
+  }
+
+  /**
+   * Find the key for a request made in this browser.
+   * @param {string} requestId
+   * @returns {Promise<RequestKey|null>} Null if unknown or expired
+   */
+  async function load(requestId) {
+    const record = await keystoreRequest((await store('readonly')).get(requestId));
+    if (!record) {
+      return null;
+    }
+    if (record.expiresAt * 1000 <= now()) {
+      await remove(requestId);
+      return null;
+    }
+    return record;
+  }
+
+  return { save, load, remove };
+}
+
+// =============================================================================
+// Exports (for both browser and testing)
+// =============================================================================
+
+// Check if running in Node.js environment (for testing)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    createKeystore,
+    KEYSTORE_DB_NAME,
+    KEYSTORE_DB_VERSION,
+    KEYSTORE_STORE
+  };
+}
@@ -0,0 +1,143 @@
+/**
+ * sealed.fyi - Request Key Store Tests
+ *
+ * Run with: npx vitest run keystore.test.js
+ * Or in watch mode: npx vitest keystore.test.js
+ */
+
+import { describe, test, expect } from 'vitest';
+
+const {
+  createKeystore,
+  KEYSTORE_DB_NAME,
+  KEYSTORE_DB_VERSION,
+  KEYSTORE_STORE
+} = await import('./keystore.js');
+
+const NOW = 1706745600;
+
+// =============================================================================
+// Fake IndexedDB
+// =============================================================================
+
+/**
+ * Just enough of IDBFactory for the key store: one database of object stores
+ * keyed by keyPath, with requests that succeed on the next tick.
+ */
+function fakeIndexedDB() {
+  const stores = new Map();
+  const opened = [];
+
+  function request(run) {
+    const req = {};
+    queueMicrotask(() => {
+      try {
+        req.result = run();
+        req.onsuccess();
+      } catch (error) {
+        req.error = error;
+        req.onerror();
+      }
+    });
+    return req;
+  }
+
+  const database = {
+    createObjectStore(name, { keyPath }) {
+      stores.set(name, { keyPath, records: new Map() });
+    },
+    transaction(name, mode) {
+      const { keyPath, records } = stores.get(name);
+      const writable = mode === 'readwrite';
+      return {
+        objectStore: () => ({
+          get: key => request(() => records.get(key)),
+          put: record => request(() => {
+            if (!writable) throw new Error('ReadOnlyError');
+            records.set(record[keyPath], record);
+          }),
+          delete: key => request(() => {
+            if (!writable) throw new Error('ReadOnlyError');
+            records.delete(key);
+          })
+        })
+      };
+    }
+  };
+
+  return {
+    stores,
+    opened,
+    open(name, version) {
+      opened.push({ name, version });
+      const req = request(() => {
+        // A new database is upgraded before the open succeeds
+        if (!stores.size) {
+          req.result = database;
+          req.onupgradeneeded();
+        }
+        return database;
+      });
+      return req;
+    }
+  };
+}
+
+function record(overrides = {}) {
+  return {
+    requestId: 'Ab3dEf6hIj9kLmNoPqRs12',
+    secretId: 'Zy9xWv6uTs3rQpOnMl0kJi',
+    privateKey: { type: 'private', extractable: false },
+    expiresAt: NOW + 3600,
+    ...overrides
+  };
+}
+
+// =============================================================================
+// Tests
+// =============================================================================
+
+describe('createKeystore', () => {
+  test('does not touch IndexedDB until first used', () => {
+    const factory = fakeIndexedDB();
+
+    createKeystore(factory);
+
+    expect(factory.opened).toEqual([]);
+  });
+
+  test('saves and loads a request key', async () => {
+    const factory = fakeIndexedDB();
+    const keystore = createKeystore(factory, () => NOW * 1000);
+
+    await keystore.save(record());
+
+    expect(await keystore.load(record().requestId)).toEqual(record());
+    expect(factory.opened).toEqual([{ name: KEYSTORE_DB_NAME, version: KEYSTORE_DB_VERSION }]);
+    expect(factory.stores.get(KEYSTORE_STORE).keyPath).toBe('requestId');
+  });
+
+  test('returns null for an unknown request', async () => {
+    const keystore = createKeystore(fakeIndexedDB(), () => NOW * 1000);
+
+    expect(await keystore.load('unknown')).toBeNull();
+  });
+
+  test('removes a request key', async () => {
+    const keystore = createKeystore(fakeIndexedDB(), () => NOW * 1000);
+    await keystore.save(record());
+
+    await keystore.remove(record().requestId);
+
+    expect(await keystore.load(record().requestId)).toBeNull();
+  });
+
+  test('drops a key once its request has expired', async () => {
+    const factory = fakeIndexedDB();
+    const keystore = createKeystore(factory, () => NOW * 1000);
+    await keystore.save(record({ expiresAt: NOW }));
+
+    expect(await keystore.load(record().requestId)).toBeNull();
+    expect(factory.stores.get(KEYSTORE_STORE).records.size).toBe(0);
+  });
+});
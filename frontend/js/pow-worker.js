@@ -0,0 +1,12 @@
+/**
+ * sealed.fyi - PoW Web Worker
+ *
+ * Runs one share of a parallel PoW search (see solveChallengeParallel in
+ * pow.js). The page stops the search by terminating the worker.
+ */
+
+importScripts('pow.js');
+
+self.onmessage = (event) => {
+  runPowWorker(event.data, message => self.postMessage(message));
+};
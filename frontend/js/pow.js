@@ -0,0 +1,658 @@
+/**
+ * sealed.fyi - Client-side Proof-of-Work Module
+ *
+ * Solves the PoW challenge issued with each create token before a secret
+ * can be stored. Two algorithms are supported:
+ * - sha256: hashcash-style SHA-256 (cheap per attempt, GPU-friendly)
+ * - scrypt: memory-hard scrypt (4 MiB per attempt, levels GPUs and browsers)
+ *
+ * Both are implemented in plain JavaScript so that verification is
+ * synchronous. Workers hash SHA-256 candidates with Web Crypto instead,
+ * many per round trip, and use the JavaScript version only where Web Crypto
+ * is missing (e.g. pages served over plain http).
+ */
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+const POW_ALG_SHA256 = 'sha256';
+const POW_ALG_SCRYPT = 'scrypt';
+
+// Must match SCRYPT_PARAMS in backend/functions/shared/pow.js
+const POW_SCRYPT_PARAMS = Object.freeze({
+  N: 4096,
+  r: 8,
+  p: 1,
+  keyLength: 32
+});
+
+// Attempts between yields to the event loop while solving
+const POW_YIELD_EVERY = {
+  [POW_ALG_SHA256]: 2000,
+  [POW_ALG_SCRYPT]: 1
+};
+
+// Attempts per worker batch (one progress message each)
+const POW_WORKER_BATCH = {
+  [POW_ALG_SHA256]: 20000,
+  [POW_ALG_SCRYPT]: 4
+};
+
+// SHA-256 candidates hashed per Web Crypto round trip in a worker
+const POW_DIGEST_BATCH = 256;
+
+// Worker script, relative to the page
+const POW_WORKER_URL = '/js/pow-worker.js';
+
+// Upper bound on workers, whatever hardwareConcurrency reports
+const POW_MAX_WORKERS = 16;
+
+// SHA-256 round constants
+const SHA256_K = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+// =============================================================================
+// Hash Primitives
+// =============================================================================
+
+/**
+ * Compute the SHA-256 digest of a byte array.
+ * @param {Uint8Array} bytes
+ * @returns {Uint8Array} 32-byte digest
+ */
+function sha256(bytes) {
+  const bitLength = bytes.length * 8;
+  const paddedLength = Math.ceil((bytes.length + 9) / 64) * 64;
+  const padded = new Uint8Array(paddedLength);
+  padded.set(bytes);
+  padded[bytes.length] = 0x80;
+  const view = new DataView(padded.buffer);
+  view.setUint32(paddedLength - 8, Math.floor(bitLength / 0x100000000));
+  view.setUint32(paddedLength - 4, bitLength >>> 0);
+
+  const H = new Uint32Array([
+    0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a,
+    0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+  ]);
+  const W = new Uint32Array(64);
+
+  for (let offset = 0; offset < paddedLength; offset += 64) {
+    for (let t = 0; t < 16; t++) {
+      W[t] = view.getUint32(offset + t * 4);
+    }
+    for (let t = 16; t < 64; t++) {
+      const w15 = W[t - 15];
+      const w2 = W[t - 2];
+      const s0 = ((w15 >>> 7) | (w15 << 25)) ^ ((w15 >>> 18) | (w15 << 14)) ^ (w15 >>> 3);
+      const s1 = ((w2 >>> 17) | (w2 << 15)) ^ ((w2 >>> 19) | (w2 << 13)) ^ (w2 >>> 10);
+      W[t] = (W[t - 16] + s0 + W[t - 7] + s1) | 0;
+    }
+
+    let a = H[0], b = H[1], c = H[2], d = H[3];
+    let e = H[4], f = H[5], g = H[6], h = H[7];
+
+    for (let t = 0; t < 64; t++) {
+      const S1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+      const ch = (e & f) ^ (~e & g);
+      const temp1 = (h + S1 + ch + SHA256_K[t] + W[t]) | 0;
+      const S0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+      const maj = (a & b) ^ (a & c) ^ (b & c);
+      const temp2 = (S0 + maj) | 0;
+
+      h = g;
+      g = f;
+      f = e;
+      e = (d + temp1) | 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (temp1 + temp2) | 0;
+    }
+
+    H[0] += a; H[1] += b; H[2] += c; H[3] += d;
+    H[4] += e; H[5] += f; H[6] += g; H[7] += h;
+  }
+
+  const digest = new Uint8Array(32);
+  const digestView = new DataView(digest.buffer);
+  for (let i = 0; i < 8; i++) {
+    digestView.setUint32(i * 4, H[i]);
+  }
+  return digest;
+}
+
+/**
+ * Compute HMAC-SHA256.
+ * @param {Uint8Array} key
+ * @param {Uint8Array} message
+ * @returns {Uint8Array} 32-byte MAC
+ */
+function hmacSha256(key, message) {
+  const block = new Uint8Array(64);
+  block.set(key.length > 64 ? sha256(key) : key);
+
+  const inner = new Uint8Array(64 + message.length);
+  const outer = new Uint8Array(64 + 32);
+  for (let i = 0; i < 64; i++) {
+    inner[i] = block[i] ^ 0x36;
+    outer[i] = block[i] ^ 0x5c;
+  }
+  inner.set(message, 64);
+  outer.set(sha256(inner), 64);
+
+  return sha256(outer);
+}
+
+/**
+ * PBKDF2-HMAC-SHA256 with a single iteration (as used inside scrypt).
+ * @param {Uint8Array} password
+ * @param {Uint8Array} salt
+ * @param {number} length - Output length in bytes
+ * @returns {Uint8Array}
+ */
+function pbkdf2Sha256Once(password, salt, length) {
+  const output = new Uint8Array(length);
+  const input = new Uint8Array(salt.length + 4);
+  input.set(salt);
+
+  for (let block = 1, offset = 0; offset < length; block++, offset += 32) {
+    new DataView(input.buffer).setUint32(salt.length, block);
+    const u = hmacSha256(password, input);
+    output.set(u.subarray(0, Math.min(32, length - offset)), offset);
+  }
+  return output;
+}
+
+/**
+ * Salsa20/8 core, applied in place to a 16-word block.
+ * @param {Uint32Array} B
+ * @param {Uint32Array} x - Scratch space (16 words)
+ */
+function salsa20_8(B, x) {
+  x.set(B);
+
+  for (let i = 0; i < 8; i += 2) {
+    let t;
+    t = x[0] + x[12]; x[4] ^= (t << 7) | (t >>> 25);
+    t = x[4] + x[0]; x[8] ^= (t << 9) | (t >>> 23);
+    t = x[8] + x[4]; x[12] ^= (t << 13) | (t >>> 19);
+    t = x[12] + x[8]; x[0] ^= (t << 18) | (t >>> 14);
+    t = x[5] + x[1]; x[9] ^= (t << 7) | (t >>> 25);
+    t = x[9] + x[5]; x[13] ^= (t << 9) | (t >>> 23);
+    t = x[13] + x[9]; x[1] ^= (t << 13) | (t >>> 19);
+    t = x[1] + x[13]; x[5] ^= (t << 18) | (t >>> 14);
+    t = x[10] + x[6]; x[14] ^= (t << 7) | (t >>> 25);
+    t = x[14] + x[10]; x[2] ^= (t << 9) | (t >>> 23);
+    t = x[2] + x[14]; x[6] ^= (t << 13) | (t >>> 19);
+    t = x[6] + x[2]; x[10] ^= (t << 18) | (t >>> 14);
+    t = x[15] + x[11]; x[3] ^= (t << 7) | (t >>> 25);
+    t = x[3] + x[15]; x[7] ^= (t << 9) | (t >>> 23);
+    t = x[7] + x[3]; x[11] ^= (t << 13) | (t >>> 19);
+    t = x[11] + x[7]; x[15] ^= (t << 18) | (t >>> 14);
+    t = x[0] + x[3]; x[1] ^= (t << 7) | (t >>> 25);
+    t = x[1] + x[0]; x[2] ^= (t << 9) | (t >>> 23);
+    t = x[2] + x[1]; x[3] ^= (t << 13) | (t >>> 19);
+    t = x[3] + x[2]; x[0] ^= (t << 18) | (t >>> 14);
+    t = x[5] + x[4]; x[6] ^= (t << 7) | (t >>> 25);
+    t = x[6] + x[5]; x[7] ^= (t << 9) | (t >>> 23);
+    t = x[7] + x[6]; x[4] ^= (t << 13) | (t >>> 19);
+    t = x[4] + x[7]; x[5] ^= (t << 18) | (t >>> 14);
+    t = x[10] + x[9]; x[11] ^= (t << 7) | (t >>> 25);
+    t = x[11] + x[10]; x[8] ^= (t << 9) | (t >>> 23);
+    t = x[8] + x[11]; x[9] ^= (t << 13) | (t >>> 19);
+    t = x[9] + x[8]; x[10] ^= (t << 18) | (t >>> 14);
+    t = x[15] + x[14]; x[12] ^= (t << 7) | (t >>> 25);
+    t = x[12] + x[15]; x[13] ^= (t << 9) | (t >>> 23);
+    t = x[13] + x[12]; x[14] ^= (t << 13) | (t >>> 19);
+    t = x[14] + x[13]; x[15] ^= (t << 18) | (t >>> 14);
+  }
+
+  for (let i = 0; i < 16; i++) {
+    B[i] = (B[i] + x[i]) | 0;
+  }
+}
+
+/**
+ * scrypt BlockMix with Salsa20/8, applied in place.
+ * @param {Uint32Array} B - 32 * r words
+ * @param {Uint32Array} Y - Scratch space (32 * r words)
+ * @param {number} r
+ * @param {Uint32Array} X - Scratch space (16 words)
+ * @param {Uint32Array} x - Scratch space (16 words)
+ */
+function blockMix(B, Y, r, X, x) {
+  X.set(B.subarray((2 * r - 1) * 16, 2 * r * 16));
+
+  for (let i = 0; i < 2 * r; i++) {
+    for (let k = 0; k < 16; k++) {
+      X[k] ^= B[i * 16 + k];
+    }
+    salsa20_8(X, x);
+    // Even blocks go to the first half, odd blocks to the second
+    Y.set(X, ((i & 1) * r + (i >> 1)) * 16);
+  }
+
+  B.set(Y);
+}
+
+/**
+ * scrypt (RFC 7914).
+ * @param {Uint8Array} password
+ * @param {Uint8Array} salt
+ * @param {number} N - CPU/memory cost (power of two)
+ * @param {number} r - Block size
+ * @param {number} p - Parallelization
+ * @param {number} length - Output length in bytes
+ * @returns {Uint8Array}
+ */
+function scrypt(password, salt, N, r, p, length) {
+  const blockWords = 32 * r;
+  const B = pbkdf2Sha256Once(password, salt, p * blockWords * 4);
+  const words = new Uint32Array(blockWords);
+  const V = new Uint32Array(blockWords * N);
+  const Y = new Uint32Array(blockWords);
+  const X = new Uint32Array(16);
+  const x = new Uint32Array(16);
+
+  for (let block = 0; block < p; block++) {
+    const view = new DataView(B.buffer, block * blockWords * 4, blockWords * 4);
+    for (let k = 0; k < blockWords; k++) {
+      words[k] = view.getUint32(k * 4, true);
+    }
+
+    for (let i = 0; i < N; i++) {
+      V.set(words, i * blockWords);
+      blockMix(words, Y, r, X, x);
+    }
+    for (let i = 0; i < N; i++) {
+      const j = words[(2 * r - 1) * 16] & (N - 1);
+      for (let k = 0; k < blockWords; k++) {
+        words[k] ^= V[j * blockWords + k];
+      }
+      blockMix(words, Y, r, X, x);
+    }
+
+    for (let k = 0; k < blockWords; k++) {
+      view.setUint32(k * 4, words[k], true);
+    }
+  }
+
+  return pbkdf2Sha256Once(password, B, length);
+}
+
+// =============================================================================
+// Proof-of-Work
+// =============================================================================
+
+/**
+ * Count leading zero bits in a byte array.
+ * @param {Uint8Array} bytes
+ * @returns {number}
+ */
+function countLeadingZeroBits(bytes) {
+  let zeroBits = 0;
+  for (let i = 0; i < bytes.length; i++) {
+    if (bytes[i] === 0) {
+      zeroBits += 8;
+    } else {
+      zeroBits += Math.clz32(bytes[i]) - 24;
+      break;
+    }
+  }
+  return zeroBits;
+}
+
+/**
+ * Hash a PoW attempt with the challenge's algorithm.
+ * @param {string} nonce - Server-provided nonce
+ * @param {string} solution - Candidate solution
+ * @param {{alg?: string, prefix: string}} challenge
+ * @returns {Uint8Array}
+ */
+function powHash(nonce, solution, challenge) {
+  const encoder = new TextEncoder();
+  const input = encoder.encode(challenge.prefix + nonce + solution);
+
+  if ((challenge.alg || POW_ALG_SHA256) === POW_ALG_SCRYPT) {
+    const { N, r, p, keyLength } = POW_SCRYPT_PARAMS;
+    // The nonce is the salt, as on the server
+    return scrypt(input, encoder.encode(nonce), N, r, p, keyLength);
+  }
+  return sha256(input);
+}
+
+/**
+ * Check that a challenge is well-formed and uses a supported algorithm.
+ * @param {object} challenge
+ * @returns {boolean}
+ */
+function isValidChallenge(challenge) {
+  if (!challenge || typeof challenge.difficulty !== 'number' || !challenge.prefix) {
+    return false;
+  }
+  const alg = challenge.alg || POW_ALG_SHA256;
+  return alg === POW_ALG_SHA256 || alg === POW_ALG_SCRYPT;
+}
+
+/**
+ * Verify a proof-of-work solution.
+ * Used for testing; server performs actual verification.
+ * @param {string} nonce - Server-provided nonce
+ * @param {string} solution - Proposed solution
+ * @param {{alg?: string, difficulty: number, prefix: string}} challenge
+ * @returns {boolean} True if solution is valid
+ */
+function verifyChallenge(nonce, solution, challenge) {
+  if (!nonce || typeof nonce !== 'string') {
+    return false;
+  }
+  if (!solution || typeof solution !== 'string') {
+    return false;
+  }
+  if (!isValidChallenge(challenge)) {
+    return false;
+  }
+
+  return countLeadingZeroBits(powHash(nonce, solution, challenge)) >= challenge.difficulty;
+}
+
+/**
+ * Solve a proof-of-work challenge.
+ * Finds a counter such that hash(prefix + nonce + counter) has `difficulty`
+ * leading zero bits, yielding to the event loop periodically so the page
+ * stays responsive.
+ * @param {string} nonce - Server-provided nonce
+ * @param {{alg?: string, difficulty: number, prefix: string}} challenge
+ * @param {object} [options]
+ * @param {number} [options.maxAttempts=Infinity] - Give up after this many attempts
+ * @returns {Promise<string>} Solution string (counter value)
+ * @throws {Error} If the challenge is invalid or no solution is found
+ */
+async function solveChallenge(nonce, challenge, options = {}) {
+  if (!nonce || typeof nonce !== 'string' || !isValidChallenge(challenge)) {
+    throw new Error('Invalid PoW challenge');
+  }
+
+  const maxAttempts = options.maxAttempts ?? Infinity;
+  const yieldEvery = POW_YIELD_EVERY[challenge.alg || POW_ALG_SHA256];
+
+  for (let counter = 0; counter < maxAttempts; counter++) {
+    const solution = counter.toString();
+    if (countLeadingZeroBits(powHash(nonce, solution, challenge)) >= challenge.difficulty) {
+      return solution;
+    }
+    if ((counter + 1) % yieldEvery === 0) {
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+  }
+
+  throw new Error('PoW solution not found');
+}
+
+// =============================================================================
+// Parallel Solver (Web Workers)
+// =============================================================================
+
+/**
+ * Web Crypto's digest functions, where this context has them.
+ * @returns {SubtleCrypto|null}
+ */
+function powSubtle() {
+  return (typeof crypto !== 'undefined' && crypto.subtle) || null;
+}
+
+/**
+ * Index of the first candidate that solves the challenge, hashed with the
+ * JavaScript primitives.
+ * @param {string} nonce
+ * @param {{alg?: string, difficulty: number, prefix: string}} challenge
+ * @param {string[]} solutions - Candidates, in the order they are tried
+ * @returns {number} Index, or -1
+ */
+function findPowSolution(nonce, challenge, solutions) {
+  return solutions.findIndex(solution =>
+    countLeadingZeroBits(powHash(nonce, solution, challenge)) >= challenge.difficulty);
+}
+
+/**
+ * As findPowSolution for SHA-256, hashed with Web Crypto in groups of
+ * POW_DIGEST_BATCH so the promise round trip is paid once per group.
+ * @param {SubtleCrypto} subtle
+ * @param {string} nonce
+ * @param {{difficulty: number, prefix: string}} challenge
+ * @param {string[]} solutions - Candidates, in the order they are tried
+ * @returns {Promise<number>} Index, or -1
+ */
+async function findPowSolutionSubtle(subtle, nonce, challenge, solutions) {
+  const encoder = new TextEncoder();
+  for (let first = 0; first < solutions.length; first += POW_DIGEST_BATCH) {
+    const digests = await Promise.all(solutions.slice(first, first + POW_DIGEST_BATCH).map(solution =>
+      subtle.digest('SHA-256', encoder.encode(challenge.prefix + nonce + solution))));
+    const found = digests.findIndex(digest =>
+      countLeadingZeroBits(new Uint8Array(digest)) >= challenge.difficulty);
+    if (found !== -1) {
+      return first + found;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Search one worker's share of the counter space.
+ * Worker `start` of `stride` tries start, start + stride, start + 2 * stride,
+ * ... so workers never overlap. Runs in the worker (see pow-worker.js); posts
+ * { type: 'progress', tried } after each batch and { type: 'solution', solution }
+ * when done. SHA-256 is hashed with Web Crypto where available; scrypt, and
+ * SHA-256 without Web Crypto, with the JavaScript primitives.
+ * @param {{nonce: string, challenge: object, start: number, stride: number}} task
+ * @param {(message: object) => void} post - Sends a message to the page
+ * @param {() => boolean} [shouldStop] - Checked between batches
+ * @param {{subtle?: SubtleCrypto|null}} [options] - subtle: Web Crypto to use, or null for JavaScript (default: powSubtle())
+ * @returns {Promise<void>}
+ */
+async function runPowWorker(task, post, shouldStop = () => false, options = {}) {
+  const { nonce, challenge, start, stride } = task;
+  const alg = challenge.alg || POW_ALG_SHA256;
+  const batch = POW_WORKER_BATCH[alg];
+  const subtle = alg === POW_ALG_SHA256 ? (options.subtle === undefined ? powSubtle() : options.subtle) : null;
+
+  for (let counter = start; !shouldStop(); counter += batch * stride) {
+    const solutions = Array.from({ length: batch }, (_, i) => (counter + i * stride).toString());
+    const found = subtle
+      ? await findPowSolutionSubtle(subtle, nonce, challenge, solutions)
+      : findPowSolution(nonce, challenge, solutions);
+    if (found !== -1) {
+      post({ type: 'progress', tried: found + 1 });
+      post({ type: 'solution', solution: solutions[found] });
+      return;
+    }
+    post({ type: 'progress', tried: batch });
+    // Lets a stop request (or terminate()) through between batches
+    await new Promise(resolve => setTimeout(resolve, 0));
+  }
+}
+
+/**
+ * Summarize solver progress for display.
+ * Attempts are independent, so the chance of having found a solution after
+ * `tried` attempts is 1 - e^(-tried / expected); unlike tried / expected it
+ * never passes 100% on an unlucky run.
+ * @param {number} tried - Attempts made so far, across all workers
+ * @param {number} difficulty - Required leading zero bits
+ * @returns {{tried: number, expected: number, fraction: number}}
+ */
+function powProgress(tried, difficulty) {
+  const expected = 2 ** difficulty;
+  return { tried, expected, fraction: 1 - Math.exp(-tried / expected) };
+}
+
+/**
+ * Number of workers to start: one per logical core, within bounds.
+ * @param {number} [requested]
+ * @returns {number}
+ */
+function powWorkerCount(requested) {
+  const cores = typeof navigator !== 'undefined' && navigator.hardwareConcurrency;
+  const count = requested ?? (cores || 2);
+  return Math.max(1, Math.min(POW_MAX_WORKERS, Math.floor(count)));
+}
+
+/**
+ * Error used to reject a cancelled solve.
+ * @returns {Error}
+ */
+function powAbortError() {
+  const error = new Error('PoW cancelled');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Solve a proof-of-work challenge across a pool of Web Workers.
+ * Each worker runs runPowWorker. Falls back to solveChallenge where workers
+ * are unavailable.
+ * @param {string} nonce - Server-provided nonce
+ * @param {{alg?: string, difficulty: number, prefix: string}} challenge
+ * @param {object} [options]
+ * @param {number} [options.workers] - Pool size (default: navigator.hardwareConcurrency)
+ * @param {(progress: {tried: number, expected: number, fraction: number}) => void} [options.onProgress]
+ * @param {AbortSignal} [options.signal] - Aborting terminates the pool
+ * @param {(index: number) => Worker} [options.createWorker] - Worker factory (default: POW_WORKER_URL)
+ * @returns {Promise<string>} Solution string (counter value)
+ * @throws {Error} If the challenge is invalid, a worker fails, or the solve is aborted (name 'AbortError')
+ */
+function solveChallengeParallel(nonce, challenge, options = {}) {
+  if (!nonce || typeof nonce !== 'string' || !isValidChallenge(challenge)) {
+    return Promise.reject(new Error('Invalid PoW challenge'));
+  }
+  const { signal, onProgress } = options;
+  if (signal && signal.aborted) {
+    return Promise.reject(powAbortError());
+  }
+
+  const createWorker = options.createWorker ||
+    (typeof Worker !== 'undefined' ? () => new Worker(POW_WORKER_URL) : null);
+  if (!createWorker) {
+    return solveChallenge(nonce, challenge);
+  }
+
+  const stride = powWorkerCount(options.workers);
+
+  return new Promise((resolve, reject) => {
+    const workers = [];
+    let tried = 0;
+    let settled = false;
+
+    function finish(error, solution) {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      workers.forEach(worker => worker.terminate());
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      if (error) {
+        reject(error);
+      } else {
+        resolve(solution);
+      }
+    }
+
+    function onAbort() {
+      finish(powAbortError());
+    }
+
+    if (signal) {
+      signal.addEventListener('abort', onAbort);
+    }
+
+    for (let start = 0; start < stride; start++) {
+      const worker = createWorker(start);
+      worker.onmessage = (event) => {
+        const message = event.data;
+        if (settled) {
+          return;
+        }
+        if (message.type === 'progress') {
+          tried += message.tried;
+          if (onProgress) {
+            onProgress(powProgress(tried, challenge.difficulty));
+          }
+        } else if (message.type === 'solution') {
+          finish(null, message.solution);
+        }
+      };
+      worker.onerror = (event) => {
+        finish(new Error(`PoW worker failed: ${(event && event.message) || 'unknown error'}`));
+      };
+      workers.push(worker);
+    }
+
+    // Start only once the whole pool exists, so finish() can stop all of it
+    workers.forEach((worker, start) => {
+      if (!settled) {
+        worker.postMessage({ nonce, challenge, start, stride });
+      }
+    });
+  });
+}
+
+/**
+ * Build an onProgress callback that drives the #pow-progress bar.
+ * @param {HTMLElement} container - The .progress-container element
+ * @returns {(progress: {tried: number, expected: number, fraction: number}) => void}
+ */
+function bindPowProgress(container) {
+  const bar = container.querySelector('[role="progressbar"]');
+  const fill = container.querySelector('.progress-fill');
+  const text = container.querySelector('.progress-text');
+
+  return (progress) => {
+    const percent = Math.floor(progress.fraction * 100);
+    fill.style.width = `${percent}%`;
+    bar.setAttribute('aria-valuenow', String(percent));
+    text.textContent = `Computing proof-of-work... ${progress.tried.toLocaleString()} ` +
+      `of ~${progress.expected.toLocaleString()} expected attempts`;
+  };
+}
+
+// =============================================================================
+// Exports (for both browser and testing)
+// =============================================================================
+
+// Check if running in Node.js environment (for testing)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    // PoW API
+    solveChallenge,
+    solveChallengeParallel,
+    verifyChallenge,
+    bindPowProgress,
+    runPowWorker,
+    powProgress,
+    powWorkerCount,
+
+    // Primitives (exported for testing)
+    sha256,
+    hmacSha256,
+    scrypt,
+    countLeadingZeroBits,
+
+    // Constants (exported for testing)
+    POW_ALG_SHA256,
+    POW_ALG_SCRYPT,
+    POW_SCRYPT_PARAMS,
+    POW_WORKER_URL,
+    POW_MAX_WORKERS
+  };
+}
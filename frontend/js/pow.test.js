@@ -0,0 +1,477 @@
+/**
+ * sealed.fyi - PoW Library Tests
+ *
+ * Run with: npx vitest run pow.test.js
+ * Or in watch mode: npx vitest pow.test.js
+ */
+
+import { describe, test, expect, vi } from 'vitest';
+import { createHash, createHmac, scryptSync, webcrypto } from 'node:crypto';
+import { createRequire } from 'node:module';
+
+// Import the PoW module
+const {
+  solveChallenge,
+  solveChallengeParallel,
+  verifyChallenge,
+  bindPowProgress,
+  runPowWorker,
+  powProgress,
+  powWorkerCount,
+  sha256,
+  hmacSha256,
+  scrypt,
+  countLeadingZeroBits,
+  POW_ALG_SHA256,
+  POW_ALG_SCRYPT,
+  POW_SCRYPT_PARAMS,
+  POW_MAX_WORKERS
+} = await import('./pow.js');
+
+// The backend's verifier, which has the final say on a solution
+const { verifyPow } = createRequire(import.meta.url)('../../backend/functions/shared/pow.js');
+
+const encoder = new TextEncoder();
+
+function hex(bytes) {
+  return Buffer.from(bytes).toString('hex');
+}
+
+// =============================================================================
+// Primitive Tests
+// =============================================================================
+
+describe('Primitives', () => {
+  describe('sha256', () => {
+    test('produces correct hash for known input', () => {
+      expect(hex(sha256(encoder.encode('hello')))).toBe(
+        '2cf24dba5fb0a30e26e83b2ac5b9e29e1b161e5c1fa7425e73043362938b9824'
+      );
+    });
+
+    test('hashes the empty string', () => {
+      expect(hex(sha256(new Uint8Array(0)))).toBe(
+        'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855'
+      );
+    });
+
+    test('matches node:crypto across block boundaries', () => {
+      for (const length of [55, 56, 63, 64, 65, 1000]) {
+        const input = new Uint8Array(length).fill(0x61);
+        const expected = createHash('sha256').update(input).digest('hex');
+
+        expect(hex(sha256(input))).toBe(expected);
+      }
+    });
+  });
+
+  describe('hmacSha256', () => {
+    test('matches node:crypto for short and long keys', () => {
+      for (const keyLength of [16, 64, 100]) {
+        const key = new Uint8Array(keyLength).fill(1);
+        const expected = createHmac('sha256', key).update('message').digest('hex');
+
+        expect(hex(hmacSha256(key, encoder.encode('message')))).toBe(expected);
+      }
+    });
+  });
+
+  describe('scrypt', () => {
+    test('matches the RFC 7914 test vector', () => {
+      const result = scrypt(encoder.encode('password'), encoder.encode('NaCl'), 1024, 8, 16, 64);
+
+      expect(hex(result)).toBe(
+        'fdbabe1c9d3472007856e7190d01e9fe7c6ad7cbc8237830e77376634b373162' +
+        '2eaf30d92e22a3886ff109279d9830dac727afb94a83ee6d8360cbdfa2cc0640'
+      );
+    });
+
+    test('matches node:crypto with the PoW parameters', () => {
+      const { N, r, p, keyLength } = POW_SCRYPT_PARAMS;
+      const expected = scryptSync('sealed:abc0', 'abc', keyLength, { N, r, p });
+
+      const result = scrypt(encoder.encode('sealed:abc0'), encoder.encode('abc'), N, r, p, keyLength);
+
+      expect(hex(result)).toBe(expected.toString('hex'));
+    });
+  });
+
+  describe('countLeadingZeroBits', () => {
+    test('counts whole and partial zero bytes', () => {
+      expect(countLeadingZeroBits(new Uint8Array([0x00, 0x00, 0xff]))).toBe(16);
+      expect(countLeadingZeroBits(new Uint8Array([0x01, 0xff]))).toBe(7);
+      expect(countLeadingZeroBits(new Uint8Array([0x80]))).toBe(0);
+      expect(countLeadingZeroBits(new Uint8Array([]))).toBe(0);
+    });
+  });
+});
+
+// =============================================================================
+// SHA-256 PoW Tests
+// =============================================================================
+
+describe('SHA-256 PoW', () => {
+  const nonce = 'a1b2c3d4e5f67890a1b2c3d4e5f67890';
+  const challenge = { alg: POW_ALG_SHA256, difficulty: 8, prefix: 'sealed:' };
+
+  test('solve produces a valid solution', async () => {
+    const solution = await solveChallenge(nonce, challenge);
+
+    expect(verifyChallenge(nonce, solution, challenge)).toBe(true);
+  });
+
+  test('solution satisfies the server formula', async () => {
+    const solution = await solveChallenge(nonce, challenge);
+    const hash = createHash('sha256').update(challenge.prefix + nonce + solution).digest();
+
+    expect(countLeadingZeroBits(hash)).toBeGreaterThanOrEqual(challenge.difficulty);
+  });
+
+  test('treats a challenge without an algorithm as sha256', async () => {
+    const legacy = { difficulty: 8, prefix: 'sealed:' };
+    const solution = await solveChallenge(nonce, legacy);
+
+    expect(verifyChallenge(nonce, solution, challenge)).toBe(true);
+  });
+
+  test('verify rejects an invalid solution', () => {
+    // SHA256("sealed:" + nonce + "wrong") has only 2 leading zero bits
+    expect(verifyChallenge(nonce, 'wrong', challenge)).toBe(false);
+  });
+
+  test('verify rejects a solution for a different nonce', async () => {
+    const solution = await solveChallenge('nonce1', { ...challenge, difficulty: 16 });
+
+    expect(verifyChallenge('nonce2', solution, { ...challenge, difficulty: 16 })).toBe(false);
+  });
+
+  test('difficulty scaling works correctly', async () => {
+    const easy = await solveChallenge(nonce, { ...challenge, difficulty: 4 });
+    const hard = await solveChallenge(nonce, { ...challenge, difficulty: 12 });
+
+    expect(verifyChallenge(nonce, hard, { ...challenge, difficulty: 12 })).toBe(true);
+    // Solutions are counters, so a harder challenge never solves earlier
+    expect(Number(hard)).toBeGreaterThanOrEqual(Number(easy));
+  });
+});
+
+// =============================================================================
+// scrypt PoW Tests
+// =============================================================================
+
+describe('scrypt PoW', () => {
+  const nonce = 'a1b2c3d4e5f67890a1b2c3d4e5f67890';
+  const challenge = { alg: POW_ALG_SCRYPT, difficulty: 3, prefix: 'sealed:' };
+
+  test('solve produces a valid solution', async () => {
+    const solution = await solveChallenge(nonce, challenge);
+
+    expect(verifyChallenge(nonce, solution, challenge)).toBe(true);
+  });
+
+  test('solution satisfies the server formula', async () => {
+    const { N, r, p, keyLength } = POW_SCRYPT_PARAMS;
+    const solution = await solveChallenge(nonce, challenge);
+    const hash = scryptSync(challenge.prefix + nonce + solution, nonce, keyLength, { N, r, p });
+
+    expect(countLeadingZeroBits(hash)).toBeGreaterThanOrEqual(challenge.difficulty);
+  });
+
+  test('a SHA-256 solution does not carry over', async () => {
+    const shaChallenge = { ...challenge, alg: POW_ALG_SHA256, difficulty: 8 };
+    const solution = await solveChallenge(nonce, shaChallenge);
+
+    expect(verifyChallenge(nonce, solution, shaChallenge)).toBe(true);
+    expect(verifyChallenge(nonce, solution, { ...challenge, difficulty: 8 })).toBe(false);
+  });
+});
+
+// =============================================================================
+// Parallel Solver Tests
+// =============================================================================
+
+/**
+ * In-process stand-in for a Web Worker running pow-worker.js
+ */
+class FakeWorker {
+  constructor() {
+    this.terminated = false;
+    this.tasks = [];
+  }
+
+  postMessage(task) {
+    this.tasks.push(task);
+    runPowWorker(task, message => {
+      if (!this.terminated) {
+        this.onmessage({ data: message });
+      }
+    }, () => this.terminated);
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+}
+
+function fakePool() {
+  const workers = [];
+  return {
+    workers,
+    createWorker: () => {
+      const worker = new FakeWorker();
+      workers.push(worker);
+      return worker;
+    }
+  };
+}
+
+describe('Worker hashing', () => {
+  const nonce = 'a1b2c3d4e5f67890a1b2c3d4e5f67890';
+  const challenge = { alg: POW_ALG_SHA256, difficulty: 12, prefix: 'sealed:' };
+  const task = { nonce, challenge, start: 1, stride: 3 };
+
+  async function solveWith(subtle) {
+    const messages = [];
+    await runPowWorker(task, message => messages.push(message), () => false, { subtle });
+    return messages.find(message => message.type === 'solution').solution;
+  }
+
+  test('Web Crypto finds a solution the backend accepts', async () => {
+    const solution = await solveWith(webcrypto.subtle);
+
+    expect(verifyPow(nonce, solution, challenge)).toBe(true);
+  });
+
+  test('the JavaScript fallback finds a solution the backend accepts', async () => {
+    const solution = await solveWith(null);
+
+    expect(verifyPow(nonce, solution, challenge)).toBe(true);
+  });
+
+  test('both paths find the same first solution', async () => {
+    expect(await solveWith(webcrypto.subtle)).toBe(await solveWith(null));
+  });
+
+  test('hashes SHA-256 with Web Crypto when it is available', async () => {
+    const digest = vi.fn((alg, data) => webcrypto.subtle.digest(alg, data));
+
+    const solution = await solveWith({ digest });
+
+    expect(digest).toHaveBeenCalled();
+    expect(digest.mock.calls.every(([alg]) => alg === 'SHA-256')).toBe(true);
+    expect(verifyPow(nonce, solution, challenge)).toBe(true);
+  });
+
+  test('hashes scrypt with JavaScript even when Web Crypto is available', async () => {
+    const scryptChallenge = { alg: POW_ALG_SCRYPT, difficulty: 2, prefix: 'sealed:' };
+    const digest = vi.fn();
+    const messages = [];
+
+    await runPowWorker({ nonce, challenge: scryptChallenge, start: 0, stride: 1 },
+      message => messages.push(message), () => false, { subtle: { digest } });
+    const { solution } = messages.find(message => message.type === 'solution');
+
+    expect(digest).not.toHaveBeenCalled();
+    expect(verifyPow(nonce, solution, scryptChallenge)).toBe(true);
+  });
+});
+
+describe('Parallel solver', () => {
+  const nonce = 'a1b2c3d4e5f67890a1b2c3d4e5f67890';
+  const challenge = { alg: POW_ALG_SHA256, difficulty: 12, prefix: 'sealed:' };
+
+  test('produces a solution the verifier accepts', async () => {
+    const pool = fakePool();
+
+    const solution = await solveChallengeParallel(nonce, challenge, { workers: 4, createWorker: pool.createWorker });
+
+    expect(verifyChallenge(nonce, solution, challenge)).toBe(true);
+  });
+
+  test('splits the counter space between workers', async () => {
+    const tasks = [];
+    const recording = () => ({ postMessage: task => tasks.push(task), terminate: () => {} });
+    const controller = new AbortController();
+
+    const solving = solveChallengeParallel(nonce, challenge, {
+      workers: 3,
+      createWorker: recording,
+      signal: controller.signal
+    });
+    controller.abort();
+    await expect(solving).rejects.toMatchObject({ name: 'AbortError' });
+
+    expect(tasks.map(task => task.start)).toEqual([0, 1, 2]);
+    tasks.forEach(task => expect(task).toMatchObject({ nonce, challenge, stride: 3 }));
+  });
+
+  test('terminates every worker once solved', async () => {
+    const pool = fakePool();
+
+    await solveChallengeParallel(nonce, challenge, { workers: 4, createWorker: pool.createWorker });
+
+    pool.workers.forEach(worker => expect(worker.terminated).toBe(true));
+  });
+
+  test('solves scrypt challenges', async () => {
+    const scryptChallenge = { alg: POW_ALG_SCRYPT, difficulty: 2, prefix: 'sealed:' };
+    const pool = fakePool();
+
+    const solution = await solveChallengeParallel(nonce, scryptChallenge, { workers: 2, createWorker: pool.createWorker });
+
+    expect(verifyChallenge(nonce, solution, scryptChallenge)).toBe(true);
+  });
+
+  test('reports tried against expected attempts', async () => {
+    const pool = fakePool();
+    const updates = [];
+
+    await solveChallengeParallel(nonce, { ...challenge, difficulty: 18 }, {
+      workers: 2,
+      createWorker: pool.createWorker,
+      onProgress: progress => updates.push(progress)
+    });
+
+    expect(updates.length).toBeGreaterThan(0);
+    updates.forEach(update => expect(update.expected).toBe(2 ** 18));
+    for (let i = 1; i < updates.length; i++) {
+      expect(updates[i].tried).toBeGreaterThan(updates[i - 1].tried);
+      expect(updates[i].fraction).toBeGreaterThanOrEqual(updates[i - 1].fraction);
+    }
+  });
+
+  test('stops and rejects when aborted', async () => {
+    const pool = fakePool();
+    const controller = new AbortController();
+
+    const solving = solveChallengeParallel(nonce, { ...challenge, difficulty: 256 }, {
+      workers: 2,
+      createWorker: pool.createWorker,
+      signal: controller.signal,
+      onProgress: () => controller.abort()
+    });
+
+    await expect(solving).rejects.toMatchObject({ name: 'AbortError' });
+    pool.workers.forEach(worker => expect(worker.terminated).toBe(true));
+  });
+
+  test('rejects without starting workers if already aborted', async () => {
+    const pool = fakePool();
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(solveChallengeParallel(nonce, challenge, { signal: controller.signal, createWorker: pool.createWorker }))
+      .rejects.toMatchObject({ name: 'AbortError' });
+    expect(pool.workers).toHaveLength(0);
+  });
+
+  test('rejects and stops the pool when a worker fails', async () => {
+    const pool = fakePool();
+    const failing = () => {
+      const worker = pool.createWorker();
+      worker.postMessage = () => worker.onerror({ message: 'boom' });
+      return worker;
+    };
+
+    await expect(solveChallengeParallel(nonce, challenge, { workers: 2, createWorker: failing }))
+      .rejects.toThrow('PoW worker failed: boom');
+    pool.workers.forEach(worker => expect(worker.terminated).toBe(true));
+  });
+
+  test('rejects invalid challenges', async () => {
+    await expect(solveChallengeParallel(nonce, { ...challenge, alg: 'md5' }, { createWorker: fakePool().createWorker }))
+      .rejects.toThrow('Invalid PoW challenge');
+  });
+
+  test('falls back to the single-threaded solver without workers', async () => {
+    const solution = await solveChallengeParallel(nonce, { ...challenge, difficulty: 8 });
+
+    expect(solution).toBe(await solveChallenge(nonce, { ...challenge, difficulty: 8 }));
+  });
+
+  describe('powProgress', () => {
+    test('approaches but never reaches 100%', () => {
+      expect(powProgress(0, 10)).toEqual({ tried: 0, expected: 1024, fraction: 0 });
+      expect(powProgress(1024, 10).fraction).toBeCloseTo(1 - Math.exp(-1));
+      expect(powProgress(1024 * 10, 10).fraction).toBeLessThan(1);
+    });
+  });
+
+  describe('powWorkerCount', () => {
+    test('uses hardwareConcurrency within bounds', () => {
+      vi.stubGlobal('navigator', { hardwareConcurrency: 8 });
+      try {
+        expect(powWorkerCount()).toBe(8);
+        expect(powWorkerCount(3)).toBe(3);
+        expect(powWorkerCount(0)).toBe(1);
+        expect(powWorkerCount(1000)).toBe(POW_MAX_WORKERS);
+      } finally {
+        vi.unstubAllGlobals();
+      }
+    });
+  });
+
+  describe('bindPowProgress', () => {
+    test('updates the bar, its ARIA value and the text', () => {
+      const bar = { attributes: {}, setAttribute(name, value) { this.attributes[name] = value; } };
+      const fill = { style: {} };
+      const text = { textContent: '' };
+      const container = {
+        querySelector: selector => ({ '[role="progressbar"]': bar, '.progress-fill': fill, '.progress-text': text })[selector]
+      };
+
+      bindPowProgress(container)(powProgress(1024, 10));
+
+      expect(fill.style.width).toBe('63%');
+      expect(bar.attributes['aria-valuenow']).toBe('63');
+      expect(text.textContent).toContain('1,024');
+    });
+  });
+});
+
+// =============================================================================
+// Input Validation Tests
+// =============================================================================
+
+describe('Input Validation', () => {
+  const challenge = { alg: POW_ALG_SHA256, difficulty: 4, prefix: 'sealed:' };
+
+  test('verify returns false for invalid inputs', () => {
+    expect(verifyChallenge(null, '1', challenge)).toBe(false);
+    expect(verifyChallenge('nonce', null, challenge)).toBe(false);
+    expect(verifyChallenge('', '1', challenge)).toBe(false);
+    expect(verifyChallenge('nonce', '', challenge)).toBe(false);
+    expect(verifyChallenge('nonce', '1', null)).toBe(false);
+    expect(verifyChallenge('nonce', '1', { difficulty: 4 })).toBe(false);
+    expect(verifyChallenge('nonce', '1', { prefix: 'sealed:' })).toBe(false);
+  });
+
+  test('verify rejects unsupported algorithms', () => {
+    expect(verifyChallenge('nonce', '1', { ...challenge, alg: 'md5' })).toBe(false);
+  });
+
+  test('solve rejects invalid challenges', async () => {
+    await expect(solveChallenge('nonce', { ...challenge, alg: 'md5' }))
+      .rejects.toThrow('Invalid PoW challenge');
+    await expect(solveChallenge('', challenge)).rejects.toThrow('Invalid PoW challenge');
+  });
+
+  test('solve gives up after maxAttempts', async () => {
+    await expect(solveChallenge('nonce', { ...challenge, difficulty: 256 }, { maxAttempts: 10 }))
+      .rejects.toThrow('PoW solution not found');
+  });
+});
+
+// =============================================================================
+// Performance
+// =============================================================================
+
+describe('Performance', () => {
+  test('difficulty 16 solves in a reasonable time', async () => {
+    const start = Date.now();
+    const solution = await solveChallenge('perf-nonce', { difficulty: 16, prefix: 'sealed:' });
+
+    expect(verifyChallenge('perf-nonce', solution, { difficulty: 16, prefix: 'sealed:' })).toBe(true);
+    expect(Date.now() - start).toBeLessThan(10000);
+  }, 15000);
+});
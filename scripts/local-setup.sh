@@ -3,8 +3,8 @@
 # Usage: ./scripts/local-setup.sh
 #
 # This script:
-# 1. Starts DynamoDB Local in Docker
-# 2. Creates the secrets table
+# 1. Starts DynamoDB Local and MinIO (S3 stand-in) in Docker
+# 2. Creates the tables and the blob bucket
 # 3. Starts SAM local API
 
 set -e
@@ -15,11 +15,23 @@ DYNAMODB_ENDPOINT_HOST="http://localhost:${DYNAMODB_PORT}"
 DYNAMODB_ENDPOINT_DOCKER="http://host.docker.internal:${DYNAMODB_PORT}"
 SAM_PORT=3000
 TABLE_NAME="sealed-secrets"
+USED_TOKENS_TABLE_NAME="sealed-used-tokens"
+COUNTERS_TABLE_NAME="sealed-counters"
+REQUESTS_TABLE_NAME="sealed-requests"
+S3_PORT=9000
+S3_ENDPOINT_HOST="http://localhost:${S3_PORT}"
+S3_ENDPOINT_DOCKER="http://host.docker.internal:${S3_PORT}"
+BLOB_BUCKET_NAME="sealed-blobs"
 JWT_SECRET="local-dev-secret"
+# View notifications are off unless NOTIFY_PUBLIC_KEY is set (PEM, newlines
+# written as \n). SAM local does not run the stream-triggered dispatcher, so
+# get-secret hands events to a local HTTP sink instead.
+NOTIFY_PUBLIC_KEY="${NOTIFY_PUBLIC_KEY:-}"
+NOTIFY_SINK_URL="${NOTIFY_SINK_URL:-http://host.docker.internal:9090/events}"
 
-# Dummy AWS credentials for DynamoDB Local (required but not validated)
+# Dummy AWS credentials for DynamoDB Local and MinIO
 export AWS_ACCESS_KEY_ID=local
-export AWS_SECRET_ACCESS_KEY=local
+export AWS_SECRET_ACCESS_KEY=localsecret  # MinIO needs 8+ characters
 export AWS_DEFAULT_REGION=us-east-1
 
 # Colors for output
@@ -105,6 +117,118 @@ create_table() {
     echo -e "${GREEN}✓ Table '${TABLE_NAME}' created${NC}"
 }
 
+# Create replay ledger table for consumed create tokens
+create_used_tokens_table() {
+    echo -e "${YELLOW}Creating DynamoDB table '${USED_TOKENS_TABLE_NAME}'...${NC}"
+
+    if aws dynamodb describe-table \
+        --table-name ${USED_TOKENS_TABLE_NAME} \
+        --endpoint-url ${DYNAMODB_ENDPOINT_HOST} \
+        &>/dev/null; then
+        echo -e "${GREEN}✓ Table '${USED_TOKENS_TABLE_NAME}' already exists${NC}"
+        return 0
+    fi
+
+    aws dynamodb create-table \
+        --table-name ${USED_TOKENS_TABLE_NAME} \
+        --attribute-definitions AttributeName=jti,AttributeType=S \
+        --key-schema AttributeName=jti,KeyType=HASH \
+        --billing-mode PAY_PER_REQUEST \
+        --endpoint-url ${DYNAMODB_ENDPOINT_HOST}
+
+    echo -e "${GREEN}✓ Table '${USED_TOKENS_TABLE_NAME}' created${NC}"
+}
+
+# Create counters table for adaptive PoW difficulty
+create_counters_table() {
+    echo -e "${YELLOW}Creating DynamoDB table '${COUNTERS_TABLE_NAME}'...${NC}"
+
+    if aws dynamodb describe-table \
+        --table-name ${COUNTERS_TABLE_NAME} \
+        --endpoint-url ${DYNAMODB_ENDPOINT_HOST} \
+        &>/dev/null; then
+        echo -e "${GREEN}✓ Table '${COUNTERS_TABLE_NAME}' already exists${NC}"
+        return 0
+    fi
+
+    aws dynamodb create-table \
+        --table-name ${COUNTERS_TABLE_NAME} \
+        --attribute-definitions AttributeName=id,AttributeType=S \
+        --key-schema AttributeName=id,KeyType=HASH \
+        --billing-mode PAY_PER_REQUEST \
+        --endpoint-url ${DYNAMODB_ENDPOINT_HOST}
+
+    echo -e "${GREEN}✓ Table '${COUNTERS_TABLE_NAME}' created${NC}"
+}
+
+# Create requests table for secret requests
+create_requests_table() {
+    echo -e "${YELLOW}Creating DynamoDB table '${REQUESTS_TABLE_NAME}'...${NC}"
+
+    if aws dynamodb describe-table \
+        --table-name ${REQUESTS_TABLE_NAME} \
+        --endpoint-url ${DYNAMODB_ENDPOINT_HOST} \
+        &>/dev/null; then
+        echo -e "${GREEN}✓ Table '${REQUESTS_TABLE_NAME}' already exists${NC}"
+        return 0
+    fi
+
+    aws dynamodb create-table \
+        --table-name ${REQUESTS_TABLE_NAME} \
+        --attribute-definitions AttributeName=id,AttributeType=S \
+        --key-schema AttributeName=id,KeyType=HASH \
+        --billing-mode PAY_PER_REQUEST \
+        --endpoint-url ${DYNAMODB_ENDPOINT_HOST}
+
+    echo -e "${GREEN}✓ Table '${REQUESTS_TABLE_NAME}' created${NC}"
+}
+
+# Start MinIO as a local S3-compatible blob store
+start_s3() {
+    echo -e "${YELLOW}Starting MinIO on port ${S3_PORT}...${NC}"
+
+    docker stop sealed-minio 2>/dev/null || true
+    docker rm sealed-minio 2>/dev/null || true
+
+    docker run -d \
+        -p ${S3_PORT}:9000 \
+        --name sealed-minio \
+        -e MINIO_ROOT_USER=${AWS_ACCESS_KEY_ID} \
+        -e MINIO_ROOT_PASSWORD=${AWS_SECRET_ACCESS_KEY} \
+        minio/minio server /data
+
+    echo "Waiting for MinIO to be ready..."
+    for i in {1..30}; do
+        if curl -sf "${S3_ENDPOINT_HOST}/minio/health/ready" &>/dev/null; then
+            echo -e "${GREEN}✓ MinIO is ready${NC}"
+            return 0
+        fi
+        sleep 1
+    done
+
+    echo -e "${RED}Error: MinIO failed to start${NC}"
+    exit 1
+}
+
+# Create the bucket for file secret ciphertexts
+create_blob_bucket() {
+    echo -e "${YELLOW}Creating bucket '${BLOB_BUCKET_NAME}'...${NC}"
+
+    if aws s3api head-bucket \
+        --bucket ${BLOB_BUCKET_NAME} \
+        --endpoint-url ${S3_ENDPOINT_HOST} \
+        &>/dev/null; then
+        echo -e "${GREEN}✓ Bucket '${BLOB_BUCKET_NAME}' already exists${NC}"
+        return 0
+    fi
+
+    aws s3api create-bucket \
+        --bucket ${BLOB_BUCKET_NAME} \
+        --endpoint-url ${S3_ENDPOINT_HOST}
+
+    echo -e "${GREEN}✓ Bucket '${BLOB_BUCKET_NAME}' created${NC}"
+}
+
 # Start SAM local API
 start_sam() {
     echo -e "${YELLOW}Starting SAM local API on port ${SAM_PORT}...${NC}"
@@ -118,6 +242,10 @@ start_sam() {
     # Export environment variables for Lambda functions
     export JWT_SECRET="${JWT_SECRET}"
     export DYNAMODB_TABLE="${TABLE_NAME}"
+    export USED_TOKENS_TABLE="${USED_TOKENS_TABLE_NAME}"
+    export COUNTERS_TABLE="${COUNTERS_TABLE_NAME}"
+    export REQUESTS_TABLE="${REQUESTS_TABLE_NAME}"
+    export BLOB_BUCKET="${BLOB_BUCKET_NAME}"
     
     # Start SAM local API
     # Note: Using host.docker.internal because SAM runs Lambda in Docker containers
@@ -130,22 +258,81 @@ start_sam() {
     "CreateTokenFunction": {
         "JWT_SECRET": "${JWT_SECRET}",
         "DYNAMODB_TABLE": "${TABLE_NAME}",
-        "DYNAMODB_ENDPOINT": "${DYNAMODB_ENDPOINT_DOCKER}"
+        "USED_TOKENS_TABLE": "${USED_TOKENS_TABLE_NAME}",
+        "COUNTERS_TABLE": "${COUNTERS_TABLE_NAME}",
+        "REQUESTS_TABLE": "${REQUESTS_TABLE_NAME}",
+        "NOTIFY_PUBLIC_KEY": "${NOTIFY_PUBLIC_KEY}",
+        "DYNAMODB_ENDPOINT": "${DYNAMODB_ENDPOINT_DOCKER}",
+        "BLOB_BUCKET": "${BLOB_BUCKET_NAME}",
+        "S3_ENDPOINT": "${S3_ENDPOINT_DOCKER}"
     },
     "CreateSecretFunction": {
         "JWT_SECRET": "${JWT_SECRET}",
         "DYNAMODB_TABLE": "${TABLE_NAME}",
-        "DYNAMODB_ENDPOINT": "${DYNAMODB_ENDPOINT_DOCKER}"
+        "USED_TOKENS_TABLE": "${USED_TOKENS_TABLE_NAME}",
+        "COUNTERS_TABLE": "${COUNTERS_TABLE_NAME}",
+        "REQUESTS_TABLE": "${REQUESTS_TABLE_NAME}",
+        "NOTIFY_PUBLIC_KEY": "${NOTIFY_PUBLIC_KEY}",
+        "DYNAMODB_ENDPOINT": "${DYNAMODB_ENDPOINT_DOCKER}",
+        "BLOB_BUCKET": "${BLOB_BUCKET_NAME}",
+        "S3_ENDPOINT": "${S3_ENDPOINT_DOCKER}"
     },
     "GetSecretFunction": {
         "JWT_SECRET": "${JWT_SECRET}",
         "DYNAMODB_TABLE": "${TABLE_NAME}",
-        "DYNAMODB_ENDPOINT": "${DYNAMODB_ENDPOINT_DOCKER}"
+        "USED_TOKENS_TABLE": "${USED_TOKENS_TABLE_NAME}",
+        "COUNTERS_TABLE": "${COUNTERS_TABLE_NAME}",
+        "REQUESTS_TABLE": "${REQUESTS_TABLE_NAME}",
+        "NOTIFY_PUBLIC_KEY": "${NOTIFY_PUBLIC_KEY}",
+        "NOTIFY_QUEUE": "sink",
+        "NOTIFY_SINK_URL": "${NOTIFY_SINK_URL}",
+        "DYNAMODB_ENDPOINT": "${DYNAMODB_ENDPOINT_DOCKER}",
+        "BLOB_BUCKET": "${BLOB_BUCKET_NAME}",
+        "S3_ENDPOINT": "${S3_ENDPOINT_DOCKER}"
     },
     "BurnSecretFunction": {
         "JWT_SECRET": "${JWT_SECRET}",
         "DYNAMODB_TABLE": "${TABLE_NAME}",
-        "DYNAMODB_ENDPOINT": "${DYNAMODB_ENDPOINT_DOCKER}"
+        "USED_TOKENS_TABLE": "${USED_TOKENS_TABLE_NAME}",
+        "COUNTERS_TABLE": "${COUNTERS_TABLE_NAME}",
+        "REQUESTS_TABLE": "${REQUESTS_TABLE_NAME}",
+        "NOTIFY_PUBLIC_KEY": "${NOTIFY_PUBLIC_KEY}",
+        "DYNAMODB_ENDPOINT": "${DYNAMODB_ENDPOINT_DOCKER}",
+        "BLOB_BUCKET": "${BLOB_BUCKET_NAME}",
+        "S3_ENDPOINT": "${S3_ENDPOINT_DOCKER}"
+    },
+    "SecretStatusFunction": {
+        "JWT_SECRET": "${JWT_SECRET}",
+        "DYNAMODB_TABLE": "${TABLE_NAME}",
+        "USED_TOKENS_TABLE": "${USED_TOKENS_TABLE_NAME}",
+        "COUNTERS_TABLE": "${COUNTERS_TABLE_NAME}",
+        "REQUESTS_TABLE": "${REQUESTS_TABLE_NAME}",
+        "NOTIFY_PUBLIC_KEY": "${NOTIFY_PUBLIC_KEY}",
+        "DYNAMODB_ENDPOINT": "${DYNAMODB_ENDPOINT_DOCKER}",
+        "BLOB_BUCKET": "${BLOB_BUCKET_NAME}",
+        "S3_ENDPOINT": "${S3_ENDPOINT_DOCKER}"
+    },
+    "CreateRequestFunction": {
+        "JWT_SECRET": "${JWT_SECRET}",
+        "DYNAMODB_TABLE": "${TABLE_NAME}",
+        "USED_TOKENS_TABLE": "${USED_TOKENS_TABLE_NAME}",
+        "COUNTERS_TABLE": "${COUNTERS_TABLE_NAME}",
+        "REQUESTS_TABLE": "${REQUESTS_TABLE_NAME}",
+        "NOTIFY_PUBLIC_KEY": "${NOTIFY_PUBLIC_KEY}",
+        "DYNAMODB_ENDPOINT": "${DYNAMODB_ENDPOINT_DOCKER}",
+        "BLOB_BUCKET": "${BLOB_BUCKET_NAME}",
+        "S3_ENDPOINT": "${S3_ENDPOINT_DOCKER}"
+    },
+    "FillRequestFunction": {
+        "JWT_SECRET": "${JWT_SECRET}",
+        "DYNAMODB_TABLE": "${TABLE_NAME}",
+        "USED_TOKENS_TABLE": "${USED_TOKENS_TABLE_NAME}",
+        "COUNTERS_TABLE": "${COUNTERS_TABLE_NAME}",
+        "REQUESTS_TABLE": "${REQUESTS_TABLE_NAME}",
+        "NOTIFY_PUBLIC_KEY": "${NOTIFY_PUBLIC_KEY}",
+        "DYNAMODB_ENDPOINT": "${DYNAMODB_ENDPOINT_DOCKER}",
+        "BLOB_BUCKET": "${BLOB_BUCKET_NAME}",
+        "S3_ENDPOINT": "${S3_ENDPOINT_DOCKER}"
     }
 }
 EOF
@@ -157,6 +344,7 @@ cleanup() {
     echo ""
     echo -e "${YELLOW}Cleaning up...${NC}"
     docker stop dynamodb-local 2>/dev/null || true
+    docker stop sealed-minio 2>/dev/null || true
     echo -e "${GREEN}Done${NC}"
 }
 
@@ -167,4 +355,9 @@ trap cleanup EXIT
 check_prerequisites
 start_dynamodb
 create_table
+create_used_tokens_table
+create_counters_table
+create_requests_table
+start_s3
+create_blob_bucket
 start_sam